@@ -3,6 +3,8 @@
  * Handles sound effects, background music, and audio processing with Web Audio API
  */
 
+import { defaultStorage, STORAGE_KEYS } from '../storage/StorageManager.js';
+
 export class AudioManager {
     constructor() {
         this.isInitialized = false;
@@ -25,16 +27,7 @@ export class AudioManager {
         this.loadingPromises = new Map();
 
         // Settings
-        this.settings = {
-            masterVolume: 0.8,
-            musicVolume: 0.7,
-            sfxVolume: 0.9,
-            uiVolume: 0.8,
-            ambientVolume: 0.5,
-            dynamicMusic: true,
-            spatialAudio: false,
-            muteOnFocusLoss: true
-        };
+        this.settings = this.getDefaultSettings();
 
         // Current music state
         this.currentMusic = {
@@ -597,27 +590,41 @@ export class AudioManager {
         this.isInitialized = true; // Set to true to allow basic functionality
     }
 
+    /**
+     * Default audio settings
+     */
+    getDefaultSettings() {
+        return {
+            masterVolume: 0.8,
+            musicVolume: 0.7,
+            sfxVolume: 0.9,
+            uiVolume: 0.8,
+            ambientVolume: 0.5,
+            dynamicMusic: true,
+            spatialAudio: false,
+            muteOnFocusLoss: true
+        };
+    }
+
     loadSettings() {
+        // Settings missing from storage go back to their defaults
+        this.settings = this.getDefaultSettings();
+
         try {
-            const saved = localStorage.getItem('neontetris_audio_settings');
-            if (saved) {
-                const savedSettings = JSON.parse(saved);
+            const savedSettings = defaultStorage.get(STORAGE_KEYS.AUDIO_SETTINGS);
+            if (savedSettings) {
                 this.settings = { ...this.settings, ...savedSettings };
-
-                // Apply loaded settings
-                this.applySettings();
             }
         } catch (error) {
             console.warn('Failed to load audio settings:', error);
         }
+
+        // Apply loaded settings
+        this.applySettings();
     }
 
     saveSettings() {
-        try {
-            localStorage.setItem('neontetris_audio_settings', JSON.stringify(this.settings));
-        } catch (error) {
-            console.warn('Failed to save audio settings:', error);
-        }
+        defaultStorage.set(STORAGE_KEYS.AUDIO_SETTINGS, this.settings);
     }
 
     applySettings() {
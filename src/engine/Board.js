@@ -9,8 +9,11 @@
  * - Visual effects coordination
  * - Performance optimization for 60 FPS gameplay
  * - Row caching for line clear optimization
+ * - Lock times for blocks that fade out, mirroring and resizing for survival challenges
  */
 
+import { wallClock } from './Clock.js';
+
 /**
  * Cell state constants for the game board
  */
@@ -23,11 +26,31 @@ export const CELL_STATES = {
     GHOST: 5
 };
 
+/**
+ * Turn a top-down board picture into bottom-first rows of cell states
+ * '.' is empty, 'G' garbage and any other letter a locked block
+ */
+export function parseBoardRows(rows, width) {
+    return [...rows].reverse().map((line, index) => {
+        if (line.length !== width) {
+            throw new Error(`Invalid board row ${index}: ${line}`);
+        }
+
+        return [...line].map(cell => {
+            if (cell === '.') return CELL_STATES.EMPTY;
+            return cell === 'G' ? CELL_STATES.GARBAGE : CELL_STATES.LOCKED;
+        });
+    });
+}
+
 /**
  * Board class managing the tetris game grid
  */
 export class Board {
-    constructor(width = 10, height = 20, hiddenRows = 4) {
+    constructor(width = 10, height = 20, hiddenRows = 4, clock = wallClock) {
+        // Time source for lock times
+        this.clock = clock;
+
         // Board dimensions
         this.width = width;
         this.height = height;
@@ -37,6 +60,9 @@ export class Board {
         // Grid storage using typed array for performance
         this.grid = new Uint8Array(this.width * this.totalHeight);
 
+        // Time each block was locked by placePiece (0 for every other cell)
+        this.lockTimes = new Float64Array(this.width * this.totalHeight);
+
         // Row state caching for optimization
         this.rowCache = new Map();
         this.dirtyRows = new Set();
@@ -79,6 +105,7 @@ export class Board {
      */
     clear() {
         this.grid.fill(CELL_STATES.EMPTY);
+        this.lockTimes.fill(0);
         this.rowCache.clear();
         this.dirtyRows.clear();
         this.clearingRows = [];
@@ -123,6 +150,7 @@ export class Board {
         const index = y * this.width + x;
         if (this.grid[index] !== value) {
             this.grid[index] = value;
+            this.lockTimes[index] = 0;
             this.invalidateRowCache(y);
             this.markRowDirty(y);
         }
@@ -167,7 +195,7 @@ export class Board {
 
             // Check for collision with existing blocks
             const cellState = this.getCell(x, y);
-            if (cellState === CELL_STATES.FILLED || cellState === CELL_STATES.LOCKED) {
+            if (cellState === CELL_STATES.FILLED || cellState === CELL_STATES.LOCKED || cellState === CELL_STATES.GARBAGE) {
                 return false;
             }
         }
@@ -180,10 +208,12 @@ export class Board {
      */
     placePiece(piece) {
         const blocks = piece.absoluteBlocks;
+        const lockTime = this.clock.now();
         let placedBlocks = 0;
 
         for (const block of blocks) {
             if (this.setCell(block.x, block.y, CELL_STATES.LOCKED)) {
+                this.lockTimes[block.y * this.width + block.x] = lockTime;
                 placedBlocks++;
             }
         }
@@ -314,6 +344,7 @@ export class Board {
 
         for (let i = start; i < end; i++) {
             this.grid[i] = CELL_STATES.EMPTY;
+            this.lockTimes[i] = 0;
         }
 
         this.invalidateRowCache(row);
@@ -341,6 +372,7 @@ export class Board {
 
         for (let i = 0; i < this.width; i++) {
             this.grid[destStart + i] = this.grid[sourceStart + i];
+            this.lockTimes[destStart + i] = this.lockTimes[sourceStart + i];
         }
 
         this.invalidateRowCache(destRow);
@@ -376,6 +408,41 @@ export class Board {
         return true;
     }
 
+    /**
+     * Flip every row horizontally
+     */
+    mirror() {
+        for (let row = 0; row < this.totalHeight; row++) {
+            const start = row * this.width;
+            this.grid.subarray(start, start + this.width).reverse();
+            this.lockTimes.subarray(start, start + this.width).reverse();
+            this.invalidateRowCache(row);
+            this.markRowDirty(row);
+        }
+
+        this.updateBoardStatistics();
+    }
+
+    /**
+     * Change the board size, emptying the board
+     */
+    resize(width, height, hiddenRows = this.hiddenRows) {
+        this.width = width;
+        this.height = height;
+        this.hiddenRows = hiddenRows;
+        this.totalHeight = height + hiddenRows;
+        this.grid = new Uint8Array(this.width * this.totalHeight);
+        this.lockTimes = new Float64Array(this.width * this.totalHeight);
+        this.clear();
+    }
+
+    /**
+     * Time the block at a cell was locked, or 0 if it was not placed by a piece
+     */
+    getLockTime(x, y) {
+        return this.isInBounds(x, y) ? this.lockTimes[y * this.width + x] : 0;
+    }
+
     /**
      * Get the height of the highest block
      */
@@ -384,7 +451,7 @@ export class Board {
             for (let x = 0; x < this.width; x++) {
                 const cell = this.getCell(x, row);
                 if (cell === CELL_STATES.FILLED || cell === CELL_STATES.LOCKED || cell === CELL_STATES.GARBAGE) {
-                    return this.totalHeight - row;
+                    return row + 1;
                 }
             }
         }
@@ -424,7 +491,7 @@ export class Board {
             for (let y = this.totalHeight - 1; y >= 0; y--) {
                 const cell = this.getCell(x, y);
                 if (cell === CELL_STATES.FILLED || cell === CELL_STATES.LOCKED || cell === CELL_STATES.GARBAGE) {
-                    heights[x] = this.totalHeight - y;
+                    heights[x] = y + 1;
                     break;
                 }
             }
@@ -532,6 +599,7 @@ export class Board {
 
         for (let i = 0; i < this.width; i++) {
             this.grid[start + i] = data[i];
+            this.lockTimes[start + i] = 0;
         }
 
         this.invalidateRowCache(row);
@@ -654,21 +722,21 @@ export class Board {
         const results = {};
 
         // Test line detection
-        const lineDetectStart = performance.now();
+        const lineDetectStart = this.clock.now();
         this.findCompleteRows();
-        results.lineDetection = performance.now() - lineDetectStart;
+        results.lineDetection = this.clock.now() - lineDetectStart;
 
         // Test statistics update
-        const statsStart = performance.now();
+        const statsStart = this.clock.now();
         this.updateBoardStatistics();
-        results.statisticsUpdate = performance.now() - statsStart;
+        results.statisticsUpdate = this.clock.now() - statsStart;
 
         // Test collision detection
-        const collisionStart = performance.now();
+        const collisionStart = this.clock.now();
         for (let i = 0; i < 100; i++) {
             this.getCell(Math.floor(Math.random() * this.width), Math.floor(Math.random() * this.height));
         }
-        results.cellAccess = (performance.now() - collisionStart) / 100;
+        results.cellAccess = (this.clock.now() - collisionStart) / 100;
 
         return results;
     }
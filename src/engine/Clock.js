@@ -0,0 +1,47 @@
+/**
+ * NeonTetris-MLRSA Clock
+ * Environment independent time source for the engine systems
+ *
+ * Features:
+ * - Uses performance.now() when available, Date.now() otherwise
+ * - One clock per engine, so engines never share or take over each other's time
+ * - Lets simulated time follow fixed-timestep frames instead of wall time
+ */
+
+/**
+ * Default wall-clock time source
+ */
+function wallTime() {
+    if (typeof globalThis.performance !== 'undefined' && typeof globalThis.performance.now === 'function') {
+        return globalThis.performance.now();
+    }
+    return Date.now();
+}
+
+/**
+ * Time source handed to the systems of one engine
+ */
+export class Clock {
+    /**
+     * @param {Function} source - Function returning the current time in milliseconds
+     */
+    constructor(source = wallTime) {
+        if (typeof source !== 'function') {
+            throw new Error('Time source must be a function');
+        }
+        this.source = source;
+    }
+
+    /**
+     * Get the current time in milliseconds
+     * @returns {number} Milliseconds from this clock's time source
+     */
+    now() {
+        return this.source();
+    }
+}
+
+/**
+ * Wall clock for systems created outside an engine
+ */
+export const wallClock = new Clock();
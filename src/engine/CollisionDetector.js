@@ -31,6 +31,7 @@ export const COLLISION_TYPES = {
 export class CollisionDetector {
     constructor(board) {
         this.board = board;
+        this.clock = board.clock;
 
         // Performance optimization
         this.enableSpatialPartitioning = true;
@@ -99,7 +100,7 @@ export class CollisionDetector {
                 piece: piece.type,
                 position: { ...pos },
                 collision: { ...collision },
-                timestamp: performance.now()
+                timestamp: this.clock.now()
             });
         }
 
@@ -289,21 +290,25 @@ export class CollisionDetector {
 
     /**
      * Check for T-Spin collision conditions (for T-Spin detection)
+     * Three filled corners make a T-spin; it is a full one only when both
+     * corners beside the pointing side are filled, otherwise a mini
      */
     checkTSpinConditions(piece) {
         if (piece.type !== 'T') {
-            return { isTSpin: false };
+            return { isTSpin: false, isMiniTSpin: false };
         }
 
         // Get the corner positions relative to T-piece center
         const corners = this.getTSpinCorners(piece);
         let filledCorners = 0;
+        let frontCorners = 0;
         let cornerStates = [];
 
         for (const corner of corners) {
             const worldX = piece.position.x + corner.x;
             const worldY = piece.position.y + corner.y;
 
+            // Walls and floor count as filled corners
             const isFilled = !this.isValidPosition(
                 { blocks: [{ x: 0, y: 0 }] },
                 { x: worldX, y: worldY }
@@ -311,35 +316,53 @@ export class CollisionDetector {
 
             if (isFilled) {
                 filledCorners++;
+                if (corner.front) {
+                    frontCorners++;
+                }
             }
 
             cornerStates.push({
-                local: corner,
+                local: { x: corner.x, y: corner.y },
                 world: { x: worldX, y: worldY },
+                front: corner.front,
                 filled: isFilled
             });
         }
 
         return {
-            isTSpin: filledCorners >= 3,
-            isMiniTSpin: filledCorners === 2,
+            isTSpin: filledCorners >= 3 && frontCorners === 2,
+            isMiniTSpin: filledCorners >= 3 && frontCorners < 2,
             filledCorners,
+            frontCorners,
             cornerStates
         };
     }
 
     /**
      * Get T-Spin corner positions for current rotation
+     * Front corners (beside the side the T points to) come first
      */
     getTSpinCorners(piece) {
-        const corners = {
-            0: [{ x: 0, y: 2 }, { x: 2, y: 2 }, { x: 0, y: 0 }, { x: 2, y: 0 }],
-            1: [{ x: 0, y: 0 }, { x: 0, y: 2 }, { x: 2, y: 0 }, { x: 2, y: 2 }],
-            2: [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 2 }, { x: 2, y: 2 }],
-            3: [{ x: 0, y: 0 }, { x: 0, y: 2 }, { x: 2, y: 0 }, { x: 2, y: 2 }]
-        };
+        const blocks = piece.blocks;
+        const isBlock = (x, y) => blocks.some(block => block.x === x && block.y === y);
+        const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+        // The center is the only block with three neighbours
+        const center = blocks.find(block =>
+            directions.filter(([dx, dy]) => isBlock(block.x + dx, block.y + dy)).length === 3
+        );
+
+        // The T points away from the missing neighbour
+        const [missingX, missingY] = directions.find(([dx, dy]) => !isBlock(center.x + dx, center.y + dy));
+        const point = { x: -missingX, y: -missingY };
+        const side = { x: point.y, y: point.x };
 
-        return corners[piece.rotation] || corners[0];
+        return [
+            { x: center.x + point.x + side.x, y: center.y + point.y + side.y, front: true },
+            { x: center.x + point.x - side.x, y: center.y + point.y - side.y, front: true },
+            { x: center.x - point.x + side.x, y: center.y - point.y + side.y, front: false },
+            { x: center.x - point.x - side.x, y: center.y - point.y - side.y, front: false }
+        ];
     }
 
     /**
@@ -610,7 +633,7 @@ export class CollisionDetector {
             position: { x: 5, y: 10 }
         };
 
-        const startTime = performance.now();
+        const startTime = this.clock.now();
 
         for (let i = 0; i < iterations; i++) {
             const x = Math.floor(Math.random() * this.board.width);
@@ -618,7 +641,7 @@ export class CollisionDetector {
             this.isValidPosition(testPiece, { x, y });
         }
 
-        const endTime = performance.now();
+        const endTime = this.clock.now();
         const totalTime = endTime - startTime;
         const avgTime = totalTime / iterations;
 
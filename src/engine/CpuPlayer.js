@@ -0,0 +1,296 @@
+/**
+ * NeonTetris-MLRSA CPU Player
+ * Computer opponent that plays a GameEngine through its input queue
+ *
+ * Features:
+ * - Placement search over the active, held and previewed pieces
+ * - Board heuristic from holes, bumpiness and column heights
+ * - Beam-limited lookahead through the piece preview
+ * - Difficulty tiers with a pieces-per-second cap, input speed and mistake rate
+ * - Seeded mistakes so versus rounds stay reproducible
+ */
+
+import { Board } from './Board.js';
+import { Piece } from './Piece.js';
+import { HARD_DROP_MODES } from './GameRules.js';
+import { SeededRandom } from './Randomizer.js';
+import { HEURISTIC_WEIGHTS, simulatePlacement, evaluateBoard } from './MoveSearch.js';
+
+/**
+ * Difficulty tiers
+ * - pps: most pieces placed per second
+ * - inputDelay: ms between inputs (and thinking time before the first one)
+ * - mistakeRate: chance of picking a worse placement
+ * - searchDepth: previewed pieces looked ahead
+ */
+export const CPU_DIFFICULTIES = {
+    easy: { name: 'Easy', pps: 0.8, inputDelay: 150, mistakeRate: 0.25, searchDepth: 0 },
+    medium: { name: 'Medium', pps: 1.5, inputDelay: 80, mistakeRate: 0.1, searchDepth: 1 },
+    hard: { name: 'Hard', pps: 2.5, inputDelay: 40, mistakeRate: 0.04, searchDepth: 1 },
+    expert: { name: 'Expert', pps: 4, inputDelay: 16, mistakeRate: 0.01, searchDepth: 2 }
+};
+
+const BEAM_WIDTH = 6;      // Placements expanded at each lookahead step
+const MISTAKE_POOL = 8;    // Mistakes pick from this many runner-up placements
+const MAX_ROTATE_INPUTS = 4;
+
+/**
+ * CPU opponent driving one engine
+ */
+export class CpuPlayer {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.rng = new SeededRandom(options.seed);
+        this.weights = { ...HEURISTIC_WEIGHTS, ...options.weights };
+        this.setDifficulty(options.difficulty || 'medium');
+
+        // Scratch board for simulated placements
+        this.scratch = new Board(engine.board.width, engine.board.height, engine.board.hiddenRows);
+
+        this.reset();
+    }
+
+    /**
+     * Select a difficulty tier by id or pass custom settings
+     */
+    setDifficulty(difficulty) {
+        const settings = typeof difficulty === 'string' ? CPU_DIFFICULTIES[difficulty] : difficulty;
+        if (!settings) {
+            throw new Error(`Invalid CPU difficulty: ${difficulty}`);
+        }
+
+        this.difficulty = { ...CPU_DIFFICULTIES.medium, ...settings };
+    }
+
+    /**
+     * Clear the current plan for a new round
+     */
+    reset(seed = null) {
+        if (seed !== null) {
+            this.rng.setSeed(seed);
+        }
+
+        this.piece = null;
+        this.plan = null;
+        this.inputTimer = 0;
+        this.pieceTimer = 0;
+        this.rotateInputs = 0;
+        this.lastX = null;
+    }
+
+    /**
+     * Advance the CPU clock and send at most one input
+     */
+    update(deltaTime) {
+        const { engine } = this;
+        if (engine.isPaused || engine.gameState.get('status') !== 'playing') return;
+
+        this.pieceTimer += deltaTime;
+        this.inputTimer += deltaTime;
+
+        const activePiece = engine.gameState.get('activePiece');
+        if (!activePiece) return;
+
+        // New piece (spawn or hold): think before the first input
+        if (activePiece !== this.piece) {
+            this.piece = activePiece;
+            this.plan = this.choosePlacement();
+            this.inputTimer = 0;
+            this.rotateInputs = 0;
+            this.lastX = null;
+            return;
+        }
+
+        if (!this.plan || this.inputTimer < this.difficulty.inputDelay) return;
+
+        const action = this.getNextInput(activePiece);
+        const isDrop = action === 'hardDrop' || action === 'softDrop';
+
+        // The PPS cap holds back the drop, not the setup inputs
+        if (isDrop && this.pieceTimer < 1000 / this.difficulty.pps) return;
+
+        if (action === 'hardDrop') {
+            this.pieceTimer = 0;
+        }
+
+        this.inputTimer = 0;
+        engine.addInput(action);
+    }
+
+    /**
+     * Next input that moves the active piece towards the plan
+     */
+    getNextInput(piece) {
+        const { plan, engine } = this;
+
+        if (plan.hold) {
+            plan.hold = false;
+            return 'hold';
+        }
+
+        if (piece.rotation !== plan.rotation && this.rotateInputs < MAX_ROTATE_INPUTS) {
+            this.rotateInputs++;
+            const counterClockwise = engine.rotationSystem.getTargetRotation(piece, -1) === plan.rotation;
+            return counterClockwise ? 'rotateCCW' : 'rotateCW';
+        }
+
+        // Stop shifting once a wall or the stack blocks the piece
+        const blocked = this.lastX === piece.position.x;
+        if (piece.position.x !== plan.x && !blocked) {
+            this.lastX = piece.position.x;
+            return piece.position.x < plan.x ? 'moveRight' : 'moveLeft';
+        }
+
+        return engine.rules.hardDrop === HARD_DROP_MODES.LOCK ? 'hardDrop' : 'softDrop';
+    }
+
+    /**
+     * Search placements for the active piece (and the hold swap)
+     * @returns {Object|null} { type, rotation, x, y, hold, score }
+     */
+    choosePlacement() {
+        const { engine } = this;
+        const activePiece = engine.gameState.get('activePiece');
+        const preview = engine.getNextPieces();
+        const grid = engine.board.grid;
+
+        const options = [{ type: activePiece.type, hold: false, queue: preview }];
+
+        if (engine.rules.holdEnabled && engine.canHold) {
+            if (engine.heldPiece) {
+                options.push({ type: engine.heldPiece.type, hold: true, queue: preview });
+            } else if (preview.length > 0) {
+                options.push({ type: preview[0], hold: true, queue: preview.slice(1) });
+            }
+        }
+
+        const ranked = [];
+
+        options.forEach(option => {
+            const candidates = this.rankPlacements(grid, option.type);
+
+            candidates.slice(0, BEAM_WIDTH).forEach(candidate => {
+                ranked.push({
+                    ...candidate,
+                    hold: option.hold,
+                    score: this.scoreLine(candidate.lines) +
+                        this.searchAhead(candidate.grid, option.queue, this.difficulty.searchDepth)
+                });
+            });
+        });
+
+        if (ranked.length === 0) return null;
+
+        ranked.sort((a, b) => b.score - a.score);
+
+        let choice = ranked[0];
+        if (ranked.length > 1 && this.rng.next() < this.difficulty.mistakeRate) {
+            choice = ranked[1 + this.rng.nextInt(Math.min(MISTAKE_POOL, ranked.length - 1))];
+        }
+
+        const { type, rotation, x, y, hold, score } = choice;
+        return { type, rotation, x, y, hold, score };
+    }
+
+    /**
+     * Best reachable score after placing the queued pieces
+     */
+    searchAhead(grid, queue, depth) {
+        if (depth <= 0 || queue.length === 0) {
+            return this.evaluateBoard(grid);
+        }
+
+        const candidates = this.rankPlacements(grid, queue[0]);
+        if (candidates.length === 0) {
+            return -Infinity;
+        }
+
+        let best = -Infinity;
+        candidates.slice(0, BEAM_WIDTH).forEach(candidate => {
+            const score = this.scoreLine(candidate.lines) + this.searchAhead(candidate.grid, queue.slice(1), depth - 1);
+            best = Math.max(best, score);
+        });
+
+        return best;
+    }
+
+    /**
+     * Placements of one piece sorted by their immediate score
+     */
+    rankPlacements(grid, type) {
+        return this.findPlacements(grid, type)
+            .map(placement => ({
+                ...placement,
+                immediate: this.scoreLine(placement.lines) + this.evaluateBoard(placement.grid)
+            }))
+            .sort((a, b) => b.immediate - a.immediate);
+    }
+
+    /**
+     * Every placement reachable by rotating at spawn, shifting and dropping
+     * @returns {Array<Object>} { type, rotation, x, y, lines, grid }
+     */
+    findPlacements(grid, type) {
+        const { engine, scratch } = this;
+        const config = engine.getPieceConfig(type);
+        const rotations = engine.rotationSystem.getReachableRotations(
+            engine.rotationSystem.system, type, config.initialRotation
+        );
+
+        scratch.grid.set(grid);
+
+        const placements = [];
+        const seen = new Set();
+
+        rotations.forEach(rotation => {
+            const piece = new Piece(type, { ...config, initialRotation: rotation });
+            if (!scratch.isValidPiecePosition(piece)) return;
+
+            [-1, 1].forEach(direction => {
+                const position = { ...piece.position };
+
+                // The spawn column is visited by the first sweep only
+                if (direction === 1) position.x++;
+
+                while (scratch.isValidPiecePosition(piece, position)) {
+                    const drop = { ...position };
+                    while (scratch.isValidPiecePosition(piece, { x: drop.x, y: drop.y - 1 })) {
+                        drop.y--;
+                    }
+
+                    const blocks = piece.blocks.map(block => ({ x: drop.x + block.x, y: drop.y + block.y }));
+                    const key = blocks.map(block => `${block.x},${block.y}`).sort().join('|');
+
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        placements.push({ type, rotation, x: drop.x, y: drop.y, ...this.simulatePlacement(grid, blocks) });
+                    }
+
+                    position.x += direction;
+                }
+            });
+        });
+
+        return placements;
+    }
+
+    /**
+     * Grid after locking blocks and clearing full rows
+     */
+    simulatePlacement(grid, blocks) {
+        const { width, totalHeight } = this.scratch;
+        return simulatePlacement(grid, blocks, width, totalHeight);
+    }
+
+    /**
+     * Heuristic score of a board
+     */
+    evaluateBoard(grid) {
+        this.scratch.grid.set(grid);
+        return evaluateBoard(this.scratch, this.weights);
+    }
+
+    scoreLine(lines) {
+        return this.weights.lines * lines;
+    }
+}
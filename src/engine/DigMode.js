@@ -0,0 +1,367 @@
+/**
+ * NeonTetris-MLRSA Dig Mode
+ * Cheese races that dig through rows of messy garbage on a GameEngine
+ *
+ * Features:
+ * - 10, 18 and 100 line presets with a capped number of garbage rows on the board
+ * - Messy garbage with a seeded hole per row, added with Board.addGarbageLines
+ * - Garbage refilled from the preset's reserve after each line clear
+ * - Optional rising garbage on a timer through the engine's garbage queue
+ * - Time, pieces used and garbage cleared per minute
+ * - Attempts and best times per preset in the player's practice statistics
+ */
+
+import { CELL_STATES } from './Board.js';
+import { SeededRandom } from './Randomizer.js';
+import { GARBAGE_DEFAULTS } from './GarbageSystem.js';
+import { defaultPracticeStats } from '../storage/PracticeStats.js';
+
+/**
+ * Race presets
+ * - lines: garbage rows to clear, not counting risen garbage
+ */
+export const DIG_PRESETS = [
+    { id: 'dig-10', name: '10 Lines', lines: 10 },
+    { id: 'dig-18', name: '18 Lines', lines: 18 },
+    { id: 'dig-100', name: '100 Lines', lines: 100 }
+];
+
+/**
+ * Rising garbage speeds; every interval (ms) one more garbage row rises, 0 = never
+ */
+export const DIG_RISE_SPEEDS = [
+    { id: 'off', name: 'Off', interval: 0 },
+    { id: 'slow', name: 'Slow', interval: 8000 },
+    { id: 'fast', name: 'Fast', interval: 4000 }
+];
+
+/**
+ * Default dig settings
+ */
+export const DIG_DEFAULTS = {
+    boardRows: 10, // Most garbage rows on the board at once
+    messiness: 1   // Chance the hole moves from one row to the next
+};
+
+/**
+ * Practice drill id used for the statistics
+ */
+export const DIG_DRILL = 'dig';
+
+/**
+ * Mixed into the game seed for the dig hole stream
+ */
+const DIG_SEED_SALT = 0x85EBCA6B;
+
+/**
+ * Find a preset by id
+ */
+export function getDigPreset(id) {
+    const preset = DIG_PRESETS.find(entry => entry.id === id);
+    if (!preset) {
+        throw new Error(`Invalid dig preset: ${id}`);
+    }
+    return preset;
+}
+
+/**
+ * Find a rising garbage speed by id
+ */
+export function getDigRiseSpeed(id) {
+    const speed = DIG_RISE_SPEEDS.find(entry => entry.id === id);
+    if (!speed) {
+        throw new Error(`Invalid rise speed: ${id}`);
+    }
+    return speed;
+}
+
+/**
+ * Statistics key of a preset played at a rise speed
+ */
+export function getDigStatsKey(presetId, riseId = 'off') {
+    return riseId === 'off' ? presetId : `${presetId}/${riseId}`;
+}
+
+/**
+ * Dig race driving one engine
+ */
+export class DigRace {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.stats = options.stats || defaultPracticeStats;
+        this.config = { ...DIG_DEFAULTS, ...options.config };
+        this.rng = new SeededRandom();
+
+        this.preset = null;
+        this.riseSpeed = null;
+        this.race = null;
+
+        // Event system
+        this.eventListeners = new Map();
+
+        this.engineListeners = {
+            linesClearComplete: () => this.handleLinesCleared(),
+            garbageAdded: ({ lines }) => this.handleGarbageAdded(lines),
+            gameOver: () => this.finish(false)
+        };
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            engine.addEventListener(event, callback);
+        });
+    }
+
+    /**
+     * Reset the engine, fill the board with garbage and start a race
+     * @param {string} presetId - One of DIG_PRESETS
+     * @param {string} riseId - One of DIG_RISE_SPEEDS
+     */
+    start(presetId, riseId = 'off') {
+        const preset = getDigPreset(presetId);
+        const riseSpeed = getDigRiseSpeed(riseId);
+        const { engine } = this;
+
+        engine.resetGame();
+        this.rng.setSeed(engine.seed ^ DIG_SEED_SALT);
+
+        // Risen rows are extra rows to dig, so they must not be cancelled by clears
+        engine.garbageSystem.configure({ cancel: false });
+
+        this.preset = preset;
+        this.riseSpeed = riseSpeed;
+        this.race = {
+            reserve: preset.lines,
+            added: 0,
+            cleared: 0,
+            risen: 0,
+            riseTimer: 0,
+            time: 0,
+            hole: this.rng.nextInt(engine.board.width),
+            result: null
+        };
+
+        this.addRows(Math.min(preset.lines, this.config.boardRows));
+        engine.isPaused = false;
+
+        this.emit('raceStarted', { preset, riseSpeed });
+    }
+
+    /**
+     * Start the current preset over
+     */
+    retry() {
+        if (this.preset) {
+            this.start(this.preset.id, this.riseSpeed.id);
+        }
+    }
+
+    /**
+     * Advance the race clock and queue rising garbage
+     */
+    update(deltaTime) {
+        if (!this.isActive()) return;
+
+        const { race } = this;
+        race.time += deltaTime;
+
+        const { interval } = this.riseSpeed;
+        if (interval <= 0) return;
+
+        race.riseTimer += deltaTime;
+        while (race.riseTimer >= interval) {
+            race.riseTimer -= interval;
+            race.risen++;
+
+            // Rises after the next piece that clears nothing
+            this.engine.receiveGarbage(1);
+        }
+    }
+
+    /**
+     * Move rows from the reserve onto the board with messy holes
+     * @returns {boolean} False if the stack was pushed out of the board
+     */
+    addRows(count) {
+        const { board } = this.engine;
+        const rows = Math.min(count, this.race.reserve);
+        if (rows <= 0) return true;
+
+        // Blocks in the top rows would be pushed off the board
+        let toppedOut = false;
+        for (let i = 0; i < rows; i++) {
+            toppedOut = toppedOut || board.getRow(board.totalHeight - 1 - i).some(cell => cell !== CELL_STATES.EMPTY);
+            board.addGarbageLines(1, [this.nextHole()]);
+        }
+
+        this.engine.collisionDetector.clearCache();
+        this.engine.rotationSystem.clearCache();
+
+        this.race.reserve -= rows;
+        this.race.added += rows;
+
+        if (toppedOut) {
+            this.engine.handleGameOver();
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Hole of the next garbage row, moved at random by messiness
+     */
+    nextHole() {
+        const { race } = this;
+        const { width } = this.engine.board;
+
+        if (this.rng.next() < this.config.messiness) {
+            // Any other column
+            race.hole = (race.hole + 1 + this.rng.nextInt(width - 1)) % width;
+        }
+
+        return race.hole;
+    }
+
+    /**
+     * Count risen garbage as rows to dig
+     */
+    handleGarbageAdded(lines) {
+        if (!this.isActive()) return;
+
+        this.race.added += lines;
+        this.emit('progress', this.getProgress());
+    }
+
+    /**
+     * Count cleared garbage, then finish the race or refill the board
+     */
+    handleLinesCleared() {
+        if (!this.isActive()) return;
+
+        const { race } = this;
+        const onBoard = this.countGarbageRows();
+        race.cleared = race.added - onBoard;
+
+        const incoming = this.engine.garbageSystem.getIncomingLines();
+        if (onBoard === 0 && race.reserve === 0 && incoming === 0) {
+            this.finish(true);
+            return;
+        }
+
+        if (!this.addRows(this.config.boardRows - onBoard)) return;
+
+        this.emit('progress', this.getProgress());
+    }
+
+    /**
+     * Rows on the board that still hold garbage
+     */
+    countGarbageRows() {
+        const { board } = this.engine;
+        let rows = 0;
+
+        for (let y = 0; y < board.totalHeight; y++) {
+            if (board.getRow(y).includes(CELL_STATES.GARBAGE)) {
+                rows++;
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * End the race and record it
+     */
+    finish(success) {
+        if (!this.isActive()) return;
+
+        this.race.result = success ? 'success' : 'failed';
+        this.engine.isPaused = true;
+
+        const progress = this.getProgress();
+        const key = getDigStatsKey(this.preset.id, this.riseSpeed.id);
+        const stats = this.stats.recordAttempt(DIG_DRILL, key, success, success ? progress.time : null);
+
+        this.emit('raceComplete', {
+            preset: this.preset,
+            riseSpeed: this.riseSpeed,
+            success,
+            ...progress,
+            stats
+        });
+    }
+
+    /**
+     * Check if a race is in progress
+     */
+    isActive() {
+        return Boolean(this.race && this.race.result === null);
+    }
+
+    /**
+     * Race statistics: time, pieces, garbage cleared and left, and garbage per minute
+     */
+    getProgress() {
+        if (!this.race) return null;
+
+        const { race } = this;
+        const minutes = race.time / 60000;
+
+        return {
+            time: race.time,
+            pieces: this.engine.gameState.get('totalPieces'),
+            cleared: race.cleared,
+            remaining: race.added - race.cleared + race.reserve + this.engine.garbageSystem.getIncomingLines(),
+            risen: race.risen,
+            garbagePerMinute: minutes > 0 ? race.cleared / minutes : 0
+        };
+    }
+
+    /**
+     * Attempts, successes and best time of a preset at a rise speed
+     */
+    getPresetStats(presetId, riseId = 'off') {
+        return this.stats.getSetup(DIG_DRILL, getDigStatsKey(presetId, riseId));
+    }
+
+    /**
+     * Event system methods
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data = {}) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Detach from the engine
+     */
+    destroy() {
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            this.engine.removeEventListener(event, callback);
+        });
+        this.engine.garbageSystem.configure({ cancel: GARBAGE_DEFAULTS.cancel });
+        this.eventListeners.clear();
+    }
+}
@@ -0,0 +1,354 @@
+/**
+ * NeonTetris-MLRSA Finesse Trainer
+ * Drills piece placement with the fewest key presses on a GameEngine
+ *
+ * Features:
+ * - Random target placement on an empty well for every piece
+ * - Optimal key sequence per target from taps, DAS shifts and rotations
+ * - Per-piece comparison of the keys pressed against the optimal sequence
+ * - Fault and miss counts per piece type and orientation
+ * - Session report once the set number of pieces is placed
+ */
+
+import { Board } from './Board.js';
+import { MoveSearch } from './MoveSearch.js';
+import { ROTATION_DIRECTION } from './RotationSystem.js';
+import { SeededRandom, generateSeed } from './Randomizer.js';
+
+/**
+ * Default session settings
+ */
+export const FINESSE_DEFAULTS = {
+    pieces: 50,      // Pieces in a session
+    allow180: false, // Count 180° turns in the optimal sequences
+    seed: null       // null = fresh targets every session
+};
+
+/**
+ * Key presses of an optimal sequence
+ * DAS shifts hold a direction until the piece reaches the wall
+ */
+export const FINESSE_INPUTS = {
+    TAP_LEFT: 'moveLeft',
+    TAP_RIGHT: 'moveRight',
+    DAS_LEFT: 'dasLeft',
+    DAS_RIGHT: 'dasRight',
+    ROTATE_CW: 'rotateCW',
+    ROTATE_CCW: 'rotateCCW',
+    ROTATE_180: 'rotate180',
+    HARD_DROP: 'hardDrop'
+};
+
+// Presses that count against the optimal sequence
+const COUNTED_ACTIONS = new Set(['moveLeft', 'moveRight', 'rotateCW', 'rotateCCW', 'rotate180']);
+
+const SHIFTS = [
+    { input: FINESSE_INPUTS.TAP_LEFT, dx: -1, repeat: false },
+    { input: FINESSE_INPUTS.TAP_RIGHT, dx: 1, repeat: false },
+    { input: FINESSE_INPUTS.DAS_LEFT, dx: -1, repeat: true },
+    { input: FINESSE_INPUTS.DAS_RIGHT, dx: 1, repeat: true }
+];
+
+const ROTATIONS = [
+    { input: FINESSE_INPUTS.ROTATE_CW, direction: ROTATION_DIRECTION.CLOCKWISE },
+    { input: FINESSE_INPUTS.ROTATE_CCW, direction: ROTATION_DIRECTION.COUNTERCLOCKWISE },
+    { input: FINESSE_INPUTS.ROTATE_180, direction: ROTATION_DIRECTION.HALF_TURN }
+];
+
+/**
+ * Finesse drill driving one engine
+ */
+export class FinesseTrainer {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.config = { ...FINESSE_DEFAULTS, ...options };
+        this.rng = new SeededRandom(this.config.seed ?? generateSeed());
+
+        const { width, height, hiddenRows } = engine.board;
+        this.emptyBoard = new Board(width, height, hiddenRows);
+        this.search = new MoveSearch({ width, height, hiddenRows, rules: engine.rules, allow180: this.config.allow180 });
+
+        // Event system
+        this.eventListeners = new Map();
+
+        this.engineListeners = {
+            pieceSpawned: ({ piece }) => this.handleSpawn(piece),
+            pieceLocked: ({ piece }) => this.handleLock(piece),
+            rulesChanged: ({ rules }) => this.search.applyRules(rules)
+        };
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            engine.addEventListener(event, callback);
+        });
+
+        this.reset();
+    }
+
+    /**
+     * Clear the session statistics
+     */
+    reset(seed = null) {
+        if (seed !== null) {
+            this.rng.setSeed(seed);
+        }
+
+        this.target = null;
+        this.nextTarget = null;
+        this.results = [];
+        this.isComplete = false;
+
+        // The engine may already have a piece out
+        const activePiece = this.engine.gameState.get('activePiece');
+        if (activePiece) {
+            this.handleSpawn(activePiece);
+        }
+    }
+
+    /**
+     * Record a key press of the player (DAS repeats are not presses)
+     */
+    recordInput(action) {
+        if (!this.target || this.isComplete || !COUNTED_ACTIONS.has(action)) return;
+
+        this.target.inputs.push(action);
+    }
+
+    /**
+     * Pick the target of a new piece
+     */
+    handleSpawn(piece) {
+        if (this.isComplete) return;
+
+        const target = this.createTarget(piece);
+
+        // Without a line clear the next piece spawns before the lock is reported
+        if (this.target) {
+            this.nextTarget = target;
+        } else {
+            this.target = target;
+        }
+
+        this.emit('targetChanged', { target: this.target });
+    }
+
+    /**
+     * Judge a locked piece against its target and clear the well for the next one
+     */
+    handleLock(piece) {
+        if (!this.target || this.isComplete) return;
+
+        const result = this.judge(this.target, piece);
+        this.results.push(result);
+
+        this.target = this.nextTarget;
+        this.nextTarget = null;
+
+        const { board, collisionDetector, rotationSystem } = this.engine;
+        board.clear();
+        collisionDetector.clearCache();
+        rotationSystem.clearCache();
+
+        this.emit('pieceJudged', { result, count: this.results.length });
+
+        if (this.results.length >= this.config.pieces) {
+            this.isComplete = true;
+            this.target = null;
+            this.engine.isPaused = true;
+            this.emit('sessionComplete', { report: this.getReport() });
+        } else {
+            this.emit('targetChanged', { target: this.target });
+        }
+    }
+
+    /**
+     * Compare a placement with its target
+     * @returns {Object} { type, rotation, inputs, optimal, extra, fault, miss }
+     */
+    judge(target, piece) {
+        const placed = this.getBlockKey(piece.absoluteBlocks) === this.getBlockKey(target.blocks);
+        const inputs = target.inputs.length;
+        const optimal = target.optimal.length - 1; // The hard drop is not counted
+
+        return {
+            type: target.type,
+            rotation: target.rotation,
+            inputs: [...target.inputs],
+            optimal: [...target.optimal],
+            extra: Math.max(0, inputs - optimal),
+            fault: placed && inputs > optimal,
+            miss: !placed
+        };
+    }
+
+    /**
+     * Random hard-drop placement of a piece on the empty well
+     * @returns {Object} { type, rotation, x, y, blocks, optimal, inputs }
+     */
+    createTarget(piece) {
+        const placements = this.search.search(this.emptyBoard, piece);
+        const { type, rotation, x, y, blocks } = this.rng.pick(placements);
+
+        return {
+            type,
+            rotation,
+            x,
+            y,
+            blocks,
+            optimal: this.getOptimalInputs(piece, blocks),
+            inputs: []
+        };
+    }
+
+    /**
+     * Fewest key presses that hard-drop a piece onto the target blocks
+     * @returns {Array<string>} FINESSE_INPUTS ending with the hard drop
+     */
+    getOptimalInputs(piece, blocks) {
+        const { search } = this;
+        const targetKey = this.getBlockKey(blocks);
+        const rotations = ROTATIONS.filter(({ direction }) => this.config.allow180 || direction !== ROTATION_DIRECTION.HALF_TURN);
+
+        search.loadBoard(this.emptyBoard);
+        const { collisionDetector, rotationSystem } = search;
+
+        const visited = new Set([this.getStateKey(piece)]);
+        const queue = [{ piece, path: [] }];
+
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+
+            const dropY = collisionDetector.findDropPosition(node.piece);
+            const dropped = node.piece.blocks.map(block => ({ x: node.piece.position.x + block.x, y: dropY + block.y }));
+            if (this.getBlockKey(dropped) === targetKey) {
+                return [...node.path, FINESSE_INPUTS.HARD_DROP];
+            }
+
+            const next = [];
+
+            SHIFTS.forEach(({ input, dx, repeat }) => {
+                const { x, y } = node.piece.position;
+                let shift = 0;
+                while (collisionDetector.isValidPosition(node.piece, { x: x + shift + dx, y })) {
+                    shift += dx;
+                    if (!repeat) break;
+                }
+
+                if (shift !== 0) {
+                    next.push({ piece: node.piece.withPosition(x + shift, y), input });
+                }
+            });
+
+            rotations.forEach(({ input, direction }) => {
+                const result = rotationSystem.rotate(node.piece, direction);
+                if (result.success) {
+                    next.push({ piece: result.piece, input });
+                }
+            });
+
+            next.forEach(({ piece: moved, input }) => {
+                const key = this.getStateKey(moved);
+                if (visited.has(key)) return;
+
+                visited.add(key);
+                queue.push({ piece: moved, path: [...node.path, input] });
+            });
+        }
+
+        throw new Error(`Invalid finesse target for ${piece.type}`);
+    }
+
+    /**
+     * Session summary with faults per piece type and orientation
+     */
+    getReport() {
+        const byPiece = {};
+        let faults = 0;
+        let misses = 0;
+        let extraInputs = 0;
+
+        this.results.forEach(result => {
+            const piece = byPiece[result.type] || (byPiece[result.type] = {});
+            const orientation = piece[result.rotation] || (piece[result.rotation] = { attempts: 0, faults: 0, misses: 0 });
+
+            orientation.attempts++;
+            if (result.fault) {
+                orientation.faults++;
+                faults++;
+            }
+            if (result.miss) {
+                orientation.misses++;
+                misses++;
+            }
+            extraInputs += result.extra;
+        });
+
+        const pieces = this.results.length;
+        const clean = pieces - faults - misses;
+
+        return {
+            pieces,
+            clean,
+            faults,
+            misses,
+            extraInputs,
+            accuracy: pieces > 0 ? clean / pieces : 0,
+            byPiece
+        };
+    }
+
+    /**
+     * Target of the active piece, or null between sessions
+     */
+    getTarget() {
+        return this.target;
+    }
+
+    getBlockKey(blocks) {
+        return blocks.map(block => `${block.x},${block.y}`).sort().join('|');
+    }
+
+    getStateKey(piece) {
+        return `${piece.rotation},${piece.position.x},${piece.position.y}`;
+    }
+
+    /**
+     * Event system methods
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data = {}) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Detach from the engine
+     */
+    destroy() {
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            this.engine.removeEventListener(event, callback);
+        });
+        this.eventListeners.clear();
+    }
+}
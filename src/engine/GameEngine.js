@@ -4,20 +4,58 @@
  *
  * Features:
  * - 60 FPS game loop with requestAnimationFrame
+ * - Headless mode with manual step(frames) for Node simulations
+ * - Configurable rules object (lock delay, hold, previews, hard drop)
+ * - Game modes with per-mode rules and level select
+ * - T-spin, T-spin mini and all-spin detection on lock
+ * - Versus garbage: attacks, incoming queue and cancellation
+ * - Practice coach suggesting the best placement of each piece
+ * - Preset positions and perfect clear detection for practice drills
+ * - Gravity up to 20G, spawn delay (ARE) and the Master mode hidden grade
+ * - Survival challenges: rising garbage, big mode and a board that mirrors itself
+ * - Game modifier hooks on spawn, lock, line clear and every tick
+ * - Custom board sizes with the spawn position kept centered
  * - Fixed timestep for consistent gameplay
  * - State management with event system
+ * - Whole-game save states persisted through the storage service
  * - Performance monitoring and quality scaling
  * - Modular architecture for easy testing
  */
 
 import { GameState } from './GameState.js';
-import { Board } from './Board.js';
+import { Board, CELL_STATES } from './Board.js';
 import { Piece } from './Piece.js';
 import { CollisionDetector } from './CollisionDetector.js';
 import { RotationSystem } from './RotationSystem.js';
 import { LineClearer } from './LineClearer.js';
-import { ScoreManager } from './ScoreManager.js';
-import { LevelManager } from './LevelManager.js';
+import { ScoreManager, DIFFICULT_MOVES } from './ScoreManager.js';
+import { LevelManager, PROGRESSION_TYPES } from './LevelManager.js';
+import { GradeSystem, MAX_GRAVITY } from './MasterMode.js';
+import { SPIN_MOVES } from './SpinDetector.js';
+import { GarbageSystem } from './GarbageSystem.js';
+import { MoveSearch } from './MoveSearch.js';
+import { createRules, RULE_PRESETS, LOCK_RESET_MODES, HARD_DROP_MODES, BIG_MODE_SCALE } from './GameRules.js';
+import { createModeRules } from './GameModes.js';
+import { ModifierSystem } from './GameModifiers.js';
+import { SeededRandom, createPieceGenerator, generateSeed, RANDOMIZER_TYPES } from './Randomizer.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, deserializeReplay } from './ReplaySystem.js';
+import { Clock } from './Clock.js';
+import { defaultStorage, STORAGE_KEYS } from '../storage/StorageManager.js';
+
+/**
+ * Save state format version
+ */
+export const SAVE_STATE_VERSION = 1;
+
+/**
+ * Mixed into the game seed for the garbage hole stream
+ */
+const GARBAGE_SEED_SALT = 0x9E3779B9;
+
+/**
+ * Board size the rules' spawn position refers to
+ */
+const BOARD_SIZE = { width: 10, height: 20, hiddenRows: 4 };
 
 /**
  * Core game engine class that manages the game loop and coordinates all game systems
@@ -31,22 +69,38 @@ export class GameEngine {
             enableVSync: true,
             enablePerformanceMonitoring: false,
             autoQualityScaling: true,
+            randomizer: null, // null = the player's randomizer setting
+            rotate180Enabled: null, // null = the player's input setting
+            seed: null, // null = fresh seed every game
+            mode: 'marathon',
+            rules: RULE_PRESETS.GUIDELINE, // Preset id or rules object
+            recordReplays: true,
+            headless: typeof requestAnimationFrame !== 'function',
             ...config
         };
 
+        // Every engine has its own clock; headless engines run on simulated time
+        this.simulationTime = 0; // Headless clock, advanced by step()
+        this.clock = this.config.headless ? new Clock(() => this.simulationTime) : new Clock();
+
         // Core systems
-        this.gameState = new GameState();
-        this.board = new Board();
+        this.gameState = new GameState(this.clock);
+        this.board = new Board(BOARD_SIZE.width, BOARD_SIZE.height, BOARD_SIZE.hiddenRows, this.clock);
         this.collisionDetector = new CollisionDetector(this.board);
         this.rotationSystem = new RotationSystem(this.collisionDetector);
         this.lineClearer = new LineClearer(this.board);
-        this.scoreManager = new ScoreManager();
-        this.levelManager = new LevelManager();
+        this.scoreManager = new ScoreManager(this.clock);
+        this.levelManager = new LevelManager({}, this.clock);
+        this.garbageSystem = new GarbageSystem(undefined, this.board.width);
+        this.gradeSystem = new GradeSystem();
+        this.modifierSystem = new ModifierSystem(this);
+        this.rules = null;
 
         // Game loop timing
         this.lastTime = 0;
         this.accumulator = 0;
         this.fixedTimeStep = 1000 / 60; // 60 FPS fixed timestep
+        this.frame = 0; // Fixed-timestep frames since game start
         this.frameId = null;
         this.isRunning = false;
         this.isPaused = false;
@@ -61,20 +115,37 @@ export class GameEngine {
         this.dropTimer = 0;
         this.lockTimer = 0;
         this.lineAnimationTimer = 0;
+        this.spawnTimer = 0;
+        this.riseTimer = 0;
 
         // Input buffer for responsive controls
         this.inputBuffer = [];
-        this.maxInputBufferSize = 3;
+        // Room for an ARR 0 shift across the widest (20 column) board
+        this.maxInputBufferSize = 24;
 
         // Event system
         this.eventListeners = new Map();
 
-        // Random bag for piece generation
-        this.pieceBag = [];
+        // Seeded piece generation
+        this.seed = null;
+        this.rng = null;
+        this.randomizer = null;
         this.nextPieces = [];
         this.heldPiece = null;
         this.canHold = true;
 
+        // Last successful move of the active piece, for spin detection
+        this.lastMove = null;
+
+        // Practice coach and its suggestion for the active piece
+        this.coach = null;
+        this.coachHint = null;
+
+        // Replay recording and playback
+        this.replayRecorder = new ReplayRecorder();
+        this.replayPlayer = null;
+        this.presetPosition = false; // Board, queue or hold put in place by loadPosition()
+
         this.initialize();
     }
 
@@ -84,6 +155,7 @@ export class GameEngine {
     initialize() {
         this.gameState.initialize();
         this.board.initialize();
+        this.setRules(this.config.rules);
         this.resetGame();
 
         // Setup event listeners
@@ -110,12 +182,16 @@ export class GameEngine {
     setupEventListeners() {
         // Listen for line clears
         this.addEventListener('linesClear', (event) => {
-            const { lineCount, isSpecialMove, moveType } = event.detail;
+            const { lineCount, isSpecialMove, moveType, spin, isPerfectClear } = event.detail;
             this.scoreManager.addScore(lineCount, this.levelManager.getCurrentLevel(), {
                 isSpecialMove,
                 moveType,
+                spin,
+                isPerfectClear,
                 combo: this.gameState.get('combo')
             });
+            this.gradeSystem.recordClear(lineCount, this.gameState.get('combo'), this.levelManager.getCurrentLevel());
+            this.sendAttack();
         });
 
         // Listen for level changes
@@ -139,8 +215,12 @@ export class GameEngine {
 
         this.isRunning = true;
         this.isPaused = false;
-        this.lastTime = performance.now();
-        this.frameId = requestAnimationFrame(this.gameLoop);
+
+        // Headless engines are advanced manually with step()
+        if (!this.config.headless) {
+            this.lastTime = this.clock.now();
+            this.frameId = requestAnimationFrame(this.gameLoop);
+        }
 
         this.emit('gameStarted');
         console.log('Game engine started');
@@ -171,7 +251,7 @@ export class GameEngine {
         if (this.isPaused) {
             this.emit('gamePaused');
         } else {
-            this.lastTime = performance.now();
+            this.lastTime = this.clock.now();
             this.emit('gameResumed');
         }
     }
@@ -179,28 +259,212 @@ export class GameEngine {
     /**
      * Reset the game to initial state
      */
-    resetGame() {
+    resetGame(seed = null) {
+        // A restart can interrupt a line clear animation
+        this.lineClearer.forceComplete();
+
         this.gameState.reset();
         this.board.clear();
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
         this.scoreManager.reset();
         this.levelManager.reset();
+        this.garbageSystem.reset();
+        this.gradeSystem.reset();
 
         // Reset timers
         this.dropTimer = 0;
         this.lockTimer = 0;
         this.lineAnimationTimer = 0;
+        this.spawnTimer = 0;
+        this.riseTimer = 0;
+        this.frame = 0;
 
         // Reset piece generation
-        this.pieceBag = [];
+        this.setupRandomizer(seed ?? this.config.seed ?? generateSeed());
         this.nextPieces = [];
         this.heldPiece = null;
         this.canHold = true;
+        this.lastMove = null;
+        this.presetPosition = false;
 
-        // Generate initial pieces
+        // Generate initial pieces; a replay's starting position goes in before the first spawn
         this.fillNextPieces();
+        if (this.replayPlayer) {
+            this.applyStartPosition(this.replayPlayer.replay);
+        }
         this.spawnNextPiece();
 
-        this.emit('gameReset');
+        if (this.config.recordReplays && !this.replayPlayer) {
+            this.startRecording();
+        }
+
+        this.emit('gameReset', { seed: this.seed, randomizer: this.randomizer.type });
+    }
+
+    /**
+     * Replace the board, piece order and held piece with a preset position
+     * @param {Object} position - { rows: bottom-first arrays of cell states, queue: piece types, hold }
+     */
+    loadPosition({ rows = [], queue = [], hold = null }) {
+        if (rows.length > this.board.totalHeight) {
+            throw new Error(`Invalid position: ${rows.length} rows`);
+        }
+
+        this.board.clear();
+        rows.forEach((row, y) => {
+            if (!this.board.setRow(y, row)) {
+                throw new Error(`Invalid position row: ${y}`);
+            }
+        });
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
+
+        // The piece generator takes over once the preset order runs out
+        this.nextPieces = [...queue];
+        this.heldPiece = hold ? { type: hold } : null;
+        this.canHold = true;
+        this.gameState.set('activePiece', null);
+        this.presetPosition = true;
+        this.spawnNextPiece();
+
+        this.emit('positionLoaded', { rows: rows.length, queue: [...queue], hold });
+    }
+
+    /**
+     * Create the seeded RNG and piece generator for a new game
+     */
+    setupRandomizer(seed) {
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        this.randomizer = createPieceGenerator(this.getRandomizerType(), this.rng);
+
+        // Garbage holes draw from their own stream so pieces stay the same
+        this.garbageSystem.setSeed(this.seed ^ GARBAGE_SEED_SALT);
+    }
+
+    /**
+     * Piece generator for the next game: the configured one, else the player's setting
+     */
+    getRandomizerType() {
+        if (this.config.randomizer) return this.config.randomizer;
+
+        const { randomizer } = defaultStorage.get(STORAGE_KEYS.GAME_SETTINGS, {});
+        return Object.values(RANDOMIZER_TYPES).includes(randomizer) ? randomizer : RANDOMIZER_TYPES.BAG_7;
+    }
+
+    /**
+     * Change the piece generator (takes effect on the next game)
+     * @param {string|null} type - Randomizer type, or null for the player's setting
+     */
+    setRandomizer(type, seed = this.config.seed) {
+        // Validate before committing to config
+        if (type !== null) {
+            createPieceGenerator(type, new SeededRandom(0));
+        }
+
+        this.config.randomizer = type;
+        this.config.seed = seed;
+    }
+
+    /**
+     * Apply a rules preset or rules object to the engine and its subsystems
+     */
+    setRules(rules) {
+        this.rules = createRules(rules);
+        this.config.rules = this.rules;
+
+        this.scoreManager.applyRules(this.rules);
+        this.levelManager.applyRules(this.rules);
+        this.rotationSystem.applyRules(this.rules);
+        this.garbageSystem.applyRules(this.rules);
+        this.gradeSystem.setEnabled(this.rules.progression === PROGRESSION_TYPES.MASTER);
+        this.modifierSystem.applyRules(this.rules);
+
+        if (this.coach) {
+            this.coach.applyRules(this.rules);
+        }
+
+        this.applyBoardSize();
+
+        if (!this.rules.holdEnabled) {
+            this.heldPiece = null;
+        }
+
+        this.emit('rulesChanged', { rules: this.rules });
+    }
+
+    /**
+     * Resize the board to the rules' size; big blocks play on half the width and height
+     * Resizing empties the board, so it belongs between games
+     */
+    applyBoardSize() {
+        const scale = this.getBlockScale();
+        const width = Math.floor(this.rules.boardWidth / scale);
+        const height = Math.floor(this.rules.boardHeight / scale);
+        const hiddenRows = BOARD_SIZE.hiddenRows / scale;
+
+        const { board } = this;
+        if (board.width === width && board.height === height && board.hiddenRows === hiddenRows) return;
+
+        board.resize(width, height, hiddenRows);
+        this.garbageSystem.width = width;
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
+
+        if (this.coach) {
+            this.coach = this.createCoach();
+        }
+    }
+
+    /**
+     * Display cells per board cell side: 2 in big mode, otherwise 1
+     */
+    getBlockScale() {
+        return this.rules.bigMode ? BIG_MODE_SCALE : 1;
+    }
+
+    /**
+     * Switch to a game mode and its rules (takes effect on the next game)
+     * @param {string} mode - Game mode id
+     * @param {Object} options - startLevel, modifiers and rules for createModeRules(), and a randomizer type
+     */
+    setMode(mode, options = {}) {
+        this.setRules(createModeRules(mode, options));
+        this.config.mode = mode;
+
+        if (options.randomizer) {
+            this.setRandomizer(options.randomizer);
+        }
+    }
+
+    /**
+     * Get the active rules
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Piece configuration derived from the rules and rotation system
+     */
+    getPieceConfig(type = null) {
+        const scale = this.getBlockScale();
+        const { spawnPosition } = this.rules;
+        const { width, height } = this.board;
+
+        // Spawn positions are given for the standard board; other sizes keep them centered and at the top
+        const x = Math.floor(spawnPosition.x / scale) + Math.floor((width - BOARD_SIZE.width / scale) / 2);
+        const y = Math.floor(spawnPosition.y / scale) + height - BOARD_SIZE.height / scale;
+
+        return {
+            initialRotation: type ? this.rotationSystem.getSpawnRotation(type) : 0,
+            // Piece boxes are 4 cells wide and have to fit on narrow boards
+            spawnX: Math.max(0, Math.min(x, width - 4)),
+            spawnY: y,
+            maxLockResets: this.rules.maxLockResets,
+            clock: this.clock
+        };
     }
 
     /**
@@ -239,10 +503,43 @@ export class GameEngine {
         this.frameId = requestAnimationFrame(this.gameLoop);
     }
 
+    /**
+     * Advance the game by a number of fixed-timestep frames
+     * Drives the engine in headless mode without requestAnimationFrame
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames && !this.isPaused; i++) {
+            this.simulationTime += this.fixedTimeStep;
+            this.update(this.fixedTimeStep);
+        }
+
+        if (!this.config.headless) {
+            this.render(0);
+        }
+
+        return this.gameState.getState();
+    }
+
     /**
      * Update game logic with fixed timestep
      */
     update(deltaTime) {
+        // The position play starts from is known once the first frame runs
+        if (this.frame === 0 && this.replayRecorder.isRecording) {
+            this.recordStartPosition();
+        }
+
+        // Feed recorded inputs during replay playback
+        if (this.replayPlayer) {
+            this.replayPlayer.feed(this, this.frame);
+
+            // A replayed input can end the game, which clears the player
+            if (this.replayPlayer && !this.replayPlayer.isPlaying) {
+                this.replayPlayer = null;
+                this.emit('replayFinished', { frame: this.frame });
+            }
+        }
+
         // Process input buffer
         this.processInputBuffer();
 
@@ -264,6 +561,44 @@ export class GameEngine {
         // Update subsystems
         this.scoreManager.update(deltaTime);
         this.levelManager.update(this.gameState.get('linesCleared'));
+        this.garbageSystem.update(deltaTime);
+        this.updateRisingGarbage(deltaTime);
+        this.modifierSystem.update(deltaTime);
+
+        // Master games end on the last level
+        if (this.levelManager.isComplete()) {
+            this.handleGameOver();
+        }
+
+        this.updateGhostPiece();
+
+        this.frame++;
+    }
+
+    /**
+     * Keep the landing row of the active piece in the game state for the renderers;
+     * rules without a ghost piece leave it out
+     */
+    updateGhostPiece() {
+        const activePiece = this.gameState.get('activePiece');
+        const showGhost = activePiece && this.rules.ghostPiece !== false;
+
+        this.gameState.set('ghostPieceY', showGhost ? activePiece.getDropPosition(this.board) : undefined);
+    }
+
+    /**
+     * Queue a garbage line every rise interval of active play
+     */
+    updateRisingGarbage(deltaTime) {
+        const interval = this.rules.garbageRiseInterval;
+        if (interval <= 0 || this.gameState.get('status') !== 'playing') return;
+
+        this.riseTimer += deltaTime;
+        // Rising garbage follows from the rules, so replays do not record it
+        while (this.riseTimer >= interval) {
+            this.riseTimer -= interval;
+            this.queueGarbage(1);
+        }
     }
 
     /**
@@ -272,24 +607,53 @@ export class GameEngine {
     updatePlaying(deltaTime) {
         const activePiece = this.gameState.get('activePiece');
         if (!activePiece) {
-            this.spawnNextPiece();
+            // Spawn delay (ARE) after the last lock or line clear
+            this.spawnTimer -= deltaTime;
+            if (this.spawnTimer <= 0) {
+                this.spawnNextPiece();
+            }
             return;
         }
 
-        // Update drop timer (gravity)
-        this.dropTimer += deltaTime;
-        const dropInterval = this.levelManager.getDropInterval();
+        const lockDelay = this.levelManager.getLockDelay();
+        const gravity = this.levelManager.getGravity();
 
-        if (this.dropTimer >= dropInterval) {
+        if (gravity >= 1) {
+            // 1G and faster moves whole rows every frame
             this.dropTimer = 0;
-            this.tryMovePiece(0, -1); // Move down
+            if (!this.applyGravity(gravity) && lockDelay === null) {
+                this.lockPiece();
+                return;
+            }
+        } else {
+            // Update drop timer (gravity)
+            this.dropTimer += deltaTime;
+
+            if (this.dropTimer >= this.levelManager.getDropInterval()) {
+                this.dropTimer = 0;
+
+                // Without a lock delay, pieces lock as soon as gravity cannot move them
+                if (!this.tryMovePiece(0, -1) && lockDelay === null) {
+                    this.lockPiece();
+                    return;
+                }
+            }
         }
 
+        // Grade points only decay while no combo is running
+        if (this.gameState.get('combo') === 0) {
+            this.gradeSystem.tick();
+        }
+
+        if (lockDelay === null) return;
+
         // Update lock timer
-        if (this.isPieceTouchingGround(activePiece)) {
+        const currentPiece = this.gameState.get('activePiece');
+        if (this.isPieceTouchingGround(currentPiece)) {
             this.lockTimer += deltaTime;
 
-            if (this.lockTimer >= 500) { // 500ms lock delay
+            const resetsExhausted = this.rules.lockResetMode === LOCK_RESET_MODES.MOVE && currentPiece.shouldAutoLock();
+            if (this.lockTimer >= lockDelay || resetsExhausted) {
                 this.lockPiece();
             }
         } else {
@@ -297,17 +661,33 @@ export class GameEngine {
         }
     }
 
+    /**
+     * Move the active piece down by whole rows of gravity
+     * @param {number} rows - Rows per frame; MAX_GRAVITY drops to the floor
+     * @returns {boolean} False if the piece could not fall at all
+     */
+    applyGravity(rows) {
+        const limit = rows >= MAX_GRAVITY ? this.board.totalHeight : Math.floor(rows);
+
+        let fallen = 0;
+        while (fallen < limit && this.tryMovePiece(0, -1)) {
+            fallen++;
+        }
+
+        return fallen > 0;
+    }
+
     /**
      * Update logic during line clearing animation
      */
     updateLineClearing(deltaTime) {
         this.lineAnimationTimer += deltaTime;
 
-        if (this.lineAnimationTimer >= 500) { // 500ms animation
+        if (this.lineAnimationTimer >= this.levelManager.getLineClearDelay()) {
             this.completeLineClear();
             this.lineAnimationTimer = 0;
             this.gameState.set('status', 'playing');
-            this.spawnNextPiece();
+            this.queueSpawn();
         }
     }
 
@@ -328,6 +708,8 @@ export class GameEngine {
         this.emit('render', {
             gameState: this.gameState.getState(),
             board: this.board,
+            garbage: this.garbageSystem.getMeter(),
+            hint: this.getCoachHint(),
             interpolation,
             deltaTime
         });
@@ -349,6 +731,8 @@ export class GameEngine {
     handleInput(input) {
         const { action, data } = input;
 
+        this.replayRecorder.record(this.frame, action);
+
         switch (action) {
             case 'moveLeft':
                 this.tryMovePiece(-1, 0);
@@ -368,6 +752,9 @@ export class GameEngine {
             case 'rotateCCW':
                 this.tryRotate(-1);
                 break;
+            case 'rotate180':
+                this.tryRotate(2);
+                break;
             case 'hold':
                 this.tryHold();
                 break;
@@ -381,11 +768,26 @@ export class GameEngine {
      * Add input to buffer for processing
      */
     addInput(action, data = {}) {
+        // Live input is ignored while a replay drives the engine
+        if (this.replayPlayer && action !== 'pause') return;
+
+        // Turned down before recording, so replays only hold the turns that happened
+        if (action === 'rotate180' && !this.isRotate180Enabled()) return;
+
         if (this.inputBuffer.length >= this.maxInputBufferSize) {
             this.inputBuffer.shift(); // Remove oldest input
         }
 
-        this.inputBuffer.push({ action, data, timestamp: performance.now() });
+        this.inputBuffer.push({ action, data, timestamp: this.clock.now() });
+    }
+
+    /**
+     * Whether 180° rotations are allowed: the configured value, else the player's input setting
+     */
+    isRotate180Enabled() {
+        if (this.config.rotate180Enabled !== null) return this.config.rotate180Enabled;
+
+        return defaultStorage.get(STORAGE_KEYS.INPUT_SETTINGS, {}).rotate180Enabled !== false;
     }
 
     /**
@@ -401,15 +803,10 @@ export class GameEngine {
         };
 
         if (this.collisionDetector.isValidPosition(activePiece, newPosition)) {
-            this.gameState.set('activePiece', {
-                ...activePiece,
-                position: newPosition
-            });
-
-            // Reset lock timer on successful movement
-            if (dx !== 0) {
-                this.lockTimer = 0;
-            }
+            const movedPiece = activePiece.withPosition(newPosition.x, newPosition.y);
+            this.applyLockReset(movedPiece, dy < 0);
+            this.gameState.set('activePiece', movedPiece);
+            this.lastMove = { type: SPIN_MOVES.MOVE };
 
             this.emit('pieceMoved', { piece: activePiece, dx, dy });
             return true;
@@ -428,8 +825,9 @@ export class GameEngine {
         const rotationResult = this.rotationSystem.rotate(activePiece, direction);
 
         if (rotationResult.success) {
+            this.applyLockReset(rotationResult.piece, rotationResult.piece.position.y < activePiece.position.y);
             this.gameState.set('activePiece', rotationResult.piece);
-            this.lockTimer = 0; // Reset lock timer on successful rotation
+            this.lastMove = { type: SPIN_MOVES.ROTATE, wallKick: rotationResult.wallKick };
 
             this.emit('pieceRotated', {
                 piece: rotationResult.piece,
@@ -442,6 +840,31 @@ export class GameEngine {
         return false;
     }
 
+    /**
+     * Give a moved piece a fresh lock delay as the rules allow
+     */
+    applyLockReset(piece, movedDown) {
+        const reachedNewLow = movedDown && piece.updateLowestY();
+
+        switch (this.rules.lockResetMode) {
+            case LOCK_RESET_MODES.MOVE:
+                if (reachedNewLow) {
+                    // Falling further earns back the full reset allowance
+                    piece.lockResets = 0;
+                    this.lockTimer = 0;
+                } else if (this.lockTimer > 0 && !piece.shouldAutoLock()) {
+                    piece.recordLockReset();
+                    this.lockTimer = 0;
+                }
+                break;
+            case LOCK_RESET_MODES.STEP:
+                if (reachedNewLow) {
+                    this.lockTimer = 0;
+                }
+                break;
+        }
+    }
+
     /**
      * Soft drop (faster gravity)
      */
@@ -457,6 +880,8 @@ export class GameEngine {
      * Hard drop (instant drop to bottom)
      */
     tryHardDrop() {
+        if (this.rules.hardDrop === HARD_DROP_MODES.NONE) return;
+
         const activePiece = this.gameState.get('activePiece');
         if (!activePiece) return;
 
@@ -465,6 +890,12 @@ export class GameEngine {
             dropDistance++;
         }
 
+        // Sonic drop leaves the piece to the lock delay
+        if (this.rules.hardDrop === HARD_DROP_MODES.SONIC) {
+            this.emit('hardDrop', { distance: dropDistance, sonic: true });
+            return;
+        }
+
         this.scoreManager.addHardDropPoints(dropDistance);
         this.lockPiece();
 
@@ -475,7 +906,7 @@ export class GameEngine {
      * Try to hold the current piece
      */
     tryHold() {
-        if (!this.canHold) return false;
+        if (!this.rules.holdEnabled || !this.canHold) return false;
 
         const activePiece = this.gameState.get('activePiece');
         if (!activePiece) return false;
@@ -507,36 +938,69 @@ export class GameEngine {
         const activePiece = this.gameState.get('activePiece');
         if (!activePiece) return;
 
+        // Spins are judged against the board before the piece is placed
+        const spin = this.rotationSystem.detectSpin(activePiece, this.lastMove);
+
         // Place piece on board
         this.board.placePiece(activePiece);
+        const totalPieces = this.gameState.get('totalPieces') + 1;
+        this.gameState.set('totalPieces', totalPieces);
+        this.levelManager.recordPiece();
+
+        // Mirror challenge: the stack flips every few pieces (complete rows stay complete)
+        const { mirrorInterval } = this.rules;
+        if (mirrorInterval > 0 && totalPieces % mirrorInterval === 0) {
+            this.board.mirror();
+            this.emit('boardMirrored', { totalPieces });
+        }
+
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
+
+        // Modifiers can end the game on the placed piece
+        this.modifierSystem.onLock({ piece: activePiece, spin });
+        if (this.gameState.get('status') === 'gameOver') return;
 
         // Check for line clears
         const clearedLines = this.lineClearer.checkAndMarkLines();
 
-        if (clearedLines.length > 0) {
-            this.handleLineClear(clearedLines);
-        } else {
-            // Reset combo if no lines cleared
-            this.gameState.set('combo', 0);
-            this.spawnNextPiece();
+        if (spin) {
+            this.emit('spin', { spin, lineCount: clearedLines.length });
         }
 
-        // Clear active piece
+        // Clear active piece before the next one spawns
         this.gameState.set('activePiece', null);
         this.lockTimer = 0;
         this.canHold = true;
 
-        this.emit('pieceLocked', { piece: activePiece });
+        if (clearedLines.length > 0) {
+            this.handleLineClear(clearedLines, spin);
+        } else {
+            // Reset combo if no lines cleared
+            this.gameState.set('combo', 0);
+            this.scoreManager.addScore(0, this.levelManager.getCurrentLevel(), { spin });
+
+            // Garbage only rises after a piece that cleared nothing
+            if (!this.addIncomingGarbage()) {
+                return;
+            }
+            this.queueSpawn();
+        }
+
+        this.emit('pieceLocked', { piece: activePiece, spin });
     }
 
     /**
      * Handle line clearing
      */
-    handleLineClear(clearedLines) {
+    handleLineClear(clearedLines, spin = null) {
         const lineCount = clearedLines.length;
-        const moveType = this.determineMoveType(lineCount);
+        const moveType = this.determineMoveType(lineCount, spin);
         const isSpecialMove = this.isSpecialMove(moveType);
 
+        // The cleared rows are still marked, so only the rest of the board has to be empty
+        const isPerfectClear = this.lineClearer.isPerfectClear(clearedLines);
+
         // Update combo
         const currentCombo = this.gameState.get('combo');
         this.gameState.set('combo', currentCombo + 1);
@@ -550,18 +1014,106 @@ export class GameEngine {
         this.lineAnimationTimer = 0;
 
         this.emit('linesClear', {
-            detail: { lineCount, isSpecialMove, moveType, clearedLines }
+            detail: { lineCount, isSpecialMove, moveType, spin, clearedLines, isPerfectClear }
         });
+
+        if (isPerfectClear) {
+            this.emit('perfectClear', { lineCount, totalPieces: this.gameState.get('totalPieces') });
+        }
+
+        // After scoring, so goals see the clear counted
+        this.modifierSystem.onLineClear({ lineCount, moveType, spin, isPerfectClear });
     }
 
     /**
      * Complete the line clearing process
      */
     completeLineClear() {
-        this.lineClearer.executeLineClear();
+        this.lineClearer.completeAnimation();
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
         this.emit('linesClearComplete');
     }
 
+    /**
+     * Send the attack of the last line clear, cancelling incoming garbage first
+     */
+    sendAttack() {
+        const clearType = this.scoreManager.lastMoveType;
+        const attack = this.garbageSystem.calculateAttack({
+            clearType,
+            combo: this.scoreManager.combo - 1,
+            backToBack: DIFFICULT_MOVES.has(clearType) && this.scoreManager.backToBackCount > 1
+        });
+
+        if (attack <= 0) return;
+
+        const lines = this.garbageSystem.offset(attack);
+        if (lines < attack) {
+            this.emit('garbageCancelled', { lines: attack - lines, incoming: this.garbageSystem.getIncomingLines() });
+        }
+        if (lines > 0) {
+            this.emit('garbageSent', { lines, attack, clearType });
+        }
+    }
+
+    /**
+     * Queue garbage sent by an opponent
+     * @param {Object} data - { replay: true } for garbage fed by replay playback
+     */
+    receiveGarbage(lines, data = {}) {
+        // Outside garbage is ignored while a replay drives the engine
+        if (this.replayPlayer && !data.replay) return;
+
+        this.replayRecorder.recordGarbage(this.frame, lines);
+        this.queueGarbage(lines);
+    }
+
+    /**
+     * Add lines to the incoming garbage queue
+     */
+    queueGarbage(lines) {
+        this.garbageSystem.receive(lines);
+        this.emit('garbageReceived', { lines, incoming: this.garbageSystem.getIncomingLines() });
+    }
+
+    /**
+     * Raise the garbage whose delay has passed
+     * @returns {boolean} False if the stack was pushed out of the board
+     */
+    addIncomingGarbage() {
+        const holes = this.garbageSystem.takeReadyGarbage();
+        if (holes.length === 0) return true;
+
+        // Blocks in the top rows would be pushed off the board
+        const toppedOut = holes.some((hole, i) =>
+            this.board.getRow(this.board.totalHeight - 1 - i).some(cell => cell !== CELL_STATES.EMPTY)
+        );
+
+        holes.forEach(hole => this.board.addGarbageLines(1, [hole]));
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
+
+        this.emit('garbageAdded', { lines: holes.length, holes });
+
+        if (toppedOut) {
+            this.handleGameOver();
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Spawn the next piece now, or once the spawn delay (ARE) has passed
+     */
+    queueSpawn() {
+        this.spawnTimer = this.levelManager.getSpawnDelay();
+        if (this.spawnTimer <= 0) {
+            this.spawnNextPiece();
+        }
+    }
+
     /**
      * Spawn the next piece from the queue
      */
@@ -572,19 +1124,14 @@ export class GameEngine {
 
         const nextPieceType = this.nextPieces.shift();
         this.spawnPiece(nextPieceType);
-
-        // Refill queue if needed
-        if (this.nextPieces.length < 3) {
-            this.fillNextPieces();
-        }
+        this.fillNextPieces();
     }
 
     /**
      * Spawn a specific piece type
      */
     spawnPiece(pieceType) {
-        const piece = new Piece(pieceType);
-        piece.position = { x: 4, y: 19 }; // Spawn at top center
+        const piece = new Piece(pieceType, this.getPieceConfig(pieceType));
 
         // Check if spawn position is valid
         if (!this.collisionDetector.isValidPosition(piece, piece.position)) {
@@ -593,37 +1140,35 @@ export class GameEngine {
         }
 
         this.gameState.set('activePiece', piece);
-        this.emit('pieceSpawned', { piece });
+
+        // At 20G pieces appear already resting on the stack
+        if (this.levelManager.getGravity() >= MAX_GRAVITY) {
+            this.applyGravity(MAX_GRAVITY);
+        }
+
+        this.lastMove = null;
+        this.coachHint = null;
+        this.modifierSystem.onSpawn(this.gameState.get('activePiece'));
+        this.emit('pieceSpawned', { piece: this.gameState.get('activePiece') });
     }
 
     /**
-     * Fill the next pieces queue using 7-bag randomizer
+     * Fill the next pieces queue from the active piece generator
      */
     fillNextPieces() {
-        if (this.pieceBag.length === 0) {
-            this.pieceBag = this.shuffleArray(['I', 'O', 'T', 'S', 'Z', 'J', 'L']);
-        }
-
-        while (this.nextPieces.length < 5 && this.pieceBag.length > 0) {
-            this.nextPieces.push(this.pieceBag.shift());
-        }
+        // Keep a few pieces buffered even when fewer are previewed
+        const queueSize = Math.max(this.rules.previewCount, 5);
 
-        // Refill bag if empty
-        if (this.pieceBag.length === 0) {
-            this.pieceBag = this.shuffleArray(['I', 'O', 'T', 'S', 'Z', 'J', 'L']);
+        while (this.nextPieces.length < queueSize) {
+            this.nextPieces.push(this.randomizer.next());
         }
     }
 
     /**
-     * Fisher-Yates shuffle algorithm
+     * Fisher-Yates shuffle using the seeded RNG
      */
     shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return this.rng.shuffle(array);
     }
 
     /**
@@ -648,7 +1193,11 @@ export class GameEngine {
     /**
      * Determine the type of move based on lines cleared
      */
-    determineMoveType(lineCount) {
+    determineMoveType(lineCount, spin = null) {
+        if (spin) {
+            return this.scoreManager.determineClearType(lineCount, spin);
+        }
+
         switch (lineCount) {
             case 1: return 'single';
             case 2: return 'double';
@@ -662,28 +1211,308 @@ export class GameEngine {
      * Check if a move is considered special (T-Spin, Tetris, etc.)
      */
     isSpecialMove(moveType) {
-        return moveType === 'tetris'; // Simplified - T-Spin detection would go here
+        return DIFFICULT_MOVES.has(moveType);
     }
 
     /**
      * Handle game over condition
      */
     handleGameOver() {
+        // Already handled (the gameOver listener re-enters here)
+        if (this.gameState.get('status') === 'gameOver') return;
+
         this.gameState.set('status', 'gameOver');
         this.isPaused = true;
+        this.replayRecorder.stop();
+        this.clearSavedGame();
+
+        if (this.replayPlayer) {
+            this.replayPlayer = null;
+            this.emit('replayFinished', { frame: this.frame });
+        }
 
         // Save final score and statistics
-        const finalScore = this.scoreManager.getScore();
-        const finalLevel = this.levelManager.getCurrentLevel();
-        const totalLines = this.gameState.get('linesCleared');
+        const { score, level, lines, pieces, gameTime, grade } = this.getStatistics();
 
         this.emit('gameOver', {
-            score: finalScore,
-            level: finalLevel,
-            lines: totalLines
+            mode: this.config.mode,
+            score,
+            level,
+            lines,
+            pieces,
+            time: gameTime,
+            grade
+        });
+    }
+
+    /**
+     * Create a complete snapshot of the in-progress game
+     */
+    saveState() {
+        const activePiece = this.gameState.get('activePiece');
+
+        return {
+            version: SAVE_STATE_VERSION,
+            savedAt: Date.now(),
+            mode: this.config.mode,
+            rules: this.rules,
+            seed: this.seed,
+            frame: this.frame,
+            board: this.board.serialize(),
+            activePiece: activePiece ? activePiece.serialize() : null,
+            heldPiece: this.heldPiece ? { ...this.heldPiece } : null,
+            canHold: this.canHold,
+            lastMove: this.lastMove,
+            nextPieces: [...this.nextPieces],
+            garbage: this.garbageSystem.serialize(),
+            rng: this.rng.getState(),
+            randomizer: this.randomizer.serialize(),
+            timers: {
+                dropTimer: this.dropTimer,
+                lockTimer: this.lockTimer,
+                lineAnimationTimer: this.lineAnimationTimer,
+                spawnTimer: this.spawnTimer,
+                riseTimer: this.riseTimer,
+                elapsedTime: this.getElapsedTime()
+            },
+            gameState: {
+                status: this.gameState.get('status'),
+                linesCleared: this.gameState.get('linesCleared'),
+                totalPieces: this.gameState.get('totalPieces'),
+                combo: this.gameState.get('combo'),
+                backToBack: this.gameState.get('backToBack'),
+                lastClearType: this.gameState.get('lastClearType')
+            },
+            score: this.scoreManager.serialize(),
+            level: this.levelManager.serialize(),
+            grade: this.gradeSystem.serialize()
+        };
+    }
+
+    /**
+     * Restore a snapshot created by saveState()
+     */
+    loadState(data) {
+        if (!data || data.version !== SAVE_STATE_VERSION) {
+            throw new Error(`Unsupported save state version: ${data && data.version}`);
+        }
+
+        this.stopReplay();
+        this.replayRecorder.stop();
+        this.inputBuffer = [];
+
+        this.config.mode = data.mode;
+        this.frame = data.frame;
+        this.setRules(data.rules || RULE_PRESETS.GUIDELINE);
+
+        // Piece generation
+        this.seed = data.seed;
+        this.config.randomizer = data.randomizer.type;
+        this.rng = new SeededRandom(data.seed);
+        this.rng.setState(data.rng);
+        this.randomizer = createPieceGenerator(data.randomizer.type, this.rng);
+        this.randomizer.deserialize(data.randomizer);
+        this.nextPieces = [...data.nextPieces];
+        this.heldPiece = data.heldPiece ? { ...data.heldPiece } : null;
+        this.canHold = data.canHold;
+        this.lastMove = data.lastMove || null;
+        this.garbageSystem.reset();
+        if (data.garbage) {
+            this.garbageSystem.deserialize(data.garbage);
+        }
+
+        // Board is restored in place so subsystems keep their reference
+        this.restoreBoard(data.board);
+
+        // Subsystems
+        const scoreConfig = this.scoreManager.config;
+        this.scoreManager = ScoreManager.deserialize(data.score, this.clock);
+        this.scoreManager.configure(scoreConfig);
+        this.levelManager = LevelManager.deserialize(data.level, this.levelManager.config, this.clock);
+        this.levelManager.applyRules(this.rules);
+        this.gradeSystem.reset();
+        if (data.grade) {
+            this.gradeSystem.deserialize(data.grade);
+        }
+
+        // Timers
+        this.dropTimer = data.timers.dropTimer;
+        this.lockTimer = data.timers.lockTimer;
+        this.lineAnimationTimer = data.timers.lineAnimationTimer;
+        this.spawnTimer = data.timers.spawnTimer || 0;
+        this.riseTimer = data.timers.riseTimer || 0;
+
+        // Session state
+        this.gameState.reset();
+        Object.entries(data.gameState).forEach(([key, value]) => this.gameState.set(key, value));
+        this.gameState.set('startTime', this.clock.now() - data.timers.elapsedTime);
+        this.gameState.set('activePiece', data.activePiece ? Piece.deserialize(data.activePiece, this.getPieceConfig()) : null);
+        this.coachHint = null;
+
+        this.emit('stateLoaded', { savedAt: data.savedAt, mode: data.mode });
+    }
+
+    /**
+     * Copy serialized board data into the existing board
+     */
+    restoreBoard(data) {
+        if (data.width !== this.board.width || data.height !== this.board.height ||
+            data.hiddenRows !== this.board.hiddenRows) {
+            throw new Error(`Save state board size ${data.width}x${data.height} does not match ${this.board.width}x${this.board.height}`);
+        }
+
+        this.board.grid.set(data.grid);
+        this.board.statistics = { ...data.statistics };
+        this.board.clearingRows = [...data.clearingRows];
+        this.board.isClearingLines = data.isClearingLines;
+        this.board.rowCache.clear();
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
+    }
+
+    /**
+     * Persist the current game to storage
+     */
+    saveGame() {
+        if (this.gameState.get('status') === 'gameOver') return false;
+
+        if (!defaultStorage.set(STORAGE_KEYS.SAVED_GAME, this.saveState())) {
+            return false;
+        }
+
+        this.emit('gameSaved');
+        return true;
+    }
+
+    /**
+     * Resume the game persisted by saveGame()
+     */
+    continueGame() {
+        const data = GameEngine.getSavedGame();
+        if (!data) return false;
+
+        try {
+            this.loadState(data);
+            return true;
+        } catch (error) {
+            console.warn('Failed to load saved game:', error);
+            this.clearSavedGame();
+            return false;
+        }
+    }
+
+    /**
+     * Remove the persisted game
+     */
+    clearSavedGame() {
+        defaultStorage.remove(STORAGE_KEYS.SAVED_GAME);
+    }
+
+    /**
+     * Read the persisted game without loading it
+     */
+    static getSavedGame() {
+        return defaultStorage.get(STORAGE_KEYS.SAVED_GAME);
+    }
+
+    /**
+     * Start recording inputs for the current game
+     */
+    startRecording() {
+        this.replayRecorder.start({
+            seed: this.seed,
+            randomizer: this.randomizer.type,
+            mode: this.config.mode,
+            rules: this.rules
         });
     }
 
+    /**
+     * Record the starting board, piece order and hold when they do not follow from the seed,
+     * as after loadPosition() or with rows added to the board before play starts
+     */
+    recordStartPosition() {
+        const activePiece = this.gameState.get('activePiece');
+        const hasBoardContents = this.board.grid.some(cell => cell !== CELL_STATES.EMPTY);
+        if (!activePiece || (!hasBoardContents && !this.presetPosition)) return;
+
+        this.replayRecorder.setStartPosition({
+            board: this.board.serialize(),
+            queue: [activePiece.type, ...this.nextPieces],
+            hold: this.heldPiece ? this.heldPiece.type : null,
+            generator: { rng: this.rng.getState(), randomizer: this.randomizer.serialize() }
+        });
+    }
+
+    /**
+     * Put a replay's starting board, piece order and hold in place before the first spawn
+     */
+    applyStartPosition(replay) {
+        if (replay.board) {
+            this.restoreBoard(replay.board);
+        }
+
+        if (replay.queue) {
+            this.nextPieces = [...replay.queue];
+            this.heldPiece = replay.hold ? { type: replay.hold } : null;
+            this.rng.setState(replay.generator.rng);
+            this.randomizer.deserialize(replay.generator.randomizer);
+        }
+    }
+
+    /**
+     * Get the replay of the current or last finished game
+     */
+    getReplay() {
+        const { score, level, lines, pieces } = this.getStatistics();
+        return this.replayRecorder.getReplay(this.frame, { score, level, lines, pieces });
+    }
+
+    /**
+     * Export the current replay as a compact shareable string
+     */
+    exportReplay() {
+        return serializeReplay(this.getReplay());
+    }
+
+    /**
+     * Load a replay and restart the game in playback mode
+     */
+    loadReplay(replayData) {
+        const replay = typeof replayData === 'string' || replayData.v !== undefined
+            ? deserializeReplay(replayData)
+            : replayData;
+
+        this.replayRecorder.stop();
+        this.inputBuffer = [];
+        this.config.randomizer = replay.randomizer;
+        this.config.mode = replay.mode;
+        this.setRules(replay.rules || RULE_PRESETS.GUIDELINE);
+
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.resetGame(replay.seed);
+
+        this.emit('replayStarted', { replay });
+        return replay;
+    }
+
+    /**
+     * Abort replay playback
+     */
+    stopReplay() {
+        if (!this.replayPlayer) return;
+
+        this.replayPlayer = null;
+        this.emit('replayStopped', { frame: this.frame });
+    }
+
+    /**
+     * Check if the engine is currently playing back a replay
+     */
+    isReplaying() {
+        return this.replayPlayer !== null;
+    }
+
     /**
      * Update performance metrics
      */
@@ -697,11 +1526,11 @@ export class GameEngine {
         }
 
         // Calculate FPS every second
-        const now = performance.now();
-        if (now - this.lastFPSTime >= 1000) {
+        const currentTime = this.clock.now();
+        if (currentTime - this.lastFPSTime >= 1000) {
             this.currentFPS = this.frameCount;
             this.frameCount = 0;
-            this.lastFPSTime = now;
+            this.lastFPSTime = currentTime;
 
             this.emit('performanceUpdate', {
                 fps: this.currentFPS,
@@ -743,6 +1572,14 @@ export class GameEngine {
         }
     }
 
+    /**
+     * Game time in milliseconds, counted in simulated frames so pauses and
+     * skipped frames are left out and replays end on the same frame
+     */
+    getElapsedTime() {
+        return this.frame * this.fixedTimeStep;
+    }
+
     /**
      * Get current game statistics
      */
@@ -754,7 +1591,10 @@ export class GameEngine {
             pieces: this.gameState.get('totalPieces'),
             combo: this.gameState.get('combo'),
             fps: this.currentFPS,
-            gameTime: performance.now() - this.gameState.get('startTime')
+            seed: this.seed,
+            randomizer: this.randomizer.type,
+            gameTime: this.getElapsedTime(),
+            grade: this.gradeSystem.enabled ? this.gradeSystem.getGrade(this.levelManager.isComplete()) : null
         };
     }
 
@@ -762,7 +1602,7 @@ export class GameEngine {
      * Get next pieces for preview
      */
     getNextPieces() {
-        return [...this.nextPieces];
+        return this.nextPieces.slice(0, this.rules.previewCount);
     }
 
     /**
@@ -772,6 +1612,51 @@ export class GameEngine {
         return this.heldPiece;
     }
 
+    /**
+     * Turn the placement coach on or off
+     */
+    setCoach(enabled) {
+        if (enabled && !this.coach) {
+            this.coach = this.createCoach();
+        } else if (!enabled) {
+            this.coach = null;
+        }
+
+        this.coachHint = null;
+        this.emit('coachChanged', { enabled: Boolean(enabled) });
+    }
+
+    /**
+     * Placement search for the coach, limited to the rotations the player can perform
+     * Rotation systems without 180° kicks already fail half turns in the search
+     */
+    createCoach() {
+        const { width, height, hiddenRows } = this.board;
+        return new MoveSearch({ width, height, hiddenRows, rules: this.rules, allow180: this.isRotate180Enabled() });
+    }
+
+    /**
+     * Check if the placement coach is on
+     */
+    isCoachEnabled() {
+        return this.coach !== null;
+    }
+
+    /**
+     * Best placement of the active piece, searched once per piece
+     * @returns {Object|null} MoveSearch placement with blocks, path and spin
+     */
+    getCoachHint() {
+        const activePiece = this.gameState.get('activePiece');
+        if (!this.coach || !activePiece) return null;
+
+        if (!this.coachHint) {
+            this.coachHint = this.coach.findBest(this.board, activePiece);
+        }
+
+        return this.coachHint;
+    }
+
     /**
      * Clean up resources
      */
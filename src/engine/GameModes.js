@@ -0,0 +1,153 @@
+/**
+ * NeonTetris-MLRSA Game Modes
+ * Maps each playable mode to the rules it runs on
+ *
+ * Features:
+ * - Built-in Marathon, Sprint, Ultra, Zen, Classic, Versus, Finesse, Perfect Clear, Puzzle, Master, Dig and Survival modes
+ * - Custom mode whose rules come with each game
+ * - Per-mode rule presets
+ * - Level-select ranges for modes that support them
+ * - Modes composed from game modifiers, with more modifiers added per game
+ */
+
+import { RULE_PRESETS, createRules } from './GameRules.js';
+import { resolveModifiers, getModifierRules } from './GameModifiers.js';
+
+/**
+ * Built-in game modes
+ * - rules: rule preset id or rules object the mode runs on
+ * - levelSelect: start level range offered before the game, or null
+ * - modifiers: GameModifiers id to settings the mode is composed from
+ */
+export const GAME_MODES = {
+    marathon: {
+        id: 'marathon',
+        name: 'Marathon',
+        rules: RULE_PRESETS.GUIDELINE,
+        levelSelect: null,
+        modifiers: {}
+    },
+    sprint: {
+        id: 'sprint',
+        name: 'Sprint',
+        rules: RULE_PRESETS.GUIDELINE,
+        levelSelect: null,
+        modifiers: { 'line-goal': { lines: 40 } }
+    },
+    ultra: {
+        id: 'ultra',
+        name: 'Ultra',
+        rules: RULE_PRESETS.GUIDELINE,
+        levelSelect: null,
+        modifiers: { 'time-limit': { seconds: 120 } }
+    },
+    zen: {
+        id: 'zen',
+        name: 'Zen',
+        rules: RULE_PRESETS.GUIDELINE,
+        levelSelect: null,
+        modifiers: {}
+    },
+    classic: {
+        id: 'classic',
+        name: 'Classic',
+        rules: RULE_PRESETS.CLASSIC_NES,
+        levelSelect: { min: 0, max: 19 },
+        modifiers: {}
+    },
+    versus: {
+        id: 'versus',
+        name: 'Versus',
+        rules: RULE_PRESETS.GUIDELINE,
+        levelSelect: null,
+        modifiers: {}
+    },
+    finesse: {
+        id: 'finesse',
+        name: 'Finesse Trainer',
+        // Every piece gets its own target, so holding would skip one
+        rules: { name: 'Finesse', holdEnabled: false },
+        levelSelect: null,
+        modifiers: {}
+    },
+    perfectClear: {
+        id: 'perfectClear',
+        name: 'Perfect Clear Practice',
+        // Setups bring their own board and piece order, so only the rules are shared
+        rules: { name: 'Perfect Clear', previewCount: 6 },
+        levelSelect: null,
+        modifiers: {}
+    },
+    master: {
+        id: 'master',
+        name: 'Master',
+        rules: RULE_PRESETS.MASTER,
+        levelSelect: null,
+        modifiers: {}
+    },
+    puzzle: {
+        id: 'puzzle',
+        name: 'Puzzle',
+        // Puzzles bring their own board, piece order and goal
+        rules: { name: 'Puzzle', previewCount: 5 },
+        levelSelect: null,
+        modifiers: {}
+    },
+    dig: {
+        id: 'dig',
+        name: 'Dig',
+        // Rising garbage comes up right after the next piece that clears nothing
+        rules: { name: 'Dig', garbageDelay: 0 },
+        levelSelect: null,
+        modifiers: {}
+    },
+    survival: {
+        id: 'survival',
+        name: 'Survival',
+        rules: { name: 'Survival' },
+        levelSelect: null,
+        modifiers: { rising: true }
+    },
+    custom: {
+        id: 'custom',
+        name: 'Custom',
+        // Custom games pass their own rules and modifiers to createModeRules()
+        rules: { name: 'Custom' },
+        levelSelect: null,
+        modifiers: {}
+    }
+};
+
+/**
+ * Get a game mode definition, or null if unknown
+ */
+export function getGameMode(id) {
+    return GAME_MODES[id] || null;
+}
+
+/**
+ * Build the rules for a mode
+ * @param {string} id - Game mode id
+ * @param {Object} options - startLevel for modes with level select, and modifiers to add to the mode's own
+ *   (modifier id to true, to settings, or to false to take one of the mode's modifiers out);
+ *   rules: rule fields of a custom game, applied before the modifiers' own
+ */
+export function createModeRules(id, options = {}) {
+    const mode = getGameMode(id);
+    if (!mode) {
+        throw new Error(`Invalid game mode: ${id}`);
+    }
+
+    const modifiers = resolveModifiers({ ...mode.modifiers, ...options.modifiers });
+    const overrides = { ...options.rules, ...getModifierRules(modifiers), modifiers };
+
+    if (options.startLevel !== undefined && options.startLevel !== null) {
+        const { levelSelect } = mode;
+        if (!levelSelect || options.startLevel < levelSelect.min || options.startLevel > levelSelect.max) {
+            throw new Error(`Invalid start level for ${id}: ${options.startLevel}`);
+        }
+        overrides.startLevel = options.startLevel;
+    }
+
+    return createRules(mode.rules, overrides);
+}
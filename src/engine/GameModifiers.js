@@ -0,0 +1,360 @@
+/**
+ * NeonTetris-MLRSA Game Modifiers
+ * Composable rule mutators that modes and custom games are built from
+ *
+ * Features:
+ * - Registry of modifiers with their own settings, rule fields and display flags
+ * - Hooks on engine events: piece spawn, piece lock, line clear and every update tick
+ * - Goal modifiers (line goal, time limit, score goal) that end the game on their own
+ * - Queue, board and player aid modifiers (no hold, one preview, lock-out row, monochrome)
+ * - Survival challenges (rising garbage, invisible, big mode, mirror) as modifiers
+ * - Settings validation and defaults for rules, replays and save states
+ */
+
+/**
+ * Modifier groups, in the order menus list them
+ */
+export const MODIFIER_CATEGORIES = [
+    { id: 'goal', name: 'Goals' },
+    { id: 'rules', name: 'Rules' },
+    { id: 'challenge', name: 'Challenges' },
+    { id: 'display', name: 'Display' }
+];
+
+/**
+ * Engine events modifiers can hook
+ * - spawn(context, piece): a piece entered the board
+ * - lock(context, { piece, spin }): a piece was placed, before lines are checked
+ * - lineClear(context, { lineCount, moveType, spin, isPerfectClear }): lines were cleared and scored
+ * - tick(context, deltaTime): every update until the game is over
+ * Each context holds the engine and the modifier's resolved settings
+ */
+export const MODIFIER_HOOKS = ['spawn', 'lock', 'lineClear', 'tick'];
+
+const modifiers = new Map();
+
+/**
+ * Register a modifier
+ * @param {Object} modifier - { id, name, description, category, settings, rules, display, hooks }
+ *   settings: [{ id, name, default, min, max, step }] numeric options the player can change
+ *   rules(settings): rule fields the modifier sets
+ *   display: flags for the renderers, e.g. { monochrome: true }
+ *   hooks: functions keyed by MODIFIER_HOOKS
+ */
+export function registerModifier(modifier) {
+    if (!modifier || !modifier.id || !modifier.name) {
+        throw new Error('Modifier needs an id and a name');
+    }
+
+    Object.keys(modifier.hooks || {}).forEach(hook => {
+        if (!MODIFIER_HOOKS.includes(hook)) {
+            throw new Error(`Invalid modifier hook: ${hook}`);
+        }
+    });
+
+    modifiers.set(modifier.id, {
+        category: 'rules',
+        description: '',
+        settings: [],
+        rules: null,
+        display: {},
+        hooks: {},
+        ...modifier
+    });
+}
+
+/**
+ * Get a modifier definition, or null if unknown
+ */
+export function getModifier(id) {
+    return modifiers.get(id) || null;
+}
+
+/**
+ * All registered modifiers, optionally of one category
+ */
+export function getModifiers(category = null) {
+    const list = [...modifiers.values()];
+    return category ? list.filter(modifier => modifier.category === category) : list;
+}
+
+/**
+ * Fill in the settings of a set of modifiers
+ * @param {Object} selection - Modifier id to true for its defaults, to an object of settings, or to false to leave it out
+ * @returns {Object} Modifier id to complete settings
+ */
+export function resolveModifiers(selection = {}) {
+    const resolved = {};
+
+    Object.entries(selection).forEach(([id, settings]) => {
+        const modifier = getModifier(id);
+        if (!modifier) {
+            throw new Error(`Invalid modifier: ${id}`);
+        }
+        if (!settings) return;
+
+        resolved[id] = resolveSettings(modifier, typeof settings === 'object' ? settings : {});
+    });
+
+    return resolved;
+}
+
+/**
+ * Validate the modifiers field of a rules object
+ * @returns {string[]} Error messages
+ */
+export function validateModifiers(selection) {
+    if (!selection || typeof selection !== 'object' || Array.isArray(selection)) {
+        return ['modifiers must be an object'];
+    }
+
+    const errors = [];
+
+    Object.entries(selection).forEach(([id, settings]) => {
+        const modifier = getModifier(id);
+        if (!modifier) {
+            errors.push(`Unknown modifier: ${id}`);
+            return;
+        }
+
+        if (!settings || typeof settings !== 'object') {
+            errors.push(`Settings of modifier ${id} must be an object`);
+            return;
+        }
+
+        modifier.settings.forEach(({ id: key, min, max }) => {
+            const value = settings[key];
+            if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+                errors.push(`${id} ${key} must be between ${min} and ${max}`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Rule fields set by a set of modifiers, later modifiers winning
+ * @param {Object} selection - Modifier id to settings, as returned by resolveModifiers()
+ */
+export function getModifierRules(selection = {}) {
+    const rules = {};
+
+    Object.entries(resolveModifiers(selection)).forEach(([id, settings]) => {
+        const modifier = getModifier(id);
+        if (modifier.rules) {
+            Object.assign(rules, modifier.rules(settings));
+        }
+    });
+
+    return rules;
+}
+
+function resolveSettings(modifier, settings) {
+    const resolved = {};
+
+    modifier.settings.forEach(({ id, default: value }) => {
+        resolved[id] = settings[id] !== undefined ? settings[id] : value;
+    });
+
+    return resolved;
+}
+
+/**
+ * Runs the hooks of the modifiers in the engine's rules
+ */
+export class ModifierSystem {
+    constructor(engine) {
+        this.engine = engine;
+        this.active = [];
+        this.display = {};
+    }
+
+    /**
+     * Activate the modifiers listed in the rules
+     */
+    applyRules(rules) {
+        const selection = resolveModifiers(rules.modifiers || {});
+
+        this.active = Object.entries(selection).map(([id, settings]) => ({
+            modifier: getModifier(id),
+            context: { engine: this.engine, settings }
+        }));
+
+        this.display = Object.assign({}, ...this.active.map(({ modifier }) => modifier.display));
+    }
+
+    /**
+     * Check if a modifier is active
+     */
+    has(id) {
+        return this.active.some(({ modifier }) => modifier.id === id);
+    }
+
+    /**
+     * Resolved settings of an active modifier, or null
+     */
+    getSettings(id) {
+        const entry = this.active.find(({ modifier }) => modifier.id === id);
+        return entry ? entry.context.settings : null;
+    }
+
+    /**
+     * Call one hook on every active modifier in order
+     */
+    run(hook, data) {
+        for (const { modifier, context } of this.active) {
+            const callback = modifier.hooks[hook];
+            if (callback) {
+                callback(context, data);
+            }
+        }
+    }
+
+    onSpawn(piece) {
+        this.run('spawn', piece);
+    }
+
+    onLock(data) {
+        this.run('lock', data);
+    }
+
+    onLineClear(data) {
+        this.run('lineClear', data);
+    }
+
+    update(deltaTime) {
+        if (this.engine.gameState.get('status') === 'gameOver') return;
+        this.run('tick', deltaTime);
+    }
+}
+
+/**
+ * Built-in modifiers
+ */
+registerModifier({
+    id: 'line-goal',
+    name: 'Line Goal',
+    description: 'The game ends once enough lines are cleared',
+    category: 'goal',
+    settings: [{ id: 'lines', name: 'Lines', default: 40, min: 1, max: 999, step: 10 }],
+    hooks: {
+        lineClear({ engine, settings }) {
+            if (engine.gameState.get('linesCleared') >= settings.lines) {
+                engine.handleGameOver();
+            }
+        }
+    }
+});
+
+registerModifier({
+    id: 'time-limit',
+    name: 'Time Limit',
+    description: 'The game ends when the clock runs out',
+    category: 'goal',
+    settings: [{ id: 'seconds', name: 'Seconds', default: 120, min: 10, max: 3600, step: 30 }],
+    hooks: {
+        tick({ engine, settings }) {
+            if (engine.getElapsedTime() >= settings.seconds * 1000) {
+                engine.handleGameOver();
+            }
+        }
+    }
+});
+
+registerModifier({
+    id: 'score-goal',
+    name: 'Score Goal',
+    description: 'The game ends once the score is reached',
+    category: 'goal',
+    settings: [{ id: 'points', name: 'Points', default: 100000, min: 1000, max: 10000000, step: 10000 }],
+    hooks: {
+        // Drops score too, so the score is checked every tick rather than on clears
+        tick({ engine, settings }) {
+            if (engine.scoreManager.getScore() >= settings.points) {
+                engine.handleGameOver();
+            }
+        }
+    }
+});
+
+registerModifier({
+    id: 'no-hold',
+    name: 'No Hold',
+    description: 'Pieces cannot be held',
+    rules: () => ({ holdEnabled: false })
+});
+
+registerModifier({
+    id: 'one-preview',
+    name: 'One Preview',
+    description: 'Only the next piece is shown',
+    rules: () => ({ previewCount: 1 })
+});
+
+registerModifier({
+    id: 'no-ghost',
+    name: 'No Ghost',
+    description: 'No ghost piece shows where the piece will land',
+    rules: () => ({ ghostPiece: false })
+});
+
+registerModifier({
+    id: 'lock-out',
+    name: 'Lock-Out Row',
+    description: 'Locking any block at or above the row ends the game',
+    category: 'challenge',
+    settings: [{ id: 'row', name: 'Row', default: 15, min: 1, max: 20, step: 1 }],
+    hooks: {
+        lock({ engine, settings }, { piece }) {
+            // Rows count from 1 at the bottom; big mode blocks cover two rows each
+            const row = Math.ceil(settings.row / engine.getBlockScale());
+            if (piece.absoluteBlocks.some(({ y }) => y + 1 >= row)) {
+                engine.handleGameOver();
+            }
+        }
+    }
+});
+
+registerModifier({
+    id: 'rising',
+    name: 'Rising Garbage',
+    description: 'A garbage line rises on its own every few seconds',
+    category: 'challenge',
+    settings: [{ id: 'seconds', name: 'Seconds', default: 10, min: 1, max: 60, step: 1 }],
+    rules: ({ seconds }) => ({ garbageRiseInterval: seconds * 1000 })
+});
+
+registerModifier({
+    id: 'invisible',
+    name: 'Invisible',
+    description: 'Locked blocks fade from view',
+    category: 'challenge',
+    settings: [{ id: 'seconds', name: 'Seconds', default: 3, min: 0, max: 10, step: 1 }],
+    rules: ({ seconds }) => ({ invisibleDelay: seconds * 1000 })
+});
+
+registerModifier({
+    id: 'big',
+    name: 'Big Mode',
+    description: 'Blocks twice the size on a board of half the width and height',
+    category: 'challenge',
+    rules: () => ({ bigMode: true })
+});
+
+registerModifier({
+    id: 'mirror',
+    name: 'Mirror',
+    description: 'The board flips from side to side every few pieces',
+    category: 'challenge',
+    settings: [{ id: 'pieces', name: 'Pieces', default: 10, min: 1, max: 100, step: 1 }],
+    rules: ({ pieces }) => ({ mirrorInterval: pieces })
+});
+
+registerModifier({
+    id: 'monochrome',
+    name: 'Monochrome',
+    description: 'Every piece is drawn in the same color',
+    category: 'display',
+    display: { monochrome: true }
+});
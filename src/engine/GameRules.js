@@ -0,0 +1,377 @@
+/**
+ * NeonTetris-MLRSA Game Rules
+ * Single rules object shared by the engine and its subsystems
+ *
+ * Features:
+ * - Lock delay, lock reset behavior and move-reset limit
+ * - Spawn position, hold, preview count and hard-drop behavior
+ * - Rotation system, scoring system, level progression and start level
+ * - Versus garbage messiness, delay and insert cap
+ * - Survival challenges: rising garbage, invisible stack, big mode and mirror
+ * - Game modifiers with their settings
+ * - Board width and height for custom games
+ * - Guideline, Classic NES, TGM and Master presets
+ * - Custom rule sets with validation and a shareable JSON format
+ */
+
+import { SPEED_CURVES, PROGRESSION_TYPES } from './LevelManager.js';
+import { ROTATION_SYSTEMS, getRotationSystem } from './RotationRegistry.js';
+import { SCORING_SYSTEMS } from './ScoreManager.js';
+import { GARBAGE_DEFAULTS } from './GarbageSystem.js';
+import { validateModifiers } from './GameModifiers.js';
+
+export const RULES_FORMAT = 'neontetris-rules';
+export const RULES_VERSION = 1;
+
+/**
+ * Built-in rule preset identifiers
+ */
+export const RULE_PRESETS = {
+    GUIDELINE: 'guideline',
+    CLASSIC_NES: 'classic-nes',
+    TGM: 'tgm',
+    MASTER: 'master'
+};
+
+/**
+ * Board cells per block side in big mode
+ */
+export const BIG_MODE_SCALE = 2;
+
+/**
+ * When grounded pieces get a fresh lock delay
+ */
+export const LOCK_RESET_MODES = {
+    MOVE: 'move',   // Any successful move or rotation (limited by maxLockResets)
+    STEP: 'step',   // Only when the piece falls to a new lowest row
+    NONE: 'none'    // Never
+};
+
+/**
+ * What the hard-drop input does
+ */
+export const HARD_DROP_MODES = {
+    LOCK: 'lock',   // Drop and lock immediately
+    SONIC: 'sonic', // Drop to the floor without locking
+    NONE: 'none'    // Disabled
+};
+
+/**
+ * Rule fields
+ * - lockDelay: ms a grounded piece waits before locking; null locks when gravity fails
+ * - lockDelayScaling: shorten the lock delay as the level rises
+ * - lockResetMode / maxLockResets: lock delay resets (null = unlimited)
+ * - spawnPosition: board position new pieces appear at
+ * - holdEnabled, ghostPiece, previewCount: player aids
+ * - hardDrop: one of HARD_DROP_MODES
+ * - rotationSystem, wallKicks, tSpinDetection: rotation behavior
+ * - allSpin: score immobile S, Z, J, L and I spins as minis
+ * - scoring: ScoreManager scoring system
+ * - speedCurve, progression, startLevel: LevelManager gravity and level-up rules
+ * - lineClearDelay: ms spent on the line clear animation
+ * - spawnDelay: ms between a lock and the next piece (ARE)
+ * - garbageMessiness, garbageDelay, garbageCap: GarbageSystem hole messiness (0-1),
+ *   ms before received garbage rises and most lines rising per piece
+ * - garbageRiseInterval: ms of play between garbage lines rising on their own (0 = never)
+ * - invisibleDelay: ms before locked blocks fade from view; null keeps them visible
+ * - bigMode: blocks twice the size on a board of half the width and height
+ * - mirrorInterval: pieces between horizontal flips of the board (0 = never)
+ * - boardWidth, boardHeight: visible board size; spawnPosition keeps its place relative to the
+ *   standard 10x20 board's center column and top row
+ * - modifiers: GameModifiers id to settings; their rule fields are already applied
+ * The Master speed curve takes its lock, line clear and spawn delays from section tables instead
+ */
+const GUIDELINE_RULES = {
+    name: 'Guideline',
+    lockDelay: 500,
+    lockDelayScaling: false,
+    lockResetMode: LOCK_RESET_MODES.MOVE,
+    maxLockResets: 15,
+    spawnPosition: { x: 4, y: 19 },
+    holdEnabled: true,
+    ghostPiece: true,
+    previewCount: 5,
+    hardDrop: HARD_DROP_MODES.LOCK,
+    rotationSystem: ROTATION_SYSTEMS.SRS,
+    wallKicks: true,
+    tSpinDetection: true,
+    allSpin: false,
+    scoring: SCORING_SYSTEMS.GUIDELINE,
+    speedCurve: SPEED_CURVES.CLASSIC,
+    progression: PROGRESSION_TYPES.CLASSIC,
+    startLevel: 1,
+    lineClearDelay: 500,
+    spawnDelay: 0,
+    garbageMessiness: GARBAGE_DEFAULTS.messiness,
+    garbageDelay: GARBAGE_DEFAULTS.delay,
+    garbageCap: GARBAGE_DEFAULTS.cap,
+    garbageRiseInterval: 0,
+    invisibleDelay: null,
+    bigMode: false,
+    mirrorInterval: 0,
+    boardWidth: 10,
+    boardHeight: 20,
+    modifiers: {}
+};
+
+const presets = new Map([
+    [RULE_PRESETS.GUIDELINE, GUIDELINE_RULES],
+    [RULE_PRESETS.CLASSIC_NES, {
+        ...GUIDELINE_RULES,
+        name: 'Classic NES',
+        lockDelay: null,
+        lockResetMode: LOCK_RESET_MODES.NONE,
+        maxLockResets: 0,
+        holdEnabled: false,
+        ghostPiece: false,
+        previewCount: 1,
+        hardDrop: HARD_DROP_MODES.NONE,
+        rotationSystem: ROTATION_SYSTEMS.NRS,
+        wallKicks: false,
+        tSpinDetection: false,
+        scoring: SCORING_SYSTEMS.NES,
+        speedCurve: SPEED_CURVES.NES,
+        progression: PROGRESSION_TYPES.NES,
+        startLevel: 0,
+        lineClearDelay: 333
+    }],
+    [RULE_PRESETS.TGM, {
+        ...GUIDELINE_RULES,
+        name: 'TGM',
+        lockDelay: 500,
+        rotationSystem: ROTATION_SYSTEMS.ARS,
+        lockResetMode: LOCK_RESET_MODES.STEP,
+        maxLockResets: null,
+        holdEnabled: false,
+        previewCount: 1,
+        hardDrop: HARD_DROP_MODES.SONIC,
+        tSpinDetection: false,
+        lineClearDelay: 683
+    }],
+    [RULE_PRESETS.MASTER, {
+        ...GUIDELINE_RULES,
+        name: 'Master',
+        rotationSystem: ROTATION_SYSTEMS.ARS,
+        lockResetMode: LOCK_RESET_MODES.STEP,
+        maxLockResets: null,
+        holdEnabled: false,
+        previewCount: 1,
+        hardDrop: HARD_DROP_MODES.SONIC,
+        tSpinDetection: false,
+        scoring: SCORING_SYSTEMS.NES,
+        speedCurve: SPEED_CURVES.MASTER,
+        progression: PROGRESSION_TYPES.MASTER,
+        startLevel: 0
+    }]
+]);
+
+/**
+ * Register a custom rule preset
+ */
+export function registerRulePreset(id, rules) {
+    presets.set(id, createRules(rules));
+}
+
+/**
+ * Get the rules of a preset, or null if unknown
+ */
+export function getRulePreset(id) {
+    const rules = presets.get(id);
+    return rules ? cloneRules(rules) : null;
+}
+
+/**
+ * List available preset ids
+ */
+export function getRulePresets() {
+    return Array.from(presets.keys());
+}
+
+/**
+ * Build a complete rules object from a preset id or partial rules
+ * @param {string|Object} base - Preset id or rules object (missing fields use the Guideline preset)
+ * @param {Object} overrides - Fields to change on top of the base
+ */
+export function createRules(base = RULE_PRESETS.GUIDELINE, overrides = {}) {
+    let baseRules = base;
+
+    if (typeof base === 'string') {
+        baseRules = presets.get(base);
+        if (!baseRules) {
+            throw new Error(`Invalid rule preset: ${base}`);
+        }
+    }
+
+    const rules = cloneRules({ ...GUIDELINE_RULES, ...baseRules, ...overrides });
+    const validation = validateRules(rules);
+
+    if (!validation.valid) {
+        throw new Error(`Invalid rules: ${validation.errors.join(', ')}`);
+    }
+
+    return rules;
+}
+
+/**
+ * Validate a complete rules object
+ */
+export function validateRules(rules) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object') {
+        return { valid: false, errors: ['Rules must be an object'] };
+    }
+
+    if (rules.lockDelay !== null && !isNumberInRange(rules.lockDelay, 0, 10000)) {
+        errors.push('lockDelay must be null or between 0 and 10000 ms');
+    }
+
+    if (!Object.values(LOCK_RESET_MODES).includes(rules.lockResetMode)) {
+        errors.push(`Unknown lockResetMode: ${rules.lockResetMode}`);
+    }
+
+    if (rules.maxLockResets !== null && !(Number.isInteger(rules.maxLockResets) && rules.maxLockResets >= 0)) {
+        errors.push('maxLockResets must be null or a non-negative integer');
+    }
+
+    const spawn = rules.spawnPosition;
+    if (!spawn || !Number.isInteger(spawn.x) || !Number.isInteger(spawn.y)) {
+        errors.push('spawnPosition must have integer x and y');
+    }
+
+    if (!Number.isInteger(rules.previewCount) || rules.previewCount < 0 || rules.previewCount > 7) {
+        errors.push('previewCount must be between 0 and 7');
+    }
+
+    if (!Object.values(HARD_DROP_MODES).includes(rules.hardDrop)) {
+        errors.push(`Unknown hardDrop mode: ${rules.hardDrop}`);
+    }
+
+    if (!getRotationSystem(rules.rotationSystem)) {
+        errors.push(`Unknown rotationSystem: ${rules.rotationSystem}`);
+    }
+
+    if (!Object.values(SCORING_SYSTEMS).includes(rules.scoring)) {
+        errors.push(`Unknown scoring system: ${rules.scoring}`);
+    }
+
+    if (!Object.values(SPEED_CURVES).includes(rules.speedCurve)) {
+        errors.push(`Unknown speedCurve: ${rules.speedCurve}`);
+    }
+
+    if (!Object.values(PROGRESSION_TYPES).includes(rules.progression)) {
+        errors.push(`Unknown progression: ${rules.progression}`);
+    }
+
+    // NES and Master levels count from 0, every other curve from 1
+    const minStartLevel = rules.speedCurve === SPEED_CURVES.NES || rules.speedCurve === SPEED_CURVES.MASTER ? 0 : 1;
+    if (!Number.isInteger(rules.startLevel) || rules.startLevel < minStartLevel || rules.startLevel > 99) {
+        errors.push(`startLevel must be between ${minStartLevel} and 99`);
+    }
+
+    if (!isNumberInRange(rules.lineClearDelay, 0, 5000)) {
+        errors.push('lineClearDelay must be between 0 and 5000 ms');
+    }
+
+    if (!isNumberInRange(rules.spawnDelay, 0, 2000)) {
+        errors.push('spawnDelay must be between 0 and 2000 ms');
+    }
+
+    if (!isNumberInRange(rules.garbageMessiness, 0, 1)) {
+        errors.push('garbageMessiness must be between 0 and 1');
+    }
+
+    if (!isNumberInRange(rules.garbageDelay, 0, 10000)) {
+        errors.push('garbageDelay must be between 0 and 10000 ms');
+    }
+
+    if (!Number.isInteger(rules.garbageCap) || rules.garbageCap < 1 || rules.garbageCap > 40) {
+        errors.push('garbageCap must be between 1 and 40');
+    }
+
+    if (!isNumberInRange(rules.garbageRiseInterval, 0, 60000)) {
+        errors.push('garbageRiseInterval must be between 0 and 60000 ms');
+    }
+
+    if (rules.invisibleDelay !== null && !isNumberInRange(rules.invisibleDelay, 0, 10000)) {
+        errors.push('invisibleDelay must be null or between 0 and 10000 ms');
+    }
+
+    if (!Number.isInteger(rules.mirrorInterval) || rules.mirrorInterval < 0 || rules.mirrorInterval > 100) {
+        errors.push('mirrorInterval must be between 0 and 100');
+    }
+
+    if (!Number.isInteger(rules.boardWidth) || rules.boardWidth < 4 || rules.boardWidth > 20) {
+        errors.push('boardWidth must be between 4 and 20');
+    } else if (rules.bigMode === true && rules.boardWidth < 4 * BIG_MODE_SCALE) {
+        errors.push(`boardWidth must be at least ${4 * BIG_MODE_SCALE} in big mode`);
+    }
+
+    if (!Number.isInteger(rules.boardHeight) || rules.boardHeight < 10 || rules.boardHeight > 40) {
+        errors.push('boardHeight must be between 10 and 40');
+    }
+
+    errors.push(...validateModifiers(rules.modifiers));
+
+    ['lockDelayScaling', 'holdEnabled', 'ghostPiece', 'wallKicks', 'tSpinDetection', 'allSpin', 'bigMode'].forEach(field => {
+        if (typeof rules[field] !== 'boolean') {
+            errors.push(`${field} must be true or false`);
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Serialize rules into the shareable JSON format
+ */
+export function serializeRules(rules) {
+    return JSON.stringify({
+        format: RULES_FORMAT,
+        version: RULES_VERSION,
+        rules
+    });
+}
+
+/**
+ * Parse rules shared with serializeRules()
+ */
+export function parseRules(text) {
+    let data;
+
+    try {
+        data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+        throw new Error('Rules are not valid JSON');
+    }
+
+    if (!data || data.format !== RULES_FORMAT) {
+        throw new Error('Not a NeonTetris rule set');
+    }
+
+    if (data.version !== RULES_VERSION) {
+        throw new Error(`Unsupported rules version: ${data.version}`);
+    }
+
+    return createRules(data.rules);
+}
+
+function cloneRules(rules) {
+    const clone = { ...rules, spawnPosition: { ...rules.spawnPosition } };
+
+    // Anything but an object is left for validateRules() to reject
+    if (rules.modifiers && typeof rules.modifiers === 'object' && !Array.isArray(rules.modifiers)) {
+        clone.modifiers = Object.fromEntries(
+            Object.entries(rules.modifiers).map(([id, settings]) => [id, { ...settings }])
+        );
+    }
+
+    return clone;
+}
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
@@ -0,0 +1,274 @@
+/**
+ * NeonTetris-MLRSA Garbage System
+ * Attack calculation and incoming garbage for versus play
+ *
+ * Features:
+ * - Guideline attack table for line clears, T-spins and all-spins
+ * - Combo, back-to-back and perfect clear attack bonuses
+ * - Incoming garbage queue with cancellation
+ * - Garbage delay before queued lines can rise
+ * - Configurable hole messiness and per-piece insert cap
+ * - Seeded hole placement for reproducible games
+ */
+
+import { LINE_CLEAR_TYPES } from './LineClearer.js';
+import { SeededRandom } from './Randomizer.js';
+
+/**
+ * Lines sent per clear type
+ */
+export const ATTACK_TABLE = {
+    [LINE_CLEAR_TYPES.SINGLE]: 0,
+    [LINE_CLEAR_TYPES.DOUBLE]: 1,
+    [LINE_CLEAR_TYPES.TRIPLE]: 2,
+    [LINE_CLEAR_TYPES.TETRIS]: 4,
+    [LINE_CLEAR_TYPES.T_SPIN]: 0,
+    [LINE_CLEAR_TYPES.T_SPIN_SINGLE]: 2,
+    [LINE_CLEAR_TYPES.T_SPIN_DOUBLE]: 4,
+    [LINE_CLEAR_TYPES.T_SPIN_TRIPLE]: 6,
+    [LINE_CLEAR_TYPES.T_SPIN_MINI]: 0,
+    [LINE_CLEAR_TYPES.T_SPIN_MINI_SINGLE]: 0,
+    [LINE_CLEAR_TYPES.T_SPIN_MINI_DOUBLE]: 1,
+    [LINE_CLEAR_TYPES.ALL_SPIN]: 0,
+    [LINE_CLEAR_TYPES.ALL_SPIN_SINGLE]: 0,
+    [LINE_CLEAR_TYPES.ALL_SPIN_DOUBLE]: 1,
+    [LINE_CLEAR_TYPES.ALL_SPIN_TRIPLE]: 2,
+    perfect_clear_single: 10,
+    perfect_clear_double: 10,
+    perfect_clear_triple: 10,
+    perfect_clear_tetris: 10
+};
+
+/**
+ * Extra lines per combo count (0 = first clear of a chain), capped at the last entry
+ */
+export const COMBO_ATTACK = [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+
+/**
+ * Extra lines for a back-to-back difficult clear
+ */
+export const BACK_TO_BACK_ATTACK = 1;
+
+/**
+ * Default garbage settings
+ */
+export const GARBAGE_DEFAULTS = {
+    messiness: 0.3, // Chance the hole moves between lines of one attack
+    delay: 500,     // ms before received garbage can rise
+    cap: 8,         // Most lines that rise after one piece
+    cancel: true    // Outgoing attack cancels incoming garbage first
+};
+
+/**
+ * Versus garbage subsystem
+ */
+export class GarbageSystem {
+    constructor(seed, width = 10) {
+        this.rng = new SeededRandom(seed);
+        this.width = width;
+        this.queue = [];
+
+        this.statistics = {
+            sent: 0,
+            received: 0,
+            cancelled: 0,
+            added: 0
+        };
+
+        this.config = { ...GARBAGE_DEFAULTS };
+    }
+
+    /**
+     * Configure garbage behavior
+     */
+    configure(options) {
+        this.config = { ...this.config, ...options };
+    }
+
+    /**
+     * Apply garbage settings from a game rules object; fields the rules leave out use the defaults
+     */
+    applyRules(rules) {
+        this.configure({
+            messiness: rules.garbageMessiness ?? GARBAGE_DEFAULTS.messiness,
+            delay: rules.garbageDelay ?? GARBAGE_DEFAULTS.delay,
+            cap: rules.garbageCap ?? GARBAGE_DEFAULTS.cap
+        });
+    }
+
+    /**
+     * Reseed hole placement for a new game
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+    }
+
+    /**
+     * Calculate the lines a clear sends
+     * @param {Object} clear - clearType, combo (0 = first clear of a chain) and backToBack
+     */
+    calculateAttack({ clearType, combo = 0, backToBack = false }) {
+        let attack = ATTACK_TABLE[clearType] || 0;
+
+        if (combo > 0) {
+            attack += COMBO_ATTACK[Math.min(combo, COMBO_ATTACK.length - 1)];
+        }
+
+        if (backToBack) {
+            attack += BACK_TO_BACK_ATTACK;
+        }
+
+        return attack;
+    }
+
+    /**
+     * Cancel incoming garbage with an attack
+     * @returns {number} Lines left over to send to the opponent
+     */
+    offset(attack) {
+        let remaining = attack;
+
+        if (this.config.cancel) {
+            while (remaining > 0 && this.queue.length > 0) {
+                const entry = this.queue[0];
+                const cancelled = Math.min(entry.lines, remaining);
+
+                entry.lines -= cancelled;
+                remaining -= cancelled;
+                this.statistics.cancelled += cancelled;
+
+                if (entry.lines === 0) {
+                    this.queue.shift();
+                }
+            }
+        }
+
+        this.statistics.sent += remaining;
+        return remaining;
+    }
+
+    /**
+     * Queue garbage sent by an opponent
+     */
+    receive(lines) {
+        if (lines <= 0) return;
+
+        this.queue.push({
+            lines,
+            timer: this.config.delay,
+            hole: this.rng.nextInt(this.width)
+        });
+        this.statistics.received += lines;
+    }
+
+    /**
+     * Count down garbage delay
+     */
+    update(deltaTime) {
+        this.queue.forEach(entry => {
+            entry.timer = Math.max(0, entry.timer - deltaTime);
+        });
+    }
+
+    /**
+     * Remove the garbage that rises after the next piece locks
+     * @returns {Array<number>} Hole column of each line, bottom line last
+     */
+    takeReadyGarbage() {
+        const holes = [];
+
+        while (this.queue.length > 0 && this.queue[0].timer <= 0 && holes.length < this.config.cap) {
+            const entry = this.queue[0];
+            const count = Math.min(entry.lines, this.config.cap - holes.length);
+
+            for (let i = 0; i < count; i++) {
+                holes.push(this.nextHole(entry));
+            }
+
+            entry.lines -= count;
+            if (entry.lines === 0) {
+                this.queue.shift();
+            }
+        }
+
+        this.statistics.added += holes.length;
+        return holes;
+    }
+
+    /**
+     * Hole of the next line of an attack, moved at random by messiness
+     */
+    nextHole(entry) {
+        const hole = entry.hole;
+
+        if (this.rng.next() < this.config.messiness) {
+            // Any other column
+            entry.hole = (hole + 1 + this.rng.nextInt(this.width - 1)) % this.width;
+        }
+
+        return hole;
+    }
+
+    /**
+     * Total queued lines
+     */
+    getIncomingLines() {
+        return this.queue.reduce((total, entry) => total + entry.lines, 0);
+    }
+
+    /**
+     * Queued garbage for the garbage meter
+     */
+    getMeter() {
+        return {
+            total: this.getIncomingLines(),
+            entries: this.queue.map(entry => ({
+                lines: entry.lines,
+                ready: entry.timer <= 0
+            }))
+        };
+    }
+
+    /**
+     * Get garbage statistics
+     */
+    getStatistics() {
+        return {
+            ...this.statistics,
+            incoming: this.getIncomingLines()
+        };
+    }
+
+    /**
+     * Clear the queue and statistics
+     */
+    reset() {
+        this.queue = [];
+        this.statistics = {
+            sent: 0,
+            received: 0,
+            cancelled: 0,
+            added: 0
+        };
+    }
+
+    /**
+     * Serialize garbage state
+     */
+    serialize() {
+        return {
+            queue: this.queue.map(entry => ({ ...entry })),
+            rng: this.rng.getState(),
+            statistics: { ...this.statistics }
+        };
+    }
+
+    /**
+     * Restore garbage state created by serialize()
+     */
+    deserialize(data) {
+        this.queue = data.queue.map(entry => ({ ...entry }));
+        this.rng.setState(data.rng);
+        this.statistics = { ...this.statistics, ...data.statistics };
+    }
+}
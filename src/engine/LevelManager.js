@@ -8,9 +8,20 @@
  * - Level-based feature unlocks
  * - Performance scaling based on player skill
  * - Customizable progression formulas
+ * - Master mode sections with gravity up to 20G and per-section delays
  * - Achievement integration
  */
 
+import { wallClock } from './Clock.js';
+import {
+    MASTER_MAX_LEVEL,
+    getMasterGravity,
+    getMasterTimings,
+    getSectionStop
+} from './MasterMode.js';
+
+const FRAME_TIME = 1000 / 60;
+
 /**
  * Level progression types
  */
@@ -19,7 +30,9 @@ export const PROGRESSION_TYPES = {
     MODERN: 'modern',             // Variable lines based on level
     ADAPTIVE: 'adaptive',         // Adjusts based on player performance
     SPRINT: 'sprint',             // Fixed target (40 lines, etc.)
-    ENDLESS: 'endless'            // No level cap
+    ENDLESS: 'endless',           // No level cap
+    NES: 'nes',                   // NES level select: delayed first level-up, then every 10 lines
+    MASTER: 'master'              // Levels 0-999: +1 per piece up to each section end, +1 per line
 };
 
 /**
@@ -30,14 +43,19 @@ export const SPEED_CURVES = {
     LINEAR: 'linear',             // Linear progression
     EXPONENTIAL: 'exponential',   // Exponential increase
     STEPPED: 'stepped',           // Discrete speed steps
-    SMOOTH: 'smooth'              // Smooth mathematical curve
+    SMOOTH: 'smooth',             // Smooth mathematical curve
+    NES: 'nes',                   // NES gravity table with 0-based levels
+    MASTER: 'master'              // Master gravity up to 20G with per-section delays
 };
 
 /**
  * Level manager for handling progression and difficulty
  */
 export class LevelManager {
-    constructor(config = {}) {
+    constructor(config = {}, clock = wallClock) {
+        // Time source for level and game timing
+        this.clock = clock;
+
         // Configuration with defaults
         this.config = {
             progressionType: PROGRESSION_TYPES.CLASSIC,
@@ -49,6 +67,10 @@ export class LevelManager {
             enableSpeedBonus: true,
             minimumDropInterval: 16.67, // ~60 FPS minimum
             maximumDropInterval: 1000,  // 1 second maximum
+            baseLockDelay: 500,         // null = lock when gravity fails
+            lockDelayScaling: true,
+            baseSpawnDelay: 0,          // ARE between a lock and the next piece
+            baseLineClearDelay: 500,
             ...config
         };
 
@@ -60,7 +82,9 @@ export class LevelManager {
 
         // Speed and timing
         this.dropInterval = this.calculateDropInterval(this.currentLevel);
-        this.lockDelay = 500; // Base lock delay in ms
+        this.lockDelay = this.calculateLockDelay(this.currentLevel);
+        this.spawnDelay = this.calculateSpawnDelay(this.currentLevel);
+        this.lineClearDelay = this.calculateLineClearDelay(this.currentLevel);
         this.dasDelay = 167;  // Delayed Auto Shift
         this.arrDelay = 33;   // Auto Repeat Rate
 
@@ -92,8 +116,8 @@ export class LevelManager {
         this.onFeatureUnlock = null;
 
         // Timing
-        this.levelStartTime = performance.now();
-        this.gameStartTime = performance.now();
+        this.levelStartTime = this.clock.now();
+        this.gameStartTime = this.clock.now();
 
         this.initializeLevelMilestones();
     }
@@ -147,6 +171,12 @@ export class LevelManager {
         if (linesCleared <= 0) return false;
 
         this.totalLinesCleared = newTotalLines;
+
+        // Master levels count lines directly, past section ends
+        if (this.isMaster()) {
+            return this.advanceLevel(linesCleared);
+        }
+
         this.linesAtCurrentLevel += linesCleared;
 
         // Check for level up
@@ -157,6 +187,53 @@ export class LevelManager {
         return false;
     }
 
+    /**
+     * Count a locked piece; Master levels rise by one up to the end of the section
+     */
+    recordPiece() {
+        if (!this.isMaster()) return false;
+
+        const stop = getSectionStop(this.currentLevel);
+        return this.currentLevel < stop && this.advanceLevel(1);
+    }
+
+    /**
+     * Move a Master level forward, updating speeds and announcing new sections
+     */
+    advanceLevel(amount) {
+        const oldLevel = this.currentLevel;
+        this.currentLevel = Math.min(oldLevel + amount, this.config.maxLevel);
+        if (this.currentLevel === oldLevel) return false;
+
+        this.linesRequiredForNext = this.calculateLinesRequired(this.currentLevel);
+
+        const newDropInterval = this.calculateDropInterval(this.currentLevel);
+        const speedChanged = Math.abs(newDropInterval - this.dropInterval) > 1;
+        this.dropInterval = newDropInterval;
+        this.updateTimings();
+
+        if (Math.floor(this.currentLevel / 100) > Math.floor(oldLevel / 100)) {
+            this.statistics.levelUpCount++;
+            this.triggerLevelUpEvents(oldLevel, speedChanged);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if levels follow Master mode sections
+     */
+    isMaster() {
+        return this.config.progressionType === PROGRESSION_TYPES.MASTER;
+    }
+
+    /**
+     * Check if a Master game reached its last level
+     */
+    isComplete() {
+        return this.isMaster() && this.currentLevel >= MASTER_MAX_LEVEL;
+    }
+
     /**
      * Check if should level up
      */
@@ -173,7 +250,7 @@ export class LevelManager {
      */
     levelUp() {
         const oldLevel = this.currentLevel;
-        const levelTime = performance.now() - this.levelStartTime;
+        const levelTime = this.clock.now() - this.levelStartTime;
 
         // Update level
         this.currentLevel++;
@@ -200,7 +277,7 @@ export class LevelManager {
         }
 
         // Reset level timer
-        this.levelStartTime = performance.now();
+        this.levelStartTime = this.clock.now();
 
         // Trigger callbacks
         this.triggerLevelUpEvents(oldLevel, speedChanged);
@@ -231,6 +308,13 @@ export class LevelManager {
             case PROGRESSION_TYPES.ENDLESS:
                 return this.config.linesPerLevel;
 
+            case PROGRESSION_TYPES.NES:
+                return this.calculateNESLinesRequired(level);
+
+            case PROGRESSION_TYPES.MASTER:
+                // Levels run to the end of the section
+                return getSectionStop(level) + 1 - level;
+
             default:
                 return this.config.linesPerLevel;
         }
@@ -258,6 +342,13 @@ export class LevelManager {
             case SPEED_CURVES.SMOOTH:
                 return this.calculateSmoothSpeed(clampedLevel);
 
+            case SPEED_CURVES.NES:
+                return this.calculateNESSpeed(clampedLevel);
+
+            case SPEED_CURVES.MASTER:
+                // Gravity of 1G and more is handled per frame by getGravity()
+                return Math.max(FRAME_TIME / getMasterGravity(clampedLevel), this.config.minimumDropInterval);
+
             default:
                 return this.calculateClassicSpeed(clampedLevel);
         }
@@ -280,6 +371,25 @@ export class LevelManager {
         return Math.max(frames * 16.67, this.config.minimumDropInterval);
     }
 
+    /**
+     * NES gravity: the classic table indexed from level 0
+     */
+    calculateNESSpeed(level) {
+        return this.calculateClassicSpeed(level + 1);
+    }
+
+    /**
+     * NES lines to the first level-up depend on the selected start level
+     */
+    calculateNESLinesRequired(level) {
+        const startingLevel = this.config.startingLevel;
+        if (level !== startingLevel) {
+            return this.config.linesPerLevel;
+        }
+
+        return Math.min(startingLevel * 10 + 10, Math.max(100, startingLevel * 10 - 50));
+    }
+
     /**
      * Linear speed progression
      */
@@ -353,12 +463,52 @@ export class LevelManager {
         return Math.floor(baseRequirement * multiplier);
     }
 
+    /**
+     * Calculate lock delay for a specific level
+     */
+    calculateLockDelay(level) {
+        if (this.config.speedCurve === SPEED_CURVES.MASTER) {
+            return getMasterTimings(level).lockDelay;
+        }
+
+        const baseLockDelay = this.config.baseLockDelay;
+        if (baseLockDelay === null || !this.config.lockDelayScaling) {
+            return baseLockDelay;
+        }
+
+        // Lock delay decreases slightly with level
+        return Math.max(baseLockDelay - (level * 2), Math.min(baseLockDelay, 200));
+    }
+
+    /**
+     * Calculate the spawn delay (ARE) for a specific level
+     */
+    calculateSpawnDelay(level) {
+        if (this.config.speedCurve === SPEED_CURVES.MASTER) {
+            return getMasterTimings(level).spawnDelay;
+        }
+
+        return this.config.baseSpawnDelay;
+    }
+
+    /**
+     * Calculate the line clear delay for a specific level
+     */
+    calculateLineClearDelay(level) {
+        if (this.config.speedCurve === SPEED_CURVES.MASTER) {
+            return getMasterTimings(level).lineClearDelay;
+        }
+
+        return this.config.baseLineClearDelay;
+    }
+
     /**
      * Update timing parameters based on level
      */
     updateTimings() {
-        // Lock delay decreases slightly with level
-        this.lockDelay = Math.max(500 - (this.currentLevel * 2), 200);
+        this.lockDelay = this.calculateLockDelay(this.currentLevel);
+        this.spawnDelay = this.calculateSpawnDelay(this.currentLevel);
+        this.lineClearDelay = this.calculateLineClearDelay(this.currentLevel);
 
         // DAS and ARR improve slightly
         this.dasDelay = Math.max(167 - this.currentLevel, 100);
@@ -444,7 +594,7 @@ export class LevelManager {
 
         // Store recent performance for adaptive difficulty
         this.performanceMetrics.recentPerformance.push({
-            timestamp: performance.now(),
+            timestamp: this.clock.now(),
             pps,
             lpm,
             efficiency,
@@ -553,6 +703,17 @@ export class LevelManager {
         return this.dropInterval;
     }
 
+    /**
+     * Gravity in rows per frame; 1 and above moves the piece every frame
+     */
+    getGravity() {
+        if (this.config.speedCurve === SPEED_CURVES.MASTER) {
+            return getMasterGravity(this.currentLevel);
+        }
+
+        return FRAME_TIME / this.dropInterval;
+    }
+
     /**
      * Get lock delay
      */
@@ -560,10 +721,28 @@ export class LevelManager {
         return this.lockDelay;
     }
 
+    /**
+     * Get spawn delay (ARE)
+     */
+    getSpawnDelay() {
+        return this.spawnDelay;
+    }
+
+    /**
+     * Get line clear delay
+     */
+    getLineClearDelay() {
+        return this.lineClearDelay;
+    }
+
     /**
      * Get progress to next level (0-1)
      */
     getLevelProgress() {
+        if (this.isMaster()) {
+            return (this.currentLevel % 100) / 100;
+        }
+
         return this.linesAtCurrentLevel / this.linesRequiredForNext;
     }
 
@@ -599,6 +778,8 @@ export class LevelManager {
             linesRequired: this.linesRequiredForNext,
             dropInterval: this.dropInterval,
             lockDelay: this.lockDelay,
+            spawnDelay: this.spawnDelay,
+            lineClearDelay: this.lineClearDelay,
             levelProgress: this.getLevelProgress(),
             ...this.statistics
         };
@@ -634,6 +815,25 @@ export class LevelManager {
         this.dropInterval = this.calculateDropInterval(this.currentLevel);
     }
 
+    /**
+     * Apply progression, start level, speed curve and lock delay from a game rules object
+     */
+    applyRules(rules) {
+        this.configure({
+            progressionType: rules.progression,
+            startingLevel: rules.startLevel,
+            maxLevel: rules.progression === PROGRESSION_TYPES.MASTER ? MASTER_MAX_LEVEL : 99,
+            speedCurve: rules.speedCurve,
+            baseLockDelay: rules.lockDelay,
+            lockDelayScaling: rules.lockDelayScaling,
+            baseSpawnDelay: rules.spawnDelay,
+            baseLineClearDelay: rules.lineClearDelay
+        });
+        this.lockDelay = this.calculateLockDelay(this.currentLevel);
+        this.spawnDelay = this.calculateSpawnDelay(this.currentLevel);
+        this.lineClearDelay = this.calculateLineClearDelay(this.currentLevel);
+    }
+
     /**
      * Reset level manager
      */
@@ -643,6 +843,9 @@ export class LevelManager {
         this.linesAtCurrentLevel = 0;
         this.linesRequiredForNext = this.calculateLinesRequired(this.currentLevel);
         this.dropInterval = this.calculateDropInterval(this.currentLevel);
+        this.lockDelay = this.calculateLockDelay(this.currentLevel);
+        this.spawnDelay = this.calculateSpawnDelay(this.currentLevel);
+        this.lineClearDelay = this.calculateLineClearDelay(this.currentLevel);
 
         // Reset performance metrics
         this.performanceMetrics = {
@@ -666,8 +869,8 @@ export class LevelManager {
         };
 
         // Reset timers
-        this.levelStartTime = performance.now();
-        this.gameStartTime = performance.now();
+        this.levelStartTime = this.clock.now();
+        this.gameStartTime = this.clock.now();
     }
 
     /**
@@ -693,14 +896,17 @@ export class LevelManager {
     /**
      * Deserialize level manager state
      */
-    static deserialize(data, config = {}) {
-        const levelManager = new LevelManager(config);
+    static deserialize(data, config = {}, clock = wallClock) {
+        const levelManager = new LevelManager(config, clock);
 
-        levelManager.currentLevel = data.currentLevel || 1;
+        levelManager.currentLevel = data.currentLevel ?? levelManager.config.startingLevel;
         levelManager.totalLinesCleared = data.totalLinesCleared || 0;
         levelManager.linesAtCurrentLevel = data.linesAtCurrentLevel || 0;
         levelManager.linesRequiredForNext = data.linesRequiredForNext || 10;
         levelManager.dropInterval = data.dropInterval || 1000;
+        levelManager.lockDelay = levelManager.calculateLockDelay(levelManager.currentLevel);
+        levelManager.spawnDelay = levelManager.calculateSpawnDelay(levelManager.currentLevel);
+        levelManager.lineClearDelay = levelManager.calculateLineClearDelay(levelManager.currentLevel);
 
         if (data.unlockedFeatures) {
             levelManager.unlockedFeatures = new Set(data.unlockedFeatures);
@@ -731,7 +937,8 @@ export class LevelManager {
     validate() {
         const errors = [];
 
-        if (this.currentLevel < 1 || this.currentLevel > this.config.maxLevel) {
+        const minLevel = Math.min(1, this.config.startingLevel);
+        if (this.currentLevel < minLevel || this.currentLevel > this.config.maxLevel) {
             errors.push(`Invalid current level: ${this.currentLevel}`);
         }
 
@@ -22,9 +22,17 @@ export const LINE_CLEAR_TYPES = {
     TRIPLE: 'triple',
     TETRIS: 'tetris',
     PERFECT_CLEAR: 'perfect_clear',
+    T_SPIN: 't_spin',
     T_SPIN_SINGLE: 't_spin_single',
     T_SPIN_DOUBLE: 't_spin_double',
-    T_SPIN_TRIPLE: 't_spin_triple'
+    T_SPIN_TRIPLE: 't_spin_triple',
+    T_SPIN_MINI: 't_spin_mini',
+    T_SPIN_MINI_SINGLE: 't_spin_mini_single',
+    T_SPIN_MINI_DOUBLE: 't_spin_mini_double',
+    ALL_SPIN: 'all_spin',
+    ALL_SPIN_SINGLE: 'all_spin_single',
+    ALL_SPIN_DOUBLE: 'all_spin_double',
+    ALL_SPIN_TRIPLE: 'all_spin_triple'
 };
 
 /**
@@ -43,6 +51,7 @@ export const ANIMATION_PHASE = {
 export class LineClearer {
     constructor(board) {
         this.board = board;
+        this.clock = board.clock;
 
         // Animation configuration
         this.animationConfig = {
@@ -140,9 +149,9 @@ export class LineClearer {
             return false;
         }
 
-        this.clearingLines = [...lines].sort((a, b) => b - a); // Sort bottom to top
+        this.clearingLines = [...lines].sort((a, b) => b - a); // Sort top to bottom
         this.isAnimating = true;
-        this.animationStartTime = performance.now();
+        this.animationStartTime = this.clock.now();
         this.currentPhase = ANIMATION_PHASE.FLASH;
 
         // Mark cells as clearing
@@ -173,7 +182,7 @@ export class LineClearer {
     updateAnimation(deltaTime) {
         if (!this.isAnimating) return false;
 
-        const elapsed = performance.now() - this.animationStartTime;
+        const elapsed = this.clock.now() - this.animationStartTime;
         const progress = elapsed / this.animationConfig.totalDuration;
 
         // Update current phase
@@ -448,10 +457,10 @@ export class LineClearer {
         // Clear the lines and move blocks down
         let clearedCount = 0;
 
-        // Process lines from bottom to top
+        // Rows are sorted highest first, so lower rows keep their index
         for (const row of this.clearingLines) {
             this.clearLine(row);
-            this.moveBlocksDown(row + clearedCount);
+            this.moveBlocksDown(row);
             clearedCount++;
         }
 
@@ -462,26 +471,20 @@ export class LineClearer {
      * Clear a specific line
      */
     clearLine(row) {
-        for (let col = 0; col < this.board.width; col++) {
-            this.board.setCell(col, row, CELL_STATES.EMPTY);
-        }
+        this.board.clearRow(row);
     }
 
     /**
      * Move all blocks above a row down by one
      */
     moveBlocksDown(fromRow) {
+        // Whole rows move so lock times travel with their blocks
         for (let row = fromRow; row < this.board.height - 1; row++) {
-            for (let col = 0; col < this.board.width; col++) {
-                const cellAbove = this.board.getCell(col, row + 1);
-                this.board.setCell(col, row, cellAbove);
-            }
+            this.board.copyRow(row + 1, row);
         }
 
         // Clear the top row
-        for (let col = 0; col < this.board.width; col++) {
-            this.board.setCell(col, this.board.height - 1, CELL_STATES.EMPTY);
-        }
+        this.board.clearRow(this.board.height - 1);
     }
 
     /**
@@ -560,7 +563,7 @@ export class LineClearer {
             isAnimating: this.isAnimating,
             phase: this.currentPhase,
             progress: this.isAnimating ?
-                (performance.now() - this.animationStartTime) / this.animationConfig.totalDuration : 0,
+                (this.clock.now() - this.animationStartTime) / this.animationConfig.totalDuration : 0,
             clearingLines: [...this.clearingLines],
             flashIntensity: this.animationData.flashIntensity,
             particles: [...this.animationData.particles],
@@ -676,22 +679,22 @@ export class LineClearer {
      * Performance test
      */
     performanceTest() {
-        const startTime = performance.now();
+        const startTime = this.clock.now();
 
         // Test line detection
-        const detectionStart = performance.now();
+        const detectionStart = this.clock.now();
         this.findCompleteLines();
-        const detectionTime = performance.now() - detectionStart;
+        const detectionTime = this.clock.now() - detectionStart;
 
         // Test animation update
-        const animationStart = performance.now();
+        const animationStart = this.clock.now();
         for (let i = 0; i < 100; i++) {
             this.updateAnimation(16); // Simulate 60 FPS
         }
-        const animationTime = (performance.now() - animationStart) / 100;
+        const animationTime = (this.clock.now() - animationStart) / 100;
 
         return {
-            totalTime: performance.now() - startTime,
+            totalTime: this.clock.now() - startTime,
             lineDetectionTime: detectionTime,
             animationUpdateTime: animationTime,
             particleCount: this.animationData.particles.length
@@ -0,0 +1,228 @@
+/**
+ * NeonTetris-MLRSA Master Mode
+ * Section speed tables and the hidden grade of the TGM-style Master mode
+ *
+ * Features:
+ * - Levels 0-999 in sections of 100 with a gravity ramp up to 20G
+ * - Spawn delay (ARE), line clear delay and lock delay per section
+ * - Hidden grade points with decay, combo and level multipliers
+ * - Grades 9 through S9, and GM for finishing level 999 at S9
+ */
+
+/**
+ * Last level of Master mode; reaching it ends the game
+ */
+export const MASTER_MAX_LEVEL = 999;
+
+/**
+ * Gravity of 20G moves a piece to the bottom of the board within one frame
+ */
+export const MAX_GRAVITY = 20;
+
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Gravity by level, in 1/256 rows per frame (256 = 1G, 5120 = 20G)
+ */
+const MASTER_GRAVITY = [
+    [0, 4], [30, 6], [35, 8], [40, 10], [50, 12], [60, 16], [70, 32], [80, 48], [90, 64],
+    [100, 80], [120, 96], [140, 112], [160, 128], [170, 144],
+    [200, 4], [220, 32], [230, 64], [233, 96], [236, 128], [239, 160], [243, 192], [247, 224], [251, 256],
+    [300, 512], [330, 768], [360, 1024], [400, 1280], [420, 1024], [450, 768],
+    [500, 5120]
+];
+
+/**
+ * Delays by section, in frames
+ * - spawnDelay: ARE between a lock and the next piece
+ * - lineClearDelay: pause while cleared rows disappear
+ * - lockDelay: time a grounded piece waits before locking
+ */
+export const MASTER_SECTIONS = [
+    { level: 0, spawnDelay: 25, lineClearDelay: 40, lockDelay: 30 },
+    { level: 500, spawnDelay: 25, lineClearDelay: 25, lockDelay: 30 },
+    { level: 600, spawnDelay: 25, lineClearDelay: 16, lockDelay: 28 },
+    { level: 700, spawnDelay: 16, lineClearDelay: 12, lockDelay: 24 },
+    { level: 800, spawnDelay: 12, lineClearDelay: 6, lockDelay: 20 },
+    { level: 900, spawnDelay: 12, lineClearDelay: 6, lockDelay: 17 }
+];
+
+/**
+ * Grade shown for each internal grade
+ */
+export const MASTER_GRADES = [
+    '9', '8', '7', '6', '5', '4', '4', '3', '3', '2', '2', '2', '1', '1', '1',
+    'S1', 'S1', 'S1', 'S2', 'S3', 'S4', 'S4', 'S4', 'S5', 'S5', 'S6', 'S6', 'S7', 'S7', 'S8', 'S9'
+];
+
+export const GRAND_MASTER = 'GM';
+
+const GRADE_POINTS_TO_ADVANCE = 100;
+
+/**
+ * Frames per lost grade point while no combo is running, by internal grade
+ */
+const GRADE_DECAY = [
+    125, 80, 80, 50, 45, 45, 45, 40, 40, 40, 40, 40, 30, 30, 30,
+    20, 20, 20, 20, 20, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 10
+];
+
+/**
+ * Grade points for singles, doubles, triples and tetrises, by internal grade
+ * Grades past the table use its last row
+ */
+const GRADE_POINTS = [
+    [10, 20, 40, 50],
+    [10, 20, 30, 40],
+    [10, 20, 30, 40],
+    [10, 15, 30, 40],
+    [10, 15, 20, 40],
+    [5, 15, 20, 30],
+    [5, 10, 20, 30],
+    [5, 10, 15, 30],
+    [5, 10, 15, 30],
+    [5, 10, 15, 30],
+    [2, 12, 13, 30]
+];
+
+/**
+ * Grade point multipliers for singles to tetrises, by combo length (10 and up share the last row)
+ */
+const COMBO_MULTIPLIERS = [
+    [1, 1, 1, 1],
+    [1, 1.2, 1.4, 1.5],
+    [1, 1.2, 1.5, 1.8],
+    [1, 1.4, 1.6, 2.0],
+    [1, 1.4, 1.7, 2.2],
+    [1, 1.4, 1.8, 2.3],
+    [1, 1.4, 1.9, 2.4],
+    [1, 1.5, 2.0, 2.5],
+    [1, 1.5, 2.1, 2.6],
+    [1, 2.0, 2.5, 3.0]
+];
+
+/**
+ * Order of a shown grade, higher for better grades; -1 for no grade
+ */
+export function getGradeRank(grade) {
+    if (grade === GRAND_MASTER) return MASTER_GRADES.length;
+    return MASTER_GRADES.lastIndexOf(grade);
+}
+
+/**
+ * Gravity at a level in rows per frame
+ */
+export function getMasterGravity(level) {
+    let gravity = MASTER_GRAVITY[0][1];
+
+    for (const [start, value] of MASTER_GRAVITY) {
+        if (level < start) break;
+        gravity = value;
+    }
+
+    return gravity / 256;
+}
+
+/**
+ * Spawn, line clear and lock delays of a level's section in milliseconds
+ */
+export function getMasterTimings(level) {
+    const section = MASTER_SECTIONS.filter(entry => level >= entry.level).pop();
+
+    return {
+        spawnDelay: section.spawnDelay * FRAME_TIME,
+        lineClearDelay: section.lineClearDelay * FRAME_TIME,
+        lockDelay: section.lockDelay * FRAME_TIME
+    };
+}
+
+/**
+ * Highest level pieces alone can reach from a level; only line clears pass a section end
+ */
+export function getSectionStop(level) {
+    return level >= 900 ? MASTER_MAX_LEVEL - 1 : Math.floor(level / 100) * 100 + 99;
+}
+
+/**
+ * Hidden grade earned through line clears and lost to slow play
+ */
+export class GradeSystem {
+    constructor() {
+        this.enabled = false;
+        this.reset();
+    }
+
+    /**
+     * Grades only count in games with Master level progression
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    reset() {
+        this.internalGrade = 0;
+        this.points = 0;
+        this.decayTimer = 0;
+    }
+
+    /**
+     * Award grade points for a line clear
+     * @param {number} lineCount - Lines cleared by the piece
+     * @param {number} combo - Consecutive clearing pieces, this one included
+     * @param {number} level - Level before the clear
+     */
+    recordClear(lineCount, combo, level) {
+        if (!this.enabled || lineCount <= 0) return;
+
+        const lines = Math.min(lineCount, 4) - 1;
+        const base = GRADE_POINTS[Math.min(this.internalGrade, GRADE_POINTS.length - 1)][lines];
+        const comboMultiplier = COMBO_MULTIPLIERS[Math.min(Math.max(combo, 1), COMBO_MULTIPLIERS.length) - 1][lines];
+        const levelMultiplier = 1 + Math.floor(level / 250);
+
+        this.points += Math.ceil(base * comboMultiplier) * levelMultiplier;
+
+        if (this.points >= GRADE_POINTS_TO_ADVANCE) {
+            this.points = 0;
+            this.decayTimer = 0;
+            this.internalGrade = Math.min(this.internalGrade + 1, MASTER_GRADES.length - 1);
+        }
+    }
+
+    /**
+     * Advance the decay timer by one frame of play without a combo
+     */
+    tick() {
+        if (!this.enabled || this.points === 0) return;
+
+        this.decayTimer++;
+        if (this.decayTimer >= GRADE_DECAY[this.internalGrade]) {
+            this.decayTimer = 0;
+            this.points--;
+        }
+    }
+
+    /**
+     * Grade to show, GM for a finished game at the top grade
+     */
+    getGrade(completed = false) {
+        if (completed && this.internalGrade === MASTER_GRADES.length - 1) {
+            return GRAND_MASTER;
+        }
+
+        return MASTER_GRADES[this.internalGrade];
+    }
+
+    serialize() {
+        return {
+            internalGrade: this.internalGrade,
+            points: this.points,
+            decayTimer: this.decayTimer
+        };
+    }
+
+    deserialize(data) {
+        this.internalGrade = data.internalGrade || 0;
+        this.points = data.points || 0;
+        this.decayTimer = data.decayTimer || 0;
+    }
+}
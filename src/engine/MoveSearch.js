@@ -0,0 +1,374 @@
+/**
+ * NeonTetris-MLRSA Move Search
+ * Finds every final placement a piece can reach and ranks them
+ *
+ * Features:
+ * - Breadth-first search over shifts, soft drops and rotations with kicks
+ * - Soft-drop tucks and spins under overhangs
+ * - Spin classification of each placement from the move that ended it
+ * - Shortest input path to every placement
+ * - Board heuristic shared with the CPU opponent
+ */
+
+import { Board, CELL_STATES } from './Board.js';
+import { CollisionDetector } from './CollisionDetector.js';
+import { RotationSystem, ROTATION_DIRECTION } from './RotationSystem.js';
+import { SPIN_MOVES, SPIN_TYPES } from './SpinDetector.js';
+import { createRules, RULE_PRESETS, HARD_DROP_MODES } from './GameRules.js';
+
+/**
+ * Board heuristic weights
+ * - spin: bonus per line cleared by a spin (half for minis)
+ */
+export const HEURISTIC_WEIGHTS = {
+    lines: 0.76,
+    holes: -0.36,
+    bumpiness: -0.18,
+    aggregateHeight: -0.51,
+    maxHeight: -0.2,
+    spin: 0.4
+};
+
+const SHIFTS = [
+    { action: 'moveLeft', dx: -1, dy: 0 },
+    { action: 'moveRight', dx: 1, dy: 0 },
+    { action: 'softDrop', dx: 0, dy: -1 }
+];
+
+const ROTATIONS = [
+    { action: 'rotateCW', direction: ROTATION_DIRECTION.CLOCKWISE },
+    { action: 'rotateCCW', direction: ROTATION_DIRECTION.COUNTERCLOCKWISE },
+    { action: 'rotate180', direction: ROTATION_DIRECTION.HALF_TURN }
+];
+
+// Piece origins can sit this far outside the well while the blocks stay inside
+const ORIGIN_MARGIN = 3;
+
+/**
+ * Grid after locking blocks and clearing full rows
+ * @returns {Object} { lines, grid }
+ */
+export function simulatePlacement(grid, blocks, width, totalHeight) {
+    const result = new Uint8Array(grid);
+
+    blocks.forEach(({ x, y }) => {
+        result[y * width + x] = CELL_STATES.LOCKED;
+    });
+
+    // Compact the rows that are not full
+    let lines = 0;
+    let target = 0;
+    for (let row = 0; row < totalHeight; row++) {
+        const start = row * width;
+        let full = true;
+        for (let x = 0; x < width; x++) {
+            if (result[start + x] === CELL_STATES.EMPTY) {
+                full = false;
+                break;
+            }
+        }
+
+        if (full) {
+            lines++;
+            continue;
+        }
+
+        if (target !== row) {
+            result.copyWithin(target * width, start, start + width);
+        }
+        target++;
+    }
+    result.fill(CELL_STATES.EMPTY, target * width);
+
+    return { lines, grid: result };
+}
+
+/**
+ * Heuristic score of a board from holes, bumpiness and column heights
+ */
+export function evaluateBoard(board, weights = HEURISTIC_WEIGHTS) {
+    const heights = board.getColumnHeights();
+    let bumpiness = 0;
+    for (let x = 1; x < heights.length; x++) {
+        bumpiness += Math.abs(heights[x] - heights[x - 1]);
+    }
+
+    return weights.holes * board.countHoles() +
+        weights.bumpiness * bumpiness +
+        weights.aggregateHeight * heights.reduce((total, height) => total + height, 0) +
+        weights.maxHeight * Math.max(...heights);
+}
+
+/**
+ * Placement search over a private copy of the board
+ */
+export class MoveSearch {
+    constructor(options = {}) {
+        const { width, height, hiddenRows } = options;
+
+        this.board = new Board(width, height, hiddenRows);
+        this.collisionDetector = new CollisionDetector(this.board);
+        this.rotationSystem = new RotationSystem(this.collisionDetector);
+
+        // Scratch board for scoring the boards placements leave behind
+        this.scratch = new Board(width, height, hiddenRows);
+
+        this.weights = { ...HEURISTIC_WEIGHTS, ...options.weights };
+        this.allow180 = options.allow180 ?? false;
+
+        // Keep spin paths over shorter ones that reach the same blocks
+        this.preferSpins = options.preferSpins ?? true;
+
+        this.applyRules(options.rules || RULE_PRESETS.GUIDELINE);
+    }
+
+    /**
+     * Search with the rotation system and hard-drop rules of a game
+     */
+    applyRules(rules) {
+        this.rules = createRules(rules);
+        this.rotationSystem.applyRules(this.rules);
+    }
+
+    /**
+     * Copy a board into the search board
+     */
+    loadBoard(board) {
+        if (board.width !== this.board.width || board.totalHeight !== this.board.totalHeight) {
+            throw new Error(`Invalid board size: ${board.width}x${board.totalHeight}`);
+        }
+
+        this.board.grid.set(board.grid);
+        this.collisionDetector.clearCache();
+        this.rotationSystem.clearCache();
+    }
+
+    /**
+     * Every final placement a piece can reach from its current state
+     * @param {Board} board - Board to search on
+     * @param {Piece} piece - Piece in its current (usually spawn) state
+     * @returns {Array<Object>} { type, rotation, x, y, blocks, path, spin, lines, grid }
+     */
+    search(board, piece) {
+        this.loadBoard(board);
+
+        const valid = this.getValidPositions(piece);
+        if (!valid.has(this.getPositionKey(piece.rotation, piece.position.x, piece.position.y))) {
+            return [];
+        }
+
+        const rotations = ROTATIONS.filter(({ direction }) => this.allow180 || direction !== ROTATION_DIRECTION.HALF_TURN);
+
+        // Plain hard drops first, so tucks below only replace them with a stronger spin
+        const placements = new Map();
+        this.addDropPlacements(placements, piece, valid, rotations);
+
+        // Spins depend on the last move, so the same cell reached by a shift and by a turn are different states
+        const visited = new Set([this.getStateKey(piece, null)]);
+        const queue = [{ piece, path: [], lastMove: null }];
+
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            const { rotation, position } = node.piece;
+
+            SHIFTS.forEach(({ action, dx, dy }) => {
+                const x = position.x + dx;
+                const y = position.y + dy;
+                if (!valid.has(this.getPositionKey(rotation, x, y))) return;
+
+                const lastMove = { type: SPIN_MOVES.MOVE };
+                const moved = node.piece.withPosition(x, y);
+                this.visit(visited, queue, { piece: moved, path: [...node.path, action], lastMove });
+            });
+
+            rotations.forEach(({ action, direction }) => {
+                const result = this.rotationSystem.rotate(node.piece, direction);
+                if (!result.success) return;
+
+                const lastMove = { type: SPIN_MOVES.ROTATE, wallKick: result.wallKick };
+                this.visit(visited, queue, { piece: result.piece, path: [...node.path, action], lastMove });
+            });
+
+            if (!valid.has(this.getPositionKey(rotation, position.x, position.y - 1))) {
+                this.addPlacement(placements, node);
+            }
+        }
+
+        return [...placements.values()];
+    }
+
+    /**
+     * Placements reached by turning and shifting at the top and dropping straight down
+     */
+    addDropPlacements(placements, piece, valid, rotations) {
+        const visited = new Set([this.getPositionKey(piece.rotation, piece.position.x, piece.position.y)]);
+        const queue = [{ piece, path: [], lastMove: null }];
+
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            const { rotation, position } = node.piece;
+
+            let y = position.y;
+            while (valid.has(this.getPositionKey(rotation, position.x, y - 1))) {
+                y--;
+            }
+
+            const drops = new Array(position.y - y).fill('softDrop');
+            this.addPlacement(placements, {
+                piece: node.piece.withPosition(position.x, y),
+                path: [...node.path, ...drops],
+                lastMove: drops.length > 0 ? { type: SPIN_MOVES.MOVE } : node.lastMove
+            });
+
+            const next = [];
+
+            SHIFTS.forEach(({ action, dx, dy }) => {
+                if (dy !== 0 || !valid.has(this.getPositionKey(rotation, position.x + dx, position.y))) return;
+
+                next.push({ action, moved: node.piece.withPosition(position.x + dx, position.y), lastMove: { type: SPIN_MOVES.MOVE } });
+            });
+
+            rotations.forEach(({ action, direction }) => {
+                const result = this.rotationSystem.rotate(node.piece, direction);
+                if (result.success) {
+                    next.push({ action, moved: result.piece, lastMove: { type: SPIN_MOVES.ROTATE, wallKick: result.wallKick } });
+                }
+            });
+
+            next.forEach(({ action, moved, lastMove }) => {
+                const key = this.getPositionKey(moved.rotation, moved.position.x, moved.position.y);
+                if (visited.has(key)) return;
+
+                visited.add(key);
+                queue.push({ piece: moved, path: [...node.path, action], lastMove });
+            });
+        }
+    }
+
+    /**
+     * Queue a search state the first time it is reached
+     */
+    visit(visited, queue, node) {
+        const key = this.getStateKey(node.piece, node.lastMove);
+        if (visited.has(key)) return;
+
+        visited.add(key);
+        queue.push(node);
+    }
+
+    /**
+     * Record a grounded state, keeping the strongest spin and the shortest path per block set
+     */
+    addPlacement(placements, node) {
+        const { piece, lastMove } = node;
+        const blocks = piece.absoluteBlocks;
+        const key = blocks.map(block => `${block.x},${block.y}`).sort().join('|');
+        const spin = this.rotationSystem.detectSpin(piece, lastMove);
+        const path = this.finishPath(node.path);
+
+        const existing = placements.get(key);
+        if (existing) {
+            const spinGain = this.preferSpins ? this.getSpinRank(spin) - this.getSpinRank(existing.spin) : 0;
+            if (spinGain < 0 || (spinGain === 0 && path.length >= existing.path.length)) return;
+        }
+
+        const { width, totalHeight } = this.board;
+
+        placements.set(key, {
+            type: piece.type,
+            rotation: piece.rotation,
+            x: piece.position.x,
+            y: piece.position.y,
+            blocks,
+            path,
+            spin,
+            ...simulatePlacement(this.board.grid, blocks, width, totalHeight)
+        });
+    }
+
+    /**
+     * Valid origins of every rotation the piece can reach
+     * @returns {Set<string>} Position keys
+     */
+    getValidPositions(piece) {
+        const { width, totalHeight } = this.board;
+        const rotations = this.rotationSystem.getReachableRotations(this.rotationSystem.system, piece.type, piece.rotation);
+        const xRange = { min: -ORIGIN_MARGIN, max: width - 1 };
+        const yRange = { min: -ORIGIN_MARGIN, max: totalHeight - 1 };
+        const valid = new Set();
+
+        rotations.forEach(rotation => {
+            const rotated = piece.withRotation(rotation);
+            this.collisionDetector.findValidPositions(rotated, xRange, yRange).forEach(({ x, y }) => {
+                valid.add(this.getPositionKey(rotation, x, y));
+            });
+        });
+
+        return valid;
+    }
+
+    /**
+     * End a path with a hard drop when the rules have one
+     */
+    finishPath(path) {
+        if (this.rules.hardDrop === HARD_DROP_MODES.NONE) {
+            return path;
+        }
+
+        // A hard drop replaces the soft drops that end the path
+        let end = path.length;
+        while (end > 0 && path[end - 1] === 'softDrop') {
+            end--;
+        }
+
+        return [...path.slice(0, end), 'hardDrop'];
+    }
+
+    /**
+     * Rank placements by line clears, spins and the board they leave
+     * @returns {Array<Object>} Placements with a score, best first
+     */
+    rank(placements) {
+        return placements
+            .map(placement => ({ ...placement, score: this.scorePlacement(placement) }))
+            .sort((a, b) => b.score - a.score || a.path.length - b.path.length);
+    }
+
+    /**
+     * Heuristic score of one placement
+     */
+    scorePlacement(placement) {
+        const { weights, scratch } = this;
+        const { lines, spin } = placement;
+
+        scratch.grid.set(placement.grid);
+
+        let score = weights.lines * lines + evaluateBoard(scratch, weights);
+        if (spin && lines > 0) {
+            score += weights.spin * lines * (spin.type === SPIN_TYPES.MINI ? 0.5 : 1);
+        }
+
+        return score;
+    }
+
+    /**
+     * Best placement for a piece, or null if it has nowhere to go
+     */
+    findBest(board, piece) {
+        return this.rank(this.search(board, piece))[0] || null;
+    }
+
+    getSpinRank(spin) {
+        if (!spin) return 0;
+        return spin.type === SPIN_TYPES.MINI ? 1 : 2;
+    }
+
+    getPositionKey(rotation, x, y) {
+        return `${rotation},${x},${y}`;
+    }
+
+    getStateKey(piece, lastMove) {
+        const moveType = lastMove ? lastMove.type : 'spawn';
+        return `${this.getPositionKey(piece.rotation, piece.position.x, piece.position.y)},${moveType}`;
+    }
+}
@@ -0,0 +1,583 @@
+/**
+ * NeonTetris-MLRSA Perfect Clear Practice
+ * Perfect clear drills from opener setups on a GameEngine
+ *
+ * Features:
+ * - Opener setups with a partially built board and a fixed piece order
+ * - Success detected through LineClearer.isPerfectClear on the engine
+ * - Failure once the stack rises past the clear height or the pieces run out
+ * - Bundled depth-first solver with hold for the solution viewer
+ * - Success rates per setup in the player's practice statistics
+ */
+
+import { Board, CELL_STATES, parseBoardRows } from './Board.js';
+import { Piece } from './Piece.js';
+import { MoveSearch } from './MoveSearch.js';
+import { defaultPracticeStats } from '../storage/PracticeStats.js';
+
+/**
+ * Opener setups, each checked to be solvable by the bundled solver
+ * - rows: top-down board picture; '.' is empty, 'G' garbage and any other letter a locked block
+ * - queue: piece order from the first piece on
+ * - hold: piece already held, or null
+ * - lines: height of the perfect clear
+ */
+export const PERFECT_CLEAR_SETUPS = [
+    {
+        id: 'two-line-basics',
+        name: 'Two-Line Basics',
+        description: 'Finish a two-line clear with plain drops',
+        rows: [
+            'LLLL......',
+            'LLLLIIII..'
+        ],
+        queue: ['O', 'I'],
+        hold: null,
+        lines: 2
+    },
+    {
+        id: 'two-line-tuck',
+        name: 'Two-Line Tuck',
+        description: 'Tuck an L under the overhang before closing the rows',
+        rows: [
+            '.LLL......',
+            '...LIIII..'
+        ],
+        queue: ['L', 'O', 'I'],
+        hold: null,
+        lines: 2
+    },
+    {
+        id: 'pillar-finish',
+        name: 'Pillar Finish',
+        description: 'Close a four-line clear around a standing I',
+        rows: [
+            '......IJJJ',
+            '...T..IJSL',
+            '..TTOOISSL',
+            '...TOOISLL'
+        ],
+        queue: ['I', 'O', 'L'],
+        hold: 'Z',
+        lines: 4
+    },
+    {
+        id: 'center-pillar',
+        name: 'Center Pillar',
+        description: 'Build out both sides of a standing I with the hold piece',
+        rows: [
+            '......I...',
+            '......I.SL',
+            '....OOISSL',
+            '....OOISLL'
+        ],
+        queue: ['Z', 'T', 'I', 'O', 'L'],
+        hold: 'J',
+        lines: 4
+    },
+    {
+        id: 'split-stack',
+        name: 'Split Stack',
+        description: 'Fill both wells of a stack built in the middle',
+        rows: [
+            '..........',
+            '.....LLZZ.',
+            '.....LZZJ.',
+            '.....LJJJ.'
+        ],
+        queue: ['O', 'T', 'I', 'I', 'O', 'T'],
+        hold: 'S',
+        lines: 4
+    }
+];
+
+/**
+ * Practice drill id used for the statistics
+ */
+export const PERFECT_CLEAR_DRILL = 'perfectClear';
+
+/**
+ * Default solver settings
+ */
+export const SOLVER_DEFAULTS = {
+    maxNodes: 20000, // Give up after this many boards
+    allow180: false  // Let solutions use 180° turns
+};
+
+// Frames the viewer waits for a line clear animation to finish
+const SOLUTION_SETTLE_FRAMES = 180;
+
+/**
+ * Find a setup by id
+ */
+export function getPerfectClearSetup(id) {
+    const setup = PERFECT_CLEAR_SETUPS.find(entry => entry.id === id);
+    if (!setup) {
+        throw new Error(`Invalid perfect clear setup: ${id}`);
+    }
+    return setup;
+}
+
+/**
+ * Depth-first perfect clear search over the placements of MoveSearch
+ */
+export class PerfectClearSolver {
+    constructor(options = {}) {
+        const { width = 10, height = 20, hiddenRows = 4 } = options;
+
+        this.config = { ...SOLVER_DEFAULTS, ...options };
+        this.board = new Board(width, height, hiddenRows);
+        this.search = new MoveSearch({
+            width,
+            height,
+            hiddenRows,
+            rules: options.rules,
+            allow180: this.config.allow180,
+            preferSpins: false
+        });
+    }
+
+    /**
+     * Search with the rules of a game
+     */
+    applyRules(rules) {
+        this.search.applyRules(rules);
+    }
+
+    /**
+     * Solve a setup
+     * @returns {Array<Object>|null} Steps { type, hold, rotation, x, y, blocks, path, lines }, or null
+     */
+    solve(setup) {
+        const { width } = this.board;
+        const grid = new Uint8Array(this.board.grid.length);
+        parseBoardRows(setup.rows, width).forEach((row, y) => grid.set(row, y * width));
+
+        this.nodes = 0;
+        this.failed = new Set();
+
+        return this.solveFrom(grid, setup.lines, setup.queue, setup.hold || null);
+    }
+
+    /**
+     * Solve the rest of a drill from one board
+     */
+    solveFrom(grid, height, queue, hold) {
+        if (height === 0) return [];
+        if (++this.nodes > this.config.maxNodes || !this.canStillClear(grid, height, queue.length + (hold ? 1 : 0))) {
+            return null;
+        }
+
+        const key = `${height}|${queue.join('')}|${hold}|${grid.subarray(0, height * this.board.width).join('')}`;
+        if (this.failed.has(key)) return null;
+
+        for (const choice of this.getChoices(queue, hold)) {
+            for (const placement of this.getPlacements(grid, height, choice.type)) {
+                const rest = this.solveFrom(placement.grid, height - placement.lines, choice.queue, choice.hold);
+                if (rest) {
+                    return [this.createStep(placement, choice.usesHold), ...rest];
+                }
+            }
+        }
+
+        this.failed.add(key);
+        return null;
+    }
+
+    /**
+     * Pieces that can be played next, with the queue and hold they leave
+     */
+    getChoices(queue, hold) {
+        const choices = [];
+        if (queue.length > 0) {
+            choices.push({ type: queue[0], queue: queue.slice(1), hold, usesHold: false });
+        }
+
+        if (hold && queue.length > 0 && hold !== queue[0]) {
+            choices.push({ type: hold, queue: queue.slice(1), hold: queue[0], usesHold: true });
+        } else if (hold && queue.length === 0) {
+            choices.push({ type: hold, queue, hold: null, usesHold: true });
+        } else if (!hold && queue.length > 1 && queue[0] !== queue[1]) {
+            choices.push({ type: queue[1], queue: queue.slice(2), hold: queue[0], usesHold: true });
+        }
+
+        return choices;
+    }
+
+    /**
+     * Placements of a piece that keep every block below the clear height
+     */
+    getPlacements(grid, height, type) {
+        const { search } = this;
+        this.board.grid.set(grid);
+
+        const piece = new Piece(type, {
+            initialRotation: search.rotationSystem.getSpawnRotation(type),
+            spawnX: search.rules.spawnPosition.x,
+            spawnY: search.rules.spawnPosition.y
+        });
+
+        // Line clears first: they lower the height left to clear
+        return search.search(this.board, piece)
+            .filter(placement => placement.blocks.every(block => block.y < height))
+            .sort((a, b) => b.lines - a.lines);
+    }
+
+    /**
+     * Check that the empty cells can still be filled by the pieces left
+     * Every enclosed pocket below the clear height must hold whole pieces
+     */
+    canStillClear(grid, height, pieces) {
+        const { width } = this.board;
+        const size = height * width;
+        const seen = new Uint8Array(size);
+        let empty = 0;
+
+        for (let start = 0; start < size; start++) {
+            if (seen[start] || grid[start] !== CELL_STATES.EMPTY) continue;
+
+            let region = 0;
+            const stack = [start];
+            seen[start] = 1;
+
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                const x = cell % width;
+                region++;
+
+                [cell - width, cell + width, x > 0 ? cell - 1 : -1, x < width - 1 ? cell + 1 : -1].forEach(next => {
+                    if (next < 0 || next >= size || seen[next] || grid[next] !== CELL_STATES.EMPTY) return;
+                    seen[next] = 1;
+                    stack.push(next);
+                });
+            }
+
+            if (region % 4 !== 0) return false;
+            empty += region;
+        }
+
+        return empty / 4 <= pieces;
+    }
+
+    createStep(placement, usesHold) {
+        const { type, rotation, x, y, blocks, path, lines } = placement;
+
+        return {
+            type,
+            hold: usesHold,
+            rotation,
+            x,
+            y,
+            blocks,
+            path: usesHold ? ['hold', ...path] : path,
+            lines
+        };
+    }
+}
+
+/**
+ * Perfect clear drill driving one engine
+ */
+export class PerfectClearPractice {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.stats = options.stats || defaultPracticeStats;
+
+        const { width, height, hiddenRows } = engine.board;
+        this.solver = new PerfectClearSolver({ width, height, hiddenRows, rules: engine.rules, ...options.solver });
+        this.solutions = new Map();
+
+        this.setup = null;
+        this.attempt = null;
+        this.viewer = null;
+
+        // Event system
+        this.eventListeners = new Map();
+
+        this.engineListeners = {
+            pieceLocked: () => this.handleLock(),
+            linesClear: ({ detail }) => this.handleLineClear(detail),
+            linesClearComplete: () => this.checkProgress(),
+            perfectClear: () => this.handlePerfectClear(),
+            gameOver: () => this.finishAttempt(false),
+            rulesChanged: ({ rules }) => {
+                this.solver.applyRules(rules);
+                this.solutions.clear();
+            }
+        };
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            engine.addEventListener(event, callback);
+        });
+    }
+
+    /**
+     * Load a setup onto the engine and start an attempt
+     */
+    start(setupId) {
+        const setup = getPerfectClearSetup(setupId);
+
+        this.loadSetup(setup);
+        this.engine.isPaused = false;
+
+        this.attempt = {
+            height: setup.lines,
+            pieces: setup.queue.length + (setup.hold ? 1 : 0),
+            placed: 0,
+            perfectClear: false,
+            result: null
+        };
+
+        this.emit('attemptStarted', { setup });
+    }
+
+    /**
+     * Put the board, piece order and hold of a setup on the engine
+     */
+    loadSetup(setup) {
+        const { engine } = this;
+
+        engine.resetGame();
+        engine.loadPosition({
+            rows: parseBoardRows(setup.rows, engine.board.width),
+            queue: setup.queue,
+            hold: setup.hold || null
+        });
+
+        this.setup = setup;
+        this.attempt = null;
+        this.viewer = null;
+    }
+
+    /**
+     * Start the current setup over
+     */
+    retry() {
+        if (this.setup) {
+            this.start(this.setup.id);
+        }
+    }
+
+    /**
+     * Lower the height left to clear
+     */
+    handleLineClear({ lineCount }) {
+        if (!this.isActive()) return;
+
+        this.attempt.height -= lineCount;
+    }
+
+    /**
+     * Note a perfect clear; the attempt ends once its piece is reported locked
+     */
+    handlePerfectClear() {
+        if (!this.isActive()) return;
+
+        this.attempt.perfectClear = true;
+    }
+
+    /**
+     * Count a locked piece
+     */
+    handleLock() {
+        if (!this.isActive()) return;
+
+        this.attempt.placed++;
+        this.emit('piecePlaced', { placed: this.attempt.placed, pieces: this.attempt.pieces });
+
+        if (this.attempt.perfectClear) {
+            this.finishAttempt(true);
+            return;
+        }
+
+        // Cleared rows are still on the board until the animation ends
+        if (this.engine.gameState.get('status') !== 'lineClearing') {
+            this.checkProgress();
+        }
+    }
+
+    /**
+     * Fail the attempt once a perfect clear is out of reach
+     */
+    checkProgress() {
+        if (!this.isActive()) return;
+
+        const { board } = this.engine;
+        const { attempt } = this;
+
+        let filled = 0;
+        for (let y = 0; y < attempt.height; y++) {
+            filled += board.getRow(y).filter(cell => cell !== CELL_STATES.EMPTY).length;
+        }
+        const needed = (attempt.height * board.width - filled) / 4;
+
+        // Blocks at or above the clear height can no longer be cleared
+        if (board.getCurrentHeight() > attempt.height || needed > attempt.pieces - attempt.placed) {
+            this.finishAttempt(false);
+        }
+    }
+
+    /**
+     * End the attempt and record it
+     */
+    finishAttempt(success) {
+        if (!this.isActive()) return;
+
+        this.attempt.result = success ? 'success' : 'failed';
+        this.engine.isPaused = true;
+
+        const stats = this.stats.recordAttempt(PERFECT_CLEAR_DRILL, this.setup.id, success);
+        this.emit('attemptComplete', {
+            setup: this.setup,
+            success,
+            placed: this.attempt.placed,
+            stats
+        });
+    }
+
+    /**
+     * Check if an attempt is in progress
+     */
+    isActive() {
+        return Boolean(this.attempt && this.attempt.result === null);
+    }
+
+    /**
+     * Solver steps of a setup, computed once per setup
+     * @returns {Array<Object>|null} Steps, or null if the solver found no solution
+     */
+    getSolution(setupId = this.setup && this.setup.id) {
+        if (!this.solutions.has(setupId)) {
+            this.solutions.set(setupId, this.solver.solve(getPerfectClearSetup(setupId)));
+        }
+        return this.solutions.get(setupId);
+    }
+
+    /**
+     * Pieces of the setup still waiting in the queue
+     */
+    getQueue() {
+        if (!this.isActive()) return [];
+
+        const held = this.engine.getHeldPiece() ? 1 : 0;
+        const waiting = this.attempt.pieces - this.attempt.placed - 1 - held;
+
+        return this.engine.getNextPieces().slice(0, Math.max(0, waiting));
+    }
+
+    /**
+     * Open the solution viewer on the first step of a setup; viewing is not an attempt
+     * @returns {Array<Object>|null} Solution steps, or null if the solver found none
+     */
+    openSolution(setupId = this.setup && this.setup.id) {
+        const steps = this.getSolution(setupId);
+
+        this.loadSetup(getPerfectClearSetup(setupId));
+        this.engine.isPaused = true;
+
+        if (steps) {
+            this.viewer = { steps, index: 0 };
+            this.emit('solutionStep', { step: steps[0], index: 0, total: steps.length });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Show the board before one step of the solution
+     */
+    showSolutionStep(index) {
+        if (!this.viewer) return;
+
+        const { steps } = this.viewer;
+        const target = Math.max(0, Math.min(index, steps.length));
+
+        // Steps are replayed from the setup so earlier line clears are undone too
+        this.loadSetup(this.setup);
+        this.viewer = { steps, index: target };
+        steps.slice(0, target).forEach(step => this.playStep(step));
+
+        this.emit('solutionStep', { step: steps[target] || null, index: target, total: steps.length });
+    }
+
+    /**
+     * Play the inputs of one solution step on the engine and let its line clear finish
+     */
+    playStep(step) {
+        const { engine } = this;
+        engine.isPaused = false;
+
+        step.path.forEach(action => {
+            engine.addInput(action);
+            engine.step(1);
+        });
+
+        for (let frame = 0; frame < SOLUTION_SETTLE_FRAMES && engine.gameState.get('status') === 'lineClearing'; frame++) {
+            engine.step(1);
+        }
+
+        engine.isPaused = true;
+    }
+
+    /**
+     * Solution step shown by the viewer, or null
+     */
+    getSolutionStep() {
+        return this.viewer ? this.viewer.steps[this.viewer.index] || null : null;
+    }
+
+    closeSolution() {
+        this.viewer = null;
+    }
+
+    /**
+     * Attempts, successes and success rate of a setup
+     */
+    getSetupStats(setupId) {
+        return {
+            ...this.stats.getSetup(PERFECT_CLEAR_DRILL, setupId),
+            successRate: this.stats.getSuccessRate(PERFECT_CLEAR_DRILL, setupId)
+        };
+    }
+
+    /**
+     * Event system methods
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data = {}) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Detach from the engine
+     */
+    destroy() {
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            this.engine.removeEventListener(event, callback);
+        });
+        this.eventListeners.clear();
+    }
+}
@@ -8,6 +8,7 @@
  * - Matrix caching for performance
  * - Ghost piece functionality
  * - Movement history tracking
+ * - Lock delay reset tracking
  * - SRS compatibility
  */
 
@@ -19,6 +20,7 @@ import {
     getMatrixBlocks,
     DEFAULT_TETROMINO_CONFIG
 } from './Tetromino.js';
+import { wallClock } from './Clock.js';
 
 /**
  * Piece class representing a tetromino with position, rotation, and state
@@ -36,6 +38,9 @@ export class Piece {
             ...config
         };
 
+        // Time source for the timing fields; engines pass their own clock
+        this.clock = this.config.clock || wallClock;
+
         // Core properties
         this.type = type;
         this.rotation = this.config.initialRotation;
@@ -58,6 +63,8 @@ export class Piece {
         this.isLocked = false;
         this.isGhost = false;
         this.lockDelay = 0;
+        this.lockResets = 0;
+        this.lowestY = this.position.y;
         this.moveCount = 0;
         this.rotationCount = 0;
 
@@ -71,7 +78,7 @@ export class Piece {
         this.opacity = 1.0;
 
         // Timing
-        this.createdAt = performance.now();
+        this.createdAt = this.clock.now();
         this.lastMoveTime = 0;
         this.lockTime = null;
 
@@ -198,7 +205,7 @@ export class Piece {
      */
     recordMove(type, data) {
         this.lastMoveType = type;
-        this.lastMoveTime = performance.now();
+        this.lastMoveTime = this.clock.now();
         this.moveCount++;
 
         this.moveHistory.unshift({
@@ -304,14 +311,32 @@ export class Piece {
      * Check if the piece has been active for too long (infinite spin prevention)
      */
     isSpinningTooLong(maxSpinTime = 30000) { // 30 seconds
-        return (performance.now() - this.createdAt) > maxSpinTime;
+        return (this.clock.now() - this.createdAt) > maxSpinTime;
+    }
+
+    /**
+     * Check if the piece has used up its lock delay resets
+     */
+    shouldAutoLock(maxResets = this.config.maxLockResets) {
+        return maxResets !== null && this.lockResets >= maxResets;
     }
 
     /**
-     * Check if the piece should auto-lock based on move count
+     * Count a lock delay reset (mutating method)
      */
-    shouldAutoLock(maxMoves = 15) {
-        return this.moveCount >= maxMoves;
+    recordLockReset() {
+        this.lockResets++;
+        return this;
+    }
+
+    /**
+     * Track the lowest row reached; returns true for a new lowest row (mutating method)
+     */
+    updateLowestY() {
+        if (this.position.y >= this.lowestY) return false;
+
+        this.lowestY = this.position.y;
+        return true;
     }
 
     /**
@@ -320,7 +345,7 @@ export class Piece {
     lock() {
         this.isLocked = true;
         this.isActive = false;
-        this.lockTime = performance.now();
+        this.lockTime = this.clock.now();
         return this;
     }
 
@@ -337,6 +362,8 @@ export class Piece {
         cloned.isLocked = this.isLocked;
         cloned.isGhost = this.isGhost;
         cloned.lockDelay = this.lockDelay;
+        cloned.lockResets = this.lockResets;
+        cloned.lowestY = this.lowestY;
         cloned.moveCount = this.moveCount;
         cloned.rotationCount = this.rotationCount;
 
@@ -371,6 +398,8 @@ export class Piece {
             isLocked: this.isLocked,
             isGhost: this.isGhost,
             lockDelay: this.lockDelay,
+            lockResets: this.lockResets,
+            lowestY: this.lowestY,
             moveCount: this.moveCount,
             rotationCount: this.rotationCount,
             glowIntensity: this.glowIntensity,
@@ -394,6 +423,8 @@ export class Piece {
         piece.isLocked = data.isLocked;
         piece.isGhost = data.isGhost;
         piece.lockDelay = data.lockDelay;
+        piece.lockResets = data.lockResets || 0;
+        piece.lowestY = data.lowestY ?? data.position.y;
         piece.moveCount = data.moveCount;
         piece.rotationCount = data.rotationCount;
         piece.glowIntensity = data.glowIntensity;
@@ -425,7 +456,7 @@ export class Piece {
             isActive: this.isActive,
             isLocked: this.isLocked,
             isGhost: this.isGhost,
-            age: performance.now() - this.createdAt
+            age: this.clock.now() - this.createdAt
         };
     }
 
@@ -458,12 +489,12 @@ export class Piece {
      */
     getStatistics() {
         return {
-            age: performance.now() - this.createdAt,
+            age: this.clock.now() - this.createdAt,
             moveCount: this.moveCount,
             rotationCount: this.rotationCount,
-            movesPerSecond: this.moveCount / ((performance.now() - this.createdAt) / 1000),
+            movesPerSecond: this.moveCount / ((this.clock.now() - this.createdAt) / 1000),
             lastMoveType: this.lastMoveType,
-            timeSinceLastMove: performance.now() - this.lastMoveTime
+            timeSinceLastMove: this.clock.now() - this.lastMoveTime
         };
     }
 
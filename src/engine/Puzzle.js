@@ -0,0 +1,468 @@
+/**
+ * NeonTetris-MLRSA Puzzles
+ * Hand-built boards with a fixed piece order and a goal to reach
+ *
+ * Features:
+ * - Clear-N-lines, T-spin double and perfect clear goals
+ * - Validation of puzzle boards, piece orders and goals
+ * - Fumen (v115) share strings with the piece order and goal in the page comment
+ * - Puzzle runs on a GameEngine that end on the goal or when the pieces run out
+ */
+
+import { parseBoardRows } from './Board.js';
+
+/**
+ * Puzzle goals
+ */
+export const PUZZLE_GOALS = {
+    LINES: 'lines',
+    TSPIN_DOUBLE: 'tspinDouble',
+    PERFECT_CLEAR: 'perfectClear'
+};
+
+/**
+ * Cell colors a puzzle board can be painted with ('G' is garbage)
+ */
+export const PUZZLE_CELLS = ['I', 'O', 'T', 'S', 'Z', 'J', 'L', 'G'];
+
+export const PUZZLE_PIECES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+
+/**
+ * Puzzle limits
+ * - height: rows of the board a puzzle can fill
+ * - maxLines: largest clear-N-lines goal
+ * - maxPieces: longest piece order
+ */
+export const PUZZLE_LIMITS = {
+    width: 10,
+    height: 20,
+    maxLines: 20,
+    maxPieces: 30
+};
+
+// Fumen v115 encoding tables
+const FUMEN_VERSION = 'v115@';
+const FUMEN_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const FUMEN_PIECES = { I: 1, L: 2, O: 3, Z: 4, T: 5, J: 6, S: 7, G: 8 };
+const FUMEN_FIELD_ROWS = 24;  // 23 rows above the floor and the garbage row below it
+const FUMEN_FIELD_CELLS = FUMEN_FIELD_ROWS * PUZZLE_LIMITS.width;
+const FUMEN_COMMENT_BASE = 96; // Printable ASCII plus one
+const FUMEN_EMPTY_RUN = 8 * FUMEN_FIELD_CELLS + FUMEN_FIELD_CELLS - 1;
+
+const GOAL_TOKENS = {
+    [PUZZLE_GOALS.TSPIN_DOUBLE]: 'tsd',
+    [PUZZLE_GOALS.PERFECT_CLEAR]: 'pc'
+};
+
+/**
+ * Normalized copy of a puzzle
+ * @param {Object} data - { name, rows (top-down strings), queue, hold, goal: { type, lines } }
+ */
+export function createPuzzle(data = {}) {
+    const goal = { type: PUZZLE_GOALS.LINES, lines: 1, ...data.goal };
+    if (goal.type !== PUZZLE_GOALS.LINES) {
+        delete goal.lines;
+    }
+
+    return {
+        id: data.id || null,
+        name: data.name || 'Untitled Puzzle',
+        rows: trimRows(data.rows || []),
+        queue: [...(data.queue || [])],
+        hold: data.hold || null,
+        goal
+    };
+}
+
+/**
+ * Validate a puzzle
+ * @returns {Object} { valid, errors }
+ */
+export function validatePuzzle(puzzle) {
+    const errors = [];
+    const { width, height, maxLines, maxPieces } = PUZZLE_LIMITS;
+
+    if (!Array.isArray(puzzle.rows) || puzzle.rows.length > height) {
+        errors.push(`Board must have at most ${height} rows`);
+    } else if (puzzle.rows.some(row => typeof row !== 'string' || row.length !== width || /[^.IOTSZJLG]/.test(row))) {
+        errors.push(`Board rows must be ${width} cells of . I O T S Z J L G`);
+    } else if (puzzle.rows.some(row => !row.includes('.'))) {
+        errors.push('Board rows must not be full');
+    }
+
+    if (!Array.isArray(puzzle.queue) || puzzle.queue.some(piece => !PUZZLE_PIECES.includes(piece))) {
+        errors.push('Queue must only contain I O T S Z J L');
+    } else if (puzzle.queue.length === 0 || puzzle.queue.length > maxPieces) {
+        errors.push(`Queue must have 1 to ${maxPieces} pieces`);
+    }
+
+    if (puzzle.hold !== null && !PUZZLE_PIECES.includes(puzzle.hold)) {
+        errors.push('Hold must be a piece or empty');
+    }
+
+    const goal = puzzle.goal || {};
+    if (!Object.values(PUZZLE_GOALS).includes(goal.type)) {
+        errors.push(`Unknown goal: ${goal.type}`);
+    } else if (goal.type === PUZZLE_GOALS.LINES && (!Number.isInteger(goal.lines) || goal.lines < 1 || goal.lines > maxLines)) {
+        errors.push(`Line goal must be between 1 and ${maxLines}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Short description of a goal
+ */
+export function describeGoal(goal) {
+    switch (goal.type) {
+        case PUZZLE_GOALS.TSPIN_DOUBLE:
+            return 'T-Spin Double';
+        case PUZZLE_GOALS.PERFECT_CLEAR:
+            return 'Perfect Clear';
+        default:
+            return `Clear ${goal.lines} ${goal.lines === 1 ? 'line' : 'lines'}`;
+    }
+}
+
+/**
+ * Drop the empty rows above the highest block
+ */
+function trimRows(rows) {
+    const first = rows.findIndex(row => /[^.]/.test(row));
+    return first === -1 ? [] : rows.slice(first);
+}
+
+/**
+ * Encode a puzzle as a one-page Fumen string
+ * The board is the page field; the piece order and goal go in the comment as "#Q=[hold](current)next goal=..."
+ */
+export function encodePuzzle(puzzle) {
+    const { width } = PUZZLE_LIMITS;
+    const digits = [];
+    const push = (value, count) => {
+        for (let i = 0; i < count; i++) {
+            digits.push(value % 64);
+            value = Math.floor(value / 64);
+        }
+    };
+
+    // Field cells run top-down from 22 rows above the floor to the garbage row
+    const bottomUp = [...puzzle.rows].reverse();
+    const cells = [];
+    for (let index = 0; index < FUMEN_FIELD_ROWS; index++) {
+        const row = bottomUp[FUMEN_FIELD_ROWS - 2 - index] || '';
+        for (let x = 0; x < width; x++) {
+            cells.push(FUMEN_PIECES[row[x]] || 0);
+        }
+    }
+
+    // Runs of equal cells, stored as the change from the empty field
+    let start = 0;
+    for (let index = 1; index <= cells.length; index++) {
+        if (index === cells.length || cells[index] !== cells[start]) {
+            push((cells[start] + 8) * FUMEN_FIELD_CELLS + index - start - 1, 2);
+            start = index;
+        }
+    }
+    if (cells.every(cell => cell === 0)) {
+        push(0, 1); // No repeated empty pages follow
+    }
+
+    // No piece on the page; flags from the high bit: not locked, comment, colorize, mirror, rise
+    const flags = [0, 1, 1, 0, 0].reduce((value, bit) => value * 2 + bit, 0);
+    push(flags * FUMEN_FIELD_CELLS * 4 * 8, 3);
+
+    const comment = escape(getPuzzleComment(puzzle)).slice(0, 4095);
+    push(comment.length, 2);
+    for (let index = 0; index < comment.length; index += 4) {
+        let value = 0;
+        for (let count = 0; count < 4 && index + count < comment.length; count++) {
+            value += (comment.charCodeAt(index + count) - 32) * FUMEN_COMMENT_BASE ** count;
+        }
+        push(value, 5);
+    }
+
+    const data = digits.map(digit => FUMEN_DIGITS[digit]).join('');
+
+    // Fumen breaks long strings with '?' after 42 and then every 47 characters
+    const chunks = [data.slice(0, 42)];
+    for (let index = 42; index < data.length; index += 47) {
+        chunks.push(data.slice(index, index + 47));
+    }
+
+    return FUMEN_VERSION + chunks.join('?');
+}
+
+/**
+ * Decode the first page of a Fumen string or URL into a puzzle
+ * Pages without a "#Q=" comment get an empty queue
+ */
+export function decodePuzzle(text) {
+    const start = typeof text === 'string' ? text.indexOf(FUMEN_VERSION) : -1;
+    if (start === -1) {
+        throw new Error('Invalid puzzle string: expected v115@ data');
+    }
+
+    const data = text.slice(start + FUMEN_VERSION.length).replace(/[?\s]/g, '');
+    let position = 0;
+    const read = count => {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const digit = FUMEN_DIGITS.indexOf(data[position++]);
+            if (digit === -1) {
+                throw new Error('Invalid puzzle string: truncated data');
+            }
+            value += digit * 64 ** i;
+        }
+        return value;
+    };
+
+    const cells = [];
+    while (cells.length < FUMEN_FIELD_CELLS) {
+        const value = read(2);
+        const cell = Math.floor(value / FUMEN_FIELD_CELLS) - 8;
+        if (cell < 0) {
+            throw new Error('Invalid puzzle string: bad field');
+        }
+
+        for (let i = 0; i <= value % FUMEN_FIELD_CELLS; i++) {
+            cells.push(cell);
+        }
+        if (value === FUMEN_EMPTY_RUN) {
+            read(1);
+        }
+    }
+
+    const action = Math.floor(read(3) / (4 * 8 * FUMEN_FIELD_CELLS));
+    const hasComment = Math.floor(action / 8) % 2 === 1;
+
+    let comment = '';
+    if (hasComment) {
+        const length = read(2);
+        for (let index = 0; index < length; index += 4) {
+            let value = read(5);
+            for (let count = 0; count < 4 && index + count < length; count++) {
+                comment += String.fromCharCode((value % FUMEN_COMMENT_BASE) + 32);
+                value = Math.floor(value / FUMEN_COMMENT_BASE);
+            }
+        }
+        comment = unescape(comment);
+    }
+
+    // Field rows top-down, skipping the garbage row
+    const colors = Object.fromEntries(Object.entries(FUMEN_PIECES).map(([piece, value]) => [value, piece]));
+    const rows = [];
+    for (let index = 0; index < FUMEN_FIELD_ROWS - 1; index++) {
+        const row = cells.slice(index * PUZZLE_LIMITS.width, (index + 1) * PUZZLE_LIMITS.width);
+        rows.push(row.map(cell => colors[cell] || '.').join(''));
+    }
+
+    return createPuzzle({ name: 'Imported Puzzle', rows, ...parsePuzzleComment(comment) });
+}
+
+function getPuzzleComment({ queue, hold, goal }) {
+    const token = goal.type === PUZZLE_GOALS.LINES ? `lines:${goal.lines}` : GOAL_TOKENS[goal.type];
+    return `#Q=[${hold || ''}](${queue[0] || ''})${queue.slice(1).join('')} goal=${token}`;
+}
+
+function parsePuzzleComment(comment) {
+    const result = {};
+
+    const queue = comment.match(/#Q=\[([IOTSZJL]?)\]\(([IOTSZJL]?)\)([IOTSZJL]*)/);
+    if (queue) {
+        result.hold = queue[1] || null;
+        result.queue = [...queue[2], ...queue[3]];
+    }
+
+    const goal = comment.match(/goal=(tsd|pc|lines:(\d+))/);
+    if (goal) {
+        if (goal[2]) {
+            result.goal = { type: PUZZLE_GOALS.LINES, lines: Number(goal[2]) };
+        } else {
+            result.goal = { type: goal[1] === 'tsd' ? PUZZLE_GOALS.TSPIN_DOUBLE : PUZZLE_GOALS.PERFECT_CLEAR };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Puzzle run driving one engine
+ */
+export class PuzzleGame {
+    constructor(engine) {
+        this.engine = engine;
+        this.puzzle = null;
+        this.run = null;
+
+        // Event system
+        this.eventListeners = new Map();
+
+        this.engineListeners = {
+            linesClear: ({ detail }) => this.handleLineClear(detail),
+            pieceLocked: () => this.handleLock(),
+            gameOver: () => this.finish(false)
+        };
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            engine.addEventListener(event, callback);
+        });
+    }
+
+    /**
+     * Load a puzzle onto the engine and start a run
+     */
+    start(data) {
+        const puzzle = createPuzzle(data);
+        const { valid, errors } = validatePuzzle(puzzle);
+        if (!valid) {
+            throw new Error(`Invalid puzzle: ${errors.join(', ')}`);
+        }
+
+        const { engine } = this;
+        engine.resetGame();
+        engine.loadPosition({
+            rows: parseBoardRows(puzzle.rows, engine.board.width),
+            queue: puzzle.queue,
+            hold: puzzle.hold
+        });
+        engine.isPaused = false;
+
+        this.puzzle = puzzle;
+        this.run = {
+            pieces: puzzle.queue.length + (puzzle.hold ? 1 : 0),
+            placed: 0,
+            lines: 0,
+            goalMet: false,
+            result: null
+        };
+
+        this.emit('puzzleStarted', { puzzle });
+    }
+
+    /**
+     * Start the current puzzle over
+     */
+    retry() {
+        if (this.puzzle) {
+            this.start(this.puzzle);
+        }
+    }
+
+    /**
+     * Check a line clear against the goal
+     */
+    handleLineClear({ lineCount, spin, isPerfectClear }) {
+        if (!this.isActive()) return;
+
+        const { run } = this;
+        const { goal } = this.puzzle;
+        run.lines += lineCount;
+
+        switch (goal.type) {
+            case PUZZLE_GOALS.LINES:
+                run.goalMet = run.lines >= goal.lines;
+                break;
+            case PUZZLE_GOALS.TSPIN_DOUBLE:
+                run.goalMet = run.goalMet || (lineCount === 2 && spin && spin.piece === 'T' && spin.type === 'full');
+                break;
+            case PUZZLE_GOALS.PERFECT_CLEAR:
+                run.goalMet = run.goalMet || isPerfectClear;
+                break;
+        }
+    }
+
+    /**
+     * Count a locked piece and end the run on the goal or the last piece
+     */
+    handleLock() {
+        if (!this.isActive()) return;
+
+        const { run } = this;
+        run.placed++;
+        this.emit('piecePlaced', { placed: run.placed, pieces: run.pieces, lines: run.lines });
+
+        if (run.goalMet) {
+            this.finish(true);
+        } else if (run.placed >= run.pieces) {
+            this.finish(false);
+        }
+    }
+
+    /**
+     * End the run
+     */
+    finish(solved) {
+        if (!this.isActive()) return;
+
+        this.run.result = solved ? 'solved' : 'failed';
+        this.engine.isPaused = true;
+
+        this.emit('puzzleComplete', {
+            puzzle: this.puzzle,
+            solved,
+            placed: this.run.placed,
+            lines: this.run.lines
+        });
+    }
+
+    /**
+     * Check if a run is in progress
+     */
+    isActive() {
+        return Boolean(this.run && this.run.result === null);
+    }
+
+    /**
+     * Pieces of the puzzle still waiting in the queue
+     */
+    getQueue() {
+        if (!this.isActive()) return [];
+
+        const held = this.engine.getHeldPiece() ? 1 : 0;
+        const waiting = this.run.pieces - this.run.placed - 1 - held;
+
+        return this.engine.getNextPieces().slice(0, Math.max(0, waiting));
+    }
+
+    /**
+     * Event system methods
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data = {}) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Detach from the engine
+     */
+    destroy() {
+        Object.entries(this.engineListeners).forEach(([event, callback]) => {
+            this.engine.removeEventListener(event, callback);
+        });
+        this.eventListeners.clear();
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * NeonTetris-MLRSA Randomizer System
+ * Seedable pseudo-random number generation and piece sequence generators
+ *
+ * Features:
+ * - Deterministic seeded PRNG (mulberry32) with save/restore of state
+ * - Pluggable piece generators sharing a common interface
+ * - 7-bag and 14-bag guideline randomizers
+ * - Classic NES memoryless randomizer with single reroll
+ * - TGM history-4 randomizer with rerolls
+ * - Pure random generator for chaos modes
+ */
+
+import { TETROMINO_TYPES } from './Tetromino.js';
+
+/**
+ * Available piece generator types
+ */
+export const RANDOMIZER_TYPES = {
+    BAG_7: '7-bag',
+    BAG_14: '14-bag',
+    CLASSIC: 'classic',
+    TGM: 'tgm',
+    RANDOM: 'random'
+};
+
+/**
+ * Generate a fresh 32-bit seed
+ * This is the only place where non-deterministic randomness enters the engine
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+    return (Math.floor(Math.random() * 0x100000000) ^ Date.now()) >>> 0;
+}
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ */
+export class SeededRandom {
+    constructor(seed = generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to a new seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Get the next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle returning a new array
+     */
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Get the internal state for save/restore
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    /**
+     * Restore a previously saved internal state
+     */
+    setState(data) {
+        this.seed = data.seed >>> 0;
+        this.state = data.state >>> 0;
+    }
+}
+
+/**
+ * Base class for piece generators
+ * Subclasses implement generate() and may keep extra state in serialize()/deserialize()
+ */
+export class PieceGenerator {
+    constructor(rng, pieceTypes = TETROMINO_TYPES) {
+        this.rng = rng;
+        this.pieceTypes = [...pieceTypes];
+        this.type = null;
+    }
+
+    /**
+     * Get the next piece type in the sequence
+     */
+    next() {
+        return this.generate();
+    }
+
+    /**
+     * Generate the next piece type (override in subclasses)
+     */
+    generate() {
+        throw new Error(`${this.constructor.name} must implement generate()`);
+    }
+
+    /**
+     * Reset generator state for a new game
+     */
+    reset() {
+        // Stateless by default
+    }
+
+    /**
+     * Serialize generator state
+     */
+    serialize() {
+        return { type: this.type };
+    }
+
+    /**
+     * Restore generator state
+     */
+    deserialize(data) {
+        // Stateless by default
+    }
+}
+
+/**
+ * Bag randomizer - deals every piece type a fixed number of times per bag
+ */
+export class BagGenerator extends PieceGenerator {
+    constructor(rng, copies = 1, pieceTypes = TETROMINO_TYPES) {
+        super(rng, pieceTypes);
+        this.copies = copies;
+        this.type = copies === 2 ? RANDOMIZER_TYPES.BAG_14 : RANDOMIZER_TYPES.BAG_7;
+        this.bag = [];
+    }
+
+    generate() {
+        if (this.bag.length === 0) {
+            this.refillBag();
+        }
+        return this.bag.shift();
+    }
+
+    /**
+     * Fill the bag with a freshly shuffled set of pieces
+     */
+    refillBag() {
+        const contents = [];
+        for (let i = 0; i < this.copies; i++) {
+            contents.push(...this.pieceTypes);
+        }
+        this.bag = this.rng.shuffle(contents);
+    }
+
+    /**
+     * Get the pieces remaining in the current bag
+     */
+    getRemaining() {
+        return [...this.bag];
+    }
+
+    reset() {
+        this.bag = [];
+    }
+
+    serialize() {
+        return {
+            type: this.type,
+            bag: [...this.bag]
+        };
+    }
+
+    deserialize(data) {
+        this.bag = data.bag ? [...data.bag] : [];
+    }
+}
+
+/**
+ * Classic NES randomizer - memoryless roll with a single reroll on repeats
+ */
+export class ClassicGenerator extends PieceGenerator {
+    constructor(rng, pieceTypes = TETROMINO_TYPES) {
+        super(rng, pieceTypes);
+        this.type = RANDOMIZER_TYPES.CLASSIC;
+        this.lastPiece = null;
+    }
+
+    generate() {
+        // Roll an 8-sided die; the eighth face or a repeat forces a reroll
+        const roll = this.rng.nextInt(this.pieceTypes.length + 1);
+        let piece = this.pieceTypes[roll];
+
+        if (roll === this.pieceTypes.length || piece === this.lastPiece) {
+            piece = this.rng.pick(this.pieceTypes);
+        }
+
+        this.lastPiece = piece;
+        return piece;
+    }
+
+    reset() {
+        this.lastPiece = null;
+    }
+
+    serialize() {
+        return {
+            type: this.type,
+            lastPiece: this.lastPiece
+        };
+    }
+
+    deserialize(data) {
+        this.lastPiece = data.lastPiece || null;
+    }
+}
+
+/**
+ * TGM history randomizer - rerolls pieces found in the recent history
+ */
+export class HistoryGenerator extends PieceGenerator {
+    constructor(rng, options = {}, pieceTypes = TETROMINO_TYPES) {
+        super(rng, pieceTypes);
+        this.type = RANDOMIZER_TYPES.TGM;
+        this.historySize = options.historySize || 4;
+        this.rolls = options.rolls || 6;
+        this.initialHistory = options.initialHistory || ['Z', 'S', 'S', 'Z'];
+        this.firstPieces = options.firstPieces || ['I', 'J', 'L', 'T'];
+
+        this.history = [];
+        this.isFirstPiece = true;
+        this.reset();
+    }
+
+    generate() {
+        let piece;
+
+        if (this.isFirstPiece) {
+            // Never start with an S, Z or O piece
+            piece = this.rng.pick(this.firstPieces);
+            this.isFirstPiece = false;
+        } else {
+            for (let i = 0; i < this.rolls; i++) {
+                piece = this.rng.pick(this.pieceTypes);
+                if (!this.history.includes(piece)) {
+                    break;
+                }
+            }
+        }
+
+        this.history.shift();
+        this.history.push(piece);
+        return piece;
+    }
+
+    reset() {
+        this.history = this.initialHistory.slice(0, this.historySize);
+        this.isFirstPiece = true;
+    }
+
+    serialize() {
+        return {
+            type: this.type,
+            history: [...this.history],
+            isFirstPiece: this.isFirstPiece
+        };
+    }
+
+    deserialize(data) {
+        if (data.history) {
+            this.history = [...data.history];
+        }
+        this.isFirstPiece = data.isFirstPiece === true;
+    }
+}
+
+/**
+ * Pure random generator - every piece is an independent uniform roll
+ */
+export class RandomGenerator extends PieceGenerator {
+    constructor(rng, pieceTypes = TETROMINO_TYPES) {
+        super(rng, pieceTypes);
+        this.type = RANDOMIZER_TYPES.RANDOM;
+    }
+
+    generate() {
+        return this.rng.pick(this.pieceTypes);
+    }
+}
+
+/**
+ * Registry of generator factories keyed by randomizer type
+ */
+const GENERATOR_FACTORIES = new Map([
+    [RANDOMIZER_TYPES.BAG_7, (rng, options) => new BagGenerator(rng, 1, options.pieceTypes)],
+    [RANDOMIZER_TYPES.BAG_14, (rng, options) => new BagGenerator(rng, 2, options.pieceTypes)],
+    [RANDOMIZER_TYPES.CLASSIC, (rng, options) => new ClassicGenerator(rng, options.pieceTypes)],
+    [RANDOMIZER_TYPES.TGM, (rng, options) => new HistoryGenerator(rng, options, options.pieceTypes)],
+    [RANDOMIZER_TYPES.RANDOM, (rng, options) => new RandomGenerator(rng, options.pieceTypes)]
+]);
+
+/**
+ * Register a custom piece generator
+ * @param {string} type - Randomizer type identifier
+ * @param {Function} factory - (rng, options) => PieceGenerator
+ */
+export function registerPieceGenerator(type, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Invalid generator factory for randomizer: ${type}`);
+    }
+    GENERATOR_FACTORIES.set(type, factory);
+}
+
+/**
+ * Get all registered randomizer types
+ * @returns {Array} Array of randomizer type strings
+ */
+export function getRandomizerTypes() {
+    return [...GENERATOR_FACTORIES.keys()];
+}
+
+/**
+ * Create a piece generator of the given type
+ * @param {string} type - Randomizer type (see RANDOMIZER_TYPES)
+ * @param {SeededRandom} rng - Random source shared with the engine
+ * @param {Object} options - Generator specific options
+ * @returns {PieceGenerator} Piece generator instance
+ */
+export function createPieceGenerator(type, rng, options = {}) {
+    const factory = GENERATOR_FACTORIES.get(type);
+
+    if (!factory) {
+        throw new Error(`Invalid randomizer type: ${type}`);
+    }
+
+    const generator = factory(rng, { pieceTypes: TETROMINO_TYPES, ...options });
+    generator.type = type;
+    return generator;
+}
@@ -0,0 +1,332 @@
+/**
+ * NeonTetris-MLRSA Replay System
+ * Frame-accurate input recording and deterministic playback
+ *
+ * Features:
+ * - Records every engine action with its fixed-timestep frame number
+ * - Captures RNG seed, randomizer and preset starting positions for exact reproduction
+ * - Records garbage received from outside the engine, such as a versus opponent
+ * - Compact delta-encoded replay format for sharing
+ * - Deterministic playback through the same GameEngine instance
+ * - Validation of imported replay files
+ */
+
+/**
+ * Current replay file format version
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Single character codes for recorded actions
+ * Uppercase letters keep codes distinct from base-36 frame deltas
+ */
+export const REPLAY_ACTION_CODES = {
+    moveLeft: 'L',
+    moveRight: 'R',
+    softDrop: 'S',
+    hardDrop: 'H',
+    rotateCW: 'C',
+    rotateCCW: 'W',
+    rotate180: 'F',
+    hold: 'D'
+};
+
+const ACTION_BY_CODE = Object.fromEntries(
+    Object.entries(REPLAY_ACTION_CODES).map(([action, code]) => [code, action])
+);
+
+/**
+ * Encode recorded inputs as "<frameDelta base36><actionCode>" tokens
+ */
+export function encodeInputs(inputs) {
+    let previousFrame = 0;
+    let encoded = '';
+
+    for (const { frame, action } of inputs) {
+        const code = REPLAY_ACTION_CODES[action];
+        if (!code) continue;
+
+        encoded += (frame - previousFrame).toString(36) + code;
+        previousFrame = frame;
+    }
+
+    return encoded;
+}
+
+/**
+ * Decode an input string produced by encodeInputs()
+ */
+export function decodeInputs(encoded) {
+    const inputs = [];
+    const tokenPattern = /([0-9a-z]+)([A-Z])/g;
+    let frame = 0;
+    let consumed = 0;
+    let match;
+
+    while ((match = tokenPattern.exec(encoded)) !== null) {
+        if (match.index !== consumed) {
+            throw new Error(`Malformed replay input at offset ${consumed}`);
+        }
+
+        const action = ACTION_BY_CODE[match[2]];
+        if (!action) {
+            throw new Error(`Unknown replay action code: ${match[2]}`);
+        }
+
+        frame += parseInt(match[1], 36);
+        inputs.push({ frame, action });
+        consumed = tokenPattern.lastIndex;
+    }
+
+    if (consumed !== encoded.length) {
+        throw new Error(`Malformed replay input at offset ${consumed}`);
+    }
+
+    return inputs;
+}
+
+/**
+ * Records engine inputs for a single game
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.inputs = [];
+        this.garbage = [];
+        this.header = null;
+    }
+
+    /**
+     * Begin recording a new game
+     */
+    start(header) {
+        this.inputs = [];
+        this.garbage = [];
+        this.header = {
+            seed: header.seed,
+            randomizer: header.randomizer,
+            mode: header.mode || 'marathon',
+            rules: header.rules || null,
+            board: null,
+            queue: null,
+            hold: null,
+            generator: null,
+            startedAt: Date.now()
+        };
+        this.isRecording = true;
+    }
+
+    /**
+     * Record the position the game starts from when it differs from the seed's own start
+     * @param {Object} position - { board, queue, hold, generator } with the RNG and piece generator state
+     */
+    setStartPosition({ board, queue, hold, generator }) {
+        if (!this.isRecording) return;
+
+        Object.assign(this.header, { board, queue: [...queue], hold, generator });
+    }
+
+    /**
+     * Record an action applied on the given frame
+     */
+    record(frame, action) {
+        if (!this.isRecording || !REPLAY_ACTION_CODES[action]) return;
+
+        this.inputs.push({ frame, action });
+    }
+
+    /**
+     * Record garbage received on the given frame
+     */
+    recordGarbage(frame, lines) {
+        if (!this.isRecording) return;
+
+        this.garbage.push({ frame, lines });
+    }
+
+    /**
+     * Stop recording, keeping the captured data for export
+     */
+    stop() {
+        this.isRecording = false;
+    }
+
+    /**
+     * Build a replay object from the recorded session
+     */
+    getReplay(finalFrame, statistics = {}) {
+        if (!this.header) {
+            throw new Error('No replay has been recorded');
+        }
+
+        return {
+            version: REPLAY_VERSION,
+            ...this.header,
+            frames: finalFrame,
+            statistics,
+            inputs: [...this.inputs],
+            garbage: [...this.garbage]
+        };
+    }
+
+    /**
+     * Reset recorder state
+     */
+    reset() {
+        this.isRecording = false;
+        this.inputs = [];
+        this.garbage = [];
+        this.header = null;
+    }
+}
+
+/**
+ * Feeds recorded inputs back into an engine frame by frame
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.inputs = replay.inputs;
+        this.garbage = replay.garbage || [];
+        this.index = 0;
+        this.garbageIndex = 0;
+        this.isPlaying = true;
+    }
+
+    /**
+     * Apply every garbage event and input recorded for the given frame
+     * Garbage arrives between frames, so it goes in before the frame's inputs
+     */
+    feed(engine, frame) {
+        while (this.garbageIndex < this.garbage.length && this.garbage[this.garbageIndex].frame <= frame) {
+            engine.receiveGarbage(this.garbage[this.garbageIndex].lines, { replay: true });
+            this.garbageIndex++;
+        }
+
+        while (this.index < this.inputs.length && this.inputs[this.index].frame <= frame) {
+            engine.handleInput({ action: this.inputs[this.index].action, data: { replay: true } });
+            this.index++;
+        }
+
+        if (this.index >= this.inputs.length && this.garbageIndex >= this.garbage.length && frame >= this.replay.frames) {
+            this.isPlaying = false;
+        }
+    }
+
+    /**
+     * Get playback progress (0-1)
+     */
+    getProgress(frame) {
+        if (!this.replay.frames) return 1;
+        return Math.min(1, frame / this.replay.frames);
+    }
+}
+
+/**
+ * Serialize a replay into the compact shareable file format
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify({
+        v: replay.version,
+        seed: replay.seed,
+        rand: replay.randomizer,
+        mode: replay.mode,
+        rules: replay.rules,
+        board: replay.board,
+        q: replay.queue,
+        hold: replay.hold,
+        gen: replay.generator,
+        at: replay.startedAt,
+        f: replay.frames,
+        stats: replay.statistics,
+        in: encodeInputs(replay.inputs),
+        g: (replay.garbage || []).map(({ frame, lines }) => [frame, lines])
+    });
+}
+
+/**
+ * Parse a replay file produced by serializeReplay()
+ */
+export function deserializeReplay(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    const validation = validateReplay(data);
+
+    if (!validation.valid) {
+        throw new Error(`Invalid replay: ${validation.errors.join(', ')}`);
+    }
+
+    return {
+        version: data.v,
+        seed: data.seed,
+        randomizer: data.rand,
+        mode: data.mode || 'marathon',
+        rules: data.rules || null,
+        board: data.board || null,
+        queue: data.q || null,
+        hold: data.hold || null,
+        generator: data.gen || null,
+        startedAt: data.at,
+        frames: data.f,
+        statistics: data.stats || {},
+        inputs: decodeInputs(data.in),
+        garbage: (data.g || []).map(([frame, lines]) => ({ frame, lines }))
+    };
+}
+
+/**
+ * Check serialized garbage: [frame, lines] pairs
+ */
+function isValidGarbage(garbage) {
+    return Array.isArray(garbage) && garbage.every(event =>
+        Array.isArray(event) && event.length === 2 &&
+        event.every(value => Number.isInteger(value) && value >= 0)
+    );
+}
+
+/**
+ * Validate raw replay file data
+ */
+export function validateReplay(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+        return { valid: false, errors: ['Replay data must be an object'] };
+    }
+
+    if (data.v !== REPLAY_VERSION) {
+        errors.push(`Unsupported replay version: ${data.v}`);
+    }
+
+    if (!Number.isInteger(data.seed) || data.seed < 0) {
+        errors.push('Missing or invalid seed');
+    }
+
+    if (typeof data.rand !== 'string') {
+        errors.push('Missing randomizer type');
+    }
+
+    if (!Number.isInteger(data.f) || data.f < 0) {
+        errors.push('Missing or invalid frame count');
+    }
+
+    if (typeof data.in !== 'string') {
+        errors.push('Missing input data');
+    }
+
+    if (data.q != null && !(Array.isArray(data.q) && data.q.every(type => typeof type === 'string'))) {
+        errors.push('Invalid starting queue');
+    }
+
+    if (data.q != null && (!data.gen || typeof data.gen !== 'object')) {
+        errors.push('Missing piece generator state for the starting queue');
+    }
+
+    if (data.g != null && !isValidGarbage(data.g)) {
+        errors.push('Invalid garbage data');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
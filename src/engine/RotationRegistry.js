@@ -0,0 +1,226 @@
+/**
+ * NeonTetris-MLRSA Rotation System Registry
+ * Spawn orientations and kick tables for every supported rotation system
+ *
+ * Features:
+ * - SRS, SRS+, Arika ARS, Nintendo NRS and a no-kick system
+ * - Per-piece spawn orientations
+ * - 90° and 180° kick tables
+ * - Two-state and non-rotating pieces
+ * - Custom rotation systems through registerRotationSystem()
+ */
+
+import { WALL_KICK_DATA } from './Tetromino.js';
+
+/**
+ * Built-in rotation system identifiers
+ */
+export const ROTATION_SYSTEMS = {
+    SRS: 'srs',        // Super Rotation System (Guideline)
+    SRS_PLUS: 'srs+',  // SRS with symmetric I-piece kicks
+    ARS: 'ars',        // Arika Rotation System (TGM)
+    NRS: 'nrs',        // Nintendo Rotation System, no kicks
+    NONE: 'none'       // SRS states without any kicks
+};
+
+/**
+ * Only the unkicked position is tested
+ */
+export const NO_KICKS = [[0, 0]];
+
+/**
+ * 180° kicks shared by SRS and SRS+
+ */
+export const SRS_180_KICKS = {
+    '0->2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    '2->0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    '1->3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    '3->1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+/**
+ * SRS+ I-piece kicks, mirrored so both directions behave the same
+ */
+export const SRS_PLUS_I_KICKS = {
+    '0->1': [[0, 0], [1, 0], [-2, 0], [-2, -1], [1, 2]],
+    '1->0': [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]],
+    '1->2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2->1': [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]],
+    '2->3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '3->2': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '3->0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0->3': [[0, 0], [-1, 0], [2, 0], [2, -1], [-1, 2]]
+};
+
+/**
+ * ARS tries one step right, then one step left
+ */
+export const ARS_KICKS = [[0, 0], [1, 0], [-1, 0]];
+
+/**
+ * Rotation system fields
+ * - name: display name
+ * - spawnRotations: spawn state per piece type (missing types spawn in state 0)
+ * - twoStatePieces: pieces that flip between states 0 and 1
+ * - fixedPieces: pieces that never change state
+ * - kicks: 90° kicks keyed by piece type with a `default` entry; each entry is
+ *   either a table keyed by 'from->to' or one offset list for every transition
+ * - kicks180: 180° kicks in the same shape, or null when 180° turns are not allowed
+ */
+const FLAT_SIDE_UP = { T: 2, J: 2, L: 2 };
+
+const systems = new Map([
+    [ROTATION_SYSTEMS.SRS, {
+        name: 'SRS',
+        spawnRotations: {},
+        twoStatePieces: [],
+        fixedPieces: [],
+        kicks: { default: WALL_KICK_DATA.STANDARD_KICKS, I: WALL_KICK_DATA.I_KICKS, O: NO_KICKS },
+        kicks180: { default: SRS_180_KICKS, O: NO_KICKS }
+    }],
+    [ROTATION_SYSTEMS.SRS_PLUS, {
+        name: 'SRS+',
+        spawnRotations: {},
+        twoStatePieces: [],
+        fixedPieces: [],
+        kicks: { default: WALL_KICK_DATA.STANDARD_KICKS, I: SRS_PLUS_I_KICKS, O: NO_KICKS },
+        kicks180: { default: SRS_180_KICKS, O: NO_KICKS }
+    }],
+    [ROTATION_SYSTEMS.ARS, {
+        name: 'ARS',
+        spawnRotations: FLAT_SIDE_UP,
+        twoStatePieces: ['I', 'S', 'Z'],
+        fixedPieces: ['O'],
+        kicks: { default: ARS_KICKS, I: NO_KICKS },
+        kicks180: { default: ARS_KICKS, I: NO_KICKS }
+    }],
+    [ROTATION_SYSTEMS.NRS, {
+        name: 'NRS',
+        spawnRotations: FLAT_SIDE_UP,
+        twoStatePieces: ['I', 'S', 'Z'],
+        fixedPieces: ['O'],
+        kicks: { default: NO_KICKS },
+        kicks180: null
+    }],
+    [ROTATION_SYSTEMS.NONE, {
+        name: 'No Kicks',
+        spawnRotations: {},
+        twoStatePieces: [],
+        fixedPieces: [],
+        kicks: { default: NO_KICKS },
+        kicks180: { default: NO_KICKS }
+    }]
+]);
+
+/**
+ * Register a custom rotation system
+ */
+export function registerRotationSystem(id, definition) {
+    const validation = validateRotationSystem(definition);
+    if (!validation.valid) {
+        throw new Error(`Invalid rotation system: ${validation.errors.join(', ')}`);
+    }
+
+    systems.set(id, {
+        spawnRotations: {},
+        twoStatePieces: [],
+        fixedPieces: [],
+        kicks180: null,
+        ...definition
+    });
+}
+
+/**
+ * Get a rotation system definition, or null if unknown
+ */
+export function getRotationSystem(id) {
+    return systems.get(id) || null;
+}
+
+/**
+ * List registered rotation system ids
+ */
+export function getRotationSystems() {
+    return Array.from(systems.keys());
+}
+
+/**
+ * Check a rotation system definition
+ */
+export function validateRotationSystem(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+        return { valid: false, errors: ['Rotation system must be an object'] };
+    }
+
+    if (typeof definition.name !== 'string' || !definition.name) {
+        errors.push('name is required');
+    }
+
+    if (!definition.kicks || !definition.kicks.default) {
+        errors.push('kicks must have a default table');
+    }
+
+    if (definition.kicks180 && !definition.kicks180.default) {
+        errors.push('kicks180 must be null or have a default table');
+    }
+
+    Object.values(definition.spawnRotations || {}).forEach(rotation => {
+        if (!Number.isInteger(rotation) || rotation < 0 || rotation > 3) {
+            errors.push(`Invalid spawn rotation: ${rotation}`);
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Spawn state of a piece under a rotation system
+ */
+export function getSpawnRotation(system, type) {
+    return system.spawnRotations[type] ?? 0;
+}
+
+/**
+ * State a piece turns to, or its current state if it cannot turn that way
+ * @param {number} direction - 1 = CW, -1 = CCW, 2 = 180°
+ */
+export function getTargetRotation(system, type, rotation, direction) {
+    if (system.fixedPieces.includes(type)) {
+        return rotation;
+    }
+
+    if (system.twoStatePieces.includes(type)) {
+        // A half turn lands back on the same state
+        if (Math.abs(direction) === 2) {
+            return rotation;
+        }
+        return rotation === 0 ? 1 : 0;
+    }
+
+    return ((rotation + direction) % 4 + 4) % 4;
+}
+
+/**
+ * Offsets to test for a rotation, in order
+ * @returns {Array|null} [x, y] offsets, or null if the turn is not allowed
+ */
+export function getKickOffsets(system, type, fromRotation, toRotation) {
+    const isHalfTurn = Math.abs(toRotation - fromRotation) === 2;
+    const table = isHalfTurn ? system.kicks180 : system.kicks;
+
+    if (!table) {
+        return null;
+    }
+
+    const pieceKicks = table[type] || table.default;
+    if (Array.isArray(pieceKicks)) {
+        return pieceKicks;
+    }
+
+    return pieceKicks[`${fromRotation}->${toRotation}`] || NO_KICKS;
+}
@@ -1,25 +1,39 @@
 /**
- * NeonTetris-MLRSA Super Rotation System (SRS)
- * Implements the standard Tetris rotation system with wall kicks
+ * NeonTetris-MLRSA Rotation System
+ * Rotates pieces with wall kicks using a pluggable rotation system
  *
  * Features:
- * - Complete SRS implementation as per Tetris Guidelines
- * - Wall kick testing for all piece types
- * - Special handling for I-piece and O-piece
- * - T-Spin detection and validation
+ * - SRS, SRS+, ARS, NRS and no-kick rotation systems from the registry
+ * - Spawn orientations, 90° and 180° kick tables per system
+ * - T-Spin and all-spin detection through the SpinDetector
  * - Performance optimized rotation testing
  * - Debug and analysis tools
+ * - Self-test suite for every registered system
  */
 
-import { getWallKickData, getTetrominoMatrix } from './Tetromino.js';
-import { COLLISION_TYPES } from './CollisionDetector.js';
+import { getTetrominoMatrix, getValidTetrominoTypes } from './Tetromino.js';
+import { Board } from './Board.js';
+import { CollisionDetector, COLLISION_TYPES } from './CollisionDetector.js';
+import { Piece } from './Piece.js';
+import { SpinDetector, SPIN_TYPES } from './SpinDetector.js';
+import {
+    ROTATION_SYSTEMS,
+    getRotationSystem,
+    getRotationSystems,
+    getSpawnRotation,
+    getTargetRotation,
+    getKickOffsets
+} from './RotationRegistry.js';
+
+export { ROTATION_SYSTEMS };
 
 /**
  * Rotation directions
  */
 export const ROTATION_DIRECTION = {
     CLOCKWISE: 1,
-    COUNTERCLOCKWISE: -1
+    COUNTERCLOCKWISE: -1,
+    HALF_TURN: 2
 };
 
 /**
@@ -33,16 +47,20 @@ export const ROTATION_RESULT = {
 };
 
 /**
- * Super Rotation System implementation
+ * Rotation system implementation
  */
 export class RotationSystem {
     constructor(collisionDetector) {
         this.collisionDetector = collisionDetector;
+        this.clock = collisionDetector.clock;
 
-        // SRS configuration
+        // Rotation system configuration
+        this.rotationSystem = ROTATION_SYSTEMS.SRS;
+        this.system = getRotationSystem(this.rotationSystem);
         this.enableWallKicks = true;
         this.enableTSpinDetection = true;
         this.enableIKicks = true; // Special I-piece kicks
+        this.spinDetector = new SpinDetector(collisionDetector);
 
         // Performance optimization
         this.enableRotationCaching = true;
@@ -67,13 +85,26 @@ export class RotationSystem {
     /**
      * Attempt to rotate a piece
      * @param {Piece} piece - The piece to rotate
-     * @param {number} direction - Rotation direction (1 = CW, -1 = CCW)
+     * @param {number} direction - Rotation direction (1 = CW, -1 = CCW, 2 = 180°)
      * @returns {Object} Rotation result with success flag and new piece state
      */
     rotate(piece, direction) {
         this.statistics.totalRotations++;
 
-        const targetRotation = this.calculateTargetRotation(piece.rotation, direction);
+        const targetRotation = this.getTargetRotation(piece, direction);
+
+        // Fixed pieces, two-state half turns and disallowed 180° turns don't turn
+        if (targetRotation === piece.rotation ||
+            !getKickOffsets(this.system, piece.type, piece.rotation, targetRotation)) {
+            return {
+                success: false,
+                piece: piece,
+                wallKick: null,
+                result: ROTATION_RESULT.BLOCKED,
+                tSpin: null
+            };
+        }
+
         const cacheKey = this.generateCacheKey(piece, direction);
 
         // Check cache first
@@ -119,7 +150,7 @@ export class RotationSystem {
                 piece: testPiece,
                 wallKick: null,
                 result: ROTATION_RESULT.SUCCESS,
-                tSpin: this.detectTSpin(testPiece, piece, false)
+                tSpin: this.detectTSpin(testPiece, piece, null)
             };
         }
 
@@ -136,7 +167,7 @@ export class RotationSystem {
                     piece: wallKickResult.piece,
                     wallKick: wallKickResult.wallKick,
                     result: ROTATION_RESULT.WALL_KICK_SUCCESS,
-                    tSpin: this.detectTSpin(wallKickResult.piece, piece, true)
+                    tSpin: this.detectTSpin(wallKickResult.piece, piece, wallKickResult.wallKick)
                 };
             }
         }
@@ -155,38 +186,39 @@ export class RotationSystem {
      * Attempt wall kick testing
      */
     attemptWallKicks(originalPiece, rotatedPiece, direction) {
-        try {
-            const kickData = getWallKickData(
-                originalPiece.type,
-                originalPiece.rotation,
-                rotatedPiece.rotation
-            );
+        const kickData = getKickOffsets(
+            this.system,
+            originalPiece.type,
+            originalPiece.rotation,
+            rotatedPiece.rotation
+        ) || [];
+
+        // Test each wall kick offset (the unkicked position was already tried)
+        for (let i = 0; i < kickData.length; i++) {
+            const kick = kickData[i];
+            if (kick[0] === 0 && kick[1] === 0) continue;
+
+            const testPosition = {
+                x: rotatedPiece.position.x + kick[0],
+                y: rotatedPiece.position.y + kick[1]
+            };
 
-            // Test each wall kick offset
-            for (let i = 0; i < kickData.length; i++) {
-                const kick = kickData[i];
-                const testPosition = {
-                    x: rotatedPiece.position.x + kick[0],
-                    y: rotatedPiece.position.y + kick[1]
-                };
+            const testPiece = rotatedPiece.withPosition(testPosition.x, testPosition.y);
 
-                const testPiece = rotatedPiece.withPosition(testPosition.x, testPosition.y);
-
-                if (this.collisionDetector.isValidPosition(testPiece)) {
-                    return {
-                        success: true,
-                        piece: testPiece,
-                        wallKick: {
-                            test: i,
-                            offset: kick,
-                            originalPosition: originalPiece.position,
-                            finalPosition: testPosition
-                        }
-                    };
-                }
+            if (this.collisionDetector.isValidPosition(testPiece)) {
+                return {
+                    success: true,
+                    piece: testPiece,
+                    wallKick: {
+                        test: i,
+                        lastTest: i === kickData.length - 1,
+                        direction,
+                        offset: kick,
+                        originalPosition: originalPiece.position,
+                        finalPosition: testPosition
+                    }
+                };
             }
-        } catch (error) {
-            console.warn('Wall kick data not found:', error.message);
         }
 
         return { success: false };
@@ -195,7 +227,7 @@ export class RotationSystem {
     /**
      * Detect T-Spin conditions
      */
-    detectTSpin(piece, originalPiece, wasWallKick) {
+    detectTSpin(piece, originalPiece, wallKick) {
         if (!this.enableTSpinDetection || piece.type !== 'T') {
             return null;
         }
@@ -205,24 +237,32 @@ export class RotationSystem {
             return null;
         }
 
-        // Check T-Spin conditions using collision detector
-        const tSpinCheck = this.collisionDetector.checkTSpinConditions(piece);
+        const spin = this.spinDetector.classifyTSpin(piece, wallKick);
 
-        if (tSpinCheck.isTSpin || tSpinCheck.isMiniTSpin) {
+        if (spin) {
             this.statistics.tSpinRotations++;
 
             return {
-                isTSpin: tSpinCheck.isTSpin,
-                isMiniTSpin: tSpinCheck.isMiniTSpin,
-                wasWallKick,
-                filledCorners: tSpinCheck.filledCorners,
-                corners: tSpinCheck.cornerStates
+                isTSpin: spin.type === SPIN_TYPES.FULL,
+                isMiniTSpin: spin.type === SPIN_TYPES.MINI,
+                wasWallKick: !!wallKick,
+                upgraded: spin.upgraded,
+                filledCorners: spin.corners.filter(corner => corner.filled).length,
+                corners: spin.corners
             };
         }
 
         return null;
     }
 
+    /**
+     * Classify the spin of a piece about to lock
+     * @param {Object} lastMove - { type, wallKick } of the piece's last successful move
+     */
+    detectSpin(piece, lastMove) {
+        return this.spinDetector.classify(piece, lastMove);
+    }
+
     /**
      * Calculate target rotation state
      */
@@ -230,6 +270,20 @@ export class RotationSystem {
         return ((currentRotation + direction) % 4 + 4) % 4;
     }
 
+    /**
+     * Calculate the state a piece turns to under the active rotation system
+     */
+    getTargetRotation(piece, direction) {
+        return getTargetRotation(this.system, piece.type, piece.rotation, direction);
+    }
+
+    /**
+     * Spawn state of a piece type under the active rotation system
+     */
+    getSpawnRotation(type) {
+        return getSpawnRotation(this.system, type);
+    }
+
     /**
      * Check if rotation is possible (without actually rotating)
      */
@@ -391,7 +445,7 @@ export class RotationSystem {
      */
     storeDebugInfo(piece, direction, result) {
         this.debugRotations.push({
-            timestamp: performance.now(),
+            timestamp: this.clock.now(),
             piece: {
                 type: piece.type,
                 rotation: piece.rotation,
@@ -413,71 +467,165 @@ export class RotationSystem {
     }
 
     /**
-     * Special rotation handling for O-piece (no rotation needed)
+     * Test rotation system integrity on an empty board
+     * @param {string} systemId - Rotation system to test (defaults to the active one)
      */
-    rotateOPiece(piece, direction) {
-        // O-piece doesn't actually rotate, but we simulate it for consistency
-        return {
-            success: true,
-            piece: piece, // Return same piece
-            wallKick: null,
-            result: ROTATION_RESULT.SUCCESS,
-            tSpin: null
-        };
-    }
+    testRotationSystem(systemId = this.rotationSystem) {
+        const system = getRotationSystem(systemId);
+        if (!system) {
+            throw new Error(`Invalid rotation system: ${systemId}`);
+        }
 
-    /**
-     * Special rotation handling for I-piece
-     */
-    rotateIPiece(piece, direction) {
-        // I-piece uses special wall kick data
-        return this.attemptRotation(piece, direction, this.calculateTargetRotation(piece.rotation, direction));
-    }
+        const tester = new RotationSystem(new CollisionDetector(new Board()));
+        tester.configure({ rotationSystem: systemId, enableRotationCaching: false });
 
-    /**
-     * Test rotation system integrity
-     */
-    testRotationSystem() {
         const testResults = {
+            system: systemId,
             basicRotations: 0,
             wallKickRotations: 0,
             tSpinDetections: 0,
-            failures: 0
+            failures: 0,
+            tests: []
+        };
+
+        const check = (name, passed, message = '') => {
+            testResults.tests.push({ name, passed, message });
+            if (!passed) {
+                testResults.failures++;
+            }
         };
 
-        // Test basic rotations for all piece types
-        const pieceTypes = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+        const directions = [
+            ROTATION_DIRECTION.CLOCKWISE,
+            ROTATION_DIRECTION.COUNTERCLOCKWISE,
+            ROTATION_DIRECTION.HALF_TURN
+        ];
 
-        for (const type of pieceTypes) {
+        for (const type of getValidTetrominoTypes()) {
+            // Kick tables: every turn starts with the unkicked position
             for (let rotation = 0; rotation < 4; rotation++) {
-                const testPiece = {
-                    type,
-                    rotation,
-                    position: { x: 4, y: 10 },
-                    blocks: [] // Would need actual implementation
-                };
+                for (const direction of directions) {
+                    const target = ((rotation + direction) % 4 + 4) % 4;
+                    const kicks = getKickOffsets(system, type, rotation, target);
+                    if (kicks) {
+                        check(
+                            `${type} ${rotation}->${target} kick table`,
+                            kicks.length > 0 && kicks[0][0] === 0 && kicks[0][1] === 0,
+                            'first kick must be [0, 0]'
+                        );
+                    }
+                }
+            }
+
+            // Spawn orientation fits the spawn position
+            const spawnRotation = tester.getSpawnRotation(type);
+            const spawned = new Piece(type, { initialRotation: spawnRotation });
+            check(
+                `${type} spawns in state ${spawnRotation}`,
+                tester.collisionDetector.isValidPosition(spawned),
+                'spawn position is blocked'
+            );
+
+            for (const rotation of this.getReachableRotations(system, type, spawnRotation)) {
+                const centered = new Piece(type, { initialRotation: rotation, spawnX: 3, spawnY: 8 });
+
+                for (const direction of directions) {
+                    const target = tester.getTargetRotation(centered, direction);
+                    const allowed = target !== rotation && getKickOffsets(system, type, rotation, target) !== null;
+                    const result = tester.rotate(centered, direction);
 
-                const result = this.rotate(testPiece, ROTATION_DIRECTION.CLOCKWISE);
+                    // Free rotation never needs a kick
+                    check(
+                        `${type} ${rotation} turns ${direction} in open space`,
+                        result.success === allowed && (!allowed || (!result.wallKick && result.piece.rotation === target)),
+                        allowed ? `expected state ${target} without a kick` : 'turn should be refused'
+                    );
 
-                if (result.success) {
-                    if (result.wallKick) {
-                        testResults.wallKickRotations++;
-                    } else {
+                    if (result.success) {
                         testResults.basicRotations++;
+                        if (result.tSpin) {
+                            testResults.tSpinDetections++;
+                        }
+                    }
+
+                    // Turning back restores the original state and position
+                    if (result.success && Math.abs(direction) === 1) {
+                        const back = tester.rotate(result.piece, -direction);
+                        check(
+                            `${type} ${rotation} round trip ${direction}`,
+                            back.success && back.piece.rotation === rotation &&
+                                back.piece.position.x === centered.position.x &&
+                                back.piece.position.y === centered.position.y,
+                            'rotating back did not restore the piece'
+                        );
                     }
+                }
 
-                    if (result.tSpin) {
-                        testResults.tSpinDetections++;
+                // Against each wall, a failed turn must not skip a usable kick
+                for (const wallDirection of [-1, 1]) {
+                    let piece = centered;
+                    while (tester.collisionDetector.isValidPosition(piece.withPosition(piece.position.x + wallDirection, piece.position.y))) {
+                        piece = piece.withPosition(piece.position.x + wallDirection, piece.position.y);
+                    }
+
+                    for (const direction of directions) {
+                        const target = tester.getTargetRotation(piece, direction);
+                        const kicks = getKickOffsets(system, type, rotation, target);
+                        if (target === rotation || !kicks) continue;
+
+                        const result = tester.rotate(piece, direction);
+                        const rotated = piece.withRotation(target);
+                        const usableKick = kicks.some(([x, y]) =>
+                            tester.collisionDetector.isValidPosition(rotated.withPosition(rotated.position.x + x, rotated.position.y + y))
+                        );
+
+                        check(
+                            `${type} ${rotation} turns ${direction} at the ${wallDirection < 0 ? 'left' : 'right'} wall`,
+                            result.success === usableKick &&
+                                (!result.success || tester.collisionDetector.isValidPosition(result.piece)),
+                            usableKick ? 'a usable kick was skipped' : 'turned without a usable kick'
+                        );
+
+                        if (result.wallKick) {
+                            testResults.wallKickRotations++;
+                        }
                     }
-                } else {
-                    testResults.failures++;
                 }
             }
         }
 
+        testResults.passed = testResults.failures === 0;
         return testResults;
     }
 
+    /**
+     * Run the integrity tests for every registered rotation system
+     */
+    testAllRotationSystems() {
+        return getRotationSystems().map(systemId => this.testRotationSystem(systemId));
+    }
+
+    /**
+     * States a piece can reach from its spawn state
+     */
+    getReachableRotations(system, type, spawnRotation) {
+        const reachable = new Set([spawnRotation]);
+        const pending = [spawnRotation];
+
+        while (pending.length > 0) {
+            const rotation = pending.pop();
+            for (const direction of [ROTATION_DIRECTION.CLOCKWISE, ROTATION_DIRECTION.COUNTERCLOCKWISE]) {
+                const target = getTargetRotation(system, type, rotation, direction);
+                if (!reachable.has(target)) {
+                    reachable.add(target);
+                    pending.push(target);
+                }
+            }
+        }
+
+        return [...reachable];
+    }
+
     /**
      * Get rotation statistics
      */
@@ -531,11 +679,24 @@ export class RotationSystem {
      * Configure rotation system
      */
     configure(options) {
+        if (options.rotationSystem !== undefined) {
+            const system = getRotationSystem(options.rotationSystem);
+            if (!system) {
+                throw new Error(`Invalid rotation system: ${options.rotationSystem}`);
+            }
+            this.rotationSystem = options.rotationSystem;
+            this.system = system;
+            this.clearCache();
+        }
         if (options.enableWallKicks !== undefined) {
             this.enableWallKicks = options.enableWallKicks;
         }
         if (options.enableTSpinDetection !== undefined) {
             this.enableTSpinDetection = options.enableTSpinDetection;
+            this.spinDetector.configure({ enabled: options.enableTSpinDetection });
+        }
+        if (options.enableAllSpin !== undefined) {
+            this.spinDetector.configure({ allSpin: options.enableAllSpin });
         }
         if (options.enableIKicks !== undefined) {
             this.enableIKicks = options.enableIKicks;
@@ -548,13 +709,28 @@ export class RotationSystem {
         }
     }
 
+    /**
+     * Apply rotation settings from a game rules object
+     */
+    applyRules(rules) {
+        this.configure({
+            rotationSystem: rules.rotationSystem,
+            enableWallKicks: rules.wallKicks,
+            enableTSpinDetection: rules.tSpinDetection,
+            enableAllSpin: rules.allSpin
+        });
+        this.clearCache();
+    }
+
     /**
      * Get current configuration
      */
     getConfiguration() {
         return {
+            rotationSystem: this.rotationSystem,
             enableWallKicks: this.enableWallKicks,
             enableTSpinDetection: this.enableTSpinDetection,
+            enableAllSpin: this.spinDetector.config.allSpin,
             enableIKicks: this.enableIKicks,
             enableRotationCaching: this.enableRotationCaching,
             maxCacheSize: this.maxCacheSize
@@ -612,14 +788,14 @@ export class RotationSystem {
             withPosition: (x, y) => ({ ...testPiece, position: { x, y } })
         };
 
-        const startTime = performance.now();
+        const startTime = this.clock.now();
 
         for (let i = 0; i < iterations; i++) {
             const direction = Math.random() > 0.5 ? ROTATION_DIRECTION.CLOCKWISE : ROTATION_DIRECTION.COUNTERCLOCKWISE;
             this.rotate(testPiece, direction);
         }
 
-        const endTime = performance.now();
+        const endTime = this.clock.now();
         const totalTime = endTime - startTime;
 
         return {
@@ -4,16 +4,19 @@
  *
  * Features:
  * - Standard tetris scoring (single, double, triple, tetris)
- * - T-Spin scoring with detection
+ * - T-Spin, T-Spin mini and all-spin scoring
  * - Combo system with exponential scaling
  * - Back-to-back difficult line clears
  * - Perfect clear bonuses
  * - Soft drop and hard drop scoring
  * - Level-based multipliers
+ * - Classic NES scoring
  * - Achievement integration
  */
 
 import { LINE_CLEAR_TYPES } from './LineClearer.js';
+import { SPIN_TYPES } from './SpinDetector.js';
+import { wallClock } from './Clock.js';
 
 /**
  * Base scoring values for different line clears
@@ -23,10 +26,17 @@ export const BASE_SCORES = {
     DOUBLE: 300,
     TRIPLE: 500,
     TETRIS: 800,
-    T_SPIN_MINI: 100,
+    T_SPIN: 400,
     T_SPIN_SINGLE: 800,
     T_SPIN_DOUBLE: 1200,
     T_SPIN_TRIPLE: 1600,
+    T_SPIN_MINI: 100,
+    T_SPIN_MINI_SINGLE: 200,
+    T_SPIN_MINI_DOUBLE: 400,
+    ALL_SPIN: 100,
+    ALL_SPIN_SINGLE: 200,
+    ALL_SPIN_DOUBLE: 400,
+    ALL_SPIN_TRIPLE: 800,
     PERFECT_CLEAR_SINGLE: 800,
     PERFECT_CLEAR_DOUBLE: 1200,
     PERFECT_CLEAR_TRIPLE: 1800,
@@ -35,6 +45,19 @@ export const BASE_SCORES = {
     HARD_DROP: 2
 };
 
+/**
+ * Scoring systems
+ */
+export const SCORING_SYSTEMS = {
+    GUIDELINE: 'guideline',   // Modern scoring with T-spins, combos and back-to-back
+    NES: 'nes'                // Line clears only, multiplied by (level + 1)
+};
+
+/**
+ * NES points per line clear, indexed by line count
+ */
+export const NES_LINE_SCORES = [0, 40, 100, 300, 1200];
+
 /**
  * Scoring multipliers and bonuses
  */
@@ -52,14 +75,45 @@ export const DIFFICULT_MOVES = new Set([
     LINE_CLEAR_TYPES.TETRIS,
     LINE_CLEAR_TYPES.T_SPIN_SINGLE,
     LINE_CLEAR_TYPES.T_SPIN_DOUBLE,
-    LINE_CLEAR_TYPES.T_SPIN_TRIPLE
+    LINE_CLEAR_TYPES.T_SPIN_TRIPLE,
+    LINE_CLEAR_TYPES.T_SPIN_MINI_SINGLE,
+    LINE_CLEAR_TYPES.T_SPIN_MINI_DOUBLE,
+    LINE_CLEAR_TYPES.ALL_SPIN_SINGLE,
+    LINE_CLEAR_TYPES.ALL_SPIN_DOUBLE,
+    LINE_CLEAR_TYPES.ALL_SPIN_TRIPLE
 ]);
 
+/**
+ * Spin clear types, indexed by line count
+ */
+const SPIN_CLEAR_TYPES = {
+    [SPIN_TYPES.FULL]: [
+        LINE_CLEAR_TYPES.T_SPIN,
+        LINE_CLEAR_TYPES.T_SPIN_SINGLE,
+        LINE_CLEAR_TYPES.T_SPIN_DOUBLE,
+        LINE_CLEAR_TYPES.T_SPIN_TRIPLE
+    ],
+    [SPIN_TYPES.MINI]: [
+        LINE_CLEAR_TYPES.T_SPIN_MINI,
+        LINE_CLEAR_TYPES.T_SPIN_MINI_SINGLE,
+        LINE_CLEAR_TYPES.T_SPIN_MINI_DOUBLE
+    ],
+    all: [
+        LINE_CLEAR_TYPES.ALL_SPIN,
+        LINE_CLEAR_TYPES.ALL_SPIN_SINGLE,
+        LINE_CLEAR_TYPES.ALL_SPIN_DOUBLE,
+        LINE_CLEAR_TYPES.ALL_SPIN_TRIPLE
+    ]
+};
+
 /**
  * Comprehensive scoring system for tetris gameplay
  */
 export class ScoreManager {
-    constructor() {
+    constructor(clock = wallClock) {
+        // Time source for scoring event timestamps
+        this.clock = clock;
+
         // Core score tracking
         this.score = 0;
         this.lines = 0;
@@ -86,6 +140,7 @@ export class ScoreManager {
             triples: 0,
             tetrises: 0,
             tSpins: 0,
+            allSpins: 0,
             perfectClears: 0,
             softDrops: 0,
             hardDrops: 0,
@@ -112,6 +167,7 @@ export class ScoreManager {
 
         // Configuration
         this.config = {
+            scoringSystem: SCORING_SYSTEMS.GUIDELINE,
             enableTSpinScoring: true,
             enablePerfectClearBonus: true,
             enableComboScoring: true,
@@ -141,30 +197,41 @@ export class ScoreManager {
 
     /**
      * Add score for line clears
+     * @param {Object} options - spin ({ piece, type } from the SpinDetector) and isPerfectClear;
+     *   isTSpin/tSpinType are still accepted for T-spins
      */
     addScore(lineCount, level, options = {}) {
-        if (lineCount <= 0) {
-            // No lines cleared, reset combo
-            this.resetCombo();
-            return 0;
-        }
-
         const {
-            isSpecialMove = false,
-            moveType = null,
             isTSpin = false,
             isPerfectClear = false,
             tSpinType = null
         } = options;
 
-        // Determine line clear type
-        const clearType = this.determineClearType(lineCount, isTSpin, tSpinType, isPerfectClear);
+        let spin = options.spin || null;
+        if (!spin && isTSpin) {
+            spin = { piece: 'T', type: tSpinType === SPIN_TYPES.MINI ? SPIN_TYPES.MINI : SPIN_TYPES.FULL };
+        }
+        if (!this.config.enableTSpinScoring) {
+            spin = null;
+        }
 
-        // Calculate base score
-        let baseScore = this.getBaseScore(clearType);
+        if (lineCount <= 0) {
+            // No lines cleared, reset combo
+            this.resetCombo();
+            return spin ? this.addSpinScore(spin, level) : 0;
+        }
 
-        // Apply level multiplier
-        baseScore *= level;
+        // Determine line clear type
+        const clearType = this.determineClearType(
+            lineCount,
+            spin,
+            isPerfectClear && this.config.enablePerfectClearBonus
+        );
+
+        // Calculate base score with the level multiplier
+        const baseScore = this.config.scoringSystem === SCORING_SYSTEMS.NES
+            ? NES_LINE_SCORES[Math.min(lineCount, 4)] * (level + 1)
+            : this.getBaseScore(clearType) * level;
 
         // Calculate combo bonus
         const comboBonus = this.calculateComboBonus(level);
@@ -212,10 +279,43 @@ export class ScoreManager {
         return totalScore;
     }
 
+    /**
+     * Score a spin that cleared no lines
+     * Back-to-back status is kept either way
+     */
+    addSpinScore(spin, level) {
+        const clearType = this.determineClearType(0, spin);
+        const baseScore = this.getBaseScore(clearType) * level;
+
+        this.score += baseScore;
+        this.lastScoreAwarded = baseScore;
+        this.lastMoveType = clearType;
+
+        this.updateStatistics(clearType, 0, baseScore);
+        this.updateScoreBreakdown(clearType, baseScore, 0, 0);
+
+        this.recordScoringEvent({
+            type: clearType,
+            lineCount: 0,
+            baseScore,
+            comboBonus: 0,
+            backToBackBonus: 0,
+            totalScore: baseScore,
+            combo: this.combo,
+            backToBack: this.backToBack,
+            level
+        });
+
+        this.checkAchievements();
+
+        return baseScore;
+    }
+
     /**
      * Determine the type of line clear
+     * @param {Object|null} spin - { piece, type } from the SpinDetector
      */
-    determineClearType(lineCount, isTSpin, tSpinType, isPerfectClear) {
+    determineClearType(lineCount, spin = null, isPerfectClear = false) {
         if (isPerfectClear) {
             switch (lineCount) {
                 case 1: return 'perfect_clear_single';
@@ -225,13 +325,15 @@ export class ScoreManager {
             }
         }
 
-        if (isTSpin) {
-            switch (lineCount) {
-                case 1: return tSpinType === 'mini' ? 't_spin_mini' : 't_spin_single';
-                case 2: return 't_spin_double';
-                case 3: return 't_spin_triple';
-                default: return 't_spin_single';
+        if (spin) {
+            // Non-T spins score like minis; a T-spin mini clears at most 2 lines
+            let clearTypes = SPIN_CLEAR_TYPES.all;
+            if (spin.piece === 'T') {
+                clearTypes = spin.type === SPIN_TYPES.MINI && lineCount < 3
+                    ? SPIN_CLEAR_TYPES[SPIN_TYPES.MINI]
+                    : SPIN_CLEAR_TYPES[SPIN_TYPES.FULL];
             }
+            return clearTypes[Math.min(lineCount, clearTypes.length - 1)];
         }
 
         switch (lineCount) {
@@ -252,10 +354,17 @@ export class ScoreManager {
             'double': BASE_SCORES.DOUBLE,
             'triple': BASE_SCORES.TRIPLE,
             'tetris': BASE_SCORES.TETRIS,
-            't_spin_mini': BASE_SCORES.T_SPIN_MINI,
+            't_spin': BASE_SCORES.T_SPIN,
             't_spin_single': BASE_SCORES.T_SPIN_SINGLE,
             't_spin_double': BASE_SCORES.T_SPIN_DOUBLE,
             't_spin_triple': BASE_SCORES.T_SPIN_TRIPLE,
+            't_spin_mini': BASE_SCORES.T_SPIN_MINI,
+            't_spin_mini_single': BASE_SCORES.T_SPIN_MINI_SINGLE,
+            't_spin_mini_double': BASE_SCORES.T_SPIN_MINI_DOUBLE,
+            'all_spin': BASE_SCORES.ALL_SPIN,
+            'all_spin_single': BASE_SCORES.ALL_SPIN_SINGLE,
+            'all_spin_double': BASE_SCORES.ALL_SPIN_DOUBLE,
+            'all_spin_triple': BASE_SCORES.ALL_SPIN_TRIPLE,
             'perfect_clear_single': BASE_SCORES.PERFECT_CLEAR_SINGLE,
             'perfect_clear_double': BASE_SCORES.PERFECT_CLEAR_DOUBLE,
             'perfect_clear_triple': BASE_SCORES.PERFECT_CLEAR_TRIPLE,
@@ -371,15 +480,13 @@ export class ScoreManager {
             case 'tetris':
                 this.statistics.tetrises++;
                 break;
-            case 't_spin_single':
-            case 't_spin_double':
-            case 't_spin_triple':
-            case 't_spin_mini':
-                this.statistics.tSpins++;
-                break;
         }
 
-        if (clearType.startsWith('perfect_clear')) {
+        if (clearType.startsWith('t_spin')) {
+            this.statistics.tSpins++;
+        } else if (clearType.startsWith('all_spin')) {
+            this.statistics.allSpins++;
+        } else if (clearType.startsWith('perfect_clear')) {
             this.statistics.perfectClears++;
         }
     }
@@ -388,7 +495,7 @@ export class ScoreManager {
      * Update score breakdown
      */
     updateScoreBreakdown(clearType, baseScore, comboBonus, backToBackBonus) {
-        if (clearType.startsWith('t_spin')) {
+        if (clearType.startsWith('t_spin') || clearType.startsWith('all_spin')) {
             this.scoreBreakdown.tSpins += baseScore;
         } else if (clearType.startsWith('perfect_clear')) {
             this.scoreBreakdown.perfectClears += baseScore;
@@ -404,7 +511,7 @@ export class ScoreManager {
      * Record scoring event for UI display
      */
     recordScoringEvent(event) {
-        event.timestamp = performance.now();
+        event.timestamp = this.clock.now();
         this.recentEvents.unshift(event);
 
         // Limit recent events
@@ -596,6 +703,7 @@ export class ScoreManager {
             triples: 0,
             tetrises: 0,
             tSpins: 0,
+            allSpins: 0,
             perfectClears: 0,
             softDrops: 0,
             hardDrops: 0,
@@ -628,6 +736,21 @@ export class ScoreManager {
         this.config = { ...this.config, ...options };
     }
 
+    /**
+     * Apply the scoring system from a game rules object
+     */
+    applyRules(rules) {
+        const isModern = rules.scoring !== SCORING_SYSTEMS.NES;
+
+        this.configure({
+            scoringSystem: rules.scoring,
+            enableTSpinScoring: isModern && rules.tSpinDetection,
+            enablePerfectClearBonus: isModern,
+            enableComboScoring: isModern,
+            enableBackToBackBonus: isModern
+        });
+    }
+
     /**
      * Serialize score data
      */
@@ -651,8 +774,8 @@ export class ScoreManager {
     /**
      * Deserialize score data
      */
-    static deserialize(data) {
-        const scoreManager = new ScoreManager();
+    static deserialize(data, clock = wallClock) {
+        const scoreManager = new ScoreManager(clock);
 
         scoreManager.score = data.score || 0;
         scoreManager.lines = data.lines || 0;
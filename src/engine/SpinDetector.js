@@ -0,0 +1,113 @@
+/**
+ * NeonTetris-MLRSA Spin Detector
+ * Classifies the last move of a locking piece as a spin
+ *
+ * Features:
+ * - Guideline three-corner T-spin rule with front/back corners
+ * - T-spin mini detection
+ * - Mini upgrade for the TST and fin kicks
+ * - Optional all-spin (immobile) rule for S, Z, J, L and I pieces
+ */
+
+/**
+ * Spin classifications
+ */
+export const SPIN_TYPES = {
+    FULL: 'full',
+    MINI: 'mini'
+};
+
+/**
+ * Moves that can end in a spin
+ */
+export const SPIN_MOVES = {
+    ROTATE: 'rotate',
+    MOVE: 'move'
+};
+
+/**
+ * Spin classifier for locking pieces
+ */
+export class SpinDetector {
+    constructor(collisionDetector) {
+        this.collisionDetector = collisionDetector;
+
+        this.config = {
+            enabled: true,
+            allSpin: false
+        };
+    }
+
+    /**
+     * Configure spin detection
+     */
+    configure(options) {
+        this.config = { ...this.config, ...options };
+    }
+
+    /**
+     * Classify a piece about to lock
+     * @param {Piece} piece - Piece in its final position
+     * @param {Object} lastMove - { type, wallKick } of the last successful move
+     * @returns {Object|null} { piece, type, corners, upgraded } or null if not a spin
+     */
+    classify(piece, lastMove) {
+        if (!this.config.enabled || !piece || !lastMove || lastMove.type !== SPIN_MOVES.ROTATE) {
+            return null;
+        }
+
+        if (piece.type === 'T') {
+            return this.classifyTSpin(piece, lastMove.wallKick);
+        }
+
+        if (this.config.allSpin && piece.type !== 'O' && this.isImmobile(piece)) {
+            return { piece: piece.type, type: SPIN_TYPES.MINI, corners: null, upgraded: false };
+        }
+
+        return null;
+    }
+
+    /**
+     * Apply the three-corner rule to a T piece
+     */
+    classifyTSpin(piece, wallKick) {
+        const check = this.collisionDetector.checkTSpinConditions(piece);
+
+        if (!check.isTSpin && !check.isMiniTSpin) {
+            return null;
+        }
+
+        // The TST and fin kicks turn a mini into a full T-spin
+        const upgraded = check.isMiniTSpin && this.isUpgradeKick(wallKick);
+
+        return {
+            piece: 'T',
+            type: check.isTSpin || upgraded ? SPIN_TYPES.FULL : SPIN_TYPES.MINI,
+            corners: check.cornerStates,
+            upgraded
+        };
+    }
+
+    /**
+     * Check for the TST/fin kick: the last kick of a quarter turn, moving the
+     * piece 1 column and 2 rows. 180° kicks with the same offset do not count.
+     */
+    isUpgradeKick(wallKick) {
+        if (!wallKick || !wallKick.offset || !wallKick.lastTest) return false;
+        if (Math.abs(wallKick.direction) !== 1) return false;
+
+        const [x, y] = wallKick.offset;
+        return Math.abs(x) === 1 && Math.abs(y) === 2;
+    }
+
+    /**
+     * Check that a piece cannot move left, right or up
+     */
+    isImmobile(piece) {
+        const { x, y } = piece.position;
+
+        return [[-1, 0], [1, 0], [0, 1]].every(([dx, dy]) =>
+            !this.collisionDetector.isValidPosition(piece, { x: x + dx, y: y + dy })
+        );
+    }
+}
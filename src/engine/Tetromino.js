@@ -595,6 +595,7 @@ export const DEFAULT_TETROMINO_CONFIG = {
     spawnX: 4,
     spawnY: 19,
     initialRotation: 0,
+    maxLockResets: 15, // null = unlimited
     enableGlow: true,
     glowIntensity: 0.8,
     shadowOffset: { x: 2, y: -2 }
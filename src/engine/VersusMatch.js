@@ -0,0 +1,358 @@
+/**
+ * NeonTetris-MLRSA Versus Match
+ * Two-player versus match driving a pair of headless engines
+ *
+ * Features:
+ * - Two engines stepped in lockstep on the same fixed timestep
+ * - Both players get the same piece sequence each round
+ * - Garbage sent by one player is queued on the other
+ * - Shared countdown before every round
+ * - Best-of-N match score, replayed rounds on draws and rematch
+ * - Optional CPU opponent in either seat
+ */
+
+import { GameEngine } from './GameEngine.js';
+import { CpuPlayer } from './CpuPlayer.js';
+import { generateSeed } from './Randomizer.js';
+
+/**
+ * Match phases
+ */
+export const VERSUS_PHASES = {
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    ROUND_OVER: 'roundOver',
+    MATCH_OVER: 'matchOver'
+};
+
+/**
+ * Default match settings
+ */
+export const VERSUS_DEFAULTS = {
+    bestOf: 3,        // Rounds in the match (first to a majority wins)
+    countdown: 3000,  // ms before each round starts
+    mode: 'versus',   // Game mode both players play
+    seed: null,       // null = fresh seed every round
+    cpu: null         // { player, difficulty } to let the CPU play one seat
+};
+
+/**
+ * Local two-player versus match
+ */
+export class VersusMatch {
+    constructor(options = {}) {
+        this.config = { ...VERSUS_DEFAULTS, ...options };
+
+        this.players = [0, 1].map(index => this.createPlayer(index));
+        this.setCpu(this.config.cpu);
+        this.wins = [0, 0];
+        this.round = 0;
+        this.phase = VERSUS_PHASES.ROUND_OVER;
+        this.countdownTimer = 0;
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.lastRound = null;
+
+        // Event system
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Create the engine of one player and route its garbage to the opponent
+     */
+    createPlayer(index) {
+        const engine = new GameEngine({
+            headless: true,
+            mode: this.config.mode,
+            recordReplays: false
+        });
+        engine.setMode(this.config.mode);
+        engine.isPaused = true;
+
+        engine.addEventListener('garbageSent', ({ lines }) => {
+            if (this.phase !== VERSUS_PHASES.PLAYING) return;
+
+            this.getOpponent(index).engine.receiveGarbage(lines);
+            this.emit('garbageSent', { player: index, lines });
+        });
+
+        return { index, engine, cpu: null };
+    }
+
+    /**
+     * Let the CPU play one seat, or pass null for two human players
+     * @param {Object|null} cpu - { player, difficulty }
+     */
+    setCpu(cpu) {
+        this.players.forEach(player => {
+            player.cpu = null;
+        });
+        this.config.cpu = cpu;
+
+        if (!cpu) return;
+
+        const player = this.players[cpu.player ?? 1];
+        if (!player) {
+            throw new Error(`Invalid player index: ${cpu.player}`);
+        }
+
+        player.cpu = new CpuPlayer(player.engine, { difficulty: cpu.difficulty });
+    }
+
+    /**
+     * Check if a seat is played by the CPU
+     */
+    isCpu(index) {
+        return Boolean(this.players[index] && this.players[index].cpu);
+    }
+
+    /**
+     * Get the other player
+     */
+    getOpponent(index) {
+        return this.players[1 - index];
+    }
+
+    /**
+     * Rounds a player must win to take the match
+     */
+    getWinsNeeded() {
+        return Math.ceil(this.config.bestOf / 2);
+    }
+
+    /**
+     * Change match settings (bestOf takes effect on the next rematch)
+     */
+    configure(options) {
+        if (options.bestOf !== undefined && (!Number.isInteger(options.bestOf) || options.bestOf < 1)) {
+            throw new Error(`Invalid best-of count: ${options.bestOf}`);
+        }
+
+        this.config = { ...this.config, ...options };
+    }
+
+    /**
+     * Reset both boards and start the countdown of the next round
+     */
+    startRound() {
+        if (this.phase === VERSUS_PHASES.MATCH_OVER) return;
+
+        const seed = this.config.seed ?? generateSeed();
+
+        this.players.forEach(({ engine, cpu }) => {
+            engine.resetGame(seed);
+            engine.start();
+            engine.isPaused = true;
+
+            if (cpu) {
+                cpu.reset(seed);
+            }
+        });
+
+        this.round++;
+        this.phase = VERSUS_PHASES.COUNTDOWN;
+        this.countdownTimer = this.config.countdown;
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.lastRound = null;
+
+        this.emit('roundStarted', { round: this.round, seed });
+        this.emit('countdown', { seconds: Math.ceil(this.countdownTimer / 1000) });
+    }
+
+    /**
+     * Clear the score and start a new match
+     */
+    rematch() {
+        this.wins = [0, 0];
+        this.round = 0;
+        this.phase = VERSUS_PHASES.ROUND_OVER;
+
+        this.emit('rematch', { bestOf: this.config.bestOf });
+        this.startRound();
+    }
+
+    /**
+     * Advance the match by real elapsed time
+     */
+    update(deltaTime) {
+        if (this.isPaused) return;
+
+        if (this.phase === VERSUS_PHASES.COUNTDOWN) {
+            this.updateCountdown(deltaTime);
+            return;
+        }
+
+        if (this.phase !== VERSUS_PHASES.PLAYING) return;
+
+        const fixedTimeStep = this.players[0].engine.fixedTimeStep;
+        this.accumulator += deltaTime;
+
+        while (this.accumulator >= fixedTimeStep && this.phase === VERSUS_PHASES.PLAYING) {
+            this.step(1);
+            this.accumulator -= fixedTimeStep;
+        }
+    }
+
+    /**
+     * Count down to the start of the round
+     */
+    updateCountdown(deltaTime) {
+        const previousSeconds = Math.ceil(this.countdownTimer / 1000);
+        this.countdownTimer = Math.max(0, this.countdownTimer - deltaTime);
+        const seconds = Math.ceil(this.countdownTimer / 1000);
+
+        if (this.countdownTimer === 0) {
+            this.phase = VERSUS_PHASES.PLAYING;
+            this.players.forEach(({ engine }) => {
+                engine.isPaused = false;
+            });
+            this.emit('go', { round: this.round });
+        } else if (seconds !== previousSeconds) {
+            this.emit('countdown', { seconds });
+        }
+    }
+
+    /**
+     * Step both engines by whole frames in lockstep
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames && this.phase === VERSUS_PHASES.PLAYING; i++) {
+            this.players.forEach(({ engine, cpu }) => {
+                if (cpu) {
+                    cpu.update(engine.fixedTimeStep);
+                }
+                engine.step(1);
+            });
+            this.checkRoundOver();
+        }
+    }
+
+    /**
+     * End the round once a player has topped out
+     */
+    checkRoundOver() {
+        const toppedOut = this.players.map(({ engine }) => engine.gameState.get('status') === 'gameOver');
+        if (!toppedOut.includes(true)) return;
+
+        this.players.forEach(({ engine }) => {
+            engine.isPaused = true;
+        });
+
+        // Both topped out on the same frame: the round is played again
+        const winner = toppedOut[0] && toppedOut[1] ? null : toppedOut.indexOf(false);
+        if (winner !== null) {
+            this.wins[winner]++;
+        }
+
+        this.lastRound = {
+            round: this.round,
+            winner,
+            statistics: this.players.map(({ engine }) => this.getPlayerStatistics(engine))
+        };
+
+        if (winner !== null && this.wins[winner] >= this.getWinsNeeded()) {
+            this.phase = VERSUS_PHASES.MATCH_OVER;
+            this.emit('roundOver', { ...this.lastRound, wins: [...this.wins] });
+            this.emit('matchOver', { winner, wins: [...this.wins], rounds: this.round });
+        } else {
+            this.phase = VERSUS_PHASES.ROUND_OVER;
+            this.emit('roundOver', { ...this.lastRound, wins: [...this.wins] });
+        }
+    }
+
+    /**
+     * Statistics of one player for the round summary
+     */
+    getPlayerStatistics(engine) {
+        const { score, lines, pieces } = engine.getStatistics();
+        const garbage = engine.garbageSystem.getStatistics();
+
+        return {
+            score,
+            lines,
+            pieces,
+            sent: garbage.sent,
+            received: garbage.received
+        };
+    }
+
+    /**
+     * Send an input action to one player's engine
+     */
+    addInput(playerIndex, action) {
+        if (this.phase !== VERSUS_PHASES.PLAYING || this.isPaused) return;
+
+        const player = this.players[playerIndex];
+        if (!player) {
+            throw new Error(`Invalid player index: ${playerIndex}`);
+        }
+
+        // The CPU seat ignores human input
+        if (player.cpu) return;
+
+        player.engine.addInput(action);
+    }
+
+    /**
+     * Pause/resume the match
+     */
+    togglePause() {
+        if (this.phase !== VERSUS_PHASES.COUNTDOWN && this.phase !== VERSUS_PHASES.PLAYING) return;
+
+        this.isPaused = !this.isPaused;
+        this.emit(this.isPaused ? 'paused' : 'resumed');
+    }
+
+    /**
+     * Get the match score
+     */
+    getScore() {
+        return {
+            wins: [...this.wins],
+            round: this.round,
+            bestOf: this.config.bestOf,
+            winsNeeded: this.getWinsNeeded()
+        };
+    }
+
+    /**
+     * Event system methods
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data = {}) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Clean up both engines
+     */
+    destroy() {
+        this.players.forEach(({ engine }) => engine.destroy());
+        this.eventListeners.clear();
+    }
+}
@@ -3,6 +3,8 @@
  * Supports Xbox, PlayStation, Nintendo, and generic HID gamepads
  */
 
+import { defaultStorage, STORAGE_KEYS } from '../storage/StorageManager.js';
+
 export class GamepadHandler {
     constructor(inputManager) {
         this.inputManager = inputManager;
@@ -12,78 +14,11 @@ export class GamepadHandler {
         this.gamepads = new Map();
         this.activeGamepad = null;
 
-        // Button mappings for different controller types
-        this.buttonMappings = {
-            standard: {
-                // Standard gamepad mapping (Xbox style)
-                0: 'rotateCW',      // A button
-                1: 'rotateCCW',     // B button
-                2: 'hold',          // X button
-                3: 'hardDrop',      // Y button
-                4: 'rotateCCW',     // Left bumper
-                5: 'rotateCW',      // Right bumper
-                6: null,            // Left trigger
-                7: null,            // Right trigger
-                8: 'settings',      // Back/Select
-                9: 'pause',         // Start
-                10: null,           // Left stick
-                11: null,           // Right stick
-                12: null,           // D-pad up (handled separately)
-                13: 'softDrop',     // D-pad down
-                14: 'moveLeft',     // D-pad left
-                15: 'moveRight'     // D-pad right
-            },
-            xbox: {
-                // Xbox specific mapping
-                0: 'rotateCW',
-                1: 'rotateCCW',
-                2: 'hold',
-                3: 'hardDrop',
-                4: 'rotateCCW',
-                5: 'rotateCW',
-                8: 'settings',
-                9: 'pause',
-                13: 'softDrop',
-                14: 'moveLeft',
-                15: 'moveRight'
-            },
-            playstation: {
-                // PlayStation specific mapping
-                0: 'rotateCW',      // X
-                1: 'rotateCCW',     // Circle
-                2: 'hold',          // Square
-                3: 'hardDrop',      // Triangle
-                4: 'rotateCCW',     // L1
-                5: 'rotateCW',      // R1
-                8: 'settings',      // Share
-                9: 'pause',         // Options
-                13: 'softDrop',     // D-pad down
-                14: 'moveLeft',     // D-pad left
-                15: 'moveRight'     // D-pad right
-            },
-            nintendo: {
-                // Nintendo Pro Controller mapping
-                0: 'rotateCCW',     // B
-                1: 'rotateCW',      // A
-                2: 'hardDrop',      // Y
-                3: 'hold',          // X
-                4: 'rotateCCW',     // L
-                5: 'rotateCW',      // R
-                8: 'settings',      // Minus
-                9: 'pause',         // Plus
-                13: 'softDrop',     // D-pad down
-                14: 'moveLeft',     // D-pad left
-                15: 'moveRight'     // D-pad right
-            }
-        };
-
-        // Analog stick settings
-        this.analogSettings = {
-            deadzone: 0.3,
-            sensitivity: 1.0,
-            enableMovement: false,
-            enableRotation: false
-        };
+        // Button mappings, analog stick and rumble settings
+        const defaults = this.getDefaultSettings();
+        this.buttonMappings = defaults.buttonMappings;
+        this.analogSettings = defaults.analog;
+        this.rumble = defaults.rumble;
 
         // Button state tracking
         this.buttonState = {
@@ -93,20 +28,6 @@ export class GamepadHandler {
             pressTime: new Map()
         };
 
-        // Rumble support
-        this.rumble = {
-            enabled: true,
-            intensity: 0.5,
-            patterns: {
-                move: { duration: 50, weak: 0.1, strong: 0.0 },
-                rotate: { duration: 80, weak: 0.2, strong: 0.1 },
-                drop: { duration: 120, weak: 0.3, strong: 0.2 },
-                clear: { duration: 300, weak: 0.5, strong: 0.3 },
-                tetris: { duration: 500, weak: 0.8, strong: 0.6 },
-                gameOver: { duration: 1000, weak: 0.6, strong: 0.9 }
-            }
-        };
-
         // Controller detection
         this.controllerTypes = {
             xbox: ['xbox', 'microsoft'],
@@ -294,14 +215,14 @@ export class GamepadHandler {
                 this.buttonState.justPressed.add(buttonId);
                 this.buttonState.pressTime.set(buttonId, performance.now());
 
-                this.sendInputEvent(this.getActionType(action), action, true);
+                this.sendInputEvent(this.getActionType(action), action, true, gamepad.index);
             } else if (!isPressed && wasPressed) {
                 // Button just released
                 this.buttonState.pressed.delete(buttonId);
                 this.buttonState.justReleased.add(buttonId);
                 this.buttonState.pressTime.delete(buttonId);
 
-                this.sendInputEvent(this.getActionType(action), action, false);
+                this.sendInputEvent(this.getActionType(action), action, false, gamepad.index);
             }
         }
     }
@@ -327,12 +248,12 @@ export class GamepadHandler {
 
         // Handle movement with left stick
         if (this.analogSettings.enableMovement) {
-            this.handleAnalogMovement(leftStick);
+            this.handleAnalogMovement(leftStick, gamepad.index);
         }
 
         // Handle rotation with right stick
         if (this.analogSettings.enableRotation) {
-            this.handleAnalogRotation(rightStick);
+            this.handleAnalogRotation(rightStick, gamepad.index);
         }
     }
 
@@ -349,36 +270,36 @@ export class GamepadHandler {
         }
     }
 
-    handleAnalogMovement(stick) {
+    handleAnalogMovement(stick, gamepadIndex) {
         const threshold = 0.5;
 
         if (Math.abs(stick.x) > threshold) {
             const action = stick.x > 0 ? 'moveRight' : 'moveLeft';
-            this.sendInputEvent('move', action, true);
+            this.sendInputEvent('move', action, true, gamepadIndex);
         }
 
         if (stick.y > threshold) {
-            this.sendInputEvent('drop', 'softDrop', true);
+            this.sendInputEvent('drop', 'softDrop', true, gamepadIndex);
         }
     }
 
-    handleAnalogRotation(stick) {
+    handleAnalogRotation(stick, gamepadIndex) {
         const threshold = 0.7;
 
         if (Math.abs(stick.x) > threshold) {
             const action = stick.x > 0 ? 'rotateCW' : 'rotateCCW';
-            this.sendInputEvent('rotate', action, true);
+            this.sendInputEvent('rotate', action, true, gamepadIndex);
         }
     }
 
-    sendInputEvent(type, action, pressed) {
+    sendInputEvent(type, action, pressed, gamepadIndex = this.activeGamepad) {
         const inputEvent = {
             type: type,
             action: action,
             pressed: pressed,
             timestamp: performance.now(),
             source: 'gamepad',
-            gamepadIndex: this.activeGamepad
+            gamepadIndex: gamepadIndex
         };
 
         this.inputManager.addInputEvent(inputEvent);
@@ -392,6 +313,7 @@ export class GamepadHandler {
             hardDrop: 'drop',
             rotateCW: 'rotate',
             rotateCCW: 'rotate',
+            rotate180: 'rotate',
             hold: 'hold',
             pause: 'pause',
             settings: 'settings'
@@ -450,6 +372,13 @@ export class GamepadHandler {
         return true;
     }
 
+    /**
+     * Position of a gamepad in connection order (player slot in local multiplayer)
+     */
+    getGamepadSlot(gamepadIndex) {
+        return Array.from(this.gamepads.keys()).indexOf(gamepadIndex);
+    }
+
     getConnectedGamepads() {
         return Array.from(this.gamepads.values()).map(info => ({
             id: info.id,
@@ -530,11 +459,108 @@ export class GamepadHandler {
         }
     }
 
+    /**
+     * Default button mappings, analog stick and rumble settings
+     */
+    getDefaultSettings() {
+        return {
+            buttonMappings: {
+                standard: {
+                    // Standard gamepad mapping (Xbox style)
+                    0: 'rotateCW',      // A button
+                    1: 'rotateCCW',     // B button
+                    2: 'hold',          // X button
+                    3: 'hardDrop',      // Y button
+                    4: 'rotateCCW',     // Left bumper
+                    5: 'rotateCW',      // Right bumper
+                    6: 'rotate180',     // Left trigger
+                    7: null,            // Right trigger
+                    8: 'settings',      // Back/Select
+                    9: 'pause',         // Start
+                    10: null,           // Left stick
+                    11: null,           // Right stick
+                    12: null,           // D-pad up (handled separately)
+                    13: 'softDrop',     // D-pad down
+                    14: 'moveLeft',     // D-pad left
+                    15: 'moveRight'     // D-pad right
+                },
+                xbox: {
+                    // Xbox specific mapping
+                    0: 'rotateCW',
+                    1: 'rotateCCW',
+                    2: 'hold',
+                    3: 'hardDrop',
+                    4: 'rotateCCW',
+                    5: 'rotateCW',
+                    6: 'rotate180',
+                    8: 'settings',
+                    9: 'pause',
+                    13: 'softDrop',
+                    14: 'moveLeft',
+                    15: 'moveRight'
+                },
+                playstation: {
+                    // PlayStation specific mapping
+                    0: 'rotateCW',      // X
+                    1: 'rotateCCW',     // Circle
+                    2: 'hold',          // Square
+                    3: 'hardDrop',      // Triangle
+                    4: 'rotateCCW',     // L1
+                    5: 'rotateCW',      // R1
+                    6: 'rotate180',     // L2
+                    8: 'settings',      // Share
+                    9: 'pause',         // Options
+                    13: 'softDrop',     // D-pad down
+                    14: 'moveLeft',     // D-pad left
+                    15: 'moveRight'     // D-pad right
+                },
+                nintendo: {
+                    // Nintendo Pro Controller mapping
+                    0: 'rotateCCW',     // B
+                    1: 'rotateCW',      // A
+                    2: 'hardDrop',      // Y
+                    3: 'hold',          // X
+                    4: 'rotateCCW',     // L
+                    5: 'rotateCW',      // R
+                    6: 'rotate180',     // ZL
+                    8: 'settings',      // Minus
+                    9: 'pause',         // Plus
+                    13: 'softDrop',     // D-pad down
+                    14: 'moveLeft',     // D-pad left
+                    15: 'moveRight'     // D-pad right
+                }
+            },
+            analog: {
+                deadzone: 0.3,
+                sensitivity: 1.0,
+                enableMovement: false,
+                enableRotation: false
+            },
+            rumble: {
+                enabled: true,
+                intensity: 0.5,
+                patterns: {
+                    move: { duration: 50, weak: 0.1, strong: 0.0 },
+                    rotate: { duration: 80, weak: 0.2, strong: 0.1 },
+                    drop: { duration: 120, weak: 0.3, strong: 0.2 },
+                    clear: { duration: 300, weak: 0.5, strong: 0.3 },
+                    tetris: { duration: 500, weak: 0.8, strong: 0.6 },
+                    gameOver: { duration: 1000, weak: 0.6, strong: 0.9 }
+                }
+            }
+        };
+    }
+
     loadGamepadSettings() {
+        // Settings missing from storage go back to their defaults
+        const defaults = this.getDefaultSettings();
+        this.rumble = defaults.rumble;
+        this.analogSettings = defaults.analog;
+        this.buttonMappings = defaults.buttonMappings;
+
         try {
-            const saved = localStorage.getItem('neontetris_gamepad_settings');
-            if (saved) {
-                const savedSettings = JSON.parse(saved);
+            const savedSettings = defaultStorage.get(STORAGE_KEYS.GAMEPAD_SETTINGS);
+            if (savedSettings) {
                 this.rumble = { ...this.rumble, ...savedSettings.rumble };
                 this.analogSettings = { ...this.analogSettings, ...savedSettings.analog };
                 this.buttonMappings = { ...this.buttonMappings, ...savedSettings.buttonMappings };
@@ -542,19 +568,20 @@ export class GamepadHandler {
         } catch (error) {
             console.warn('Failed to load gamepad settings:', error);
         }
+
+        // Connected gamepads pick up the loaded mappings
+        this.gamepads.forEach(gamepadInfo => {
+            gamepadInfo.mapping = this.buttonMappings[gamepadInfo.type] || this.buttonMappings.standard;
+        });
     }
 
     saveGamepadSettings() {
-        try {
-            const settings = {
-                rumble: this.rumble,
-                analog: this.analogSettings,
-                buttonMappings: this.buttonMappings
-            };
-            localStorage.setItem('neontetris_gamepad_settings', JSON.stringify(settings));
-        } catch (error) {
-            console.warn('Failed to save gamepad settings:', error);
-        }
+        const settings = {
+            rumble: this.rumble,
+            analog: this.analogSettings,
+            buttonMappings: this.buttonMappings
+        };
+        defaultStorage.set(STORAGE_KEYS.GAMEPAD_SETTINGS, settings);
     }
 
     getInputStatistics() {
@@ -6,6 +6,7 @@
 import { KeyboardHandler } from './KeyboardHandler.js';
 import { TouchHandler } from './TouchHandler.js';
 import { GamepadHandler } from './GamepadHandler.js';
+import { defaultStorage, STORAGE_KEYS } from '../storage/StorageManager.js';
 
 export class InputManager {
     constructor(game) {
@@ -24,15 +25,7 @@ export class InputManager {
         this.maxBufferSize = 3; // 3 frames at 60fps
 
         // Input settings
-        this.settings = {
-            primaryInput: 'keyboard',
-            das: 167, // Delayed Auto Shift in ms
-            arr: 33,  // Auto Repeat Rate in ms
-            sensitivity: 0.8,
-            hapticEnabled: true,
-            inputBuffer: true,
-            finesseMode: false
-        };
+        this.settings = this.getDefaultSettings();
 
         // Input state tracking
         this.inputState = {
@@ -97,7 +90,7 @@ export class InputManager {
         const gameKeys = [
             'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
             'Space', 'KeyW', 'KeyA', 'KeyS', 'KeyD',
-            'KeyZ', 'KeyX', 'KeyC'
+            'KeyZ', 'KeyX', 'KeyC', 'KeyQ'
         ];
         return gameKeys.includes(keyCode);
     }
@@ -247,6 +240,7 @@ export class InputManager {
             hardDrop: 'drop',
             rotateCW: 'rotate',
             rotateCCW: 'rotate',
+            rotate180: 'rotate',
             hold: 'hold',
             pause: 'pause'
         };
@@ -263,6 +257,12 @@ export class InputManager {
     handleRotation(event) {
         if (!this.game || !this.game.isPlaying()) return;
 
+        // The engine turns down 180° rotations the player has switched off
+        if (event.action === 'rotate180') {
+            this.game.rotatePiece180();
+            return;
+        }
+
         const clockwise = event.action === 'rotateCW';
         this.game.rotatePiece(clockwise);
     }
@@ -369,11 +369,29 @@ export class InputManager {
         });
     }
 
+    /**
+     * Default input settings
+     */
+    getDefaultSettings() {
+        return {
+            primaryInput: 'keyboard',
+            das: 167, // Delayed Auto Shift in ms
+            arr: 33,  // Auto Repeat Rate in ms
+            sensitivity: 0.8,
+            hapticEnabled: true,
+            inputBuffer: true,
+            finesseMode: false,
+            rotate180Enabled: true
+        };
+    }
+
     loadSettings() {
+        // Settings missing from storage go back to their defaults
+        this.settings = this.getDefaultSettings();
+
         try {
-            const saved = localStorage.getItem('neontetris_input_settings');
-            if (saved) {
-                const savedSettings = JSON.parse(saved);
+            const savedSettings = defaultStorage.get(STORAGE_KEYS.INPUT_SETTINGS);
+            if (savedSettings) {
                 this.settings = { ...this.settings, ...savedSettings };
             }
         } catch (error) {
@@ -382,11 +400,7 @@ export class InputManager {
     }
 
     saveSettings() {
-        try {
-            localStorage.setItem('neontetris_input_settings', JSON.stringify(this.settings));
-        } catch (error) {
-            console.warn('Failed to save input settings:', error);
-        }
+        defaultStorage.set(STORAGE_KEYS.INPUT_SETTINGS, this.settings);
     }
 
     getInputLatency() {
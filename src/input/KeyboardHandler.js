@@ -3,31 +3,15 @@
  * Handles all keyboard input for NeonTetris-MLRSA with advanced features
  */
 
+import { defaultStorage, STORAGE_KEYS } from '../storage/StorageManager.js';
+
 export class KeyboardHandler {
     constructor(inputManager) {
         this.inputManager = inputManager;
         this.isEnabled = true;
 
         // Default key bindings
-        this.keyBindings = {
-            moveLeft: ['KeyA', 'ArrowLeft'],
-            moveRight: ['KeyD', 'ArrowRight'],
-            softDrop: ['KeyS', 'ArrowDown'],
-            hardDrop: ['KeyW', 'ArrowUp', 'Space'],
-            rotateCW: ['KeyX', 'ControlRight', 'Period'],
-            rotateCCW: ['KeyZ', 'ControlLeft', 'Comma'],
-            hold: ['KeyC', 'ShiftLeft', 'ShiftRight'],
-            pause: ['KeyP', 'Escape'],
-            restart: ['KeyR'],
-            menu: ['Tab'],
-            settings: ['KeyO', 'F1'],
-            fullscreen: ['KeyF', 'F11'],
-            // Debug keys (development mode)
-            showFPS: ['F3'],
-            debugInfo: ['F12'],
-            levelSkip: ['KeyL'],
-            addLines: ['KeyG']
-        };
+        this.keyBindings = this.getDefaultKeyBindings();
 
         // Reverse mapping for quick lookup
         this.actionMap = new Map();
@@ -182,6 +166,7 @@ export class KeyboardHandler {
             hardDrop: 'drop',
             rotateCW: 'rotate',
             rotateCCW: 'rotate',
+            rotate180: 'rotate',
             hold: 'hold',
             pause: 'pause',
             restart: 'restart',
@@ -264,6 +249,7 @@ export class KeyboardHandler {
             hardDrop: ['KeyW', 'ArrowUp', 'Space'],
             rotateCW: ['KeyX', 'ControlRight', 'Period'],
             rotateCCW: ['KeyZ', 'ControlLeft', 'Comma'],
+            rotate180: ['KeyQ'],
             hold: ['KeyC', 'ShiftLeft', 'ShiftRight'],
             pause: ['KeyP', 'Escape'],
             restart: ['KeyR'],
@@ -317,7 +303,7 @@ export class KeyboardHandler {
 
         // Detect excessive rotation
         const recentRotations = sequence.slice(-4).filter(action =>
-            action === 'rotateCW' || action === 'rotateCCW'
+            action === 'rotateCW' || action === 'rotateCCW' || action === 'rotate180'
         );
         if (recentRotations.length > 2) {
             this.emitFinesseHint('Multiple rotations - consider initial rotation direction');
@@ -365,25 +351,50 @@ export class KeyboardHandler {
         }
     }
 
+    /**
+     * Default key bindings
+     */
+    getDefaultKeyBindings() {
+        return {
+            moveLeft: ['KeyA', 'ArrowLeft'],
+            moveRight: ['KeyD', 'ArrowRight'],
+            softDrop: ['KeyS', 'ArrowDown'],
+            hardDrop: ['KeyW', 'ArrowUp', 'Space'],
+            rotateCW: ['KeyX', 'ControlRight', 'Period'],
+            rotateCCW: ['KeyZ', 'ControlLeft', 'Comma'],
+            rotate180: ['KeyQ'],
+            hold: ['KeyC', 'ShiftLeft', 'ShiftRight'],
+            pause: ['KeyP', 'Escape'],
+            restart: ['KeyR'],
+            menu: ['Tab'],
+            settings: ['KeyO', 'F1'],
+            fullscreen: ['KeyF', 'F11'],
+            // Debug keys (development mode)
+            showFPS: ['F3'],
+            debugInfo: ['F12'],
+            levelSkip: ['KeyL'],
+            addLines: ['KeyG']
+        };
+    }
+
     loadKeyBindings() {
+        // Bindings missing from storage go back to their defaults
+        this.keyBindings = this.getDefaultKeyBindings();
+
         try {
-            const saved = localStorage.getItem('neontetris_key_bindings');
-            if (saved) {
-                const savedBindings = JSON.parse(saved);
+            const savedBindings = defaultStorage.get(STORAGE_KEYS.KEY_BINDINGS);
+            if (savedBindings) {
                 this.keyBindings = { ...this.keyBindings, ...savedBindings };
-                this.updateActionMap();
             }
         } catch (error) {
             console.warn('Failed to load key bindings:', error);
         }
+
+        this.updateActionMap();
     }
 
     saveKeyBindings() {
-        try {
-            localStorage.setItem('neontetris_key_bindings', JSON.stringify(this.keyBindings));
-        } catch (error) {
-            console.warn('Failed to save key bindings:', error);
-        }
+        defaultStorage.set(STORAGE_KEYS.KEY_BINDINGS, this.keyBindings);
     }
 
     getKeyName(keyCode) {
@@ -0,0 +1,127 @@
+/**
+ * PlayerInput - Per-player input sink for local multiplayer
+ * Receives events from a KeyboardHandler or GamepadHandler, applies DAS/ARR
+ * and forwards actions to one player's callback
+ */
+
+/**
+ * Split keyboard layout for two players sharing one keyboard
+ */
+export const VERSUS_KEY_BINDINGS = [
+    {
+        moveLeft: ['KeyA'],
+        moveRight: ['KeyD'],
+        softDrop: ['KeyS'],
+        hardDrop: ['KeyW'],
+        rotateCCW: ['KeyF'],
+        rotateCW: ['KeyG'],
+        rotate180: ['KeyR'],
+        hold: ['ShiftLeft']
+    },
+    {
+        moveLeft: ['ArrowLeft'],
+        moveRight: ['ArrowRight'],
+        softDrop: ['ArrowDown'],
+        hardDrop: ['ArrowUp'],
+        rotateCCW: ['Comma'],
+        rotateCW: ['Period'],
+        rotate180: ['Slash'],
+        hold: ['ShiftRight']
+    }
+];
+
+const REPEAT_ACTIONS = ['moveLeft', 'moveRight', 'softDrop'];
+const DEFAULT_BOARD_WIDTH = 10;
+
+export class PlayerInput {
+    /**
+     * @param {Function} onAction - Called with each action to perform
+     * @param {Object} settings - DAS/ARR and rotation settings
+     * @param {Function} getBoardWidth - Width of the player's board, for ARR 0 shifts
+     */
+    constructor(onAction, settings = {}, getBoardWidth = () => DEFAULT_BOARD_WIDTH) {
+        this.onAction = onAction;
+        this.getBoardWidth = getBoardWidth;
+        this.isEnabled = true;
+
+        // Matches the InputManager defaults
+        this.settings = {
+            das: 167,
+            arr: 33,
+            rotate180Enabled: true,
+            ...settings
+        };
+
+        this.repeatState = {
+            action: null,
+            dasTimer: 0,
+            arrTimer: 0,
+            repeating: false
+        };
+
+        // Handlers read this to decide on game-only behavior
+        this.game = null;
+    }
+
+    /**
+     * Input sink used by KeyboardHandler and GamepadHandler
+     */
+    addInputEvent(event) {
+        if (!this.isEnabled) return;
+
+        if (event.pressed) {
+            if (event.action === 'rotate180' && !this.settings.rotate180Enabled) return;
+
+            if (REPEAT_ACTIONS.includes(event.action)) {
+                this.repeatState = { action: event.action, dasTimer: 0, arrTimer: 0, repeating: false };
+            }
+
+            this.onAction(event.action);
+        } else if (event.action === this.repeatState.action) {
+            this.clearRepeat();
+        }
+    }
+
+    /**
+     * Advance DAS/ARR timing
+     */
+    update(deltaTime) {
+        const state = this.repeatState;
+        if (!this.isEnabled || !state.action) return;
+
+        if (!state.repeating) {
+            state.dasTimer += deltaTime;
+            if (state.dasTimer < this.settings.das) return;
+
+            state.repeating = true;
+            state.arrTimer = this.settings.arr;
+        } else {
+            state.arrTimer += deltaTime;
+        }
+
+        // ARR 0 shifts all the way to the wall in one frame
+        const repeats = this.settings.arr > 0 ? Math.floor(state.arrTimer / this.settings.arr) : this.getBoardWidth();
+        state.arrTimer = this.settings.arr > 0 ? state.arrTimer % this.settings.arr : 0;
+
+        for (let i = 0; i < repeats; i++) {
+            this.onAction(state.action);
+        }
+    }
+
+    clearRepeat() {
+        this.repeatState = { action: null, dasTimer: 0, arrTimer: 0, repeating: false };
+    }
+
+    updateSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    enable() {
+        this.isEnabled = true;
+    }
+
+    disable() {
+        this.isEnabled = false;
+        this.clearRepeat();
+    }
+}
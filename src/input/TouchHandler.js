@@ -3,6 +3,8 @@
  * Provides intuitive touch controls for mobile and tablet devices
  */
 
+import { defaultStorage, STORAGE_KEYS } from '../storage/StorageManager.js';
+
 export class TouchHandler {
     constructor(inputManager) {
         this.inputManager = inputManager;
@@ -23,7 +25,8 @@ export class TouchHandler {
             activeTouches: new Map(),
             gestures: [],
             lastTapTime: 0,
-            lastTapCount: 0
+            lastTapCount: 0,
+            multiTouch: null       // Two-finger gesture in progress
         };
 
         // Gesture recognition
@@ -179,9 +182,26 @@ export class TouchHandler {
         // Start gesture recognition
         if (this.touchState.activeTouches.size === 1) {
             this.startGestureRecognition(touch);
+        } else if (this.touchState.activeTouches.size === 2) {
+            this.startMultiTouch();
         }
     }
 
+    startMultiTouch() {
+        this.touchState.multiTouch = {
+            startTime: performance.now(),
+            moved: false
+        };
+
+        // A second finger turns the gesture into a two-finger tap, not a hold
+        this.touchState.activeTouches.forEach(touchInfo => {
+            if (touchInfo.longPressTimer) {
+                clearTimeout(touchInfo.longPressTimer);
+                touchInfo.longPressTimer = null;
+            }
+        });
+    }
+
     updateTouch(touch) {
         const touchInfo = this.touchState.activeTouches.get(touch.identifier);
         if (!touchInfo) return;
@@ -201,6 +221,10 @@ export class TouchHandler {
                 clearTimeout(touchInfo.longPressTimer);
                 touchInfo.longPressTimer = null;
             }
+
+            if (this.touchState.multiTouch) {
+                this.touchState.multiTouch.moved = true;
+            }
         }
 
         // Update gesture recognition
@@ -222,7 +246,9 @@ export class TouchHandler {
         const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
 
         // Determine gesture type
-        if (!touchInfo.moved && deltaTime < this.config.longPressDelay) {
+        if (this.touchState.multiTouch) {
+            this.endMultiTouch();
+        } else if (!touchInfo.moved && deltaTime < this.config.longPressDelay) {
             this.handleTap(touchInfo, deltaTime);
         } else if (touchInfo.moved && distance > this.config.swipeThreshold) {
             this.handleSwipe(touchInfo, deltaX, deltaY, deltaTime);
@@ -245,6 +271,22 @@ export class TouchHandler {
             clearTimeout(touchInfo.longPressTimer);
         }
         this.touchState.activeTouches.delete(touch.identifier);
+
+        if (this.touchState.activeTouches.size === 0) {
+            this.touchState.multiTouch = null;
+        }
+    }
+
+    endMultiTouch() {
+        // The gesture completes when the last finger lifts
+        if (this.touchState.activeTouches.size > 1) return;
+
+        const multiTouch = this.touchState.multiTouch;
+        this.touchState.multiTouch = null;
+
+        if (!multiTouch.moved && performance.now() - multiTouch.startTime < this.config.longPressDelay) {
+            this.processTwoFingerTap();
+        }
     }
 
     handleTap(touchInfo, duration) {
@@ -283,6 +325,12 @@ export class TouchHandler {
         this.sendInputEvent('rotate', 'rotateCCW');
     }
 
+    processTwoFingerTap() {
+        // Two-finger tap rotates 180 degrees
+        this.sendInputEvent('rotate', 'rotate180');
+        this.triggerHapticFeedback('tap');
+    }
+
     handleLongPress(touchInfo) {
         // Long press holds piece
         this.sendInputEvent('hold', 'hold');
@@ -530,6 +578,7 @@ export class TouchHandler {
             hardDrop: 'drop',
             rotateCW: 'rotate',
             rotateCCW: 'rotate',
+            rotate180: 'rotate',
             hold: 'hold'
         };
         return actionTypes[action] || 'unknown';
@@ -590,6 +639,7 @@ export class TouchHandler {
     clearState() {
         this.touchState.activeTouches.clear();
         this.touchState.gestures = [];
+        this.touchState.multiTouch = null;
         this.endGestureRecognition();
 
         // Clear button highlights
@@ -622,9 +672,8 @@ export class TouchHandler {
 
     loadTouchSettings() {
         try {
-            const saved = localStorage.getItem('neontetris_touch_settings');
-            if (saved) {
-                const savedSettings = JSON.parse(saved);
+            const savedSettings = defaultStorage.get(STORAGE_KEYS.TOUCH_SETTINGS);
+            if (savedSettings) {
                 this.haptic = { ...this.haptic, ...savedSettings.haptic };
                 this.virtualControls = { ...this.virtualControls, ...savedSettings.virtualControls };
             }
@@ -634,19 +683,15 @@ export class TouchHandler {
     }
 
     saveTouchSettings() {
-        try {
-            const settings = {
-                haptic: this.haptic,
-                virtualControls: {
-                    enabled: this.virtualControls.enabled,
-                    opacity: this.virtualControls.opacity,
-                    layout: this.virtualControls.layout
-                }
-            };
-            localStorage.setItem('neontetris_touch_settings', JSON.stringify(settings));
-        } catch (error) {
-            console.warn('Failed to save touch settings:', error);
-        }
+        const settings = {
+            haptic: this.haptic,
+            virtualControls: {
+                enabled: this.virtualControls.enabled,
+                opacity: this.virtualControls.opacity,
+                layout: this.virtualControls.layout
+            }
+        };
+        defaultStorage.set(STORAGE_KEYS.TOUCH_SETTINGS, settings);
     }
 
     getInputStatistics() {
@@ -2,8 +2,83 @@
  * Board Renderer for NeonTetris-MLRSA
  * Renders the game board with neon grid effects and animations
  * Handles line clearing animations and visual feedback
+ * Draws the incoming garbage meter beside the well
+ * Outlines the coach's suggested placement
+ * Fades out the stack in invisible games and doubles blocks in big mode
+ * Draws every piece in one color for the monochrome modifier
  */
 
+import { CELL_STATES } from '../engine/Board.js';
+
+/**
+ * ms an invisible block takes to fade out once its delay has passed
+ */
+const INVISIBLE_FADE_TIME = 400;
+
+/**
+ * Render state of a GameEngine board: visible rows top-down with the active piece merged in
+ */
+export function getEngineBoardState(engine) {
+    const { board } = engine;
+    const { invisibleDelay } = engine.rules;
+    const time = board.clock.now();
+    const rows = [];
+
+    for (let y = board.height - 1; y >= 0; y--) {
+        rows.push(board.getRow(y).map((cell, x) => {
+            const block = getCellBlock(cell);
+            const lockTime = board.getLockTime(x, y);
+
+            // Only blocks placed by pieces fade; garbage stays in view
+            if (block && invisibleDelay !== null && lockTime > 0) {
+                return fadeBlock(block, time - lockTime - invisibleDelay);
+            }
+            return block;
+        }));
+    }
+
+    const { monochrome = false } = engine.modifierSystem.display;
+    const activePiece = engine.gameState.get('activePiece');
+    if (activePiece) {
+        // Monochrome pieces look like the locked stack
+        const type = monochrome ? 'locked' : activePiece.type;
+        activePiece.absoluteBlocks.forEach(({ x, y }) => {
+            if (y >= 0 && y < board.height) {
+                rows[board.height - 1 - y][x] = { type };
+            }
+        });
+    }
+
+    return {
+        board: rows,
+        garbage: engine.garbageSystem.getMeter(),
+        blockScale: engine.getBlockScale(),
+        monochrome
+    };
+}
+
+/**
+ * Fade a block by the time since its invisible delay ran out; null once it is gone
+ */
+function fadeBlock(block, fadeTime) {
+    if (fadeTime <= 0) return block;
+
+    const alpha = 1 - fadeTime / INVISIBLE_FADE_TIME;
+    return alpha > 0 ? { ...block, alpha } : null;
+}
+
+function getCellBlock(cell) {
+    switch (cell) {
+        case CELL_STATES.EMPTY:
+        case CELL_STATES.GHOST:
+            return null;
+        case CELL_STATES.GARBAGE:
+            return { type: 'garbage' };
+        default:
+            return { type: 'locked' };
+    }
+}
+
 export class BoardRenderer {
     constructor(canvasManager, themeManager, neonEffects) {
         this.canvasManager = canvasManager;
@@ -15,6 +90,7 @@ export class BoardRenderer {
         this.boardHeight = 20;
         this.blockSize = 24;
         this.borderWidth = 2;
+        this.garbageMeterWidth = 8;
 
         // Position and dimensions
         this.x = 0;
@@ -25,6 +101,9 @@ export class BoardRenderer {
         // Game state
         this.gameState = null;
         this.board = null;
+        this.garbage = null;
+        this.hint = null;
+        this.blockScale = 1; // Board cells per block side (2 in big mode)
 
         // Animation state
         this.clearingLines = new Set();
@@ -64,6 +143,9 @@ export class BoardRenderer {
     setGameState(gameState) {
         this.gameState = gameState;
         this.board = gameState.board;
+        this.garbage = gameState.garbage || null;
+        this.hint = gameState.hint || null;
+        this.blockScale = gameState.blockScale || 1;
 
         // Update danger zone intensity based on stack height
         this.updateDangerZone();
@@ -146,11 +228,14 @@ export class BoardRenderer {
     updateDangerZone() {
         if (!this.board) return;
 
+        const rows = this.board.length;
+        const columns = rows > 0 ? this.board[0].length : 0;
+
         let highestBlock = this.boardHeight;
-        for (let x = 0; x < this.boardWidth; x++) {
-            for (let y = 0; y < this.boardHeight; y++) {
+        for (let x = 0; x < columns; x++) {
+            for (let y = 0; y < rows; y++) {
                 if (this.board[y][x]) {
-                    highestBlock = Math.min(highestBlock, y);
+                    highestBlock = Math.min(highestBlock, y * this.blockScale);
                     break;
                 }
             }
@@ -215,6 +300,9 @@ export class BoardRenderer {
         // Render placed pieces
         this.renderPlacedPieces(ctx);
 
+        // Render coach suggestion
+        this.renderCoachHint(ctx);
+
         // Render line clear effects
         this.renderLineClearEffects(ctx);
 
@@ -224,6 +312,9 @@ export class BoardRenderer {
         // Render board border
         this.renderBorder(ctx);
 
+        // Render incoming garbage
+        this.renderGarbageMeter(ctx);
+
         ctx.restore();
     }
 
@@ -285,8 +376,8 @@ export class BoardRenderer {
     renderPlacedPieces(ctx) {
         if (!this.board) return;
 
-        for (let y = 0; y < this.boardHeight; y++) {
-            for (let x = 0; x < this.boardWidth; x++) {
+        for (let y = 0; y < this.board.length; y++) {
+            for (let x = 0; x < this.board[y].length; x++) {
                 const block = this.board[y][x];
                 if (block && !this.clearingLines.has(y)) {
                     this.renderBlock(ctx, x, y, block);
@@ -300,40 +391,47 @@ export class BoardRenderer {
      */
     renderBlock(ctx, gridX, gridY, block) {
         const theme = this.themeManager.getCurrentTheme();
-        const x = this.x + gridX * this.blockSize;
-        const y = this.y + gridY * this.blockSize;
+        const size = this.blockSize * this.blockScale;
+        const x = this.x + gridX * size;
+        const y = this.y + gridY * size;
 
         // Get piece color
         const color = this.getPieceColor(block.type || block.piece);
         const glowIntensity = 0.8 + this.comboGlow * 0.3;
 
+        // Fading blocks of invisible games
+        ctx.save();
+        ctx.globalAlpha = block.alpha ?? 1;
+
         // Apply neon glow
         this.neonEffects.applyNeonGlow(ctx, color, glowIntensity);
 
         // Draw block fill
         ctx.fillStyle = color;
-        ctx.fillRect(x + 1, y + 1, this.blockSize - 2, this.blockSize - 2);
+        ctx.fillRect(x + 1, y + 1, size - 2, size - 2);
 
         // Draw block border
         ctx.strokeStyle = '#FFFFFF';
         ctx.lineWidth = 1;
-        ctx.strokeRect(x + 1, y + 1, this.blockSize - 2, this.blockSize - 2);
+        ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
 
         // Multiple glow layers for enhanced effect
         for (let i = 0; i < 2; i++) {
-            ctx.fillRect(x + 1, y + 1, this.blockSize - 2, this.blockSize - 2);
+            ctx.fillRect(x + 1, y + 1, size - 2, size - 2);
         }
 
         this.neonEffects.removeNeonGlow(ctx);
 
         // Add inner highlight
-        const highlightGradient = ctx.createLinearGradient(x, y, x, y + this.blockSize);
+        const highlightGradient = ctx.createLinearGradient(x, y, x, y + size);
         highlightGradient.addColorStop(0, '#FFFFFF40');
         highlightGradient.addColorStop(0.3, '#FFFFFF20');
         highlightGradient.addColorStop(1, '#00000020');
 
         ctx.fillStyle = highlightGradient;
-        ctx.fillRect(x + 2, y + 2, this.blockSize - 4, this.blockSize - 4);
+        ctx.fillRect(x + 2, y + 2, size - 4, size - 4);
+
+        ctx.restore();
     }
 
     /**
@@ -366,7 +464,8 @@ export class BoardRenderer {
      * Render individual line clear effect
      */
     renderLineClearEffect(ctx, line, animation) {
-        const y = this.y + line * this.blockSize;
+        const size = this.blockSize * this.blockScale;
+        const y = this.y + line * size;
         const progress = animation.progress;
         const theme = this.themeManager.getCurrentTheme();
 
@@ -379,12 +478,12 @@ export class BoardRenderer {
 
         // White flash effect
         ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(flashX, y, flashWidth, this.blockSize);
+        ctx.fillRect(flashX, y, flashWidth, size);
 
         // Colored glow effect
         this.neonEffects.applyNeonGlow(ctx, theme.accent, 2.0);
         ctx.fillStyle = theme.accent;
-        ctx.fillRect(this.x, y, this.width, this.blockSize);
+        ctx.fillRect(this.x, y, this.width, size);
         this.neonEffects.removeNeonGlow(ctx);
 
         ctx.restore();
@@ -456,6 +555,57 @@ export class BoardRenderer {
         ctx.strokeRect(this.x - 1, this.y - 1, this.width + 2, this.height + 2);
     }
 
+    /**
+     * Render the incoming garbage meter on the left of the well
+     * Garbage still in its delay is drawn in the warning color, ready garbage in the danger color
+     */
+    renderGarbageMeter(ctx) {
+        if (!this.garbage || this.garbage.total <= 0) return;
+
+        const theme = this.themeManager.getCurrentTheme();
+        const meterX = this.x - this.borderWidth * 2 - this.garbageMeterWidth - 2;
+        let meterY = this.y + this.height;
+
+        ctx.save();
+
+        // Track
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(meterX, this.y, this.garbageMeterWidth, this.height);
+
+        // One segment per queued attack, stacked from the floor
+        for (const entry of this.garbage.entries) {
+            const segmentHeight = Math.min(entry.lines * this.blockSize, meterY - this.y);
+            if (segmentHeight <= 0) break;
+
+            meterY -= segmentHeight;
+            const color = entry.ready ? theme.danger : theme.warning;
+
+            this.neonEffects.applyNeonGlow(ctx, color, entry.ready ? 1.5 : 1.0);
+            ctx.fillStyle = color;
+            ctx.fillRect(meterX, meterY + 1, this.garbageMeterWidth, segmentHeight - 2);
+            this.neonEffects.removeNeonGlow(ctx);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Render the coach's suggested placement
+     * Hint blocks use engine coordinates (row 0 at the bottom of the well)
+     */
+    renderCoachHint(ctx) {
+        if (!this.hint) return;
+
+        const rows = this.board ? this.board.length : this.boardHeight;
+
+        this.hint.blocks.forEach(block => {
+            const row = rows - 1 - block.y;
+            if (row < 0) return;
+
+            this.renderPreviewOverlay(ctx, { x: block.x, y: row }, 0.6);
+        });
+    }
+
     /**
      * Render preview overlay (for ghost piece positioning)
      */
@@ -466,10 +616,11 @@ export class BoardRenderer {
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
 
-        const x = this.x + position.x * this.blockSize;
-        const y = this.y + position.y * this.blockSize;
+        const size = this.blockSize * this.blockScale;
+        const x = this.x + position.x * size;
+        const y = this.y + position.y * size;
 
-        ctx.strokeRect(x, y, this.blockSize, this.blockSize);
+        ctx.strokeRect(x, y, size, size);
 
         ctx.restore();
     }
@@ -539,5 +690,8 @@ export class BoardRenderer {
         this.flashIntensity = 0;
         this.comboGlow = 0;
         this.dangerZoneIntensity = 0;
+        this.garbage = null;
+        this.hint = null;
+        this.blockScale = 1;
     }
 }
\ No newline at end of file
@@ -2,6 +2,8 @@
  * Piece Renderer for NeonTetris-MLRSA
  * Renders tetris pieces with neon effects, ghost pieces, and animations
  * Handles piece drop trails, rotation animations, and lock flash effects
+ * Draws the falling piece with doubled blocks in big mode
+ * Draws every piece in one color for the monochrome modifier
  */
 
 export class PieceRenderer {
@@ -17,6 +19,8 @@ export class PieceRenderer {
         // Game state
         this.gameState = null;
         this.boardRenderer = null;
+        this.blockScale = 1; // Board cells per block side (2 in big mode)
+        this.monochrome = false; // Every piece in the theme's primary color
 
         // Animation state
         this.lockFlashIntensity = 0;
@@ -90,6 +94,8 @@ export class PieceRenderer {
      */
     setGameState(gameState) {
         this.gameState = gameState;
+        this.blockScale = gameState.blockScale || 1;
+        this.monochrome = Boolean(gameState.monochrome);
 
         // Handle piece events
         if (gameState.events) {
@@ -454,20 +460,23 @@ export class PieceRenderer {
 
         if (!boardBounds) return;
 
+        const size = this.blockSize * this.blockScale;
+
         ctx.save();
         ctx.globalAlpha = alpha;
 
         for (let y = 0; y < 4; y++) {
             for (let x = 0; x < 4; x++) {
                 if (shape[y][x]) {
-                    const blockX = boardBounds.x + (gridX + x) * this.blockSize;
-                    const blockY = boardBounds.y + (gridY + y) * this.blockSize;
+                    const blockX = boardBounds.x + (gridX + x) * size;
+                    const blockY = boardBounds.y + (gridY + y) * size;
 
                     this.renderPieceBlock(ctx, blockX, blockY, color, {
                         glowIntensity,
                         rotationOffset,
                         isGhost,
-                        isTrail
+                        isTrail,
+                        size
                     });
                 }
             }
@@ -484,15 +493,16 @@ export class PieceRenderer {
             glowIntensity = 1.0,
             rotationOffset = 0,
             isGhost = false,
-            isTrail = false
+            isTrail = false,
+            size = this.blockSize
         } = options;
 
         // Apply rotation animation offset
         if (rotationOffset > 0) {
             ctx.save();
-            ctx.translate(x + this.blockSize / 2, y + this.blockSize / 2);
+            ctx.translate(x + size / 2, y + size / 2);
             ctx.rotate(rotationOffset);
-            ctx.translate(-this.blockSize / 2, -this.blockSize / 2);
+            ctx.translate(-size / 2, -size / 2);
             x = 0;
             y = 0;
         }
@@ -502,7 +512,7 @@ export class PieceRenderer {
             ctx.strokeStyle = color;
             ctx.lineWidth = 2;
             ctx.setLineDash([3, 3]);
-            ctx.strokeRect(x + 1, y + 1, this.blockSize - 2, this.blockSize - 2);
+            ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
             ctx.setLineDash([]);
         } else {
             // Normal piece rendering
@@ -510,17 +520,17 @@ export class PieceRenderer {
 
             // Main block fill
             ctx.fillStyle = color;
-            ctx.fillRect(x + 1, y + 1, this.blockSize - 2, this.blockSize - 2);
+            ctx.fillRect(x + 1, y + 1, size - 2, size - 2);
 
             // Border
             ctx.strokeStyle = isTrail ? color : '#FFFFFF';
             ctx.lineWidth = 1;
-            ctx.strokeRect(x + 1, y + 1, this.blockSize - 2, this.blockSize - 2);
+            ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
 
             // Enhanced glow for lock flash
             if (glowIntensity > 1.0) {
                 for (let i = 0; i < 2; i++) {
-                    ctx.fillRect(x + 1, y + 1, this.blockSize - 2, this.blockSize - 2);
+                    ctx.fillRect(x + 1, y + 1, size - 2, size - 2);
                 }
             }
 
@@ -528,13 +538,13 @@ export class PieceRenderer {
 
             // Inner highlight (unless it's a trail)
             if (!isTrail) {
-                const highlightGradient = ctx.createLinearGradient(x, y, x, y + this.blockSize);
+                const highlightGradient = ctx.createLinearGradient(x, y, x, y + size);
                 highlightGradient.addColorStop(0, '#FFFFFF60');
                 highlightGradient.addColorStop(0.4, '#FFFFFF30');
                 highlightGradient.addColorStop(1, '#00000030');
 
                 ctx.fillStyle = highlightGradient;
-                ctx.fillRect(x + 2, y + 2, this.blockSize - 4, this.blockSize - 4);
+                ctx.fillRect(x + 2, y + 2, size - 4, size - 4);
             }
         }
 
@@ -548,6 +558,9 @@ export class PieceRenderer {
      */
     getPieceColor(pieceType) {
         const theme = this.themeManager.getCurrentTheme();
+        if (this.monochrome) {
+            return theme.primary;
+        }
         return theme.tetrisColors[pieceType] || theme.primary;
     }
 
@@ -4,9 +4,13 @@
  * Supports Classic Neon, Cyberpunk, Synthwave, and custom themes
  */
 
+import { defaultStorage, STORAGE_KEYS } from '../storage/StorageManager.js';
+
+const DEFAULT_THEME = 'classicNeon';
+
 export class ThemeManager {
     constructor() {
-        this.currentTheme = 'classicNeon';
+        this.currentTheme = DEFAULT_THEME;
         this.themes = this.initializeThemes();
         this.customThemes = new Map();
         this.transitionActive = false;
@@ -191,7 +195,7 @@ export class ThemeManager {
             this.emitEvent('themeChanged', this.getCurrentTheme());
         }
 
-        // Save to localStorage
+        // Persist selection
         this.saveCurrentTheme();
     }
 
@@ -540,22 +544,21 @@ export class ThemeManager {
     }
 
     /**
-     * Save current theme to localStorage
+     * Save current theme to storage
      */
     saveCurrentTheme() {
-        try {
-            localStorage.setItem('neonTetris_currentTheme', this.currentTheme);
-        } catch (error) {
-            console.warn('Failed to save current theme:', error);
-        }
+        defaultStorage.set(STORAGE_KEYS.CURRENT_THEME, this.currentTheme);
     }
 
     /**
-     * Load current theme from localStorage
+     * Load current theme from storage
      */
     loadCurrentTheme() {
+        // A missing or unknown theme goes back to the default
+        this.currentTheme = DEFAULT_THEME;
+
         try {
-            const saved = localStorage.getItem('neonTetris_currentTheme');
+            const saved = defaultStorage.get(STORAGE_KEYS.CURRENT_THEME);
             if (saved && this.getAvailableThemes().includes(saved)) {
                 this.currentTheme = saved;
             }
@@ -565,25 +568,22 @@ export class ThemeManager {
     }
 
     /**
-     * Save custom themes to localStorage
+     * Save custom themes to storage
      */
     saveCustomThemes() {
-        try {
-            const customThemesObj = Object.fromEntries(this.customThemes);
-            localStorage.setItem('neonTetris_customThemes', JSON.stringify(customThemesObj));
-        } catch (error) {
-            console.warn('Failed to save custom themes:', error);
-        }
+        const customThemesObj = Object.fromEntries(this.customThemes);
+        defaultStorage.set(STORAGE_KEYS.CUSTOM_THEMES, customThemesObj);
     }
 
     /**
-     * Load custom themes from localStorage
+     * Load custom themes from storage
      */
     loadCustomThemes() {
+        this.customThemes = new Map();
+
         try {
-            const saved = localStorage.getItem('neonTetris_customThemes');
-            if (saved) {
-                const customThemesObj = JSON.parse(saved);
+            const customThemesObj = defaultStorage.get(STORAGE_KEYS.CUSTOM_THEMES);
+            if (customThemesObj) {
                 this.customThemes = new Map(Object.entries(customThemesObj));
             }
         } catch (error) {
@@ -0,0 +1,62 @@
+/**
+ * CustomGamePresets - Saved custom game setups for NeonTetris-MLRSA
+ * Keeps the rules, modifiers and randomizer of custom games for the current profile
+ */
+
+import { defaultStorage, STORAGE_KEYS } from './StorageManager.js';
+import { createModeRules } from '../engine/GameModes.js';
+import { RANDOMIZER_TYPES } from '../engine/Randomizer.js';
+
+export class CustomGamePresets {
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * All saved presets, most recently saved first
+     */
+    getAll() {
+        const presets = this.storage.get(STORAGE_KEYS.CUSTOM_GAMES, []);
+        return [...presets].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    get(id) {
+        return this.getAll().find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Save a new preset, or replace the one with the same id
+     * @param {Object} data - { id, name, rules, modifiers, randomizer }
+     * @returns {Object} Saved preset
+     */
+    save(data) {
+        const preset = {
+            id: data.id || `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: (data.name || '').trim() || 'Custom Game',
+            rules: { ...data.rules },
+            modifiers: { ...data.modifiers },
+            randomizer: data.randomizer || RANDOMIZER_TYPES.BAG_7,
+            savedAt: Date.now()
+        };
+
+        if (!Object.values(RANDOMIZER_TYPES).includes(preset.randomizer)) {
+            throw new Error(`Invalid randomizer: ${preset.randomizer}`);
+        }
+
+        // Throws for rules or modifiers that cannot be played
+        createModeRules('custom', { rules: preset.rules, modifiers: preset.modifiers });
+
+        const presets = this.storage.get(STORAGE_KEYS.CUSTOM_GAMES, []).filter(saved => saved.id !== preset.id);
+        presets.push(preset);
+        this.storage.set(STORAGE_KEYS.CUSTOM_GAMES, presets);
+
+        return preset;
+    }
+
+    remove(id) {
+        const presets = this.storage.get(STORAGE_KEYS.CUSTOM_GAMES, []).filter(preset => preset.id !== id);
+        this.storage.set(STORAGE_KEYS.CUSTOM_GAMES, presets);
+    }
+}
+
+export const defaultCustomGamePresets = new CustomGamePresets();
@@ -0,0 +1,160 @@
+/**
+ * Leaderboard - Local high-score tables for NeonTetris-MLRSA
+ * Keeps the top runs of each game mode across all profiles, with run details
+ * and the recorded replay of every ranked run
+ */
+
+import { defaultStorage, STORAGE_KEYS } from './StorageManager.js';
+import { createModeRules, getGameMode } from '../engine/GameModes.js';
+import { getGradeRank } from '../engine/MasterMode.js';
+
+export const LEADERBOARD_MODES = ['marathon', 'sprint', 'ultra', 'zen', 'classic', 'master', 'survival'];
+export const LEADERBOARD_SIZE = 10;
+
+/**
+ * Ranking rules per mode; sprint ranks completed runs by time, Master by grade,
+ * then level, then time, and survival by how long the player lasted
+ * - then: further fields that break ties, in order
+ */
+const MODE_RANKING = {
+    marathon: { field: 'score', order: 'desc' },
+    sprint: { field: 'time', order: 'asc', requiresCompletion: true },
+    ultra: { field: 'score', order: 'desc' },
+    zen: { field: 'score', order: 'desc' },
+    classic: { field: 'score', order: 'desc' },
+    master: { field: 'gradeRank', order: 'desc', then: [{ field: 'level', order: 'desc' }, { field: 'time', order: 'asc' }] },
+    survival: { field: 'time', order: 'desc' }
+};
+
+/**
+ * Whether a run on these rules can go on its mode's table; only the mode's own
+ * rules rank, so runs with added modifiers or changed goals stay off the tables
+ * @param {string} mode - Game mode id
+ * @param {Object} rules - Rules the run was played on, as built by createModeRules()
+ */
+export function isRankedRun(mode, rules) {
+    if (!LEADERBOARD_MODES.includes(mode)) return false;
+
+    // Level select is part of the mode, so the start level does not unrank a run
+    const { levelSelect } = getGameMode(mode);
+    const standard = createModeRules(mode, levelSelect ? { startLevel: rules.startLevel } : {});
+
+    return Object.keys({ ...standard, ...rules })
+        .every(field => JSON.stringify(standard[field]) === JSON.stringify(rules[field]));
+}
+
+export class Leaderboard {
+    constructor(storage = defaultStorage, options = {}) {
+        this.storage = storage;
+        this.size = options.size || LEADERBOARD_SIZE;
+    }
+
+    getTables() {
+        return this.storage.get(STORAGE_KEYS.LEADERBOARD, {});
+    }
+
+    getEntries(mode) {
+        return this.getTables()[mode] || [];
+    }
+
+    getRanking(mode) {
+        return MODE_RANKING[mode] || MODE_RANKING.marathon;
+    }
+
+    compareEntries(mode, a, b) {
+        const { field, order, then = [] } = this.getRanking(mode);
+
+        for (const key of [{ field, order }, ...then]) {
+            const difference = key.order === 'asc' ? a[key.field] - b[key.field] : b[key.field] - a[key.field];
+            if (difference !== 0) return difference;
+        }
+
+        // Earlier runs keep their place on ties
+        return a.date - b.date;
+    }
+
+    qualifies(mode, run) {
+        const ranking = this.getRanking(mode);
+        if (ranking.requiresCompletion && !run.completed) return false;
+
+        const entries = this.getEntries(mode);
+        if (entries.length < this.size) return true;
+
+        return this.compareEntries(mode, run, entries[entries.length - 1]) < 0;
+    }
+
+    /**
+     * Add a finished run to its mode table
+     * @returns {number|null} 1-based rank, or null if the run did not place
+     */
+    addEntry(mode, run, replay = null) {
+        if (!LEADERBOARD_MODES.includes(mode)) {
+            throw new Error(`Invalid leaderboard mode: ${mode}`);
+        }
+
+        const normalized = { score: 0, lines: 0, level: 1, time: 0, grade: null, ...run, date: run.date || Date.now() };
+        normalized.gradeRank = getGradeRank(normalized.grade);
+        if (!this.qualifies(mode, normalized)) return null;
+
+        const seconds = normalized.time / 1000;
+        const entry = {
+            id: `${mode}-${normalized.date.toString(36)}-${Math.floor(Math.random() * 1296).toString(36)}`,
+            score: normalized.score,
+            lines: normalized.lines,
+            level: normalized.level,
+            time: normalized.time,
+            grade: normalized.grade,
+            gradeRank: normalized.gradeRank,
+            pps: seconds > 0 ? Math.round(((normalized.pieces || 0) / seconds) * 100) / 100 : 0,
+            date: normalized.date,
+            profileId: normalized.profileId || null,
+            profileName: normalized.profileName || 'Player',
+            hasReplay: false
+        };
+
+        if (replay) {
+            this.storage.set(this.getReplayKey(entry.id), replay);
+            entry.hasReplay = true;
+        }
+
+        const tables = this.getTables();
+        const entries = [...(tables[mode] || []), entry].sort((a, b) => this.compareEntries(mode, a, b));
+
+        // Drop replays of runs that fell off the table
+        entries.slice(this.size).forEach(dropped => this.removeReplay(dropped));
+
+        tables[mode] = entries.slice(0, this.size);
+        this.storage.set(STORAGE_KEYS.LEADERBOARD, tables);
+
+        const rank = tables[mode].findIndex(candidate => candidate.id === entry.id);
+        return rank === -1 ? null : rank + 1;
+    }
+
+    getReplayKey(entryId) {
+        return `${STORAGE_KEYS.LEADERBOARD}.replay.${entryId}`;
+    }
+
+    getReplay(entryId) {
+        return this.storage.get(this.getReplayKey(entryId));
+    }
+
+    removeReplay(entry) {
+        if (entry.hasReplay) {
+            this.storage.remove(this.getReplayKey(entry.id));
+        }
+    }
+
+    clear(mode = null) {
+        const tables = this.getTables();
+        const modes = mode ? [mode] : Object.keys(tables);
+
+        modes.forEach(tableMode => {
+            (tables[tableMode] || []).forEach(entry => this.removeReplay(entry));
+            delete tables[tableMode];
+        });
+
+        this.storage.set(STORAGE_KEYS.LEADERBOARD, tables);
+    }
+}
+
+export const defaultLeaderboard = new Leaderboard();
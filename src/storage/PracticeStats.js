@@ -0,0 +1,76 @@
+/**
+ * PracticeStats - Per-drill practice results for NeonTetris-MLRSA
+ * Counts attempts and successes of every practice setup for the current profile
+ */
+
+import { defaultStorage, STORAGE_KEYS } from './StorageManager.js';
+
+export class PracticeStats {
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
+    }
+
+    getAll() {
+        return this.storage.get(STORAGE_KEYS.PRACTICE_STATS, {});
+    }
+
+    /**
+     * Results of every setup of one drill
+     */
+    getDrill(drill) {
+        return this.getAll()[drill] || {};
+    }
+
+    getSetup(drill, setupId) {
+        return { attempts: 0, successes: 0, bestTime: null, lastPlayed: null, ...this.getDrill(drill)[setupId] };
+    }
+
+    /**
+     * Share of attempts that succeeded, or null before the first attempt
+     */
+    getSuccessRate(drill, setupId) {
+        const { attempts, successes } = this.getSetup(drill, setupId);
+        return attempts > 0 ? successes / attempts : null;
+    }
+
+    /**
+     * Record the outcome of one attempt
+     * @param {number|null} time - ms a timed drill took; the fastest success is kept
+     * @returns {Object} Updated { attempts, successes, bestTime, lastPlayed }
+     */
+    recordAttempt(drill, setupId, success, time = null) {
+        const all = this.getAll();
+        const setup = this.getSetup(drill, setupId);
+
+        setup.attempts++;
+        if (success) {
+            setup.successes++;
+
+            if (time !== null && (setup.bestTime === null || time < setup.bestTime)) {
+                setup.bestTime = time;
+            }
+        }
+        setup.lastPlayed = Date.now();
+
+        all[drill] = { ...all[drill], [setupId]: setup };
+        this.storage.set(STORAGE_KEYS.PRACTICE_STATS, all);
+
+        return setup;
+    }
+
+    /**
+     * Forget the results of one drill, or of every drill
+     */
+    clear(drill = null) {
+        if (drill === null) {
+            this.storage.remove(STORAGE_KEYS.PRACTICE_STATS);
+            return;
+        }
+
+        const all = this.getAll();
+        delete all[drill];
+        this.storage.set(STORAGE_KEYS.PRACTICE_STATS, all);
+    }
+}
+
+export const defaultPracticeStats = new PracticeStats();
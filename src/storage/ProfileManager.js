@@ -0,0 +1,278 @@
+/**
+ * ProfileManager - Local player profiles for NeonTetris-MLRSA
+ * Each profile keeps its own settings, key bindings, high scores, achievements
+ * and lifetime statistics through profile-scoped storage keys
+ */
+
+import { defaultStorage, STORAGE_KEYS } from './StorageManager.js';
+
+export const MAX_PROFILE_NAME_LENGTH = 20;
+
+const DEFAULT_PLAYER_DATA = {
+    level: 1,
+    xp: 0,
+    highScore: 0,
+    gamesPlayed: 0,
+    totalLinesCleared: 0
+};
+
+const DEFAULT_STATISTICS = {
+    gamesPlayed: 0,
+    totalScore: 0,
+    totalLines: 0,
+    totalPieces: 0,
+    totalTime: 0,
+    highScores: {},
+    bestTimes: {}
+};
+
+export class ProfileManager {
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
+        this.profiles = [];
+        this.activeId = null;
+        this.listeners = new Map();
+
+        this.initialize();
+    }
+
+    initialize() {
+        const index = this.storage.get(STORAGE_KEYS.PROFILES);
+
+        if (index && Array.isArray(index.profiles) && index.profiles.length > 0) {
+            this.profiles = index.profiles;
+            this.activeId = this.profiles.some(profile => profile.id === index.activeId)
+                ? index.activeId
+                : this.profiles[0].id;
+        } else {
+            this.createInitialProfile();
+        }
+
+        if (this.storage.profileId !== this.activeId) {
+            this.storage.setProfile(this.activeId);
+        }
+    }
+
+    createInitialProfile() {
+        // Touch every scoped key so legacy keys are migrated before adoption
+        this.storage.setProfile(null);
+        this.storage.getProfileScopedKeys().forEach(key => this.storage.get(key));
+
+        const profile = this.buildProfile('Player 1');
+        this.storage.adoptUnscopedData(profile.id);
+
+        this.profiles = [profile];
+        this.activeId = profile.id;
+        this.saveIndex();
+    }
+
+    buildProfile(name) {
+        const now = Date.now();
+        return {
+            id: `p${now.toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`,
+            name,
+            createdAt: now,
+            lastPlayedAt: null
+        };
+    }
+
+    saveIndex() {
+        this.storage.set(STORAGE_KEYS.PROFILES, {
+            activeId: this.activeId,
+            profiles: this.profiles
+        });
+    }
+
+    validateName(name, excludeId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+
+        if (!trimmed) {
+            throw new Error('Profile name cannot be empty');
+        }
+
+        if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+            throw new Error(`Profile name must be ${MAX_PROFILE_NAME_LENGTH} characters or fewer`);
+        }
+
+        const duplicate = this.profiles.some(profile =>
+            profile.id !== excludeId && profile.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+
+        return trimmed;
+    }
+
+    getProfiles() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    getProfile(id) {
+        const profile = this.profiles.find(candidate => candidate.id === id);
+        return profile ? { ...profile } : null;
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.activeId);
+    }
+
+    createProfile(name, { select = true } = {}) {
+        const profile = this.buildProfile(this.validateName(name));
+
+        this.profiles.push(profile);
+        this.saveIndex();
+        this.emit('profileCreated', { ...profile });
+
+        if (select) {
+            this.selectProfile(profile.id);
+        }
+
+        return { ...profile };
+    }
+
+    renameProfile(id, name) {
+        const profile = this.profiles.find(candidate => candidate.id === id);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+
+        profile.name = this.validateName(name, id);
+        this.saveIndex();
+        this.emit('profileRenamed', { ...profile });
+
+        return { ...profile };
+    }
+
+    deleteProfile(id) {
+        if (this.profiles.length <= 1) {
+            throw new Error('Cannot delete the only profile');
+        }
+
+        const index = this.profiles.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+
+        const [removed] = this.profiles.splice(index, 1);
+        this.storage.removeProfileData(id);
+
+        if (this.activeId === id) {
+            this.selectProfile(this.profiles[0].id);
+        } else {
+            this.saveIndex();
+        }
+
+        this.emit('profileDeleted', removed);
+    }
+
+    selectProfile(id) {
+        if (!this.profiles.some(profile => profile.id === id)) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+
+        this.activeId = id;
+        this.saveIndex();
+        this.storage.setProfile(id);
+        this.emit('profileChanged', this.getActiveProfile());
+    }
+
+    getPlayerData() {
+        return { ...DEFAULT_PLAYER_DATA, ...this.storage.get(STORAGE_KEYS.PLAYER_DATA, {}) };
+    }
+
+    getStatistics() {
+        const saved = this.storage.get(STORAGE_KEYS.PLAYER_STATISTICS, {});
+        return {
+            ...DEFAULT_STATISTICS,
+            ...saved,
+            highScores: { ...(saved.highScores || {}) },
+            bestTimes: { ...(saved.bestTimes || {}) }
+        };
+    }
+
+    getAchievements() {
+        return this.storage.get(STORAGE_KEYS.ACHIEVEMENTS, []);
+    }
+
+    unlockAchievement(achievementId) {
+        const achievements = this.getAchievements();
+        if (achievements.includes(achievementId)) return false;
+
+        achievements.push(achievementId);
+        this.storage.set(STORAGE_KEYS.ACHIEVEMENTS, achievements);
+        this.emit('achievementUnlocked', { profileId: this.activeId, achievementId });
+        return true;
+    }
+
+    recordGame(result) {
+        const mode = result.mode || 'marathon';
+        const score = result.score || 0;
+        const lines = result.lines || 0;
+        const time = result.time || 0;
+
+        // Lifetime statistics
+        const statistics = this.getStatistics();
+        statistics.gamesPlayed++;
+        statistics.totalScore += score;
+        statistics.totalLines += lines;
+        statistics.totalPieces += result.pieces || 0;
+        statistics.totalTime += time;
+        statistics.highScores[mode] = Math.max(statistics.highScores[mode] || 0, score);
+
+        if (result.completed && time > 0 && (!statistics.bestTimes[mode] || time < statistics.bestTimes[mode])) {
+            statistics.bestTimes[mode] = time;
+        }
+
+        this.storage.set(STORAGE_KEYS.PLAYER_STATISTICS, statistics);
+
+        // Summary shown on the main menu
+        const playerData = this.getPlayerData();
+        playerData.xp += Math.floor(score / 100) + lines * 10;
+        playerData.level = Math.floor(playerData.xp / 1000) + 1;
+        playerData.highScore = Math.max(playerData.highScore, score);
+        playerData.gamesPlayed++;
+        playerData.totalLinesCleared += lines;
+        this.storage.set(STORAGE_KEYS.PLAYER_DATA, playerData);
+
+        (result.achievements || []).forEach(achievementId => this.unlockAchievement(achievementId));
+
+        const profile = this.profiles.find(candidate => candidate.id === this.activeId);
+        profile.lastPlayedAt = Date.now();
+        this.saveIndex();
+
+        return statistics;
+    }
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    off(event, callback) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) {
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) {
+            callbacks.forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in profile listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+}
+
+export const defaultProfileManager = new ProfileManager();
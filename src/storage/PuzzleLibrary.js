@@ -0,0 +1,53 @@
+/**
+ * PuzzleLibrary - Saved puzzles for NeonTetris-MLRSA
+ * Keeps the puzzles built in the board editor for the current profile
+ */
+
+import { defaultStorage, STORAGE_KEYS } from './StorageManager.js';
+import { createPuzzle, validatePuzzle } from '../engine/Puzzle.js';
+
+export class PuzzleLibrary {
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * All saved puzzles, most recently saved first
+     */
+    getAll() {
+        const puzzles = this.storage.get(STORAGE_KEYS.PUZZLES, []);
+        return [...puzzles].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    get(id) {
+        return this.getAll().find(puzzle => puzzle.id === id) || null;
+    }
+
+    /**
+     * Save a new puzzle, or replace the one with the same id
+     * @returns {Object} Saved puzzle
+     */
+    save(data) {
+        const puzzle = createPuzzle(data);
+        const { valid, errors } = validatePuzzle(puzzle);
+        if (!valid) {
+            throw new Error(`Invalid puzzle: ${errors.join(', ')}`);
+        }
+
+        puzzle.id = puzzle.id || `puzzle-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        puzzle.savedAt = Date.now();
+
+        const puzzles = this.storage.get(STORAGE_KEYS.PUZZLES, []).filter(saved => saved.id !== puzzle.id);
+        puzzles.push(puzzle);
+        this.storage.set(STORAGE_KEYS.PUZZLES, puzzles);
+
+        return puzzle;
+    }
+
+    remove(id) {
+        const puzzles = this.storage.get(STORAGE_KEYS.PUZZLES, []).filter(puzzle => puzzle.id !== id);
+        this.storage.set(STORAGE_KEYS.PUZZLES, puzzles);
+    }
+}
+
+export const defaultPuzzleLibrary = new PuzzleLibrary();
@@ -0,0 +1,279 @@
+/**
+ * SettingsProfile - Portable settings profile export/import for NeonTetris-MLRSA
+ * Bundles key bindings, DAS/ARR, audio, theme and gamepad settings into one JSON file
+ * with validation and a diff preview before applying
+ */
+
+import { defaultStorage, STORAGE_KEYS } from './StorageManager.js';
+
+export const SETTINGS_PROFILE_FORMAT = 'neontetris-settings-profile';
+export const SETTINGS_PROFILE_VERSION = 1;
+
+/**
+ * Profile sections stored as a single storage key each
+ */
+const PROFILE_SECTIONS = {
+    keyBindings: STORAGE_KEYS.KEY_BINDINGS,
+    input: STORAGE_KEYS.INPUT_SETTINGS,
+    audio: STORAGE_KEYS.AUDIO_SETTINGS,
+    gamepad: STORAGE_KEYS.GAMEPAD_SETTINGS
+};
+
+const THEME_COLOR_FIELDS = ['primary', 'secondary', 'accent', 'background', 'text'];
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa, as the theme editor may save any of them
+const HEX_COLOR = /^#([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const VOLUME_FIELDS = ['masterVolume', 'musicVolume', 'sfxVolume', 'uiVolume', 'ambientVolume'];
+
+/**
+ * Collect current settings into a profile object
+ */
+export function exportSettingsProfile({ storage = defaultStorage, themeManager = null } = {}) {
+    const settings = {};
+
+    Object.entries(PROFILE_SECTIONS).forEach(([section, key]) => {
+        settings[section] = storage.get(key, {});
+    });
+
+    settings.theme = {
+        current: storage.get(STORAGE_KEYS.CURRENT_THEME),
+        custom: {}
+    };
+
+    if (themeManager) {
+        settings.theme.current = themeManager.getCurrentThemeName();
+        themeManager.customThemes.forEach((theme, name) => {
+            settings.theme.custom[name] = JSON.parse(themeManager.exportTheme(name));
+        });
+    } else {
+        settings.theme.custom = storage.get(STORAGE_KEYS.CUSTOM_THEMES, {});
+    }
+
+    return {
+        format: SETTINGS_PROFILE_FORMAT,
+        version: SETTINGS_PROFILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings
+    };
+}
+
+/**
+ * Parse profile JSON text, throwing on invalid content
+ */
+export function parseSettingsProfile(text) {
+    let profile;
+
+    try {
+        profile = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Settings profile is not valid JSON');
+    }
+
+    const validation = validateSettingsProfile(profile);
+    if (!validation.valid) {
+        throw new Error(`Invalid settings profile: ${validation.errors.join(', ')}`);
+    }
+
+    return profile;
+}
+
+/**
+ * Validate a settings profile object
+ */
+export function validateSettingsProfile(profile) {
+    const errors = [];
+
+    if (!isPlainObject(profile)) {
+        return { valid: false, errors: ['Profile must be an object'] };
+    }
+
+    if (profile.format !== SETTINGS_PROFILE_FORMAT) {
+        errors.push('Not a NeonTetris settings profile');
+    }
+
+    if (profile.version !== SETTINGS_PROFILE_VERSION) {
+        errors.push(`Unsupported profile version: ${profile.version}`);
+    }
+
+    const settings = profile.settings;
+    if (!isPlainObject(settings)) {
+        errors.push('Missing settings');
+        return { valid: false, errors };
+    }
+
+    if (settings.keyBindings !== undefined) {
+        if (!isPlainObject(settings.keyBindings)) {
+            errors.push('keyBindings must be an object');
+        } else {
+            Object.entries(settings.keyBindings).forEach(([action, keys]) => {
+                if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string')) {
+                    errors.push(`Key binding for ${action} must be a list of key codes`);
+                }
+            });
+        }
+    }
+
+    if (settings.input !== undefined) {
+        if (!isPlainObject(settings.input)) {
+            errors.push('input must be an object');
+        } else {
+            checkRange(errors, settings.input, 'das', 0, 1000);
+            checkRange(errors, settings.input, 'arr', 0, 500);
+        }
+    }
+
+    if (settings.audio !== undefined) {
+        if (!isPlainObject(settings.audio)) {
+            errors.push('audio must be an object');
+        } else {
+            VOLUME_FIELDS.forEach(field => checkRange(errors, settings.audio, field, 0, 1));
+        }
+    }
+
+    if (settings.gamepad !== undefined) {
+        if (!isPlainObject(settings.gamepad)) {
+            errors.push('gamepad must be an object');
+        } else {
+            ['rumble', 'analog', 'buttonMappings'].forEach(field => {
+                if (settings.gamepad[field] !== undefined && !isPlainObject(settings.gamepad[field])) {
+                    errors.push(`gamepad.${field} must be an object`);
+                }
+            });
+        }
+    }
+
+    if (settings.theme !== undefined) {
+        if (!isPlainObject(settings.theme)) {
+            errors.push('theme must be an object');
+        } else {
+            const { current, custom } = settings.theme;
+
+            if (current !== undefined && current !== null && typeof current !== 'string') {
+                errors.push('theme.current must be a theme name');
+            }
+
+            if (custom !== undefined && !isPlainObject(custom)) {
+                errors.push('theme.custom must be an object');
+            } else if (custom) {
+                Object.entries(custom).forEach(([name, theme]) => {
+                    const invalid = THEME_COLOR_FIELDS.filter(field => !HEX_COLOR.test(theme && theme[field]));
+                    if (invalid.length > 0) {
+                        errors.push(`Custom theme "${name}" has invalid colors: ${invalid.join(', ')}`);
+                    }
+                });
+            }
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * List every setting the profile would change
+ * @returns {Array} Array of { path, from, to } entries
+ */
+export function diffSettingsProfile(currentProfile, incomingProfile) {
+    const current = flattenSettings(currentProfile.settings);
+    const incoming = flattenSettings(incomingProfile.settings);
+    const changes = [];
+
+    Object.entries(incoming).forEach(([path, value]) => {
+        const previous = current[path];
+        if (JSON.stringify(previous) !== JSON.stringify(value)) {
+            changes.push({ path, from: previous, to: value });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Write a validated profile to storage and reload any live managers
+ */
+export function applySettingsProfile(profile, { storage = defaultStorage, themeManager = null, inputManager = null, audioManager = null } = {}) {
+    const { settings } = profile;
+
+    Object.entries(PROFILE_SECTIONS).forEach(([section, key]) => {
+        if (settings[section]) {
+            storage.set(key, mergeSection(storage.get(key, {}), settings[section]));
+        }
+    });
+
+    if (settings.theme) {
+        if (settings.theme.custom) {
+            const customThemes = { ...storage.get(STORAGE_KEYS.CUSTOM_THEMES, {}), ...settings.theme.custom };
+            storage.set(STORAGE_KEYS.CUSTOM_THEMES, customThemes);
+        }
+
+        if (settings.theme.current) {
+            storage.set(STORAGE_KEYS.CURRENT_THEME, settings.theme.current);
+        }
+    }
+
+    reloadLiveSettings({ themeManager, inputManager, audioManager });
+}
+
+/**
+ * Reload live managers after their storage keys changed underneath them
+ */
+export function reloadLiveSettings({ themeManager = null, inputManager = null, audioManager = null } = {}) {
+    if (themeManager) {
+        // Also reloads the current theme name
+        themeManager.loadCustomThemes();
+        themeManager.emitEvent('themeChanged', themeManager.getCurrentTheme());
+    }
+
+    if (inputManager) {
+        inputManager.loadSettings();
+        inputManager.updateSettings({});
+        inputManager.handlers.keyboard.loadKeyBindings();
+        inputManager.handlers.gamepad.loadGamepadSettings();
+    }
+
+    if (audioManager) {
+        audioManager.loadSettings();
+    }
+}
+
+function mergeSection(current, incoming) {
+    const merged = { ...current };
+
+    Object.entries(incoming).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(current[key])
+            ? mergeSection(current[key], value)
+            : value;
+    });
+
+    return merged;
+}
+
+function flattenSettings(object, prefix = '', result = {}) {
+    if (!isPlainObject(object)) return result;
+
+    Object.entries(object).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            flattenSettings(value, path, result);
+        } else {
+            result[path] = value;
+        }
+    });
+
+    return result;
+}
+
+function checkRange(errors, section, field, min, max) {
+    const value = section[field];
+    if (value === undefined) return;
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        errors.push(`${field} must be a number between ${min} and ${max}`);
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,372 @@
+/**
+ * StorageManager - Versioned persistence layer for NeonTetris-MLRSA
+ * Provides namespaced keys, schema versions, migrations, corruption recovery
+ * and an in-memory fallback when localStorage is unavailable
+ * Keys with a 'profile' scope are stored separately for each player profile
+ */
+
+export const STORAGE_NAMESPACE = 'neontetris';
+
+/**
+ * Logical storage keys used throughout the game
+ */
+export const STORAGE_KEYS = {
+    AUDIO_SETTINGS: 'audio',
+    CURRENT_THEME: 'theme.current',
+    CUSTOM_THEMES: 'theme.custom',
+    INPUT_SETTINGS: 'input',
+    KEY_BINDINGS: 'input.keyboard',
+    GAMEPAD_SETTINGS: 'input.gamepad',
+    TOUCH_SETTINGS: 'input.touch',
+    PLAYER_DATA: 'player',
+    PLAYER_STATISTICS: 'player.statistics',
+    ACHIEVEMENTS: 'player.achievements',
+    SAVED_GAME: 'game.saved',
+    GAME_SETTINGS: 'game.settings',
+    PROFILES: 'profiles',
+    LEADERBOARD: 'leaderboard',
+    PRACTICE_STATS: 'practice.statistics',
+    PUZZLES: 'puzzles',
+    CUSTOM_GAMES: 'custom.games'
+};
+
+/**
+ * Schema definitions per key
+ * - version: current schema version
+ * - legacyKey: pre-versioning localStorage key migrated on first read
+ * - migrations: { [toVersion]: data => data } applied in order
+ * - scope: 'profile' for data stored per player profile, 'global' otherwise
+ */
+export const STORAGE_SCHEMAS = {
+    [STORAGE_KEYS.AUDIO_SETTINGS]: { version: 1, scope: 'profile', legacyKey: 'neontetris_audio_settings' },
+    [STORAGE_KEYS.CURRENT_THEME]: { version: 1, scope: 'profile', legacyKey: 'neonTetris_currentTheme' },
+    [STORAGE_KEYS.CUSTOM_THEMES]: { version: 1, scope: 'profile', legacyKey: 'neonTetris_customThemes' },
+    [STORAGE_KEYS.INPUT_SETTINGS]: { version: 1, scope: 'profile', legacyKey: 'neontetris_input_settings' },
+    [STORAGE_KEYS.KEY_BINDINGS]: { version: 1, scope: 'profile', legacyKey: 'neontetris_key_bindings' },
+    [STORAGE_KEYS.GAMEPAD_SETTINGS]: { version: 1, scope: 'profile', legacyKey: 'neontetris_gamepad_settings' },
+    [STORAGE_KEYS.TOUCH_SETTINGS]: { version: 1, scope: 'profile', legacyKey: 'neontetris_touch_settings' },
+    [STORAGE_KEYS.PLAYER_DATA]: { version: 1, scope: 'profile', legacyKey: 'neontetris_player_data' },
+    [STORAGE_KEYS.PLAYER_STATISTICS]: { version: 1, scope: 'profile' },
+    [STORAGE_KEYS.ACHIEVEMENTS]: { version: 1, scope: 'profile' },
+    [STORAGE_KEYS.SAVED_GAME]: { version: 1, scope: 'profile', legacyKey: 'neontetris_saved_game' },
+    [STORAGE_KEYS.GAME_SETTINGS]: { version: 1, scope: 'profile' },
+    [STORAGE_KEYS.PROFILES]: { version: 1, scope: 'global' },
+    [STORAGE_KEYS.LEADERBOARD]: { version: 1, scope: 'global' },
+    [STORAGE_KEYS.PRACTICE_STATS]: { version: 1, scope: 'profile' },
+    [STORAGE_KEYS.PUZZLES]: { version: 1, scope: 'profile' },
+    [STORAGE_KEYS.CUSTOM_GAMES]: { version: 1, scope: 'profile' }
+};
+
+/**
+ * Map-backed storage with the localStorage interface
+ */
+export class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+}
+
+export class StorageManager {
+    constructor(options = {}) {
+        this.namespace = options.namespace || STORAGE_NAMESPACE;
+        this.schemas = new Map(Object.entries(STORAGE_SCHEMAS));
+        this.backend = options.backend || this.detectBackend();
+        this.isPersistent = !(this.backend instanceof MemoryStorage);
+        this.listeners = new Map();
+
+        // Active profile scope, restored before any settings are read
+        const profiles = this.get(STORAGE_KEYS.PROFILES);
+        this.profileId = profiles ? profiles.activeId : null;
+    }
+
+    detectBackend() {
+        try {
+            const storage = globalThis.localStorage;
+            const testKey = `${STORAGE_NAMESPACE}:__test__`;
+            storage.setItem(testKey, '1');
+            storage.removeItem(testKey);
+            return storage;
+        } catch (error) {
+            console.log('localStorage unavailable, using in-memory storage');
+            return new MemoryStorage();
+        }
+    }
+
+    registerSchema(key, schema) {
+        this.schemas.set(key, { version: 1, ...schema });
+    }
+
+    getSchema(key) {
+        return this.schemas.get(key) || { version: 1 };
+    }
+
+    getStorageKey(key) {
+        if (this.profileId && this.getSchema(key).scope === 'profile') {
+            return `${this.getProfilePrefix(this.profileId)}${key}`;
+        }
+        return `${this.namespace}:${key}`;
+    }
+
+    getProfilePrefix(profileId) {
+        return `${this.namespace}:profile.${profileId}:`;
+    }
+
+    setProfile(profileId) {
+        this.profileId = profileId;
+        this.emit('profileChanged', profileId);
+    }
+
+    getProfileScopedKeys() {
+        return Array.from(this.schemas.entries())
+            .filter(([, schema]) => schema.scope === 'profile')
+            .map(([key]) => key);
+    }
+
+    adoptUnscopedData(profileId) {
+        // Move data written before profiles existed into the given profile
+        this.getProfileScopedKeys().forEach(key => {
+            try {
+                const unscopedKey = `${this.namespace}:${key}`;
+                const raw = this.backend.getItem(unscopedKey);
+                const scopedKey = `${this.getProfilePrefix(profileId)}${key}`;
+
+                if (raw !== null && this.backend.getItem(scopedKey) === null) {
+                    this.backend.setItem(scopedKey, raw);
+                }
+                this.backend.removeItem(unscopedKey);
+            } catch (error) {
+                console.warn(`Failed to move ${key} into profile ${profileId}:`, error);
+            }
+        });
+    }
+
+    removeProfileData(profileId) {
+        const prefix = this.getProfilePrefix(profileId);
+
+        this.keys()
+            .map(key => `${this.namespace}:${key}`)
+            .filter(storageKey => storageKey.startsWith(prefix))
+            .forEach(storageKey => {
+                try {
+                    this.backend.removeItem(storageKey);
+                } catch (error) {
+                    console.warn(`Failed to remove ${storageKey}:`, error);
+                }
+            });
+    }
+
+    get(key, defaultValue = null) {
+        const storageKey = this.getStorageKey(key);
+        let raw;
+
+        try {
+            raw = this.backend.getItem(storageKey);
+        } catch (error) {
+            console.warn(`Failed to read ${key}:`, error);
+            return defaultValue;
+        }
+
+        if (raw === null) {
+            return this.migrateLegacy(key, defaultValue);
+        }
+
+        let record;
+        try {
+            record = JSON.parse(raw);
+        } catch (error) {
+            this.recoverCorrupted(key, raw, error);
+            return defaultValue;
+        }
+
+        if (!record || typeof record !== 'object' || !Number.isInteger(record.v) || !('data' in record)) {
+            this.recoverCorrupted(key, raw, new Error('Missing version envelope'));
+            return defaultValue;
+        }
+
+        const schema = this.getSchema(key);
+
+        if (record.v > schema.version) {
+            console.warn(`Stored ${key} has newer schema version ${record.v} (expected ${schema.version})`);
+            return record.data;
+        }
+
+        if (record.v < schema.version) {
+            try {
+                const migrated = this.migrate(key, record.data, record.v);
+                this.set(key, migrated);
+                return migrated;
+            } catch (error) {
+                this.recoverCorrupted(key, raw, error);
+                return defaultValue;
+            }
+        }
+
+        return record.data;
+    }
+
+    set(key, data) {
+        const record = { v: this.getSchema(key).version, data };
+
+        try {
+            this.backend.setItem(this.getStorageKey(key), JSON.stringify(record));
+        } catch (error) {
+            console.warn(`Failed to save ${key}:`, error);
+            return false;
+        }
+
+        this.emit(key, data);
+        return true;
+    }
+
+    remove(key) {
+        try {
+            this.backend.removeItem(this.getStorageKey(key));
+        } catch (error) {
+            console.warn(`Failed to remove ${key}:`, error);
+        }
+
+        this.emit(key, null);
+    }
+
+    has(key) {
+        return this.get(key) !== null;
+    }
+
+    migrate(key, data, fromVersion) {
+        const schema = this.getSchema(key);
+        const migrations = schema.migrations || {};
+        let migrated = data;
+
+        for (let version = fromVersion + 1; version <= schema.version; version++) {
+            if (migrations[version]) {
+                migrated = migrations[version](migrated);
+            }
+        }
+
+        return migrated;
+    }
+
+    migrateLegacy(key, defaultValue) {
+        const { legacyKey } = this.getSchema(key);
+        if (!legacyKey) return defaultValue;
+
+        let raw;
+        try {
+            raw = this.backend.getItem(legacyKey);
+        } catch (error) {
+            return defaultValue;
+        }
+
+        if (raw === null) return defaultValue;
+
+        // Legacy values were plain JSON or, for the theme name, a bare string
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            data = raw;
+        }
+
+        try {
+            const migrated = this.migrate(key, data, 0);
+            if (this.set(key, migrated)) {
+                this.backend.removeItem(legacyKey);
+            }
+            console.log(`Migrated legacy storage key ${legacyKey} -> ${this.getStorageKey(key)}`);
+            return migrated;
+        } catch (error) {
+            console.warn(`Failed to migrate legacy key ${legacyKey}:`, error);
+            return defaultValue;
+        }
+    }
+
+    recoverCorrupted(key, raw, error) {
+        console.warn(`Corrupted storage for ${key}, resetting to defaults:`, error);
+
+        try {
+            // Keep the bad payload around for bug reports
+            this.backend.setItem(this.getStorageKey(`corrupt.${key}`), raw);
+            this.backend.removeItem(this.getStorageKey(key));
+        } catch (backupError) {
+            console.warn(`Failed to back up corrupted ${key}:`, backupError);
+        }
+    }
+
+    keys() {
+        const prefix = `${this.namespace}:`;
+        const keys = [];
+
+        try {
+            for (let i = 0; i < this.backend.length; i++) {
+                const storageKey = this.backend.key(i);
+                if (storageKey && storageKey.startsWith(prefix)) {
+                    keys.push(storageKey.slice(prefix.length));
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to list storage keys:', error);
+        }
+
+        return keys;
+    }
+
+    clear() {
+        this.keys().forEach(key => this.remove(key));
+    }
+
+    on(key, callback) {
+        if (!this.listeners.has(key)) {
+            this.listeners.set(key, []);
+        }
+        this.listeners.get(key).push(callback);
+    }
+
+    off(key, callback) {
+        const callbacks = this.listeners.get(key);
+        if (callbacks) {
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+
+    emit(key, data) {
+        const callbacks = this.listeners.get(key);
+        if (callbacks) {
+            callbacks.forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in storage listener for ${key}:`, error);
+                }
+            });
+        }
+    }
+}
+
+export const defaultStorage = new StorageManager();
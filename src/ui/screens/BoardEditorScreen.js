@@ -0,0 +1,510 @@
+/**
+ * BoardEditorScreen - Puzzle board editor
+ * Paint a board cell by cell, set the piece order, hold piece and goal,
+ * then save the result as a puzzle, share it as a Fumen string or play it
+ */
+
+import { Screen } from '../Screen.js';
+import {
+    createPuzzle,
+    decodePuzzle,
+    encodePuzzle,
+    validatePuzzle,
+    PUZZLE_CELLS,
+    PUZZLE_GOALS,
+    PUZZLE_LIMITS,
+    PUZZLE_PIECES
+} from '../../engine/Puzzle.js';
+import { getTetrominoColors } from '../../engine/Tetromino.js';
+import { defaultPuzzleLibrary } from '../../storage/PuzzleLibrary.js';
+
+const GARBAGE_COLOR = '#808080';
+const EMPTY_CELL = '.';
+
+export class BoardEditorScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'board-editor-screen';
+        this.library = defaultPuzzleLibrary;
+        this.cells = [];
+        this.puzzleId = null;
+        this.paint = 'G';
+        this.stroke = null;
+        this.elements = {};
+        this.handlePointerUp = () => {
+            this.stroke = null;
+        };
+    }
+
+    createElement() {
+        super.createElement();
+
+        const palette = [...PUZZLE_CELLS, EMPTY_CELL].map(cell => `
+            <button class="be-swatch" data-paint="${cell}" aria-pressed="false" aria-label="${cell === EMPTY_CELL ? 'Erase' : `Paint ${cell}`}"
+                style="--swatch: ${this.getCellColor(cell) || 'transparent'}">${cell === EMPTY_CELL ? '✕' : cell}</button>`).join('');
+
+        const holdOptions = PUZZLE_PIECES.map(piece => `<option value="${piece}">${piece}</option>`).join('');
+
+        this.element.innerHTML = `
+            <div class="be-screen" aria-labelledby="be-title">
+                <header class="be-header">
+                    <h1 id="be-title" class="be-title">BOARD EDITOR</h1>
+                </header>
+
+                <main class="be-arena">
+                    <div class="be-grid" id="be-grid" role="grid" aria-label="Puzzle board"
+                        style="--columns: ${PUZZLE_LIMITS.width}; --rows: ${PUZZLE_LIMITS.height}"></div>
+
+                    <aside class="be-panel" aria-label="Puzzle settings">
+                        <div class="be-label">PAINT</div>
+                        <div class="be-palette" id="be-palette" role="group" aria-label="Cell colors">${palette}</div>
+
+                        <label class="be-label" for="be-name">NAME</label>
+                        <input type="text" id="be-name" maxlength="40" autocomplete="off">
+
+                        <label class="be-label" for="be-queue">QUEUE</label>
+                        <input type="text" id="be-queue" placeholder="TSZLJOI" maxlength="${PUZZLE_LIMITS.maxPieces}" spellcheck="false" autocomplete="off">
+
+                        <label class="be-label" for="be-hold">HOLD</label>
+                        <select id="be-hold">
+                            <option value="">None</option>
+                            ${holdOptions}
+                        </select>
+
+                        <label class="be-label" for="be-goal">GOAL</label>
+                        <div class="be-goal">
+                            <select id="be-goal">
+                                <option value="${PUZZLE_GOALS.LINES}">Clear lines</option>
+                                <option value="${PUZZLE_GOALS.TSPIN_DOUBLE}">T-Spin Double</option>
+                                <option value="${PUZZLE_GOALS.PERFECT_CLEAR}">Perfect Clear</option>
+                            </select>
+                            <input type="number" id="be-lines" min="1" max="${PUZZLE_LIMITS.maxLines}" value="1" aria-label="Lines to clear">
+                        </div>
+
+                        <div class="be-actions">
+                            <button class="btn btn-primary" id="be-play-btn">Play</button>
+                            <button class="btn btn-secondary" id="be-save-btn">Save</button>
+                            <button class="btn btn-secondary" id="be-clear-btn">Clear Board</button>
+                        </div>
+
+                        <label class="be-label" for="be-share">FUMEN</label>
+                        <div class="be-share">
+                            <input type="text" id="be-share" placeholder="v115@..." spellcheck="false" autocomplete="off">
+                            <button class="btn btn-secondary" id="be-share-btn">Share</button>
+                            <button class="btn btn-secondary" id="be-import-btn">Import</button>
+                        </div>
+
+                        <button class="btn btn-secondary" id="be-menu-btn">Main Menu</button>
+                    </aside>
+                </main>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+        this.buildGrid();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .be-screen {
+                position: relative;
+                width: 100vw;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .be-header {
+                display: flex;
+                justify-content: center;
+                padding: 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .be-title {
+                font-size: 1.8rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .be-arena {
+                flex: 1;
+                display: flex;
+                justify-content: center;
+                align-items: flex-start;
+                gap: 2rem;
+                padding: 1rem;
+                overflow-y: auto;
+            }
+
+            .be-grid {
+                display: grid;
+                grid-template-columns: repeat(var(--columns), 24px);
+                grid-template-rows: repeat(var(--rows), 24px);
+                gap: 1px;
+                padding: 4px;
+                background: rgba(0, 0, 0, 0.3);
+                border: 2px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                touch-action: none;
+                user-select: none;
+            }
+
+            .be-cell {
+                background: rgba(255, 255, 255, 0.04);
+                border-radius: 2px;
+                cursor: crosshair;
+            }
+
+            .be-cell.filled {
+                background: var(--cell);
+                box-shadow: 0 0 6px var(--cell);
+            }
+
+            .be-panel {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                width: 300px;
+                background: rgba(0, 255, 255, 0.05);
+                border: 1px solid rgba(0, 255, 255, 0.2);
+                border-radius: 8px;
+                padding: 1rem;
+            }
+
+            .be-label {
+                font-size: 0.7rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .be-palette {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 0.25rem;
+            }
+
+            .be-swatch {
+                width: 2rem;
+                height: 2rem;
+                background: var(--swatch);
+                border: 2px solid rgba(255, 255, 255, 0.2);
+                border-radius: 4px;
+                color: #000;
+                font-family: var(--font-mono);
+                font-weight: 900;
+                cursor: pointer;
+            }
+
+            .be-swatch[data-paint="."] {
+                color: #FF4040;
+            }
+
+            .be-swatch[aria-pressed="true"] {
+                border-color: #FFFFFF;
+                box-shadow: 0 0 10px #FFFFFF;
+            }
+
+            .be-panel input,
+            .be-panel select {
+                background: rgba(0, 0, 0, 0.5);
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #FFFFFF;
+                font-family: var(--font-mono);
+                padding: 0.4rem;
+            }
+
+            .be-goal,
+            .be-share,
+            .be-actions {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .be-goal select,
+            .be-share input {
+                flex: 1;
+                min-width: 0;
+            }
+
+            .be-goal input {
+                width: 4rem;
+            }
+
+            .be-goal input[hidden] {
+                display: none;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            grid: this.element.querySelector('#be-grid'),
+            palette: this.element.querySelector('#be-palette'),
+            name: this.element.querySelector('#be-name'),
+            queue: this.element.querySelector('#be-queue'),
+            hold: this.element.querySelector('#be-hold'),
+            goal: this.element.querySelector('#be-goal'),
+            lines: this.element.querySelector('#be-lines'),
+            share: this.element.querySelector('#be-share')
+        };
+    }
+
+    /**
+     * One element per cell, top row first
+     */
+    buildGrid() {
+        const { width, height } = PUZZLE_LIMITS;
+        const { grid } = this.elements;
+
+        this.cellElements = [];
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                const cell = document.createElement('div');
+                cell.className = 'be-cell';
+                cell.setAttribute('role', 'gridcell');
+                cell.dataset.x = x;
+                cell.dataset.y = y;
+                grid.appendChild(cell);
+                row.push(cell);
+            }
+            this.cellElements.push(row);
+        }
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        const { grid, palette, goal } = this.elements;
+
+        // Drag painting: a stroke that starts on a cell of the paint color erases instead
+        grid.addEventListener('pointerdown', event => {
+            const cell = event.target.closest('.be-cell');
+            if (!cell) return;
+
+            const current = this.cells[cell.dataset.y][cell.dataset.x];
+            this.stroke = current === this.paint ? EMPTY_CELL : this.paint;
+            this.paintCell(cell);
+            event.preventDefault();
+        });
+
+        grid.addEventListener('pointerover', event => {
+            const cell = event.target.closest('.be-cell');
+            if (cell && this.stroke !== null) {
+                this.paintCell(cell);
+            }
+        });
+
+        window.addEventListener('pointerup', this.handlePointerUp);
+
+        palette.addEventListener('click', event => {
+            const swatch = event.target.closest('[data-paint]');
+            if (swatch) {
+                this.selectPaint(swatch.dataset.paint);
+            }
+        });
+
+        goal.addEventListener('change', () => this.updateGoalInput());
+
+        this.element.querySelector('#be-play-btn').addEventListener('click', () => this.playPuzzle());
+        this.element.querySelector('#be-save-btn').addEventListener('click', () => this.savePuzzle());
+        this.element.querySelector('#be-clear-btn').addEventListener('click', () => this.clearBoard());
+        this.element.querySelector('#be-share-btn').addEventListener('click', () => this.sharePuzzle());
+        this.element.querySelector('#be-import-btn').addEventListener('click', () => this.importPuzzle());
+        this.element.querySelector('#be-menu-btn').addEventListener('click', () => {
+            this.playSound('ui_back');
+            this.goToScreen('main-menu', { transition: 'fade' });
+        });
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        this.loadPuzzle(data && data.puzzle ? data.puzzle : createPuzzle());
+        this.selectPaint(this.paint);
+    }
+
+    onExit() {
+        super.onExit();
+        this.stroke = null;
+    }
+
+    /**
+     * Fill the editor from a puzzle
+     */
+    loadPuzzle(puzzle) {
+        const { width, height } = PUZZLE_LIMITS;
+        const rows = puzzle.rows.slice(-height);
+
+        this.cells = Array.from({ length: height }, (_, y) => {
+            const row = rows[y - (height - rows.length)] || EMPTY_CELL.repeat(width);
+            return [...row];
+        });
+        this.puzzleId = puzzle.id;
+
+        const { name, queue, hold, goal, lines, share } = this.elements;
+        name.value = puzzle.name;
+        queue.value = puzzle.queue.join('');
+        hold.value = puzzle.hold || '';
+        goal.value = puzzle.goal.type;
+        lines.value = puzzle.goal.lines || 1;
+        share.value = '';
+
+        this.updateGoalInput();
+        this.renderCells();
+    }
+
+    /**
+     * Puzzle built from the current editor state
+     */
+    getPuzzle() {
+        const { name, queue, hold, goal, lines } = this.elements;
+
+        return createPuzzle({
+            id: this.puzzleId,
+            name: name.value.trim() || undefined,
+            rows: this.cells.map(row => row.join('')),
+            queue: [...queue.value.toUpperCase()].filter(piece => PUZZLE_PIECES.includes(piece)),
+            hold: hold.value || null,
+            goal: goal.value === PUZZLE_GOALS.LINES
+                ? { type: goal.value, lines: Number(lines.value) }
+                : { type: goal.value }
+        });
+    }
+
+    /**
+     * Current puzzle, or null after reporting why it can't be used
+     */
+    getValidPuzzle() {
+        const puzzle = this.getPuzzle();
+        const { valid, errors } = validatePuzzle(puzzle);
+
+        if (!valid) {
+            this.showNotification(errors[0], 'error');
+            this.playSound('ui_error');
+            return null;
+        }
+
+        return puzzle;
+    }
+
+    selectPaint(paint) {
+        this.paint = paint;
+        this.elements.palette.querySelectorAll('[data-paint]').forEach(swatch => {
+            swatch.setAttribute('aria-pressed', String(swatch.dataset.paint === paint));
+        });
+    }
+
+    paintCell(element) {
+        const { x, y } = element.dataset;
+        if (this.cells[y][x] === this.stroke) return;
+
+        this.cells[y][x] = this.stroke;
+        this.renderCell(Number(x), Number(y));
+    }
+
+    clearBoard() {
+        this.cells = this.cells.map(row => row.map(() => EMPTY_CELL));
+        this.renderCells();
+        this.playSound('ui_select');
+    }
+
+    updateGoalInput() {
+        this.elements.lines.hidden = this.elements.goal.value !== PUZZLE_GOALS.LINES;
+        this.updateFocusableElements();
+    }
+
+    getCellColor(cell) {
+        if (cell === EMPTY_CELL) return null;
+        return cell === 'G' ? GARBAGE_COLOR : getTetrominoColors(cell).primary;
+    }
+
+    renderCell(x, y) {
+        const element = this.cellElements[y][x];
+        const color = this.getCellColor(this.cells[y][x]);
+
+        element.classList.toggle('filled', color !== null);
+        element.style.setProperty('--cell', color || 'transparent');
+    }
+
+    renderCells() {
+        this.cells.forEach((row, y) => row.forEach((_, x) => this.renderCell(x, y)));
+    }
+
+    savePuzzle() {
+        const puzzle = this.getValidPuzzle();
+        if (!puzzle) return;
+
+        this.puzzleId = this.library.save(puzzle).id;
+        this.showNotification(`Saved ${puzzle.name}`, 'success');
+        this.playSound('ui_select');
+    }
+
+    sharePuzzle() {
+        const puzzle = this.getValidPuzzle();
+        if (!puzzle) return;
+
+        const { share } = this.elements;
+        share.value = encodePuzzle(puzzle);
+        share.select();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(share.value)
+                .then(() => this.showNotification('Fumen string copied', 'success'))
+                .catch(() => {});
+        }
+        this.playSound('ui_select');
+    }
+
+    importPuzzle() {
+        try {
+            const puzzle = decodePuzzle(this.elements.share.value.trim());
+            const share = this.elements.share.value;
+
+            this.loadPuzzle(puzzle);
+            this.elements.share.value = share;
+            this.playSound('ui_select');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            this.playSound('ui_error');
+        }
+    }
+
+    playPuzzle() {
+        const puzzle = this.getValidPuzzle();
+        if (!puzzle) return;
+
+        this.playSound('ui_confirm');
+        this.goToScreen('puzzle', { transition: 'fade', data: { puzzle } });
+    }
+
+    handleKeyDown(event) {
+        // Text fields keep their own editing keys
+        const tag = event.target && event.target.tagName;
+        if ((tag === 'INPUT' || tag === 'SELECT') && event.code !== 'Escape') {
+            return;
+        }
+
+        super.handleKeyDown(event);
+    }
+
+    handleBack() {
+        this.playSound('ui_back');
+        this.goToScreen('main-menu', { transition: 'fade' });
+    }
+
+    destroy() {
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        super.destroy();
+    }
+}
@@ -0,0 +1,694 @@
+/**
+ * CustomGameScreen - Custom game setup
+ * Start from a mode's rules, change speed, pieces, board and garbage settings,
+ * combine game modifiers and goals on top, and save the setup as a preset;
+ * games start on the game screen in the custom mode
+ */
+
+import { Screen } from '../Screen.js';
+import { GAME_MODES, createModeRules } from '../../engine/GameModes.js';
+import { createRules } from '../../engine/GameRules.js';
+import { MODIFIER_CATEGORIES, getModifier, getModifiers, resolveModifiers } from '../../engine/GameModifiers.js';
+import { SPEED_CURVES } from '../../engine/LevelManager.js';
+import { RANDOMIZER_TYPES } from '../../engine/Randomizer.js';
+import { defaultCustomGamePresets } from '../../storage/CustomGamePresets.js';
+
+/**
+ * Modes whose rules a custom game can start from
+ */
+const BASE_MODES = ['marathon', 'sprint', 'ultra', 'zen', 'classic', 'master', 'survival'];
+
+/**
+ * Editable settings by group
+ * - min/max/step: number fields; optional ones may be left empty for null
+ * - options: select fields
+ * - toggle: on/off fields
+ * The randomizer is not a rule field and is passed to the game next to the rules
+ */
+const SETTING_GROUPS = [
+    {
+        name: 'SPEED',
+        fields: [
+            { id: 'startLevel', name: 'Start Level', min: 0, max: 99, step: 1 },
+            { id: 'speedCurve', name: 'Gravity Curve', options: Object.values(SPEED_CURVES) },
+            { id: 'lockDelay', name: 'Lock Delay (ms)', min: 0, max: 10000, step: 50, optional: true }
+        ]
+    },
+    {
+        name: 'PIECES',
+        fields: [
+            { id: 'previewCount', name: 'Previews', min: 0, max: 7, step: 1 },
+            { id: 'holdEnabled', name: 'Hold', toggle: true },
+            { id: 'ghostPiece', name: 'Ghost', toggle: true },
+            { id: 'randomizer', name: 'Randomizer', options: Object.values(RANDOMIZER_TYPES) }
+        ]
+    },
+    {
+        name: 'BOARD',
+        fields: [
+            { id: 'boardWidth', name: 'Width', min: 4, max: 20, step: 1 },
+            { id: 'boardHeight', name: 'Height', min: 10, max: 40, step: 1 }
+        ]
+    },
+    {
+        name: 'GARBAGE',
+        fields: [
+            { id: 'garbageMessiness', name: 'Messiness', min: 0, max: 1, step: 0.05 },
+            { id: 'garbageDelay', name: 'Delay (ms)', min: 0, max: 10000, step: 100 },
+            { id: 'garbageCap', name: 'Cap', min: 1, max: 40, step: 1 },
+            { id: 'garbageRiseInterval', name: 'Rise Every (ms)', min: 0, max: 60000, step: 1000 }
+        ]
+    }
+];
+
+export class CustomGameScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'custom-game-screen';
+        this.presets = defaultCustomGamePresets;
+        this.mode = 'marathon';
+        this.label = GAME_MODES.marathon.name;
+        this.presetId = null;
+        this.rules = {};
+        this.randomizer = RANDOMIZER_TYPES.BAG_7;
+        this.selection = {};
+        this.elements = {};
+    }
+
+    createElement() {
+        super.createElement();
+
+        this.element.innerHTML = `
+            <div class="custom-screen" aria-labelledby="custom-title">
+                <header class="custom-header">
+                    <h1 id="custom-title" class="custom-title">CUSTOM GAME</h1>
+                    <p class="custom-summary" id="custom-summary" aria-live="polite"></p>
+                </header>
+
+                <main class="custom-content">
+                    <section class="custom-section" aria-labelledby="custom-preset-label">
+                        <div class="custom-label" id="custom-preset-label">PRESETS</div>
+                        <ul class="custom-presets" id="custom-preset-list"></ul>
+                        <div class="custom-save">
+                            <input type="text" id="custom-preset-name" maxlength="40" autocomplete="off" placeholder="Preset name" aria-label="Preset name">
+                            <button class="btn btn-secondary" id="custom-save-btn">Save Preset</button>
+                        </div>
+                    </section>
+
+                    <section class="custom-section" aria-labelledby="custom-mode-label">
+                        <div class="custom-label" id="custom-mode-label">START FROM</div>
+                        <div class="custom-modes" id="custom-mode-list" role="group" aria-labelledby="custom-mode-label"></div>
+                    </section>
+
+                    <div id="custom-setting-list"></div>
+
+                    <div id="custom-modifier-list"></div>
+                </main>
+
+                <footer class="custom-footer">
+                    <button class="btn btn-primary" id="custom-start-btn">Start</button>
+                    <button class="btn btn-secondary" id="custom-reset-btn">Reset</button>
+                    <button class="btn btn-secondary" id="custom-menu-btn">Main Menu</button>
+                </footer>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .custom-screen {
+                position: relative;
+                width: 100vw;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .custom-header {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 0.5rem;
+                padding: 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .custom-title {
+                font-size: 1.8rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .custom-summary {
+                margin: 0;
+                color: #888;
+                font-size: 0.9rem;
+            }
+
+            .custom-summary.invalid {
+                color: #FF4040;
+            }
+
+            .custom-content {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                gap: 1.5rem;
+                width: 100%;
+                max-width: 720px;
+                margin: 0 auto;
+                padding: 1rem;
+                overflow-y: auto;
+            }
+
+            .custom-section {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                margin-bottom: 1.5rem;
+            }
+
+            .custom-label {
+                font-size: 0.7rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .custom-modes {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 0.5rem;
+            }
+
+            .custom-modes .btn[aria-pressed="true"],
+            .custom-modifier[aria-pressed="true"] {
+                border-color: #00FFFF;
+                box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            }
+
+            .custom-modifier-row {
+                display: flex;
+                align-items: center;
+                gap: 1rem;
+            }
+
+            .custom-modifier {
+                flex: 1;
+                display: grid;
+                gap: 0.25rem;
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.2);
+                border-radius: 4px;
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                padding: 0.5rem 1rem;
+                text-align: left;
+                cursor: pointer;
+                transition: all 0.3s ease;
+            }
+
+            .custom-modifier:hover,
+            .custom-modifier:focus {
+                border-color: #00FFFF;
+            }
+
+            .custom-modifier-name {
+                font-weight: 600;
+            }
+
+            .custom-modifier-info {
+                color: #888;
+                font-size: 0.8rem;
+            }
+
+            .custom-setting {
+                display: flex;
+                flex-direction: column;
+                gap: 0.25rem;
+                font-size: 0.7rem;
+                color: #888;
+            }
+
+            .custom-setting input {
+                width: 5rem;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #FFFFFF;
+                font-family: var(--font-mono);
+                padding: 0.25rem 0.5rem;
+            }
+
+            .custom-setting input:disabled {
+                opacity: 0.4;
+            }
+
+            .custom-settings {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 1rem;
+            }
+
+            .custom-setting select {
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #FFFFFF;
+                font-family: var(--font-mono);
+                padding: 0.25rem 0.5rem;
+            }
+
+            .custom-setting.toggle {
+                flex-direction: row;
+                align-items: center;
+            }
+
+            .custom-presets {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                margin: 0;
+                padding: 0;
+                list-style: none;
+            }
+
+            .custom-preset-row {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .custom-preset-row .custom-modifier[aria-current="true"] {
+                border-color: #00FFFF;
+            }
+
+            .custom-save {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .custom-save input {
+                flex: 1;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #FFFFFF;
+                font-family: var(--font-primary);
+                padding: 0.25rem 0.5rem;
+            }
+
+            .custom-footer {
+                display: flex;
+                justify-content: center;
+                gap: 1rem;
+                padding: 1rem;
+                border-top: 1px solid rgba(0, 255, 255, 0.2);
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            summary: this.element.querySelector('#custom-summary'),
+            modeList: this.element.querySelector('#custom-mode-list'),
+            presetList: this.element.querySelector('#custom-preset-list'),
+            presetName: this.element.querySelector('#custom-preset-name'),
+            settingList: this.element.querySelector('#custom-setting-list'),
+            modifierList: this.element.querySelector('#custom-modifier-list'),
+            startButton: this.element.querySelector('#custom-start-btn')
+        };
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.elements.modeList.addEventListener('click', event => {
+            const button = event.target.closest('[data-mode]');
+            if (button) {
+                this.selectMode(button.dataset.mode);
+            }
+        });
+
+        this.elements.settingList.addEventListener('change', event => {
+            const input = event.target.closest('[data-field]');
+            if (input) {
+                this.changeField(input.dataset.field, input);
+            }
+        });
+
+        this.elements.presetList.addEventListener('click', event => {
+            const load = event.target.closest('[data-preset]');
+            const remove = event.target.closest('[data-remove]');
+            if (load) {
+                this.loadPreset(load.dataset.preset);
+            } else if (remove) {
+                this.deletePreset(remove.dataset.remove);
+            }
+        });
+
+        this.element.querySelector('#custom-save-btn').addEventListener('click', () => this.savePreset());
+
+        this.elements.modifierList.addEventListener('click', event => {
+            const button = event.target.closest('[data-modifier]');
+            if (button && button.classList.contains('custom-modifier')) {
+                this.toggleModifier(button.dataset.modifier);
+            }
+        });
+
+        this.elements.modifierList.addEventListener('change', event => {
+            const input = event.target.closest('input[data-setting]');
+            if (input) {
+                this.changeSetting(input.dataset.modifier, input.dataset.setting, input);
+            }
+        });
+
+        this.elements.startButton.addEventListener('click', () => this.startGame());
+        this.element.querySelector('#custom-reset-btn').addEventListener('click', () => this.reset());
+        this.element.querySelector('#custom-menu-btn').addEventListener('click', () => this.returnToMenu());
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        if (data && data.preset) {
+            this.loadPreset(data.preset);
+        } else if (data && data.mode) {
+            this.selectMode(data.mode);
+        } else if (!this.rules.name) {
+            this.selectMode(this.mode);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Start over from a mode's rules and the modifiers the mode is made of
+     */
+    selectMode(mode) {
+        this.mode = BASE_MODES.includes(mode) ? mode : 'marathon';
+        this.label = GAME_MODES[this.mode].name;
+        this.presetId = null;
+        this.rules = this.getEditableRules(GAME_MODES[this.mode].rules);
+        this.randomizer = RANDOMIZER_TYPES.BAG_7;
+        this.selection = resolveModifiers(GAME_MODES[this.mode].modifiers);
+        this.elements.presetName.value = '';
+        this.playSound('ui_select');
+        this.render();
+    }
+
+    /**
+     * Complete rule fields without the modifiers, which are kept apart
+     */
+    getEditableRules(base, overrides = {}) {
+        const { modifiers, ...rules } = createRules(base, overrides);
+        return rules;
+    }
+
+    reset() {
+        if (this.presetId) {
+            this.loadPreset(this.presetId);
+        } else {
+            this.selectMode(this.mode);
+        }
+    }
+
+    loadPreset(id) {
+        const preset = this.presets.get(id);
+        if (!preset) {
+            this.showNotification('Preset not found', 'error');
+            return;
+        }
+
+        try {
+            this.rules = this.getEditableRules(GAME_MODES.custom.rules, preset.rules);
+            this.selection = resolveModifiers(preset.modifiers);
+        } catch (error) {
+            this.showNotification(`Preset cannot be played: ${error.message}`, 'error');
+            return;
+        }
+
+        this.label = preset.name;
+        this.presetId = preset.id;
+        this.randomizer = preset.randomizer;
+        this.elements.presetName.value = preset.name;
+        this.playSound('ui_select');
+        this.render();
+    }
+
+    savePreset() {
+        // Saving under a new name keeps the loaded preset and adds another
+        const name = this.elements.presetName.value.trim();
+        const loaded = this.presetId && this.presets.get(this.presetId);
+        const id = loaded && loaded.name === name ? loaded.id : null;
+
+        try {
+            const preset = this.presets.save({
+                id,
+                name,
+                rules: this.rules,
+                modifiers: this.selection,
+                randomizer: this.randomizer
+            });
+
+            this.presetId = preset.id;
+            this.label = preset.name;
+            this.showNotification(`Saved ${preset.name}`, 'success');
+            this.playSound('ui_select');
+            this.render();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    deletePreset(id) {
+        this.presets.remove(id);
+        if (this.presetId === id) {
+            this.presetId = null;
+        }
+
+        this.playSound('ui_back');
+        this.render();
+    }
+
+    changeField(id, input) {
+        const field = SETTING_GROUPS.flatMap(group => group.fields).find(entry => entry.id === id);
+        if (!field) return;
+
+        let value;
+        if (field.toggle) {
+            value = input.checked;
+        } else if (field.options) {
+            value = input.value;
+        } else if (field.optional && input.value === '') {
+            value = null;
+        } else {
+            // Keep the value inside the field's range
+            value = Math.min(Math.max(Number(input.value) || 0, field.min), field.max);
+            input.value = value;
+        }
+
+        if (id === 'randomizer') {
+            this.randomizer = value;
+        } else {
+            this.rules[id] = value;
+        }
+
+        this.updateSummary();
+    }
+
+    getFieldValue(id) {
+        return id === 'randomizer' ? this.randomizer : this.rules[id];
+    }
+
+    toggleModifier(id) {
+        if (this.selection[id]) {
+            delete this.selection[id];
+        } else {
+            this.selection = { ...this.selection, ...resolveModifiers({ [id]: true }) };
+        }
+
+        this.playSound('ui_select');
+        this.render();
+    }
+
+    changeSetting(id, key, input) {
+        if (!this.selection[id]) return;
+
+        // Keep the value inside the setting's range
+        const value = Math.min(Math.max(Number(input.value) || 0, Number(input.min)), Number(input.max));
+        this.selection[id][key] = value;
+        input.value = value;
+        this.updateSummary();
+    }
+
+    render() {
+        const { modeList, settingList, modifierList } = this.elements;
+
+        modeList.innerHTML = BASE_MODES.map(id => `
+            <button class="btn btn-secondary" data-mode="${id}" aria-pressed="${!this.presetId && id === this.mode}">${GAME_MODES[id].name}</button>`
+        ).join('');
+
+        this.renderPresets();
+
+        settingList.innerHTML = SETTING_GROUPS.map(group => `
+            <section class="custom-section" aria-label="${group.name}">
+                <div class="custom-label">${group.name}</div>
+                <div class="custom-settings">${group.fields.map(field => this.renderField(field)).join('')}</div>
+            </section>`
+        ).join('');
+
+        modifierList.innerHTML = MODIFIER_CATEGORIES.map(category => `
+            <section class="custom-section" aria-labelledby="custom-${category.id}-label">
+                <div class="custom-label" id="custom-${category.id}-label">${category.name.toUpperCase()}</div>
+                ${getModifiers(category.id).map(modifier => this.renderModifier(modifier)).join('')}
+            </section>`
+        ).join('');
+
+        this.updateSummary();
+        this.updateFocusableElements();
+    }
+
+    renderPresets() {
+        const { presetList } = this.elements;
+        const presets = this.presets.getAll();
+
+        presetList.innerHTML = presets.length > 0 ? '' : '<li class="custom-modifier-info">No saved presets yet</li>';
+
+        // Preset names are user input, so build nodes instead of HTML
+        presets.forEach(preset => {
+            const item = document.createElement('li');
+            item.className = 'custom-preset-row';
+
+            const load = document.createElement('button');
+            load.className = 'custom-modifier';
+            load.dataset.preset = preset.id;
+            load.setAttribute('aria-current', String(preset.id === this.presetId));
+
+            const name = document.createElement('span');
+            name.className = 'custom-modifier-name';
+            name.textContent = preset.name;
+
+            const info = document.createElement('span');
+            info.className = 'custom-modifier-info';
+            info.textContent = this.describe(preset.rules, preset.modifiers);
+
+            load.append(name, info);
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-secondary';
+            remove.dataset.remove = preset.id;
+            remove.textContent = 'Delete';
+            remove.setAttribute('aria-label', `Delete ${preset.name}`);
+
+            item.append(load, remove);
+            presetList.appendChild(item);
+        });
+    }
+
+    renderField(field) {
+        const value = this.getFieldValue(field.id);
+
+        if (field.toggle) {
+            return `
+                <label class="custom-setting toggle">
+                    <input type="checkbox" data-field="${field.id}" ${value ? 'checked' : ''}>
+                    ${field.name}
+                </label>`;
+        }
+
+        if (field.options) {
+            const options = field.options.map(option => `
+                <option value="${option}" ${option === value ? 'selected' : ''}>${option}</option>`
+            ).join('');
+
+            return `
+                <label class="custom-setting">
+                    ${field.name}
+                    <select data-field="${field.id}">${options}</select>
+                </label>`;
+        }
+
+        return `
+            <label class="custom-setting">
+                ${field.name}
+                <input type="number" data-field="${field.id}" min="${field.min}" max="${field.max}" step="${field.step}"
+                    value="${value === null ? '' : value}" ${field.optional ? 'placeholder="None"' : ''}>
+            </label>`;
+    }
+
+    renderModifier(modifier) {
+        const settings = this.selection[modifier.id];
+        const active = Boolean(settings);
+
+        const inputs = modifier.settings.map(({ id, name, default: value, min, max, step }) => `
+            <label class="custom-setting">
+                ${name}
+                <input type="number" data-modifier="${modifier.id}" data-setting="${id}"
+                    min="${min}" max="${max}" step="${step}" value="${active ? settings[id] : value}" ${active ? '' : 'disabled'}>
+            </label>`
+        ).join('');
+
+        return `
+            <div class="custom-modifier-row">
+                <button class="custom-modifier" data-modifier="${modifier.id}" aria-pressed="${active}">
+                    <span class="custom-modifier-name">${modifier.name}</span>
+                    <span class="custom-modifier-info">${modifier.description}</span>
+                </button>
+                ${inputs}
+            </div>`;
+    }
+
+    /**
+     * Board size, speed and modifiers of a setup in one line
+     */
+    describe(rules, modifiers) {
+        const names = Object.keys(modifiers).filter(id => getModifier(id)).map(id => getModifier(id).name);
+        const board = `${rules.boardWidth}x${rules.boardHeight}`;
+        return [board, rules.speedCurve, ...names].join(' · ');
+    }
+
+    /**
+     * Show what the setup adds up to, or why it cannot be played
+     */
+    updateSummary() {
+        const { summary, startButton } = this.elements;
+
+        try {
+            const rules = createModeRules('custom', { rules: this.rules, modifiers: this.selection });
+
+            summary.textContent = `${this.label} · ${this.describe(rules, rules.modifiers)}`;
+            summary.classList.remove('invalid');
+            startButton.disabled = false;
+        } catch (error) {
+            summary.textContent = error.message;
+            summary.classList.add('invalid');
+            startButton.disabled = true;
+        }
+    }
+
+    startGame() {
+        this.playSound('ui_select');
+        this.goToScreen('game', {
+            transition: 'fade',
+            data: { mode: 'custom', rules: { ...this.rules }, modifiers: { ...this.selection }, randomizer: this.randomizer }
+        });
+    }
+
+    returnToMenu() {
+        this.playSound('ui_back');
+        this.goToScreen('main-menu', { transition: 'fade' });
+    }
+
+    handleBack() {
+        this.returnToMenu();
+    }
+}
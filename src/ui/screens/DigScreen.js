@@ -0,0 +1,619 @@
+/**
+ * DigScreen - Dig race (cheese) mode
+ * Clear a preset number of messy garbage rows as fast as possible,
+ * optionally with more garbage rising on a timer; every race counts
+ * toward the preset's attempts and best time
+ */
+
+import { Screen } from '../Screen.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { DigRace, DIG_PRESETS, DIG_RISE_SPEEDS } from '../../engine/DigMode.js';
+import { CanvasManager } from '../../rendering/CanvasManager.js';
+import { ThemeManager } from '../../rendering/ThemeManager.js';
+import { NeonEffects } from '../../rendering/NeonEffects.js';
+import { BoardRenderer, getEngineBoardState } from '../../rendering/BoardRenderer.js';
+import { KeyboardHandler } from '../../input/KeyboardHandler.js';
+import { PlayerInput } from '../../input/PlayerInput.js';
+
+const BOARD_CANVAS_WIDTH = 300;
+const BOARD_CANVAS_HEIGHT = 520;
+
+export class DigScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'dig-screen';
+        this.engine = null;
+        this.dig = null;
+        this.riseId = 'off';
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.elements = {};
+    }
+
+    createElement() {
+        super.createElement();
+
+        this.element.innerHTML = `
+            <div class="dig-screen" aria-labelledby="dig-title">
+                <header class="dig-header">
+                    <h1 id="dig-title" class="dig-title">DIG</h1>
+                    <dl class="dig-progress">
+                        <div><dt>RACE</dt><dd id="dig-preset-name">-</dd></div>
+                        <div><dt>GARBAGE</dt><dd id="dig-remaining" aria-live="polite">-</dd></div>
+                        <div><dt>TIME</dt><dd id="dig-time">-</dd></div>
+                        <div><dt>PIECES</dt><dd id="dig-pieces">-</dd></div>
+                        <div><dt>PER MIN</dt><dd id="dig-rate">-</dd></div>
+                    </dl>
+                </header>
+
+                <main class="dig-arena">
+                    <div class="dig-board">
+                        <canvas width="${BOARD_CANVAS_WIDTH}" height="${BOARD_CANVAS_HEIGHT}" aria-label="Dig board"></canvas>
+                    </div>
+
+                    <aside class="dig-panel" aria-label="Pieces">
+                        <div class="dig-label">HOLD</div>
+                        <div class="dig-pieces" id="dig-hold">-</div>
+                        <div class="dig-label">NEXT</div>
+                        <div class="dig-pieces" id="dig-next">-</div>
+                        <div class="dig-label">BEST</div>
+                        <div class="dig-pieces" id="dig-best">-</div>
+                    </aside>
+                </main>
+
+                <div class="dig-overlay" id="dig-preset-overlay">
+                    <div class="dig-dialog wide">
+                        <h2>DIG RACE</h2>
+                        <p>Clear every garbage row. New rows come up from below until the race's total is dug out; rising garbage adds more on a timer.</p>
+                        <div class="dig-label">RISING GARBAGE</div>
+                        <div class="dig-rise" id="dig-rise-list" role="group" aria-label="Rising garbage"></div>
+                        <div class="dig-presets" id="dig-preset-list" role="group" aria-label="Races"></div>
+                        <button class="btn btn-secondary" id="dig-preset-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="dig-overlay" id="dig-pause-overlay" hidden>
+                    <div class="dig-dialog">
+                        <h2>PAUSED</h2>
+                        <button class="btn btn-primary" id="dig-resume-btn">Resume</button>
+                        <button class="btn btn-secondary" id="dig-pause-retry-btn">Retry</button>
+                        <button class="btn btn-secondary" id="dig-pause-presets-btn">Races</button>
+                        <button class="btn btn-secondary" id="dig-pause-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="dig-overlay" id="dig-result-overlay" hidden>
+                    <div class="dig-dialog">
+                        <h2 id="dig-result-title">CLEARED!</h2>
+                        <div class="dig-summary" id="dig-result-summary"></div>
+                        <div class="dig-summary" id="dig-result-best"></div>
+                        <button class="btn btn-primary" id="dig-retry-btn">Retry</button>
+                        <button class="btn btn-secondary" id="dig-result-presets-btn">Races</button>
+                        <button class="btn btn-secondary" id="dig-result-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .dig-screen {
+                position: relative;
+                width: 100vw;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .dig-header {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 2rem;
+                padding: 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .dig-title {
+                font-size: 1.8rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .dig-progress {
+                display: flex;
+                gap: 1.5rem;
+                margin: 0;
+                text-align: center;
+            }
+
+            .dig-progress dt,
+            .dig-label {
+                font-size: 0.7rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .dig-progress dd {
+                margin: 0;
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+
+            .dig-arena {
+                flex: 1;
+                display: flex;
+                justify-content: center;
+                align-items: flex-start;
+                gap: 2rem;
+                padding: 1rem;
+            }
+
+            .dig-board canvas {
+                display: block;
+                background: rgba(0, 0, 0, 0.3);
+                border-radius: 4px;
+            }
+
+            .dig-panel {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                min-width: 200px;
+                background: rgba(0, 255, 255, 0.05);
+                border: 1px solid rgba(0, 255, 255, 0.2);
+                border-radius: 8px;
+                padding: 1rem;
+            }
+
+            .dig-pieces {
+                font-family: var(--font-mono);
+                font-size: 1.2rem;
+                letter-spacing: 0.2em;
+                color: #FFFFFF;
+            }
+
+            .dig-overlay {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.75);
+                z-index: 10;
+            }
+
+            .dig-overlay[hidden] {
+                display: none;
+            }
+
+            .dig-dialog {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 1rem;
+                min-width: 320px;
+                max-width: 480px;
+                padding: 2rem;
+                background: #0A0A0F;
+                border: 2px solid #00FFFF;
+                border-radius: 8px;
+                box-shadow: 0 0 30px rgba(0, 255, 255, 0.4);
+                text-align: center;
+            }
+
+            .dig-dialog.wide {
+                max-width: 560px;
+            }
+
+            .dig-dialog h2 {
+                margin: 0;
+                text-shadow: 0 0 10px #00FFFF;
+            }
+
+            .dig-dialog h2.failed {
+                color: #FF4040;
+                text-shadow: 0 0 10px #FF4040;
+            }
+
+            .dig-dialog p {
+                margin: 0;
+                color: #888;
+                font-size: 0.9rem;
+            }
+
+            .dig-rise {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .dig-rise .btn[aria-pressed="true"] {
+                border-color: #00FFFF;
+                box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            }
+
+            .dig-presets {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                width: 100%;
+            }
+
+            .dig-preset {
+                display: grid;
+                grid-template-columns: 1fr auto;
+                gap: 0.25rem 1rem;
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                padding: 0.5rem 1rem;
+                text-align: left;
+                cursor: pointer;
+                transition: all 0.3s ease;
+            }
+
+            .dig-preset:hover,
+            .dig-preset:focus {
+                border-color: #00FFFF;
+                box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            }
+
+            .dig-preset-name {
+                font-weight: 600;
+            }
+
+            .dig-preset-best {
+                font-family: var(--font-mono);
+                text-align: right;
+            }
+
+            .dig-preset-info {
+                grid-column: 1 / -1;
+                color: #888;
+                font-size: 0.8rem;
+            }
+
+            .dig-summary {
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            presetName: this.element.querySelector('#dig-preset-name'),
+            remaining: this.element.querySelector('#dig-remaining'),
+            time: this.element.querySelector('#dig-time'),
+            pieces: this.element.querySelector('#dig-pieces'),
+            rate: this.element.querySelector('#dig-rate'),
+            hold: this.element.querySelector('#dig-hold'),
+            next: this.element.querySelector('#dig-next'),
+            best: this.element.querySelector('#dig-best'),
+            riseList: this.element.querySelector('#dig-rise-list'),
+            presetList: this.element.querySelector('#dig-preset-list'),
+            presetOverlay: this.element.querySelector('#dig-preset-overlay'),
+            pauseOverlay: this.element.querySelector('#dig-pause-overlay'),
+            resultOverlay: this.element.querySelector('#dig-result-overlay'),
+            resultTitle: this.element.querySelector('#dig-result-title'),
+            resultSummary: this.element.querySelector('#dig-result-summary'),
+            resultBest: this.element.querySelector('#dig-result-best')
+        };
+
+        const canvasManager = new CanvasManager(this.element.querySelector('.dig-board canvas'), { enableWebGL: false });
+        canvasManager.resize(BOARD_CANVAS_WIDTH, BOARD_CANVAS_HEIGHT);
+
+        const themeManager = new ThemeManager();
+        const neonEffects = new NeonEffects(canvasManager, themeManager);
+
+        this.canvasManager = canvasManager;
+        this.boardRenderer = new BoardRenderer(canvasManager, themeManager, neonEffects);
+
+        this.input = new PlayerInput(
+            action => this.handleAction(action),
+            {},
+            () => this.engine.board.width
+        );
+        this.keyboard = new KeyboardHandler({
+            game: null,
+            addInputEvent: event => this.input.addInputEvent(event)
+        });
+        this.keyboard.loadKeyBindings();
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.elements.presetList.addEventListener('click', event => {
+            const button = event.target.closest('[data-preset]');
+            if (button) {
+                this.startRace(button.dataset.preset);
+            }
+        });
+
+        this.elements.riseList.addEventListener('click', event => {
+            const button = event.target.closest('[data-rise]');
+            if (button) {
+                this.riseId = button.dataset.rise;
+                this.playSound('ui_select');
+                this.showPresets();
+            }
+        });
+
+        this.element.querySelector('#dig-resume-btn').addEventListener('click', () => this.togglePause());
+
+        ['#dig-retry-btn', '#dig-pause-retry-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.retry());
+        });
+
+        ['#dig-pause-presets-btn', '#dig-result-presets-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.showPresets());
+        });
+
+        ['#dig-preset-menu-btn', '#dig-pause-menu-btn', '#dig-result-menu-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.returnToMenu());
+        });
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        this.createSession();
+        this.keyboard.addEventListeners();
+
+        if (data && data.preset) {
+            this.riseId = data.rise || 'off';
+            this.startRace(data.preset);
+        } else {
+            this.showPresets();
+        }
+    }
+
+    onExit() {
+        super.onExit();
+
+        this.keyboard.removeEventListeners();
+        this.keyboard.clearState();
+        this.input.clearRepeat();
+        this.boardRenderer.reset();
+        this.destroySession();
+    }
+
+    createSession() {
+        this.destroySession();
+
+        this.engine = new GameEngine({ headless: true, mode: 'dig', recordReplays: false });
+        this.engine.setMode('dig');
+        this.engine.resetGame();
+        this.engine.start();
+        this.engine.isPaused = true;
+        this.engine.addEventListener('pieceSpawned', () => this.updateProgress());
+        this.engine.addEventListener('pieceHeld', () => this.updateProgress());
+
+        this.dig = new DigRace(this.engine);
+        this.dig.addEventListener('progress', () => this.updateProgress());
+        this.dig.addEventListener('raceComplete', result => this.showResult(result));
+    }
+
+    destroySession() {
+        if (this.dig) {
+            this.dig.destroy();
+            this.dig = null;
+        }
+
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
+    }
+
+    showPresets() {
+        const { riseList, presetList } = this.elements;
+
+        riseList.innerHTML = DIG_RISE_SPEEDS.map(speed => `
+            <button class="btn btn-secondary" data-rise="${speed.id}" aria-pressed="${speed.id === this.riseId}">${speed.name}</button>`
+        ).join('');
+
+        presetList.innerHTML = DIG_PRESETS.map(preset => {
+            const { attempts, successes } = this.dig.getPresetStats(preset.id, this.riseId);
+
+            return `
+                <button class="dig-preset" data-preset="${preset.id}">
+                    <span class="dig-preset-name">${preset.name}</span>
+                    <span class="dig-preset-best">${this.formatBest(preset.id)}</span>
+                    <span class="dig-preset-info">${preset.lines} garbage rows · ${successes}/${attempts} cleared</span>
+                </button>`;
+        }).join('');
+
+        this.input.clearRepeat();
+        this.showOverlay('presetOverlay');
+    }
+
+    startRace(presetId) {
+        if (!this.dig) return;
+
+        this.dig.start(presetId, this.riseId);
+
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.boardRenderer.reset();
+        this.showOverlay(null);
+        this.updateProgress();
+        this.playSound('game_start');
+    }
+
+    retry() {
+        if (this.dig && this.dig.preset) {
+            this.startRace(this.dig.preset.id);
+        }
+    }
+
+    isRaceRunning() {
+        return Boolean(this.dig) && this.dig.isActive();
+    }
+
+    togglePause() {
+        if (!this.isRaceRunning()) return;
+
+        this.isPaused = !this.isPaused;
+        this.input.clearRepeat();
+        this.showOverlay(this.isPaused ? 'pauseOverlay' : null);
+        this.playSound(this.isPaused ? 'ui_pause' : 'ui_resume');
+    }
+
+    returnToMenu() {
+        this.playSound('ui_back');
+        this.goToScreen('main-menu', { transition: 'fade' });
+    }
+
+    handleAction(action) {
+        if (action === 'pause') {
+            this.togglePause();
+            return;
+        }
+
+        if (this.isRaceRunning() && !this.isPaused) {
+            this.engine.addInput(action);
+        }
+    }
+
+    /**
+     * Show one overlay and hide the others (null hides all)
+     */
+    showOverlay(name) {
+        ['presetOverlay', 'pauseOverlay', 'resultOverlay'].forEach(key => {
+            this.elements[key].hidden = key !== name;
+        });
+        this.updateFocusableElements();
+    }
+
+    showResult({ preset, riseSpeed, success, time, pieces, cleared, garbagePerMinute, stats }) {
+        const { resultTitle, resultSummary, resultBest } = this.elements;
+        const rising = riseSpeed.interval > 0 ? ` · ${riseSpeed.name} rise` : '';
+
+        resultTitle.textContent = success ? 'CLEARED!' : 'TOPPED OUT';
+        resultTitle.classList.toggle('failed', !success);
+        resultSummary.textContent = `${preset.name}${rising} · ${this.formatTime(time)} · ${pieces} pieces · ${cleared} rows · ${garbagePerMinute.toFixed(1)}/min`;
+        resultBest.textContent = stats.bestTime === null ? 'No clear yet' : `Best ${this.formatTime(stats.bestTime)}`;
+
+        this.input.clearRepeat();
+        this.updateProgress();
+        this.showOverlay('resultOverlay');
+        this.playSound(success ? 'achievement' : 'game_over');
+    }
+
+    /**
+     * Race time as m:ss.cc
+     */
+    formatTime(milliseconds) {
+        const minutes = Math.floor(milliseconds / 60000);
+        const seconds = Math.floor((milliseconds % 60000) / 1000);
+        const hundredths = Math.floor((milliseconds % 1000) / 10);
+        return `${minutes}:${seconds.toString().padStart(2, '0')}.${hundredths.toString().padStart(2, '0')}`;
+    }
+
+    formatBest(presetId) {
+        const { bestTime } = this.dig.getPresetStats(presetId, this.riseId);
+        return bestTime === null ? 'NEW' : this.formatTime(bestTime);
+    }
+
+    updateProgress() {
+        const { dig, engine } = this;
+        const preset = dig && dig.preset;
+        const progress = dig && dig.getProgress();
+
+        this.elements.presetName.textContent = preset ? preset.name : '-';
+        this.elements.best.textContent = preset ? this.formatBest(preset.id) : '-';
+        this.elements.remaining.textContent = progress ? progress.remaining : '-';
+        this.elements.time.textContent = progress ? this.formatTime(progress.time) : '-';
+        this.elements.pieces.textContent = progress ? progress.pieces : '-';
+        this.elements.rate.textContent = progress ? progress.garbagePerMinute.toFixed(1) : '-';
+
+        const held = engine && engine.getHeldPiece();
+        this.elements.hold.textContent = held ? held.type : '-';
+
+        const queue = engine ? engine.getNextPieces() : [];
+        this.elements.next.textContent = queue.length > 0 ? queue.join(' ') : '-';
+    }
+
+    renderBoard() {
+        this.canvasManager.clear();
+        this.boardRenderer.setGameState(getEngineBoardState(this.engine));
+        this.boardRenderer.render();
+    }
+
+    handleKeyDown(event) {
+        // Game keys overlap menu navigation during a race
+        if (this.isRaceRunning() && !this.isPaused) {
+            if (event.code === 'Escape') {
+                this.togglePause();
+                event.preventDefault();
+            }
+            return;
+        }
+
+        super.handleKeyDown(event);
+    }
+
+    handleBack() {
+        if (this.isRaceRunning()) {
+            this.togglePause();
+            return;
+        }
+
+        if (this.elements.presetOverlay.hidden) {
+            this.showPresets();
+            return;
+        }
+
+        this.returnToMenu();
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+
+        if (!this.engine) return;
+
+        if (this.isRaceRunning() && !this.isPaused) {
+            this.input.update(deltaTime);
+            this.boardRenderer.update(deltaTime);
+
+            this.accumulator += deltaTime;
+            while (this.accumulator >= this.engine.fixedTimeStep && this.isRaceRunning()) {
+                this.dig.update(this.engine.fixedTimeStep);
+                this.engine.step(1);
+                this.accumulator -= this.engine.fixedTimeStep;
+            }
+
+            // The clock runs every frame, not only when pieces move
+            this.updateProgress();
+        }
+
+        this.renderBoard();
+    }
+
+    pause() {
+        if (this.isRaceRunning() && !this.isPaused) {
+            this.togglePause();
+        }
+    }
+
+    destroy() {
+        this.destroySession();
+        this.keyboard.destroy();
+        super.destroy();
+    }
+}
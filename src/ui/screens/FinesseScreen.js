@@ -0,0 +1,625 @@
+/**
+ * FinesseScreen - Finesse Trainer practice mode
+ * Every piece gets a target outline on an empty well; the keys pressed to
+ * reach it are compared with the optimal sequence and the session ends with
+ * a report of faults per piece and orientation
+ */
+
+import { Screen } from '../Screen.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { FinesseTrainer, FINESSE_INPUTS } from '../../engine/FinesseTrainer.js';
+import { CanvasManager } from '../../rendering/CanvasManager.js';
+import { ThemeManager } from '../../rendering/ThemeManager.js';
+import { NeonEffects } from '../../rendering/NeonEffects.js';
+import { BoardRenderer, getEngineBoardState } from '../../rendering/BoardRenderer.js';
+import { KeyboardHandler } from '../../input/KeyboardHandler.js';
+import { PlayerInput } from '../../input/PlayerInput.js';
+
+const SESSION_OPTIONS = [25, 50, 100];
+const PIECE_TYPES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+const ORIENTATION_NAMES = ['0', 'R', '2', 'L'];
+const BOARD_CANVAS_WIDTH = 300;
+const BOARD_CANVAS_HEIGHT = 520;
+
+const INPUT_LABELS = {
+    [FINESSE_INPUTS.TAP_LEFT]: '←',
+    [FINESSE_INPUTS.TAP_RIGHT]: '→',
+    [FINESSE_INPUTS.DAS_LEFT]: '⇤',
+    [FINESSE_INPUTS.DAS_RIGHT]: '⇥',
+    [FINESSE_INPUTS.ROTATE_CW]: '↻',
+    [FINESSE_INPUTS.ROTATE_CCW]: '↺',
+    [FINESSE_INPUTS.ROTATE_180]: '180',
+    [FINESSE_INPUTS.HARD_DROP]: '⤓'
+};
+
+export class FinesseScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'finesse-screen';
+        this.sessionLength = 50;
+        this.engine = null;
+        this.trainer = null;
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.elements = {};
+    }
+
+    createElement() {
+        super.createElement();
+
+        const sessionButtons = SESSION_OPTIONS.map(count => `
+                        <button class="finesse-option${count === this.sessionLength ? ' active' : ''}" data-session="${count}" aria-pressed="${count === this.sessionLength}">${count} PIECES</button>`).join('');
+
+        this.element.innerHTML = `
+            <div class="finesse-screen" aria-labelledby="finesse-title">
+                <header class="finesse-header">
+                    <h1 id="finesse-title" class="finesse-title">FINESSE TRAINER</h1>
+                    <dl class="finesse-progress">
+                        <div><dt>PIECE</dt><dd id="finesse-count" aria-live="polite">0 / 50</dd></div>
+                        <div><dt>FAULTS</dt><dd id="finesse-faults">0</dd></div>
+                        <div><dt>MISSES</dt><dd id="finesse-misses">0</dd></div>
+                        <div><dt>ACCURACY</dt><dd id="finesse-accuracy">-</dd></div>
+                    </dl>
+                </header>
+
+                <main class="finesse-arena">
+                    <div class="finesse-board">
+                        <canvas width="${BOARD_CANVAS_WIDTH}" height="${BOARD_CANVAS_HEIGHT}" aria-label="Finesse trainer board"></canvas>
+                    </div>
+
+                    <aside class="finesse-panel" aria-label="Last piece">
+                        <h2 class="finesse-panel-title">LAST PIECE</h2>
+                        <div class="finesse-verdict" id="finesse-verdict" aria-live="assertive">-</div>
+                        <div class="finesse-keys-label">YOUR KEYS</div>
+                        <div class="finesse-keys" id="finesse-your-keys">-</div>
+                        <div class="finesse-keys-label">OPTIMAL</div>
+                        <div class="finesse-keys" id="finesse-optimal-keys">-</div>
+                    </aside>
+                </main>
+
+                <div class="finesse-overlay" id="finesse-setup-overlay">
+                    <div class="finesse-dialog">
+                        <h2>FINESSE TRAINER</h2>
+                        <p>Drop every piece onto its outline with as few key presses as possible. Holding a direction to the wall counts as one press.</p>
+                        <div class="finesse-options" role="group" aria-label="Session length">${sessionButtons}
+                        </div>
+                        <button class="btn btn-primary" id="finesse-start-btn">Start</button>
+                        <button class="btn btn-secondary" id="finesse-setup-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="finesse-overlay" id="finesse-pause-overlay" hidden>
+                    <div class="finesse-dialog">
+                        <h2>PAUSED</h2>
+                        <button class="btn btn-primary" id="finesse-resume-btn">Resume</button>
+                        <button class="btn btn-secondary" id="finesse-pause-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="finesse-overlay" id="finesse-report-overlay" hidden>
+                    <div class="finesse-dialog wide">
+                        <h2>SESSION REPORT</h2>
+                        <div class="finesse-summary" id="finesse-summary"></div>
+                        <table class="finesse-report">
+                            <thead>
+                                <tr><th scope="col">PIECE</th>${ORIENTATION_NAMES.map(name => `<th scope="col">${name}</th>`).join('')}</tr>
+                            </thead>
+                            <tbody id="finesse-report-rows"></tbody>
+                        </table>
+                        <p>Faults / attempts per orientation. Misses are pieces dropped off target.</p>
+                        <button class="btn btn-primary" id="finesse-retry-btn">Train Again</button>
+                        <button class="btn btn-secondary" id="finesse-report-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .finesse-screen {
+                position: relative;
+                width: 100vw;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .finesse-header {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 2rem;
+                padding: 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .finesse-title {
+                font-size: 1.8rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .finesse-progress {
+                display: flex;
+                gap: 1.5rem;
+                margin: 0;
+                text-align: center;
+            }
+
+            .finesse-progress dt,
+            .finesse-keys-label {
+                font-size: 0.7rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .finesse-progress dd {
+                margin: 0;
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+
+            .finesse-arena {
+                flex: 1;
+                display: flex;
+                justify-content: center;
+                align-items: flex-start;
+                gap: 2rem;
+                padding: 1rem;
+            }
+
+            .finesse-board canvas {
+                display: block;
+                background: rgba(0, 0, 0, 0.3);
+                border-radius: 4px;
+            }
+
+            .finesse-panel {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                min-width: 200px;
+                background: rgba(0, 255, 255, 0.05);
+                border: 1px solid rgba(0, 255, 255, 0.2);
+                border-radius: 8px;
+                padding: 1rem;
+            }
+
+            .finesse-panel-title {
+                font-size: 0.9rem;
+                margin: 0 0 0.5rem 0;
+                letter-spacing: 0.1em;
+                text-shadow: 0 0 5px #00FFFF;
+            }
+
+            .finesse-verdict {
+                font-size: 1.5rem;
+                font-weight: 900;
+            }
+
+            .finesse-verdict.clean {
+                color: #00FF00;
+                text-shadow: 0 0 10px #00FF00;
+            }
+
+            .finesse-verdict.fault {
+                color: #FFFF00;
+                text-shadow: 0 0 10px #FFFF00;
+            }
+
+            .finesse-verdict.miss {
+                color: #FF4040;
+                text-shadow: 0 0 10px #FF4040;
+            }
+
+            .finesse-keys {
+                font-family: var(--font-mono);
+                font-size: 1.2rem;
+                letter-spacing: 0.2em;
+                color: #FFFFFF;
+            }
+
+            .finesse-overlay {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.75);
+                z-index: 10;
+            }
+
+            .finesse-overlay[hidden] {
+                display: none;
+            }
+
+            .finesse-dialog {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 1rem;
+                min-width: 320px;
+                max-width: 480px;
+                padding: 2rem;
+                background: #0A0A0F;
+                border: 2px solid #00FFFF;
+                border-radius: 8px;
+                box-shadow: 0 0 30px rgba(0, 255, 255, 0.4);
+                text-align: center;
+            }
+
+            .finesse-dialog.wide {
+                max-width: 560px;
+            }
+
+            .finesse-dialog h2 {
+                margin: 0;
+                text-shadow: 0 0 10px #00FFFF;
+            }
+
+            .finesse-dialog p {
+                margin: 0;
+                color: #888;
+                font-size: 0.9rem;
+            }
+
+            .finesse-options {
+                display: flex;
+                flex-wrap: wrap;
+                justify-content: center;
+                gap: 0.5rem;
+            }
+
+            .finesse-option {
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #888;
+                font-family: var(--font-primary);
+                font-weight: 600;
+                padding: 0.5rem 1rem;
+                cursor: pointer;
+                transition: all 0.3s ease;
+            }
+
+            .finesse-option.active,
+            .finesse-option:hover,
+            .finesse-option:focus {
+                color: #00FFFF;
+                border-color: #00FFFF;
+                box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            }
+
+            .finesse-summary {
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+
+            .finesse-report {
+                width: 100%;
+                border-collapse: collapse;
+                font-family: var(--font-mono);
+            }
+
+            .finesse-report th,
+            .finesse-report td {
+                padding: 0.25rem 0.5rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.1);
+            }
+
+            .finesse-report td.has-faults {
+                color: #FFFF00;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            count: this.element.querySelector('#finesse-count'),
+            faults: this.element.querySelector('#finesse-faults'),
+            misses: this.element.querySelector('#finesse-misses'),
+            accuracy: this.element.querySelector('#finesse-accuracy'),
+            verdict: this.element.querySelector('#finesse-verdict'),
+            yourKeys: this.element.querySelector('#finesse-your-keys'),
+            optimalKeys: this.element.querySelector('#finesse-optimal-keys'),
+            sessionButtons: Array.from(this.element.querySelectorAll('[data-session]')),
+            setupOverlay: this.element.querySelector('#finesse-setup-overlay'),
+            pauseOverlay: this.element.querySelector('#finesse-pause-overlay'),
+            reportOverlay: this.element.querySelector('#finesse-report-overlay'),
+            summary: this.element.querySelector('#finesse-summary'),
+            reportRows: this.element.querySelector('#finesse-report-rows')
+        };
+
+        const canvasManager = new CanvasManager(this.element.querySelector('.finesse-board canvas'), { enableWebGL: false });
+        canvasManager.resize(BOARD_CANVAS_WIDTH, BOARD_CANVAS_HEIGHT);
+
+        const themeManager = new ThemeManager();
+        const neonEffects = new NeonEffects(canvasManager, themeManager);
+
+        this.canvasManager = canvasManager;
+        this.boardRenderer = new BoardRenderer(canvasManager, themeManager, neonEffects);
+
+        // Key presses are judged before DAS turns them into repeated moves
+        this.input = new PlayerInput(
+            action => this.handleAction(action),
+            {},
+            () => this.engine.board.width
+        );
+        this.keyboard = new KeyboardHandler({
+            game: null,
+            addInputEvent: event => this.handleInputEvent(event)
+        });
+        this.keyboard.loadKeyBindings();
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.elements.sessionButtons.forEach(button => {
+            button.addEventListener('click', () => this.selectSessionLength(Number(button.dataset.session)));
+        });
+
+        this.element.querySelector('#finesse-start-btn').addEventListener('click', () => this.startSession());
+        this.element.querySelector('#finesse-retry-btn').addEventListener('click', () => this.startSession());
+        this.element.querySelector('#finesse-resume-btn').addEventListener('click', () => this.togglePause());
+
+        ['#finesse-setup-menu-btn', '#finesse-pause-menu-btn', '#finesse-report-menu-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.returnToMenu());
+        });
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        if (data && SESSION_OPTIONS.includes(data.pieces)) {
+            this.selectSessionLength(data.pieces);
+        }
+
+        this.keyboard.addEventListeners();
+        this.showOverlay('setupOverlay');
+    }
+
+    onExit() {
+        super.onExit();
+
+        this.keyboard.removeEventListeners();
+        this.keyboard.clearState();
+        this.input.clearRepeat();
+        this.boardRenderer.reset();
+        this.destroySession();
+    }
+
+    selectSessionLength(count) {
+        this.sessionLength = count;
+
+        this.elements.sessionButtons.forEach(button => {
+            const isActive = Number(button.dataset.session) === count;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+    }
+
+    startSession() {
+        this.destroySession();
+
+        this.engine = new GameEngine({ headless: true, mode: 'finesse', recordReplays: false });
+        this.engine.setMode('finesse');
+        this.engine.resetGame();
+        this.engine.start();
+
+        this.trainer = new FinesseTrainer(this.engine, { pieces: this.sessionLength });
+        this.trainer.addEventListener('pieceJudged', ({ result }) => this.showResult(result));
+        this.trainer.addEventListener('sessionComplete', ({ report }) => this.showReport(report));
+
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.boardRenderer.reset();
+        this.showResult(null);
+        this.showOverlay(null);
+        this.updateProgress();
+        this.playSound('game_start');
+    }
+
+    destroySession() {
+        if (this.trainer) {
+            this.trainer.destroy();
+            this.trainer = null;
+        }
+
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
+    }
+
+    isSessionRunning() {
+        return Boolean(this.trainer) && !this.trainer.isComplete;
+    }
+
+    togglePause() {
+        if (!this.isSessionRunning()) return;
+
+        this.isPaused = !this.isPaused;
+        this.input.clearRepeat();
+        this.showOverlay(this.isPaused ? 'pauseOverlay' : null);
+        this.playSound(this.isPaused ? 'ui_pause' : 'ui_resume');
+    }
+
+    returnToMenu() {
+        this.playSound('ui_back');
+        this.goToScreen('main-menu', { transition: 'fade' });
+    }
+
+    handleInputEvent(event) {
+        if (event.pressed && this.isSessionRunning() && !this.isPaused) {
+            this.trainer.recordInput(event.action);
+        }
+
+        this.input.addInputEvent(event);
+    }
+
+    handleAction(action) {
+        if (action === 'pause') {
+            this.togglePause();
+            return;
+        }
+
+        // Targets need every piece, so hold stays off
+        if (this.isSessionRunning() && !this.isPaused && action !== 'hold') {
+            this.engine.addInput(action);
+        }
+    }
+
+    /**
+     * Show one overlay and hide the others (null hides all)
+     */
+    showOverlay(name) {
+        ['setupOverlay', 'pauseOverlay', 'reportOverlay'].forEach(key => {
+            this.elements[key].hidden = key !== name;
+        });
+        this.updateFocusableElements();
+    }
+
+    showResult(result) {
+        const { verdict, yourKeys, optimalKeys } = this.elements;
+
+        verdict.classList.remove('clean', 'fault', 'miss');
+
+        if (!result) {
+            verdict.textContent = '-';
+            yourKeys.textContent = '-';
+            optimalKeys.textContent = '-';
+            return;
+        }
+
+        if (result.miss) {
+            verdict.textContent = 'MISS';
+            verdict.classList.add('miss');
+            this.playSound('ui_error');
+        } else if (result.fault) {
+            verdict.textContent = `FAULT +${result.extra}`;
+            verdict.classList.add('fault');
+            this.playSound('ui_error');
+        } else {
+            verdict.textContent = 'CLEAN';
+            verdict.classList.add('clean');
+            this.playSound('piece_lock');
+        }
+
+        yourKeys.textContent = this.formatInputs([...result.inputs, FINESSE_INPUTS.HARD_DROP]);
+        optimalKeys.textContent = this.formatInputs(result.optimal);
+        this.updateProgress();
+    }
+
+    formatInputs(inputs) {
+        return inputs.map(input => INPUT_LABELS[input] || input).join(' ');
+    }
+
+    updateProgress() {
+        const report = this.trainer ? this.trainer.getReport() : null;
+        const pieces = report ? report.pieces : 0;
+
+        this.elements.count.textContent = `${pieces} / ${this.sessionLength}`;
+        this.elements.faults.textContent = report ? report.faults : 0;
+        this.elements.misses.textContent = report ? report.misses : 0;
+        this.elements.accuracy.textContent = pieces > 0 ? `${Math.round(report.accuracy * 100)}%` : '-';
+    }
+
+    showReport(report) {
+        this.updateProgress();
+
+        this.elements.summary.textContent =
+            `${Math.round(report.accuracy * 100)}% clean · ${report.faults} faults · ${report.misses} misses · ${report.extraInputs} extra keys`;
+
+        this.elements.reportRows.innerHTML = PIECE_TYPES.map(type => {
+            const orientations = report.byPiece[type] || {};
+            const cells = ORIENTATION_NAMES.map((name, rotation) => {
+                const stats = orientations[rotation];
+                if (!stats) return '<td>-</td>';
+
+                const faults = stats.faults + stats.misses;
+                return `<td class="${faults > 0 ? 'has-faults' : ''}">${faults}/${stats.attempts}</td>`;
+            }).join('');
+
+            return `
+                <tr><th scope="row">${type}</th>${cells}</tr>`;
+        }).join('');
+
+        this.input.clearRepeat();
+        this.showOverlay('reportOverlay');
+        this.playSound('game_over');
+    }
+
+    renderBoard() {
+        this.canvasManager.clear();
+        this.boardRenderer.setGameState({
+            ...getEngineBoardState(this.engine),
+            hint: this.trainer.getTarget()
+        });
+        this.boardRenderer.render();
+    }
+
+    handleKeyDown(event) {
+        // Game keys overlap menu navigation during a session
+        if (this.isSessionRunning() && !this.isPaused) {
+            if (event.code === 'Escape') {
+                this.togglePause();
+                event.preventDefault();
+            }
+            return;
+        }
+
+        super.handleKeyDown(event);
+    }
+
+    handleBack() {
+        if (this.isSessionRunning()) {
+            this.togglePause();
+            return;
+        }
+
+        this.returnToMenu();
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+
+        if (!this.engine) return;
+
+        if (this.isSessionRunning() && !this.isPaused) {
+            this.input.update(deltaTime);
+            this.boardRenderer.update(deltaTime);
+
+            this.accumulator += deltaTime;
+            while (this.accumulator >= this.engine.fixedTimeStep && this.isSessionRunning()) {
+                this.engine.step(1);
+                this.accumulator -= this.engine.fixedTimeStep;
+            }
+        }
+
+        this.renderBoard();
+    }
+
+    pause() {
+        if (this.isSessionRunning() && !this.isPaused) {
+            this.togglePause();
+        }
+    }
+
+    destroy() {
+        this.destroySession();
+        this.keyboard.destroy();
+        super.destroy();
+    }
+}
@@ -4,17 +4,31 @@
  */
 
 import { Screen } from '../Screen.js';
+import { defaultProfileManager } from '../../storage/ProfileManager.js';
+import { defaultLeaderboard, isRankedRun } from '../../storage/Leaderboard.js';
+import { getGameMode, createModeRules } from '../../engine/GameModes.js';
+import { getModifier } from '../../engine/GameModifiers.js';
+import { MASTER_MAX_LEVEL, getSectionStop } from '../../engine/MasterMode.js';
 
 export class GameScreen extends Screen {
     constructor(screenManager, game) {
         super(screenManager, game);
         this.id = 'game-screen';
         this.gameMode = 'marathon';
+        this.startLevel = null;
+        this.modifiers = null;
+        this.customRules = null;
+        this.randomizer = null;
+        this.rules = createModeRules(this.gameMode);
         this.isPaused = false;
         this.hudElements = {};
         this.animatedElements = new Set();
         this.comboCounter = 0;
         this.lastScoreUpdate = 0;
+        this.finalStats = null;
+        this.scoreSaved = false;
+        this.watchingReplay = false;
+        this.coachEnabled = false;
     }
 
     createElement() {
@@ -60,6 +74,9 @@ export class GameScreen extends Screen {
                                 <span class="combo-value" id="combo-value">0</span>
                             </div>
                         </div>
+
+                        <button class="btn btn-secondary coach-toggle" id="coach-toggle" aria-pressed="false"
+                                title="Outline the best placement for each piece">COACH</button>
                     </div>
 
                     <!-- Center Game Area -->
@@ -102,14 +119,27 @@ export class GameScreen extends Screen {
                                                 <span class="stat-label">Time Played</span>
                                                 <span class="stat-value" id="final-time">00:00</span>
                                             </div>
+                                            <div class="stat" id="final-grade-stat" style="display: none;">
+                                                <span class="stat-label">Grade</span>
+                                                <span class="stat-value" id="final-grade">9</span>
+                                            </div>
                                         </div>
                                         <div class="game-over-buttons">
                                             <button class="btn btn-primary" id="restart-btn">Play Again</button>
                                             <button class="btn btn-secondary" id="save-score-btn">Save Score</button>
+                                            <button class="btn btn-secondary" id="save-replay-btn">Save Replay</button>
                                             <button class="btn btn-secondary" id="back-to-menu-btn">Main Menu</button>
                                         </div>
                                     </div>
                                 </div>
+
+                                <!-- Level select overlay -->
+                                <div class="level-select-overlay" id="level-select-overlay" style="display: none;">
+                                    <div class="level-select-content">
+                                        <h2 class="level-select-title">SELECT LEVEL</h2>
+                                        <div class="level-grid" id="level-grid" role="group" aria-label="Starting level"></div>
+                                    </div>
+                                </div>
                             </div>
                         </div>
 
@@ -217,6 +247,11 @@ export class GameScreen extends Screen {
                 padding: 1rem;
             }
 
+            .coach-toggle[aria-pressed="true"] {
+                background: rgba(0, 255, 255, 0.3);
+                box-shadow: 0 0 15px rgba(0, 255, 255, 0.5);
+            }
+
             .section-title {
                 font-family: var(--font-primary);
                 font-size: 0.9rem;
@@ -339,7 +374,8 @@ export class GameScreen extends Screen {
             }
 
             .pause-overlay,
-            .game-over-overlay {
+            .game-over-overlay,
+            .level-select-overlay {
                 background: rgba(0, 0, 0, 0.9);
                 border-radius: 8px;
                 padding: 2rem;
@@ -349,7 +385,8 @@ export class GameScreen extends Screen {
             }
 
             .pause-content h2,
-            .game-over-title {
+            .game-over-title,
+            .level-select-title {
                 font-family: var(--font-primary);
                 font-size: 2rem;
                 font-weight: 900;
@@ -380,6 +417,17 @@ export class GameScreen extends Screen {
                 flex-wrap: wrap;
             }
 
+            .level-grid {
+                display: grid;
+                grid-template-columns: repeat(5, 1fr);
+                gap: 0.5rem;
+            }
+
+            .level-grid .btn {
+                padding: 0.6rem 0;
+                min-width: 3rem;
+            }
+
             .final-stats {
                 display: grid;
                 grid-template-columns: 1fr 1fr;
@@ -541,6 +589,11 @@ export class GameScreen extends Screen {
                 background: rgba(255, 255, 0, 0.9);
             }
 
+            .notification.spin {
+                background: rgba(160, 0, 255, 0.9);
+                color: #fff;
+            }
+
             /* Achievement popup */
             .achievement-popup {
                 position: absolute;
@@ -681,9 +734,14 @@ export class GameScreen extends Screen {
             gameTime: this.element.querySelector('#game-time'),
             comboSection: this.element.querySelector('#combo-section'),
             comboValue: this.element.querySelector('#combo-value'),
+            coachToggle: this.element.querySelector('#coach-toggle'),
             gameBoard: this.element.querySelector('#game-board'),
             pauseOverlay: this.element.querySelector('#pause-overlay'),
             gameOverOverlay: this.element.querySelector('#game-over-overlay'),
+            levelSelectOverlay: this.element.querySelector('#level-select-overlay'),
+            levelGrid: this.element.querySelector('#level-grid'),
+            holdSection: this.element.querySelector('.hold-section'),
+            scoreSection: this.element.querySelector('.score-section'),
             nextPreviews: [
                 this.element.querySelector('#next-1 canvas'),
                 this.element.querySelector('#next-2 canvas'),
@@ -703,7 +761,9 @@ export class GameScreen extends Screen {
             finalScore: this.element.querySelector('#final-score'),
             finalLevel: this.element.querySelector('#final-level'),
             finalLines: this.element.querySelector('#final-lines'),
-            finalTime: this.element.querySelector('#final-time')
+            finalTime: this.element.querySelector('#final-time'),
+            finalGradeStat: this.element.querySelector('#final-grade-stat'),
+            finalGrade: this.element.querySelector('#final-grade')
         };
     }
 
@@ -718,8 +778,11 @@ export class GameScreen extends Screen {
         // Game over buttons
         this.element.querySelector('#restart-btn').addEventListener('click', () => this.restartGame());
         this.element.querySelector('#save-score-btn').addEventListener('click', () => this.saveScore());
+        this.element.querySelector('#save-replay-btn').addEventListener('click', () => this.saveReplay());
         this.element.querySelector('#back-to-menu-btn').addEventListener('click', () => this.returnToMenu());
 
+        this.hudElements.coachToggle.addEventListener('click', () => this.toggleCoach());
+
         // Game board focus for accessibility
         this.hudElements.gameBoard.addEventListener('focus', () => {
             this.showNotification('Game board focused. Use arrow keys and other controls to play.', 'info', 2000);
@@ -731,44 +794,88 @@ export class GameScreen extends Screen {
 
         if (data) {
             this.gameMode = data.mode || 'marathon';
+            this.startLevel = data.startLevel ?? null;
+            this.modifiers = data.modifiers || null;
+            this.customRules = data.rules || null;
+            this.randomizer = data.randomizer || null;
             this.setupGameMode(this.gameMode);
         }
 
-        this.startGame();
+        this.watchingReplay = Boolean(data && data.replay);
+
+        if (this.watchingReplay) {
+            this.watchReplay(data.replay);
+        } else if (data && data.resume) {
+            this.continueGame();
+        } else if (this.needsLevelSelect()) {
+            this.showLevelSelect();
+        } else {
+            this.startGame();
+        }
         this.showFPSCounter(false); // Hide by default
         this.playSound('game_start');
     }
 
     setupGameMode(mode) {
+        // The HUD follows the rules the mode and its modifiers add up to
+        this.rules = createModeRules(mode, { rules: this.customRules || {}, modifiers: this.modifiers || {} });
+        this.resetModeLayout();
+        this.applyRulesLayout();
+
         switch (mode) {
-            case 'sprint':
-                this.setupSprintMode();
-                break;
-            case 'ultra':
-                this.setupUltraMode();
-                break;
             case 'zen':
                 this.setupZenMode();
                 break;
+            case 'classic':
+                this.setupClassicMode();
+                break;
+            case 'master':
+                this.setupMasterMode();
+                break;
+            case 'survival':
+                this.setupSurvivalMode();
+                break;
             default:
                 this.setupMarathonMode();
         }
+
+        this.setupGoals();
+    }
+
+    resetModeLayout() {
+        this.hudElements.holdSection.style.display = '';
+        this.hudElements.scoreSection.style.display = '';
+        this.hudElements.nextPreviews.forEach(canvas => {
+            canvas.parentElement.style.display = '';
+        });
+    }
+
+    applyRulesLayout() {
+        // Hide the hold box without hold and the previews past the preview count
+        if (!this.rules.holdEnabled) {
+            this.hudElements.holdSection.style.display = 'none';
+        }
+        this.hudElements.nextPreviews.slice(this.rules.previewCount).forEach(canvas => {
+            canvas.parentElement.style.display = 'none';
+        });
     }
 
     setupMarathonMode() {
         this.hudElements.targetSection.style.display = 'none';
     }
 
-    setupSprintMode() {
-        this.hudElements.targetSection.style.display = 'block';
-        this.hudElements.targetValue.textContent = '40 lines';
-        this.updateTarget(40);
-    }
+    setupGoals() {
+        // Line goals and time limits show on the target, whichever mode they are added to
+        const { 'line-goal': lineGoal, 'time-limit': timeLimit } = this.rules.modifiers;
+        if (!lineGoal && !timeLimit) return;
+
+        const goals = [];
+        if (lineGoal) goals.push(`${lineGoal.lines} lines`);
+        if (timeLimit) goals.push(this.formatTime(timeLimit.seconds * 1000));
 
-    setupUltraMode() {
         this.hudElements.targetSection.style.display = 'block';
-        this.hudElements.targetValue.textContent = '2:00';
-        this.startUltraTimer();
+        this.hudElements.targetValue.textContent = goals.join(' · ');
+        this.updateGoals(0, 0);
     }
 
     setupZenMode() {
@@ -777,12 +884,102 @@ export class GameScreen extends Screen {
         this.hudElements.targetSection.style.display = 'none';
     }
 
+    setupClassicMode() {
+        // NES rules already take away hold and all but one preview
+        this.hudElements.targetSection.style.display = 'none';
+    }
+
+    setupMasterMode() {
+        // Single preview and no hold; the target shows the level the section ends at
+        this.setupClassicMode();
+        this.hudElements.targetSection.style.display = 'block';
+        this.hudElements.targetValue.textContent = 'Level 999';
+        this.updateTarget(getSectionStop(0) + 1);
+    }
+
+    setupSurvivalMode() {
+        // The target lists the challenges in play on top of the rising garbage
+        const names = Object.keys(this.rules.modifiers)
+            .map(id => getModifier(id))
+            .filter(modifier => modifier.category === 'challenge' && modifier.id !== 'rising')
+            .map(modifier => modifier.name);
+
+        this.hudElements.targetSection.style.display = 'block';
+        this.hudElements.targetValue.textContent = 'Survive';
+        this.hudElements.targetRemaining.textContent = names.length > 0 ? names.join(' · ') : 'Rising garbage';
+    }
+
+    needsLevelSelect() {
+        const mode = getGameMode(this.gameMode);
+        return Boolean(mode && mode.levelSelect) && this.startLevel === null;
+    }
+
+    showLevelSelect() {
+        const { min, max } = getGameMode(this.gameMode).levelSelect;
+        const grid = this.hudElements.levelGrid;
+
+        grid.innerHTML = '';
+        for (let level = min; level <= max; level++) {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.textContent = level;
+            button.setAttribute('aria-label', `Start at level ${level}`);
+            button.addEventListener('click', () => this.selectStartLevel(level));
+            grid.appendChild(button);
+        }
+
+        this.hudElements.levelSelectOverlay.style.display = 'flex';
+        this.updateFocusableElements();
+        this.setFocus(this.focusableElements.indexOf(grid.firstElementChild));
+    }
+
+    selectStartLevel(level) {
+        this.startLevel = level;
+        this.hudElements.levelSelectOverlay.style.display = 'none';
+        this.updateFocusableElements();
+        this.playSound('ui_select');
+        this.startGame();
+    }
+
     startGame() {
+        this.watchingReplay = false;
         if (this.game && this.game.startGame) {
-            this.game.startGame(this.gameMode);
+            this.game.startGame(this.gameMode, {
+                startLevel: this.startLevel,
+                modifiers: this.modifiers,
+                rules: this.customRules,
+                randomizer: this.randomizer
+            });
+        }
+        this.applyCoach();
+        this.isPaused = false;
+        this.updateHUD();
+    }
+
+    toggleCoach() {
+        this.coachEnabled = !this.coachEnabled;
+        this.applyCoach();
+        this.showNotification(this.coachEnabled ? 'Coach on' : 'Coach off', 'info', 1500);
+        this.playSound('ui_select');
+    }
+
+    applyCoach() {
+        this.hudElements.coachToggle.setAttribute('aria-pressed', String(this.coachEnabled));
+        if (this.game && this.game.setCoach) {
+            this.game.setCoach(this.coachEnabled);
         }
+    }
+
+    continueGame() {
+        if (!this.game || !this.game.continueGame || !this.game.continueGame()) {
+            this.showNotification('Saved game could not be loaded', 'error');
+            this.startGame();
+            return;
+        }
+
         this.isPaused = false;
         this.updateHUD();
+        this.showNotification('Saved game restored', 'success', 2000);
     }
 
     pauseGame() {
@@ -822,9 +1019,81 @@ export class GameScreen extends Screen {
         this.goToScreen('main-menu', { transition: 'fade' });
     }
 
+    watchReplay(replay) {
+        if (!this.game || !this.game.loadReplay) {
+            this.showNotification('Replays are not available', 'error');
+            this.startGame();
+            return;
+        }
+
+        try {
+            this.game.loadReplay(replay);
+            this.isPaused = false;
+            this.updateHUD();
+        } catch (error) {
+            console.warn('Failed to load replay:', error);
+            this.showNotification('Replay could not be loaded', 'error');
+            this.startGame();
+        }
+    }
+
     saveScore() {
-        // Implement score saving logic
-        this.showNotification('Score saved!', 'success');
+        if (!this.finalStats || this.scoreSaved) return;
+
+        const profile = defaultProfileManager.getActiveProfile();
+        let replay = null;
+
+        if (this.game && this.game.exportReplay) {
+            try {
+                replay = this.game.exportReplay();
+            } catch (error) {
+                console.warn('Failed to export replay:', error);
+            }
+        }
+
+        try {
+            const rank = defaultLeaderboard.addEntry(this.gameMode, {
+                ...this.finalStats,
+                profileId: profile.id,
+                profileName: profile.name
+            }, replay);
+
+            this.scoreSaved = true;
+            this.element.querySelector('#save-score-btn').disabled = true;
+
+            if (rank) {
+                this.showNotification(`Score saved! Rank #${rank} in ${this.gameMode}`, 'success');
+            } else {
+                this.showNotification('Score did not make the leaderboard', 'info');
+            }
+        } catch (error) {
+            console.warn('Failed to save score:', error);
+            this.showNotification('Failed to save score', 'error');
+        }
+    }
+
+    saveReplay() {
+        if (!this.game || !this.game.exportReplay) {
+            this.showNotification('Replays are not available', 'error');
+            return;
+        }
+
+        try {
+            const replay = this.game.exportReplay();
+            const blob = new Blob([replay], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `neontetris-${this.gameMode}-${Date.now()}.ntr`;
+            link.click();
+
+            URL.revokeObjectURL(url);
+            this.showNotification('Replay saved!', 'success');
+        } catch (error) {
+            console.warn('Failed to export replay:', error);
+            this.showNotification('Failed to save replay', 'error');
+        }
     }
 
     updateHUD() {
@@ -838,6 +1107,7 @@ export class GameScreen extends Screen {
         this.updateTime(gameState.timeElapsed);
         this.updateLevelProgress(gameState.level, gameState.linesCleared);
         this.updateCombo(gameState.combo);
+        this.updateGoals(gameState.linesCleared, gameState.timeElapsed);
 
         // Update piece previews
         this.updateHoldPreview(gameState.heldPiece);
@@ -881,6 +1151,14 @@ export class GameScreen extends Screen {
     }
 
     updateLevelProgress(level, lines) {
+        if (this.gameMode === 'master') {
+            const sectionEnd = Math.min(getSectionStop(level) + 1, MASTER_MAX_LEVEL);
+            this.hudElements.levelProgressFill.style.width = `${level % 100}%`;
+            this.hudElements.progressText.textContent = `${level}/${sectionEnd} to next section`;
+            this.updateTarget(sectionEnd);
+            return;
+        }
+
         const linesForNextLevel = level * 10;
         const currentProgress = lines % 10;
         const progressPercent = (currentProgress / 10) * 100;
@@ -899,11 +1177,22 @@ export class GameScreen extends Screen {
     }
 
     updateTarget(remaining) {
-        if (this.gameMode === 'sprint') {
-            this.hudElements.targetRemaining.textContent = `${remaining} remaining`;
+        if (this.gameMode === 'master') {
+            this.hudElements.targetRemaining.textContent = `section ends at ${remaining}`;
         }
     }
 
+    updateGoals(lines, timeElapsed) {
+        const { 'line-goal': lineGoal, 'time-limit': timeLimit } = this.rules.modifiers;
+        if (!lineGoal && !timeLimit) return;
+
+        const remaining = [];
+        if (lineGoal) remaining.push(`${Math.max(lineGoal.lines - lines, 0)} remaining`);
+        if (timeLimit) remaining.push(`${this.formatTime(Math.max(timeLimit.seconds * 1000 - timeElapsed, 0))} left`);
+
+        this.hudElements.targetRemaining.textContent = remaining.join(' · ');
+    }
+
     updateHoldPreview(piece) {
         if (!piece) {
             this.clearCanvas(this.hudElements.holdPreview);
@@ -960,7 +1249,10 @@ export class GameScreen extends Screen {
             'J': '#0000FF',
             'L': '#FFA500'
         };
-        return colors[type] || '#FFFFFF';
+
+        // Monochrome games show the queue in a single color too
+        const monochrome = Object.keys(this.rules.modifiers).some(id => getModifier(id).display.monochrome);
+        return monochrome ? '#FFFFFF' : colors[type] || '#FFFFFF';
     }
 
     clearCanvas(canvas) {
@@ -994,7 +1286,12 @@ export class GameScreen extends Screen {
         this.playSound('level_up');
     }
 
-    showLinesClearedNotification(lines) {
+    showLinesClearedNotification(lines, spin = null) {
+        if (spin) {
+            this.showSpinNotification(spin, lines);
+            return;
+        }
+
         const messages = {
             1: 'SINGLE!',
             2: 'DOUBLE!',
@@ -1009,6 +1306,15 @@ export class GameScreen extends Screen {
         this.playSound(lines === 4 ? 'tetris' : 'line_clear');
     }
 
+    showSpinNotification(spin, lines = 0) {
+        const clears = ['', ' SINGLE', ' DOUBLE', ' TRIPLE', ' QUAD'];
+        const name = `${spin.piece}-SPIN${clears[lines] || ''}`;
+        const message = spin.type === 'mini' ? `MINI ${name}!` : `${name}!`;
+
+        this.showNotification(message, 'spin', 2000);
+        this.playSound('t_spin');
+    }
+
     showAchievement(title, description) {
         this.hudElements.achievementTitle.textContent = title;
         this.hudElements.achievementDescription.textContent = description;
@@ -1022,15 +1328,48 @@ export class GameScreen extends Screen {
     }
 
     showGameOver(finalStats) {
+        this.finalStats = { ...finalStats, completed: this.isRunCompleted(finalStats) };
+
+        // Replays were already scored when they were recorded, and games off the
+        // standard rules of a ranked mode have no table to go on
+        const ranked = isRankedRun(this.gameMode, this.rules);
+        const saveButton = this.element.querySelector('#save-score-btn');
+        this.scoreSaved = this.watchingReplay || !ranked;
+        saveButton.disabled = this.scoreSaved;
+        saveButton.title = ranked ? '' : 'This game has no leaderboard';
+
         this.hudElements.finalScore.textContent = finalStats.score.toLocaleString();
         this.hudElements.finalLevel.textContent = finalStats.level;
         this.hudElements.finalLines.textContent = finalStats.lines.toLocaleString();
         this.hudElements.finalTime.textContent = this.formatTime(finalStats.time);
+
+        // The Master grade stays hidden until the game ends
+        this.hudElements.finalGradeStat.style.display = finalStats.grade ? '' : 'none';
+        this.hudElements.finalGrade.textContent = finalStats.grade || '';
+
         this.hudElements.gameOverOverlay.style.display = 'flex';
 
+        if (!this.watchingReplay) {
+            try {
+                defaultProfileManager.recordGame({ mode: this.gameMode, ...this.finalStats });
+            } catch (error) {
+                console.warn('Failed to record game statistics:', error);
+            }
+        }
+
         this.playSound('game_over');
     }
 
+    isRunCompleted(stats) {
+        // Line goal runs only count once the goal is reached, Master runs at the last level
+        if (this.gameMode === 'master') {
+            return stats.level >= MASTER_MAX_LEVEL;
+        }
+
+        const lineGoal = this.rules.modifiers['line-goal'];
+        return !lineGoal || stats.lines >= lineGoal.lines;
+    }
+
     formatTime(milliseconds) {
         const minutes = Math.floor(milliseconds / 60000);
         const seconds = Math.floor((milliseconds % 60000) / 1000);
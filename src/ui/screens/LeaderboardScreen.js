@@ -0,0 +1,363 @@
+/**
+ * LeaderboardScreen - Local high-score tables for each game mode
+ * Shows the top runs with their details and links to recorded replays
+ */
+
+import { Screen } from '../Screen.js';
+import { defaultLeaderboard, LEADERBOARD_MODES } from '../../storage/Leaderboard.js';
+import { defaultProfileManager } from '../../storage/ProfileManager.js';
+
+export class LeaderboardScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'leaderboard-screen';
+        this.activeMode = 'marathon';
+        this.leaderboard = defaultLeaderboard;
+    }
+
+    createElement() {
+        super.createElement();
+
+        const tabs = LEADERBOARD_MODES.map(mode => `
+                    <button class="tab-button${mode === this.activeMode ? ' active' : ''}" role="tab" data-mode="${mode}" aria-selected="${mode === this.activeMode}" aria-controls="leaderboard-table">
+                        <span class="tab-text">${mode.toUpperCase()}</span>
+                    </button>`).join('');
+
+        this.element.innerHTML = `
+            <div class="leaderboard-screen" aria-labelledby="leaderboard-title">
+                <header class="leaderboard-header">
+                    <h1 id="leaderboard-title" class="leaderboard-title">LEADERBOARD</h1>
+                    <div class="leaderboard-subtitle">Best local runs for every mode</div>
+                </header>
+
+                <nav class="leaderboard-tabs" role="tablist" aria-label="Game modes">${tabs}
+                </nav>
+
+                <main class="leaderboard-content">
+                    <table class="leaderboard-table" id="leaderboard-table" role="tabpanel">
+                        <thead>
+                            <tr>
+                                <th scope="col">#</th>
+                                <th scope="col">Profile</th>
+                                <th scope="col">Score</th>
+                                <th scope="col">Lines</th>
+                                <th scope="col">Level</th>
+                                <th scope="col">Time</th>
+                                <th scope="col">PPS</th>
+                                <th scope="col">Date</th>
+                                <th scope="col">Replay</th>
+                            </tr>
+                        </thead>
+                        <tbody id="leaderboard-rows"></tbody>
+                    </table>
+                    <div class="leaderboard-empty" id="leaderboard-empty" hidden>No runs recorded yet. Finish a game and save your score!</div>
+                </main>
+
+                <footer class="leaderboard-footer">
+                    <button class="btn btn-secondary" id="leaderboard-back-btn">Back</button>
+                </footer>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .leaderboard-screen {
+                position: relative;
+                width: 100%;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .leaderboard-header {
+                text-align: center;
+                padding: 2rem 2rem 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .leaderboard-title {
+                font-size: 2.5rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .leaderboard-subtitle {
+                font-family: var(--font-mono);
+                font-size: 0.9rem;
+                color: #888;
+                margin-top: 0.5rem;
+                letter-spacing: 0.1em;
+            }
+
+            .leaderboard-tabs {
+                display: flex;
+                justify-content: center;
+                background: rgba(0, 255, 255, 0.05);
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+                overflow-x: auto;
+            }
+
+            .leaderboard-tabs .tab-button {
+                background: transparent;
+                border: none;
+                border-bottom: 3px solid transparent;
+                color: #888;
+                font-family: var(--font-primary);
+                font-weight: 600;
+                padding: 1rem 1.5rem;
+                min-width: 120px;
+                cursor: pointer;
+                transition: all 0.3s ease;
+            }
+
+            .leaderboard-tabs .tab-button:hover,
+            .leaderboard-tabs .tab-button:focus {
+                color: #00FFFF;
+                background: rgba(0, 255, 255, 0.1);
+                outline: none;
+            }
+
+            .leaderboard-tabs .tab-button.active {
+                color: #00FFFF;
+                background: rgba(0, 255, 255, 0.15);
+                border-bottom-color: #00FFFF;
+                text-shadow: 0 0 10px #00FFFF;
+            }
+
+            .leaderboard-content {
+                flex: 1;
+                overflow-y: auto;
+                padding: 2rem;
+            }
+
+            .leaderboard-table {
+                width: 100%;
+                max-width: 1000px;
+                margin: 0 auto;
+                border-collapse: collapse;
+                font-family: var(--font-mono);
+                font-size: 0.9rem;
+            }
+
+            .leaderboard-table th {
+                color: #888;
+                font-weight: 400;
+                text-transform: uppercase;
+                letter-spacing: 0.1em;
+                text-align: left;
+                padding: 0.5rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.3);
+            }
+
+            .leaderboard-table td {
+                color: #FFFFFF;
+                padding: 0.6rem 0.5rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.1);
+            }
+
+            .leaderboard-table tr.current-profile td {
+                color: #FF00FF;
+            }
+
+            .leaderboard-table .rank {
+                color: #00FFFF;
+                font-weight: 700;
+            }
+
+            .leaderboard-empty {
+                text-align: center;
+                color: #888;
+                font-family: var(--font-mono);
+                padding: 2rem;
+            }
+
+            .leaderboard-empty[hidden] {
+                display: none;
+            }
+
+            .replay-link {
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.5);
+                border-radius: 3px;
+                color: #00FFFF;
+                font-family: inherit;
+                font-size: 0.8rem;
+                padding: 0.2rem 0.6rem;
+                cursor: pointer;
+            }
+
+            .replay-link:hover,
+            .replay-link:focus {
+                background: rgba(0, 255, 255, 0.2);
+                outline: none;
+            }
+
+            .leaderboard-footer {
+                display: flex;
+                justify-content: center;
+                padding: 1rem 2rem;
+                border-top: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .leaderboard-footer .btn {
+                background: transparent;
+                border: 2px solid #00FFFF;
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                font-weight: 700;
+                padding: 0.8rem 1.5rem;
+                border-radius: 4px;
+                cursor: pointer;
+                text-transform: uppercase;
+                letter-spacing: 0.05em;
+            }
+
+            @media (max-width: 768px) {
+                .leaderboard-content {
+                    padding: 1rem;
+                }
+
+                .leaderboard-table th:nth-child(5),
+                .leaderboard-table td:nth-child(5),
+                .leaderboard-table th:nth-child(8),
+                .leaderboard-table td:nth-child(8) {
+                    display: none;
+                }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            tabs: Array.from(this.element.querySelectorAll('.leaderboard-tabs .tab-button')),
+            rows: this.element.querySelector('#leaderboard-rows'),
+            empty: this.element.querySelector('#leaderboard-empty'),
+            backButton: this.element.querySelector('#leaderboard-back-btn')
+        };
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.elements.tabs.forEach(tab => {
+            tab.addEventListener('click', () => this.selectMode(tab.dataset.mode));
+        });
+        this.elements.backButton.addEventListener('click', () => this.goBack());
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        if (data && LEADERBOARD_MODES.includes(data.mode)) {
+            this.activeMode = data.mode;
+        }
+        this.selectMode(this.activeMode);
+    }
+
+    selectMode(mode) {
+        this.activeMode = mode;
+
+        this.elements.tabs.forEach(tab => {
+            const isActive = tab.dataset.mode === mode;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+
+        this.renderTable();
+    }
+
+    navigateLeft() {
+        this.cycleMode(-1);
+    }
+
+    navigateRight() {
+        this.cycleMode(1);
+    }
+
+    cycleMode(direction) {
+        const index = LEADERBOARD_MODES.indexOf(this.activeMode);
+        const nextIndex = (index + direction + LEADERBOARD_MODES.length) % LEADERBOARD_MODES.length;
+        this.selectMode(LEADERBOARD_MODES[nextIndex]);
+        this.playSound('ui_navigate');
+    }
+
+    renderTable() {
+        const { rows, empty } = this.elements;
+        const entries = this.leaderboard.getEntries(this.activeMode);
+        const activeProfile = defaultProfileManager.getActiveProfile();
+
+        rows.innerHTML = '';
+        empty.hidden = entries.length > 0;
+
+        // Profile names are user input, so build nodes instead of HTML
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('current-profile', entry.profileId === activeProfile.id);
+
+            [
+                ['rank', index + 1],
+                ['profile', entry.profileName],
+                ['score', entry.score.toLocaleString()],
+                ['lines', entry.lines],
+                ['level', entry.grade ? `${entry.level} (${entry.grade})` : entry.level],
+                ['time', this.formatTime(entry.time)],
+                ['pps', entry.pps.toFixed(2)],
+                ['date', new Date(entry.date).toLocaleDateString()]
+            ].forEach(([className, value]) => {
+                const cell = document.createElement('td');
+                cell.className = className;
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const replayCell = document.createElement('td');
+            if (entry.hasReplay) {
+                const link = document.createElement('button');
+                link.className = 'replay-link';
+                link.textContent = 'Watch';
+                link.setAttribute('aria-label', `Watch replay of rank ${index + 1}`);
+                link.addEventListener('click', () => this.watchReplay(entry));
+                replayCell.appendChild(link);
+            } else {
+                replayCell.textContent = '—';
+            }
+            row.appendChild(replayCell);
+
+            rows.appendChild(row);
+        });
+
+        this.updateFocusableElements();
+    }
+
+    watchReplay(entry) {
+        const replay = this.leaderboard.getReplay(entry.id);
+        if (!replay) {
+            this.showNotification('Replay is no longer available', 'error');
+            return;
+        }
+
+        this.playSound('ui_select');
+        this.goToScreen('game', {
+            transition: 'fade',
+            data: { mode: this.activeMode, replay }
+        });
+    }
+
+    formatTime(milliseconds) {
+        const minutes = Math.floor(milliseconds / 60000);
+        const seconds = Math.floor((milliseconds % 60000) / 1000);
+        const hundredths = Math.floor((milliseconds % 1000) / 10);
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${hundredths.toString().padStart(2, '0')}`;
+    }
+}
@@ -4,6 +4,9 @@
  */
 
 import { Screen } from '../Screen.js';
+import { defaultStorage, STORAGE_KEYS } from '../../storage/StorageManager.js';
+import { defaultProfileManager } from '../../storage/ProfileManager.js';
+import { reloadLiveSettings } from '../../storage/SettingsProfile.js';
 
 export class MainMenu extends Screen {
     constructor(screenManager, game) {
@@ -13,6 +16,7 @@ export class MainMenu extends Screen {
         this.menuItems = [];
         this.backgroundAnimation = null;
         this.titleEffect = null;
+        this.profileManager = defaultProfileManager;
     }
 
     createElement() {
@@ -33,6 +37,12 @@ export class MainMenu extends Screen {
 
                 <nav class="main-navigation" role="navigation" aria-label="Main menu">
                     <div class="menu-items" id="menu-items">
+                        <button class="menu-item" data-action="continue" aria-describedby="continue-desc" hidden>
+                            <span class="item-icon">⏯</span>
+                            <span class="item-text">CONTINUE</span>
+                            <span class="item-glow"></span>
+                        </button>
+
                         <button class="menu-item primary" data-action="play" aria-describedby="play-desc">
                             <span class="item-icon">▶</span>
                             <span class="item-text">PLAY</span>
@@ -45,6 +55,42 @@ export class MainMenu extends Screen {
                             <span class="item-glow"></span>
                         </button>
 
+                        <button class="menu-item" data-action="custom-game" aria-describedby="custom-game-desc">
+                            <span class="item-icon">🛠</span>
+                            <span class="item-text">CUSTOM GAME</span>
+                            <span class="item-glow"></span>
+                        </button>
+
+                        <button class="menu-item" data-action="versus" aria-describedby="versus-desc">
+                            <span class="item-icon">⚔</span>
+                            <span class="item-text">VERSUS</span>
+                            <span class="item-glow"></span>
+                        </button>
+
+                        <button class="menu-item" data-action="finesse" aria-describedby="finesse-desc">
+                            <span class="item-icon">🎯</span>
+                            <span class="item-text">FINESSE TRAINER</span>
+                            <span class="item-glow"></span>
+                        </button>
+
+                        <button class="menu-item" data-action="perfect-clear" aria-describedby="perfect-clear-desc">
+                            <span class="item-icon">✦</span>
+                            <span class="item-text">PERFECT CLEAR</span>
+                            <span class="item-glow"></span>
+                        </button>
+
+                        <button class="menu-item" data-action="puzzle" aria-describedby="puzzle-desc">
+                            <span class="item-icon">🧩</span>
+                            <span class="item-text">PUZZLES</span>
+                            <span class="item-glow"></span>
+                        </button>
+
+                        <button class="menu-item" data-action="dig" aria-describedby="dig-desc">
+                            <span class="item-icon">⛏</span>
+                            <span class="item-text">DIG RACE</span>
+                            <span class="item-glow"></span>
+                        </button>
+
                         <button class="menu-item" data-action="settings" aria-describedby="settings-desc">
                             <span class="item-icon">⚙</span>
                             <span class="item-text">SETTINGS</span>
@@ -78,6 +124,11 @@ export class MainMenu extends Screen {
                 </nav>
 
                 <aside class="player-info" aria-label="Player information">
+                    <div class="profile-bar">
+                        <span class="profile-name" id="profile-name">PLAYER 1</span>
+                        <button class="profile-btn" id="profile-switch-btn" aria-haspopup="dialog">SWITCH PROFILE</button>
+                    </div>
+
                     <div class="player-stats">
                         <div class="stat-item">
                             <span class="stat-label">LEVEL</span>
@@ -115,10 +166,28 @@ export class MainMenu extends Screen {
                     </div>
                 </footer>
 
+                <div class="profile-dialog" id="profile-dialog" role="dialog" aria-labelledby="profile-dialog-title" aria-modal="true" hidden>
+                    <div class="profile-dialog-content">
+                        <h2 class="profile-dialog-title" id="profile-dialog-title">PLAYER PROFILES</h2>
+                        <ul class="profile-list" id="profile-list"></ul>
+                        <div class="profile-dialog-actions">
+                            <button class="profile-btn" id="profile-create-btn">NEW PROFILE</button>
+                            <button class="profile-btn" id="profile-close-btn">CLOSE</button>
+                        </div>
+                    </div>
+                </div>
+
                 <!-- Screen reader descriptions -->
                 <div class="sr-only">
+                    <div id="continue-desc">Resume your saved game</div>
                     <div id="play-desc">Start a new game with current settings</div>
                     <div id="modes-desc">Choose from different game modes like Marathon, Sprint, and Ultra</div>
+                    <div id="custom-game-desc">Set up speed, pieces, board size, goals and garbage, combine modifiers and save presets</div>
+                    <div id="versus-desc">Two players battle on one screen, sending garbage to each other</div>
+                    <div id="finesse-desc">Practice placing every piece with the fewest key presses</div>
+                    <div id="perfect-clear-desc">Finish opener setups with a perfect clear and study their solutions</div>
+                    <div id="puzzle-desc">Solve saved or shared puzzles and build your own in the board editor</div>
+                    <div id="dig-desc">Race to clear 10, 18 or 100 rows of messy garbage, with optional rising garbage</div>
                     <div id="settings-desc">Configure game controls, audio, video, and gameplay options</div>
                     <div id="achievements-desc">View unlocked achievements and progress</div>
                     <div id="leaderboard-desc">Compare your scores with other players</div>
@@ -252,6 +321,10 @@ export class MainMenu extends Screen {
                 overflow: hidden;
             }
 
+            .menu-item[hidden] {
+                display: none;
+            }
+
             .menu-item.primary {
                 border-color: #00FFFF;
                 background: rgba(0, 255, 255, 0.1);
@@ -305,6 +378,114 @@ export class MainMenu extends Screen {
                 z-index: 1;
             }
 
+            .profile-bar {
+                display: flex;
+                align-items: center;
+                gap: 1rem;
+                margin-bottom: 1rem;
+            }
+
+            .profile-name {
+                font-family: var(--font-primary);
+                font-size: 1.1rem;
+                font-weight: 700;
+                color: #FF00FF;
+                text-shadow: 0 0 10px #FF00FF;
+                text-transform: uppercase;
+            }
+
+            .profile-btn {
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.5);
+                border-radius: 3px;
+                color: #00FFFF;
+                font-family: var(--font-mono);
+                font-size: 0.75rem;
+                letter-spacing: 0.1em;
+                padding: 0.3rem 0.7rem;
+                cursor: pointer;
+                transition: all 0.2s ease;
+            }
+
+            .profile-btn:hover,
+            .profile-btn:focus {
+                background: rgba(0, 255, 255, 0.2);
+                border-color: #00FFFF;
+                outline: none;
+            }
+
+            .profile-btn:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+
+            .profile-dialog {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.8);
+                backdrop-filter: blur(8px);
+                z-index: 10;
+            }
+
+            .profile-dialog[hidden] {
+                display: none;
+            }
+
+            .profile-dialog-content {
+                width: min(480px, 90vw);
+                max-height: 80vh;
+                display: flex;
+                flex-direction: column;
+                gap: 1rem;
+                padding: 2rem;
+                border: 2px solid #00FFFF;
+                border-radius: 8px;
+                background: rgba(10, 10, 30, 0.95);
+                box-shadow: 0 0 30px rgba(0, 255, 255, 0.3);
+            }
+
+            .profile-dialog-title {
+                margin: 0;
+                font-family: var(--font-primary);
+                font-size: 1.3rem;
+                color: #00FFFF;
+                letter-spacing: 0.1em;
+            }
+
+            .profile-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+                overflow-y: auto;
+            }
+
+            .profile-list li {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                padding: 0.5rem 0;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.1);
+            }
+
+            .profile-list .profile-entry-name {
+                flex: 1;
+                font-family: var(--font-mono);
+                color: #FFFFFF;
+            }
+
+            .profile-list li.active .profile-entry-name {
+                color: #FF00FF;
+            }
+
+            .profile-dialog-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 0.5rem;
+            }
+
             .player-stats {
                 display: flex;
                 gap: 2rem;
@@ -456,23 +637,39 @@ export class MainMenu extends Screen {
             backgroundGrid: this.element.querySelector('#background-grid'),
             gameTitle: this.element.querySelector('#game-title'),
             menuItems: this.element.querySelector('#menu-items'),
+            continueItem: this.element.querySelector('[data-action="continue"]'),
             playerLevel: this.element.querySelector('#player-level'),
             playerXP: this.element.querySelector('#player-xp'),
             highScore: this.element.querySelector('#high-score'),
             xpProgress: this.element.querySelector('#xp-progress'),
-            progressText: this.element.querySelector('#progress-text')
+            progressText: this.element.querySelector('#progress-text'),
+            profileName: this.element.querySelector('#profile-name'),
+            profileSwitchButton: this.element.querySelector('#profile-switch-btn'),
+            profileDialog: this.element.querySelector('#profile-dialog'),
+            profileList: this.element.querySelector('#profile-list'),
+            profileCreateButton: this.element.querySelector('#profile-create-btn'),
+            profileCloseButton: this.element.querySelector('#profile-close-btn')
         };
 
-        this.menuItems = Array.from(this.elements.menuItems.querySelectorAll('.menu-item'));
+        this.refreshMenuItems();
+    }
+
+    refreshMenuItems() {
+        this.menuItems = Array.from(this.elements.menuItems.querySelectorAll('.menu-item:not([hidden])'));
     }
 
     setupEventListeners() {
         super.setupEventListeners();
 
-        this.menuItems.forEach((item, index) => {
-            item.addEventListener('click', () => this.handleMenuItemClick(item, index));
-            item.addEventListener('mouseenter', () => this.setMenuFocus(index));
+        // Query all items so hidden ones (Continue) work once shown
+        this.elements.menuItems.querySelectorAll('.menu-item').forEach(item => {
+            item.addEventListener('click', () => this.handleMenuItemClick(item, this.menuItems.indexOf(item)));
+            item.addEventListener('mouseenter', () => this.setMenuFocus(this.menuItems.indexOf(item)));
         });
+
+        this.elements.profileSwitchButton.addEventListener('click', () => this.showProfileDialog());
+        this.elements.profileCreateButton.addEventListener('click', () => this.createProfile());
+        this.elements.profileCloseButton.addEventListener('click', () => this.hideProfileDialog());
     }
 
     setupAnimations() {
@@ -508,6 +705,8 @@ export class MainMenu extends Screen {
 
     onEnter(data) {
         super.onEnter(data);
+        this.updateProfileInfo();
+        this.updateContinueItem();
         this.updatePlayerStats();
         this.playEnterSound();
         this.animateMenuItemsIn();
@@ -539,12 +738,33 @@ export class MainMenu extends Screen {
 
     handleMenuAction(action) {
         switch (action) {
+            case 'continue':
+                this.continueSavedGame();
+                break;
             case 'play':
                 this.startQuickPlay();
                 break;
             case 'game-modes':
                 this.goToScreen('game-modes', { transition: 'slide-left' });
                 break;
+            case 'custom-game':
+                this.goToScreen('custom-game', { transition: 'slide-left' });
+                break;
+            case 'versus':
+                this.goToScreen('versus', { transition: 'fade' });
+                break;
+            case 'finesse':
+                this.goToScreen('finesse', { transition: 'fade' });
+                break;
+            case 'perfect-clear':
+                this.goToScreen('perfect-clear', { transition: 'fade' });
+                break;
+            case 'puzzle':
+                this.goToScreen('puzzle', { transition: 'fade' });
+                break;
+            case 'dig':
+                this.goToScreen('dig', { transition: 'fade' });
+                break;
             case 'settings':
                 this.goToScreen('settings', { transition: 'slide-left' });
                 break;
@@ -573,6 +793,148 @@ export class MainMenu extends Screen {
         });
     }
 
+    continueSavedGame() {
+        const savedGame = this.loadSavedGame();
+        if (!savedGame) {
+            this.updateContinueItem();
+            return;
+        }
+
+        this.goToScreen('game', {
+            transition: 'fade',
+            data: { mode: savedGame.mode || 'marathon', resume: true }
+        });
+    }
+
+    updateContinueItem() {
+        this.elements.continueItem.hidden = !this.loadSavedGame();
+        this.refreshMenuItems();
+    }
+
+    loadSavedGame() {
+        return defaultStorage.get(STORAGE_KEYS.SAVED_GAME);
+    }
+
+    updateProfileInfo() {
+        const profile = this.profileManager.getActiveProfile();
+        this.elements.profileName.textContent = profile ? profile.name : '';
+    }
+
+    showProfileDialog() {
+        this.renderProfileList();
+        this.elements.profileDialog.hidden = false;
+        this.elements.profileCloseButton.focus();
+    }
+
+    hideProfileDialog() {
+        this.elements.profileDialog.hidden = true;
+        this.elements.profileSwitchButton.focus();
+    }
+
+    isProfileDialogOpen() {
+        return !this.elements.profileDialog.hidden;
+    }
+
+    renderProfileList() {
+        const { profileList } = this.elements;
+        const activeProfile = this.profileManager.getActiveProfile();
+        const profiles = this.profileManager.getProfiles();
+
+        profileList.innerHTML = '';
+
+        // Profile names are user input, so build nodes instead of HTML
+        profiles.forEach(profile => {
+            const isActive = profile.id === activeProfile.id;
+            const item = document.createElement('li');
+            item.classList.toggle('active', isActive);
+
+            const name = document.createElement('span');
+            name.className = 'profile-entry-name';
+            name.textContent = profile.name;
+            item.appendChild(name);
+
+            [
+                ['SELECT', () => this.switchProfile(profile.id), isActive],
+                ['RENAME', () => this.renameProfile(profile), false],
+                ['DELETE', () => this.deleteProfile(profile), profiles.length <= 1]
+            ].forEach(([label, onClick, disabled]) => {
+                const button = document.createElement('button');
+                button.className = 'profile-btn';
+                button.textContent = label;
+                button.disabled = disabled;
+                button.addEventListener('click', onClick);
+                item.appendChild(button);
+            });
+
+            profileList.appendChild(item);
+        });
+    }
+
+    createProfile() {
+        const name = prompt('Name for the new profile:');
+        if (name === null) return;
+
+        try {
+            const profile = this.profileManager.createProfile(name);
+            this.onProfileChanged();
+            this.showNotification(`Created profile ${profile.name}`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    renameProfile(profile) {
+        const name = prompt('New profile name:', profile.name);
+        if (name === null) return;
+
+        try {
+            this.profileManager.renameProfile(profile.id, name);
+            this.updateProfileInfo();
+            this.renderProfileList();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    deleteProfile(profile) {
+        const confirmed = confirm(
+            `Delete profile "${profile.name}"? Its settings, scores and achievements will be lost.`
+        );
+        if (!confirmed) return;
+
+        try {
+            this.profileManager.deleteProfile(profile.id);
+            this.onProfileChanged();
+            this.showNotification(`Deleted profile ${profile.name}`, 'info');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    switchProfile(profileId) {
+        try {
+            this.profileManager.selectProfile(profileId);
+            this.onProfileChanged();
+            this.playSelectSound();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    onProfileChanged() {
+        // Settings, bindings and themes are stored per profile
+        reloadLiveSettings({
+            themeManager: this.game?.themeManager || null,
+            inputManager: this.game?.inputManager || null,
+            audioManager: this.game?.audioManager || null
+        });
+
+        this.updateProfileInfo();
+        this.updateContinueItem();
+        this.updatePlayerStats();
+        this.renderProfileList();
+    }
+
     setMenuFocus(index) {
         if (index >= 0 && index < this.menuItems.length) {
             // Remove focus from all items
@@ -602,6 +964,13 @@ export class MainMenu extends Screen {
     }
 
     handleActivate() {
+        if (this.isProfileDialogOpen()) {
+            if (document.activeElement && this.elements.profileDialog.contains(document.activeElement)) {
+                document.activeElement.click();
+            }
+            return;
+        }
+
         const selectedItem = this.menuItems[this.selectedIndex];
         if (selectedItem) {
             selectedItem.click();
@@ -625,22 +994,16 @@ export class MainMenu extends Screen {
     }
 
     loadPlayerData() {
-        try {
-            const saved = localStorage.getItem('neontetris_player_data');
-            if (saved) {
-                return JSON.parse(saved);
-            }
-        } catch (error) {
-            console.warn('Failed to load player data:', error);
+        return this.profileManager.getPlayerData();
+    }
+
+    handleBack() {
+        if (this.isProfileDialogOpen()) {
+            this.hideProfileDialog();
+            return;
         }
 
-        return {
-            level: 1,
-            xp: 0,
-            highScore: 0,
-            gamesPlayed: 0,
-            totalLinesCleared: 0
-        };
+        super.handleBack();
     }
 
     playEnterSound() {
@@ -41,6 +41,12 @@ export class PauseMenu extends Screen {
                                 <span class="item-shortcut">R</span>
                             </button>
 
+                            <button class="pause-item" data-action="save" aria-describedby="save-desc">
+                                <span class="item-icon">💾</span>
+                                <span class="item-text">SAVE GAME</span>
+                                <span class="item-shortcut">S</span>
+                            </button>
+
                             <button class="pause-item" data-action="settings" aria-describedby="settings-desc">
                                 <span class="item-icon">⚙</span>
                                 <span class="item-text">SETTINGS</span>
@@ -101,6 +107,7 @@ export class PauseMenu extends Screen {
                 <div class="sr-only">
                     <div id="resume-desc">Return to the game and continue playing</div>
                     <div id="restart-desc">Start the current game mode over from the beginning</div>
+                    <div id="save-desc">Save this game so it can be continued from the main menu</div>
                     <div id="settings-desc">Adjust game settings, audio, and video options</div>
                     <div id="controls-desc">View and customize control schemes</div>
                     <div id="menu-desc">Return to the main menu (game progress will be lost)</div>
@@ -422,6 +429,7 @@ export class PauseMenu extends Screen {
             .pause-item:nth-child(3) { animation-delay: 0.2s; }
             .pause-item:nth-child(4) { animation-delay: 0.25s; }
             .pause-item:nth-child(5) { animation-delay: 0.3s; }
+            .pause-item:nth-child(6) { animation-delay: 0.35s; }
 
             @keyframes pauseItemEnter {
                 to {
@@ -472,6 +480,12 @@ export class PauseMenu extends Screen {
                     event.preventDefault();
                 }
                 break;
+            case 'KeyS':
+                if (!event.ctrlKey && !event.altKey) {
+                    this.handleMenuAction('save');
+                    event.preventDefault();
+                }
+                break;
             case 'KeyO':
                 if (!event.ctrlKey && !event.altKey) {
                     this.handleMenuAction('settings');
@@ -545,6 +559,9 @@ export class PauseMenu extends Screen {
             case 'restart':
                 this.restartGame();
                 break;
+            case 'save':
+                this.saveGame();
+                break;
             case 'settings':
                 this.openSettings();
                 break;
@@ -575,6 +592,15 @@ export class PauseMenu extends Screen {
         this.playSound('ui_select');
     }
 
+    saveGame() {
+        if (this.game && this.game.saveGame && this.game.saveGame()) {
+            this.showNotification('Game saved! Continue it from the main menu.', 'success');
+            this.playSound('ui_select');
+        } else {
+            this.showNotification('Unable to save game', 'error');
+        }
+    }
+
     openSettings() {
         this.goToScreen('settings', {
             transition: 'slide-left',
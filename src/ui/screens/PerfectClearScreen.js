@@ -0,0 +1,699 @@
+/**
+ * PerfectClearScreen - Perfect clear practice mode
+ * Opener setups start from a partly built board and a fixed piece order;
+ * every attempt counts toward the setup's success rate and the bundled
+ * solver's answer can be stepped through on the board
+ */
+
+import { Screen } from '../Screen.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { PerfectClearPractice, PERFECT_CLEAR_SETUPS } from '../../engine/PerfectClear.js';
+import { CanvasManager } from '../../rendering/CanvasManager.js';
+import { ThemeManager } from '../../rendering/ThemeManager.js';
+import { NeonEffects } from '../../rendering/NeonEffects.js';
+import { BoardRenderer, getEngineBoardState } from '../../rendering/BoardRenderer.js';
+import { KeyboardHandler } from '../../input/KeyboardHandler.js';
+import { PlayerInput } from '../../input/PlayerInput.js';
+
+const BOARD_CANVAS_WIDTH = 300;
+const BOARD_CANVAS_HEIGHT = 520;
+
+const PATH_LABELS = {
+    hold: 'HOLD',
+    moveLeft: '←',
+    moveRight: '→',
+    rotateCW: '↻',
+    rotateCCW: '↺',
+    rotate180: '180',
+    softDrop: '↓',
+    hardDrop: '⤓'
+};
+
+export class PerfectClearScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'perfect-clear-screen';
+        this.engine = null;
+        this.practice = null;
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.elements = {};
+    }
+
+    createElement() {
+        super.createElement();
+
+        this.element.innerHTML = `
+            <div class="pc-screen" aria-labelledby="pc-title">
+                <header class="pc-header">
+                    <h1 id="pc-title" class="pc-title">PERFECT CLEAR</h1>
+                    <dl class="pc-progress">
+                        <div><dt>SETUP</dt><dd id="pc-setup-name">-</dd></div>
+                        <div><dt>PIECES</dt><dd id="pc-pieces" aria-live="polite">-</dd></div>
+                        <div><dt>SUCCESS</dt><dd id="pc-success">-</dd></div>
+                    </dl>
+                </header>
+
+                <main class="pc-arena">
+                    <div class="pc-board">
+                        <canvas width="${BOARD_CANVAS_WIDTH}" height="${BOARD_CANVAS_HEIGHT}" aria-label="Perfect clear board"></canvas>
+                    </div>
+
+                    <aside class="pc-panel" aria-label="Pieces">
+                        <div class="pc-label">HOLD</div>
+                        <div class="pc-pieces" id="pc-hold">-</div>
+                        <div class="pc-label">NEXT</div>
+                        <div class="pc-pieces" id="pc-next">-</div>
+
+                        <section class="pc-viewer" id="pc-viewer" aria-label="Solution" hidden>
+                            <h2 class="pc-panel-title">SOLUTION</h2>
+                            <div class="pc-step" id="pc-step" aria-live="polite">-</div>
+                            <div class="pc-keys" id="pc-step-keys">-</div>
+                            <div class="pc-viewer-controls">
+                                <button class="btn btn-secondary" id="pc-prev-btn" aria-label="Previous step">◀</button>
+                                <button class="btn btn-secondary" id="pc-next-btn" aria-label="Next step">▶</button>
+                            </div>
+                            <button class="btn btn-primary" id="pc-viewer-retry-btn">Try It</button>
+                            <button class="btn btn-secondary" id="pc-viewer-setups-btn">Setups</button>
+                        </section>
+                    </aside>
+                </main>
+
+                <div class="pc-overlay" id="pc-setup-overlay">
+                    <div class="pc-dialog wide">
+                        <h2>PERFECT CLEAR PRACTICE</h2>
+                        <p>Clear every block from the board with the pieces given. Blocks above the clear height and running out of pieces end the attempt.</p>
+                        <div class="pc-setups" id="pc-setup-list" role="group" aria-label="Setups"></div>
+                        <button class="btn btn-secondary" id="pc-setup-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="pc-overlay" id="pc-pause-overlay" hidden>
+                    <div class="pc-dialog">
+                        <h2>PAUSED</h2>
+                        <button class="btn btn-primary" id="pc-resume-btn">Resume</button>
+                        <button class="btn btn-secondary" id="pc-pause-retry-btn">Retry</button>
+                        <button class="btn btn-secondary" id="pc-pause-setups-btn">Setups</button>
+                        <button class="btn btn-secondary" id="pc-pause-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="pc-overlay" id="pc-result-overlay" hidden>
+                    <div class="pc-dialog">
+                        <h2 id="pc-result-title">PERFECT CLEAR!</h2>
+                        <div class="pc-summary" id="pc-result-summary"></div>
+                        <button class="btn btn-primary" id="pc-retry-btn">Retry</button>
+                        <button class="btn btn-secondary" id="pc-solution-btn">Show Solution</button>
+                        <button class="btn btn-secondary" id="pc-result-setups-btn">Setups</button>
+                        <button class="btn btn-secondary" id="pc-result-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .pc-screen {
+                position: relative;
+                width: 100vw;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .pc-header {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 2rem;
+                padding: 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .pc-title {
+                font-size: 1.8rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .pc-progress {
+                display: flex;
+                gap: 1.5rem;
+                margin: 0;
+                text-align: center;
+            }
+
+            .pc-progress dt,
+            .pc-label {
+                font-size: 0.7rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .pc-progress dd {
+                margin: 0;
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+
+            .pc-arena {
+                flex: 1;
+                display: flex;
+                justify-content: center;
+                align-items: flex-start;
+                gap: 2rem;
+                padding: 1rem;
+            }
+
+            .pc-board canvas {
+                display: block;
+                background: rgba(0, 0, 0, 0.3);
+                border-radius: 4px;
+            }
+
+            .pc-panel {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                min-width: 200px;
+                background: rgba(0, 255, 255, 0.05);
+                border: 1px solid rgba(0, 255, 255, 0.2);
+                border-radius: 8px;
+                padding: 1rem;
+            }
+
+            .pc-pieces,
+            .pc-keys {
+                font-family: var(--font-mono);
+                font-size: 1.2rem;
+                letter-spacing: 0.2em;
+                color: #FFFFFF;
+            }
+
+            .pc-viewer {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                margin-top: 1rem;
+                padding-top: 1rem;
+                border-top: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .pc-viewer[hidden] {
+                display: none;
+            }
+
+            .pc-panel-title {
+                font-size: 0.9rem;
+                margin: 0;
+                letter-spacing: 0.1em;
+                text-shadow: 0 0 5px #00FFFF;
+            }
+
+            .pc-step {
+                font-size: 1.1rem;
+                font-weight: 900;
+            }
+
+            .pc-viewer-controls {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .pc-overlay {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.75);
+                z-index: 10;
+            }
+
+            .pc-overlay[hidden] {
+                display: none;
+            }
+
+            .pc-dialog {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 1rem;
+                min-width: 320px;
+                max-width: 480px;
+                padding: 2rem;
+                background: #0A0A0F;
+                border: 2px solid #00FFFF;
+                border-radius: 8px;
+                box-shadow: 0 0 30px rgba(0, 255, 255, 0.4);
+                text-align: center;
+            }
+
+            .pc-dialog.wide {
+                max-width: 560px;
+            }
+
+            .pc-dialog h2 {
+                margin: 0;
+                text-shadow: 0 0 10px #00FFFF;
+            }
+
+            .pc-dialog h2.failed {
+                color: #FF4040;
+                text-shadow: 0 0 10px #FF4040;
+            }
+
+            .pc-dialog p {
+                margin: 0;
+                color: #888;
+                font-size: 0.9rem;
+            }
+
+            .pc-setups {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                width: 100%;
+            }
+
+            .pc-setup {
+                display: grid;
+                grid-template-columns: 1fr auto;
+                gap: 0.25rem 1rem;
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                padding: 0.5rem 1rem;
+                text-align: left;
+                cursor: pointer;
+                transition: all 0.3s ease;
+            }
+
+            .pc-setup:hover,
+            .pc-setup:focus {
+                border-color: #00FFFF;
+                box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            }
+
+            .pc-setup-name {
+                font-weight: 600;
+            }
+
+            .pc-setup-rate {
+                font-family: var(--font-mono);
+                text-align: right;
+            }
+
+            .pc-setup-info {
+                grid-column: 1 / -1;
+                color: #888;
+                font-size: 0.8rem;
+            }
+
+            .pc-summary {
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            setupName: this.element.querySelector('#pc-setup-name'),
+            pieces: this.element.querySelector('#pc-pieces'),
+            success: this.element.querySelector('#pc-success'),
+            hold: this.element.querySelector('#pc-hold'),
+            next: this.element.querySelector('#pc-next'),
+            viewer: this.element.querySelector('#pc-viewer'),
+            step: this.element.querySelector('#pc-step'),
+            stepKeys: this.element.querySelector('#pc-step-keys'),
+            setupList: this.element.querySelector('#pc-setup-list'),
+            setupOverlay: this.element.querySelector('#pc-setup-overlay'),
+            pauseOverlay: this.element.querySelector('#pc-pause-overlay'),
+            resultOverlay: this.element.querySelector('#pc-result-overlay'),
+            resultTitle: this.element.querySelector('#pc-result-title'),
+            resultSummary: this.element.querySelector('#pc-result-summary')
+        };
+
+        const canvasManager = new CanvasManager(this.element.querySelector('.pc-board canvas'), { enableWebGL: false });
+        canvasManager.resize(BOARD_CANVAS_WIDTH, BOARD_CANVAS_HEIGHT);
+
+        const themeManager = new ThemeManager();
+        const neonEffects = new NeonEffects(canvasManager, themeManager);
+
+        this.canvasManager = canvasManager;
+        this.boardRenderer = new BoardRenderer(canvasManager, themeManager, neonEffects);
+
+        this.input = new PlayerInput(
+            action => this.handleAction(action),
+            {},
+            () => this.engine.board.width
+        );
+        this.keyboard = new KeyboardHandler({
+            game: null,
+            addInputEvent: event => this.input.addInputEvent(event)
+        });
+        this.keyboard.loadKeyBindings();
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.elements.setupList.addEventListener('click', event => {
+            const button = event.target.closest('[data-setup]');
+            if (button) {
+                this.startAttempt(button.dataset.setup);
+            }
+        });
+
+        this.element.querySelector('#pc-resume-btn').addEventListener('click', () => this.togglePause());
+        this.element.querySelector('#pc-solution-btn').addEventListener('click', () => this.openSolution());
+        this.element.querySelector('#pc-prev-btn').addEventListener('click', () => this.stepSolution(-1));
+        this.element.querySelector('#pc-next-btn').addEventListener('click', () => this.stepSolution(1));
+
+        ['#pc-retry-btn', '#pc-pause-retry-btn', '#pc-viewer-retry-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.retry());
+        });
+
+        ['#pc-pause-setups-btn', '#pc-result-setups-btn', '#pc-viewer-setups-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.showSetups());
+        });
+
+        ['#pc-setup-menu-btn', '#pc-pause-menu-btn', '#pc-result-menu-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.returnToMenu());
+        });
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        this.createSession();
+        this.keyboard.addEventListeners();
+
+        if (data && data.setup) {
+            this.startAttempt(data.setup);
+        } else {
+            this.showSetups();
+        }
+    }
+
+    onExit() {
+        super.onExit();
+
+        this.keyboard.removeEventListeners();
+        this.keyboard.clearState();
+        this.input.clearRepeat();
+        this.boardRenderer.reset();
+        this.destroySession();
+    }
+
+    createSession() {
+        this.destroySession();
+
+        this.engine = new GameEngine({ headless: true, mode: 'perfectClear', recordReplays: false });
+        this.engine.setMode('perfectClear');
+        this.engine.resetGame();
+        this.engine.start();
+        this.engine.isPaused = true;
+        this.engine.addEventListener('pieceSpawned', () => this.updateProgress());
+        this.engine.addEventListener('pieceHeld', () => this.updateProgress());
+
+        this.practice = new PerfectClearPractice(this.engine);
+        this.practice.addEventListener('piecePlaced', () => this.updateProgress());
+        this.practice.addEventListener('attemptComplete', result => this.showResult(result));
+        this.practice.addEventListener('solutionStep', step => this.showSolutionStep(step));
+    }
+
+    destroySession() {
+        if (this.practice) {
+            this.practice.destroy();
+            this.practice = null;
+        }
+
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
+    }
+
+    showSetups() {
+        if (this.practice) {
+            this.practice.closeSolution();
+        }
+
+        this.elements.setupList.innerHTML = PERFECT_CLEAR_SETUPS.map(setup => {
+            const pieces = setup.queue.length + (setup.hold ? 1 : 0);
+
+            return `
+                <button class="pc-setup" data-setup="${setup.id}">
+                    <span class="pc-setup-name">${setup.name}</span>
+                    <span class="pc-setup-rate">${this.formatSuccess(setup.id)}</span>
+                    <span class="pc-setup-info">${setup.description} · ${setup.lines} lines · ${pieces} pieces</span>
+                </button>`;
+        }).join('');
+
+        this.input.clearRepeat();
+        this.elements.viewer.hidden = true;
+        this.showOverlay('setupOverlay');
+    }
+
+    startAttempt(setupId) {
+        if (!this.practice) return;
+
+        this.practice.start(setupId);
+
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.boardRenderer.reset();
+        this.elements.viewer.hidden = true;
+        this.showOverlay(null);
+        this.updateProgress();
+        this.playSound('game_start');
+    }
+
+    retry() {
+        if (this.practice && this.practice.setup) {
+            this.startAttempt(this.practice.setup.id);
+        }
+    }
+
+    isAttemptRunning() {
+        return Boolean(this.practice) && this.practice.isActive();
+    }
+
+    togglePause() {
+        if (!this.isAttemptRunning()) return;
+
+        this.isPaused = !this.isPaused;
+        this.input.clearRepeat();
+        this.showOverlay(this.isPaused ? 'pauseOverlay' : null);
+        this.playSound(this.isPaused ? 'ui_pause' : 'ui_resume');
+    }
+
+    returnToMenu() {
+        this.playSound('ui_back');
+        this.goToScreen('main-menu', { transition: 'fade' });
+    }
+
+    handleAction(action) {
+        if (action === 'pause') {
+            this.togglePause();
+            return;
+        }
+
+        if (this.isAttemptRunning() && !this.isPaused) {
+            this.engine.addInput(action);
+        }
+    }
+
+    /**
+     * Show one overlay and hide the others (null hides all)
+     */
+    showOverlay(name) {
+        ['setupOverlay', 'pauseOverlay', 'resultOverlay'].forEach(key => {
+            this.elements[key].hidden = key !== name;
+        });
+        this.updateFocusableElements();
+    }
+
+    showResult({ setup, success, placed, stats }) {
+        const { resultTitle, resultSummary } = this.elements;
+
+        resultTitle.textContent = success ? 'PERFECT CLEAR!' : 'NO CLEAR';
+        resultTitle.classList.toggle('failed', !success);
+        resultSummary.textContent = `${setup.name} · ${placed} pieces · ${stats.successes}/${stats.attempts} cleared`;
+
+        this.input.clearRepeat();
+        this.updateProgress();
+        this.showOverlay('resultOverlay');
+        this.playSound(success ? 'achievement' : 'game_over');
+    }
+
+    openSolution() {
+        if (!this.practice || !this.practice.setup) return;
+
+        const steps = this.practice.openSolution();
+        if (!steps) {
+            this.showNotification('No solution found for this setup', 'info');
+            this.playSound('ui_error');
+            return;
+        }
+
+        this.elements.viewer.hidden = false;
+        this.showOverlay(null);
+        this.updateProgress();
+        this.playSound('ui_select');
+    }
+
+    stepSolution(delta) {
+        if (!this.practice || !this.practice.viewer) return;
+
+        this.practice.showSolutionStep(this.practice.viewer.index + delta);
+        this.updateProgress();
+        this.playSound('ui_select');
+    }
+
+    showSolutionStep({ step, index, total }) {
+        const { step: label, stepKeys } = this.elements;
+
+        if (!step) {
+            label.textContent = `DONE · ${total} / ${total}`;
+            stepKeys.textContent = '-';
+            return;
+        }
+
+        label.textContent = `STEP ${index + 1} / ${total} · ${step.type}`;
+        stepKeys.textContent = this.formatPath(step.path);
+    }
+
+    /**
+     * Key labels of a solution path with runs of soft drops collapsed
+     */
+    formatPath(path) {
+        const labels = [];
+
+        path.forEach((action, i) => {
+            if (action === 'softDrop' && path[i - 1] === 'softDrop') return;
+
+            let run = 1;
+            while (action === 'softDrop' && path[i + run] === 'softDrop') {
+                run++;
+            }
+
+            const label = PATH_LABELS[action] || action;
+            labels.push(run > 1 ? `${label}×${run}` : label);
+        });
+
+        return labels.join(' ');
+    }
+
+    formatSuccess(setupId) {
+        const { attempts, successes, successRate } = this.practice.getSetupStats(setupId);
+        if (successRate === null) return 'NEW';
+
+        return `${successes}/${attempts} · ${Math.round(successRate * 100)}%`;
+    }
+
+    updateProgress() {
+        const { practice, engine } = this;
+        const setup = practice && practice.setup;
+
+        this.elements.setupName.textContent = setup ? setup.name : '-';
+        this.elements.success.textContent = setup ? this.formatSuccess(setup.id) : '-';
+
+        const attempt = practice && practice.attempt;
+        this.elements.pieces.textContent = attempt ? `${attempt.placed} / ${attempt.pieces}` : '-';
+
+        const held = engine && engine.getHeldPiece();
+        this.elements.hold.textContent = held ? held.type : '-';
+
+        const queue = practice && practice.viewer ? engine.getNextPieces() : practice ? practice.getQueue() : [];
+        this.elements.next.textContent = queue.length > 0 ? queue.join(' ') : '-';
+    }
+
+    renderBoard() {
+        this.canvasManager.clear();
+        this.boardRenderer.setGameState({
+            ...getEngineBoardState(this.engine),
+            hint: this.practice.getSolutionStep()
+        });
+        this.boardRenderer.render();
+    }
+
+    handleKeyDown(event) {
+        // Game keys overlap menu navigation during an attempt
+        if (this.isAttemptRunning() && !this.isPaused) {
+            if (event.code === 'Escape') {
+                this.togglePause();
+                event.preventDefault();
+            }
+            return;
+        }
+
+        if (this.practice && this.practice.viewer && (event.code === 'ArrowLeft' || event.code === 'ArrowRight')) {
+            this.stepSolution(event.code === 'ArrowLeft' ? -1 : 1);
+            event.preventDefault();
+            return;
+        }
+
+        super.handleKeyDown(event);
+    }
+
+    handleBack() {
+        if (this.isAttemptRunning()) {
+            this.togglePause();
+            return;
+        }
+
+        if (this.elements.setupOverlay.hidden) {
+            this.showSetups();
+            return;
+        }
+
+        this.returnToMenu();
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+
+        if (!this.engine) return;
+
+        if (this.isAttemptRunning() && !this.isPaused) {
+            this.input.update(deltaTime);
+            this.boardRenderer.update(deltaTime);
+
+            this.accumulator += deltaTime;
+            while (this.accumulator >= this.engine.fixedTimeStep && this.isAttemptRunning()) {
+                this.engine.step(1);
+                this.accumulator -= this.engine.fixedTimeStep;
+            }
+        }
+
+        this.renderBoard();
+    }
+
+    pause() {
+        if (this.isAttemptRunning() && !this.isPaused) {
+            this.togglePause();
+        }
+    }
+
+    destroy() {
+        this.destroySession();
+        this.keyboard.destroy();
+        super.destroy();
+    }
+}
@@ -0,0 +1,658 @@
+/**
+ * PuzzleScreen - Puzzle mode
+ * Plays puzzles saved from the board editor or imported from Fumen strings;
+ * each puzzle starts from its own board and piece order and ends when its
+ * goal is reached or the pieces run out
+ */
+
+import { Screen } from '../Screen.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { PuzzleGame, decodePuzzle, describeGoal, validatePuzzle } from '../../engine/Puzzle.js';
+import { defaultPuzzleLibrary } from '../../storage/PuzzleLibrary.js';
+import { CanvasManager } from '../../rendering/CanvasManager.js';
+import { ThemeManager } from '../../rendering/ThemeManager.js';
+import { NeonEffects } from '../../rendering/NeonEffects.js';
+import { BoardRenderer, getEngineBoardState } from '../../rendering/BoardRenderer.js';
+import { KeyboardHandler } from '../../input/KeyboardHandler.js';
+import { PlayerInput } from '../../input/PlayerInput.js';
+
+const BOARD_CANVAS_WIDTH = 300;
+const BOARD_CANVAS_HEIGHT = 520;
+
+export class PuzzleScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'puzzle-screen';
+        this.engine = null;
+        this.puzzleGame = null;
+        this.library = defaultPuzzleLibrary;
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.elements = {};
+    }
+
+    createElement() {
+        super.createElement();
+
+        this.element.innerHTML = `
+            <div class="pz-screen" aria-labelledby="pz-title">
+                <header class="pz-header">
+                    <h1 id="pz-title" class="pz-title">PUZZLE</h1>
+                    <dl class="pz-progress">
+                        <div><dt>PUZZLE</dt><dd id="pz-name">-</dd></div>
+                        <div><dt>GOAL</dt><dd id="pz-goal">-</dd></div>
+                        <div><dt>PIECES</dt><dd id="pz-pieces" aria-live="polite">-</dd></div>
+                        <div><dt>LINES</dt><dd id="pz-lines">-</dd></div>
+                    </dl>
+                </header>
+
+                <main class="pz-arena">
+                    <div class="pz-board">
+                        <canvas width="${BOARD_CANVAS_WIDTH}" height="${BOARD_CANVAS_HEIGHT}" aria-label="Puzzle board"></canvas>
+                    </div>
+
+                    <aside class="pz-panel" aria-label="Pieces">
+                        <div class="pz-label">HOLD</div>
+                        <div class="pz-pieces" id="pz-hold">-</div>
+                        <div class="pz-label">NEXT</div>
+                        <div class="pz-pieces" id="pz-next">-</div>
+                    </aside>
+                </main>
+
+                <div class="pz-overlay" id="pz-list-overlay">
+                    <div class="pz-dialog wide">
+                        <h2>PUZZLES</h2>
+                        <p>Reach the goal with the pieces given. Build your own in the board editor or paste a Fumen string to import one.</p>
+                        <div class="pz-list" id="pz-list" role="group" aria-label="Saved puzzles"></div>
+                        <div class="pz-import">
+                            <input type="text" id="pz-import-input" placeholder="v115@..." aria-label="Fumen string" spellcheck="false" autocomplete="off">
+                            <button class="btn btn-secondary" id="pz-import-btn">Play</button>
+                        </div>
+                        <button class="btn btn-primary" id="pz-new-btn">New Puzzle</button>
+                        <button class="btn btn-secondary" id="pz-list-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="pz-overlay" id="pz-pause-overlay" hidden>
+                    <div class="pz-dialog">
+                        <h2>PAUSED</h2>
+                        <button class="btn btn-primary" id="pz-resume-btn">Resume</button>
+                        <button class="btn btn-secondary" id="pz-pause-retry-btn">Retry</button>
+                        <button class="btn btn-secondary" id="pz-pause-list-btn">Puzzles</button>
+                        <button class="btn btn-secondary" id="pz-pause-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="pz-overlay" id="pz-result-overlay" hidden>
+                    <div class="pz-dialog">
+                        <h2 id="pz-result-title">SOLVED!</h2>
+                        <div class="pz-summary" id="pz-result-summary"></div>
+                        <button class="btn btn-primary" id="pz-retry-btn">Retry</button>
+                        <button class="btn btn-secondary" id="pz-edit-btn">Edit</button>
+                        <button class="btn btn-secondary" id="pz-result-list-btn">Puzzles</button>
+                        <button class="btn btn-secondary" id="pz-result-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .pz-screen {
+                position: relative;
+                width: 100vw;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .pz-header {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 2rem;
+                padding: 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .pz-title {
+                font-size: 1.8rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .pz-progress {
+                display: flex;
+                gap: 1.5rem;
+                margin: 0;
+                text-align: center;
+            }
+
+            .pz-progress dt,
+            .pz-label {
+                font-size: 0.7rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .pz-progress dd {
+                margin: 0;
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+
+            .pz-arena {
+                flex: 1;
+                display: flex;
+                justify-content: center;
+                align-items: flex-start;
+                gap: 2rem;
+                padding: 1rem;
+            }
+
+            .pz-board canvas {
+                display: block;
+                background: rgba(0, 0, 0, 0.3);
+                border-radius: 4px;
+            }
+
+            .pz-panel {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                min-width: 200px;
+                background: rgba(0, 255, 255, 0.05);
+                border: 1px solid rgba(0, 255, 255, 0.2);
+                border-radius: 8px;
+                padding: 1rem;
+            }
+
+            .pz-pieces {
+                font-family: var(--font-mono);
+                font-size: 1.2rem;
+                letter-spacing: 0.2em;
+                color: #FFFFFF;
+            }
+
+            .pz-overlay {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.75);
+                z-index: 10;
+            }
+
+            .pz-overlay[hidden] {
+                display: none;
+            }
+
+            .pz-dialog {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 1rem;
+                min-width: 320px;
+                max-width: 480px;
+                padding: 2rem;
+                background: #0A0A0F;
+                border: 2px solid #00FFFF;
+                border-radius: 8px;
+                box-shadow: 0 0 30px rgba(0, 255, 255, 0.4);
+                text-align: center;
+            }
+
+            .pz-dialog.wide {
+                max-width: 560px;
+            }
+
+            .pz-dialog h2 {
+                margin: 0;
+                text-shadow: 0 0 10px #00FFFF;
+            }
+
+            .pz-dialog h2.failed {
+                color: #FF4040;
+                text-shadow: 0 0 10px #FF4040;
+            }
+
+            .pz-dialog p {
+                margin: 0;
+                color: #888;
+                font-size: 0.9rem;
+            }
+
+            .pz-list {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                width: 100%;
+                max-height: 40vh;
+                overflow-y: auto;
+            }
+
+            .pz-entry {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .pz-entry-play,
+            .pz-entry-delete {
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                padding: 0.5rem 1rem;
+                cursor: pointer;
+                transition: all 0.3s ease;
+            }
+
+            .pz-entry-play {
+                flex: 1;
+                display: flex;
+                justify-content: space-between;
+                gap: 1rem;
+                text-align: left;
+            }
+
+            .pz-entry-delete {
+                font-size: 0.7rem;
+            }
+
+            .pz-entry-play:hover,
+            .pz-entry-play:focus,
+            .pz-entry-delete:hover,
+            .pz-entry-delete:focus {
+                border-color: #00FFFF;
+                box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            }
+
+            .pz-entry-name {
+                font-weight: 600;
+            }
+
+            .pz-entry-goal {
+                font-family: var(--font-mono);
+                text-align: right;
+            }
+
+            .pz-empty {
+                color: #888;
+                font-size: 0.9rem;
+            }
+
+            .pz-import {
+                display: flex;
+                gap: 0.5rem;
+                width: 100%;
+            }
+
+            .pz-import input {
+                flex: 1;
+                background: rgba(0, 0, 0, 0.5);
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #FFFFFF;
+                font-family: var(--font-mono);
+                padding: 0.5rem;
+            }
+
+            .pz-summary {
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            name: this.element.querySelector('#pz-name'),
+            goal: this.element.querySelector('#pz-goal'),
+            pieces: this.element.querySelector('#pz-pieces'),
+            lines: this.element.querySelector('#pz-lines'),
+            hold: this.element.querySelector('#pz-hold'),
+            next: this.element.querySelector('#pz-next'),
+            list: this.element.querySelector('#pz-list'),
+            importInput: this.element.querySelector('#pz-import-input'),
+            listOverlay: this.element.querySelector('#pz-list-overlay'),
+            pauseOverlay: this.element.querySelector('#pz-pause-overlay'),
+            resultOverlay: this.element.querySelector('#pz-result-overlay'),
+            resultTitle: this.element.querySelector('#pz-result-title'),
+            resultSummary: this.element.querySelector('#pz-result-summary')
+        };
+
+        const canvasManager = new CanvasManager(this.element.querySelector('.pz-board canvas'), { enableWebGL: false });
+        canvasManager.resize(BOARD_CANVAS_WIDTH, BOARD_CANVAS_HEIGHT);
+
+        const themeManager = new ThemeManager();
+        const neonEffects = new NeonEffects(canvasManager, themeManager);
+
+        this.canvasManager = canvasManager;
+        this.boardRenderer = new BoardRenderer(canvasManager, themeManager, neonEffects);
+
+        this.input = new PlayerInput(
+            action => this.handleAction(action),
+            {},
+            () => this.engine.board.width
+        );
+        this.keyboard = new KeyboardHandler({
+            game: null,
+            addInputEvent: event => this.input.addInputEvent(event)
+        });
+        this.keyboard.loadKeyBindings();
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.element.querySelector('#pz-import-btn').addEventListener('click', () => this.importPuzzle());
+        this.element.querySelector('#pz-new-btn').addEventListener('click', () => this.openEditor(null));
+        this.element.querySelector('#pz-edit-btn').addEventListener('click', () => {
+            this.openEditor(this.puzzleGame && this.puzzleGame.puzzle);
+        });
+        this.element.querySelector('#pz-resume-btn').addEventListener('click', () => this.togglePause());
+
+        ['#pz-retry-btn', '#pz-pause-retry-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.retry());
+        });
+
+        ['#pz-pause-list-btn', '#pz-result-list-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.showPuzzles());
+        });
+
+        ['#pz-list-menu-btn', '#pz-pause-menu-btn', '#pz-result-menu-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.returnToMenu());
+        });
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        this.createSession();
+        this.keyboard.addEventListeners();
+
+        if (data && data.puzzle) {
+            this.startPuzzle(data.puzzle);
+        } else {
+            this.showPuzzles();
+        }
+    }
+
+    onExit() {
+        super.onExit();
+
+        this.keyboard.removeEventListeners();
+        this.keyboard.clearState();
+        this.input.clearRepeat();
+        this.boardRenderer.reset();
+        this.destroySession();
+    }
+
+    createSession() {
+        this.destroySession();
+
+        this.engine = new GameEngine({ headless: true, mode: 'puzzle', recordReplays: false });
+        this.engine.setMode('puzzle');
+        this.engine.resetGame();
+        this.engine.start();
+        this.engine.isPaused = true;
+        this.engine.addEventListener('pieceSpawned', () => this.updateProgress());
+        this.engine.addEventListener('pieceHeld', () => this.updateProgress());
+
+        this.puzzleGame = new PuzzleGame(this.engine);
+        this.puzzleGame.addEventListener('piecePlaced', () => this.updateProgress());
+        this.puzzleGame.addEventListener('puzzleComplete', result => this.showResult(result));
+    }
+
+    destroySession() {
+        if (this.puzzleGame) {
+            this.puzzleGame.destroy();
+            this.puzzleGame = null;
+        }
+
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
+    }
+
+    showPuzzles() {
+        const { list } = this.elements;
+        const puzzles = this.library.getAll();
+
+        list.innerHTML = puzzles.length > 0 ? '' : '<div class="pz-empty">No saved puzzles yet</div>';
+
+        // Puzzle names are user input, so build nodes instead of HTML
+        puzzles.forEach(puzzle => {
+            const item = document.createElement('div');
+            item.className = 'pz-entry';
+
+            const play = document.createElement('button');
+            play.className = 'pz-entry-play';
+            play.addEventListener('click', () => this.startPuzzle(puzzle));
+
+            const name = document.createElement('span');
+            name.className = 'pz-entry-name';
+            name.textContent = puzzle.name;
+
+            const goal = document.createElement('span');
+            goal.className = 'pz-entry-goal';
+            goal.textContent = describeGoal(puzzle.goal);
+
+            play.append(name, goal);
+
+            const remove = document.createElement('button');
+            remove.className = 'pz-entry-delete';
+            remove.textContent = 'DELETE';
+            remove.setAttribute('aria-label', `Delete ${puzzle.name}`);
+            remove.addEventListener('click', () => this.deletePuzzle(puzzle));
+
+            item.append(play, remove);
+            list.appendChild(item);
+        });
+
+        this.input.clearRepeat();
+        this.showOverlay('listOverlay');
+    }
+
+    deletePuzzle(puzzle) {
+        this.library.remove(puzzle.id);
+        this.playSound('ui_back');
+        this.showPuzzles();
+    }
+
+    importPuzzle() {
+        try {
+            this.startPuzzle(decodePuzzle(this.elements.importInput.value.trim()));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            this.playSound('ui_error');
+        }
+    }
+
+    startPuzzle(puzzle) {
+        if (!this.puzzleGame || !puzzle) return;
+
+        const { valid, errors } = validatePuzzle(puzzle);
+        if (!valid) {
+            this.showNotification(errors[0], 'error');
+            this.playSound('ui_error');
+            return;
+        }
+
+        this.puzzleGame.start(puzzle);
+
+        this.accumulator = 0;
+        this.isPaused = false;
+        this.boardRenderer.reset();
+        this.showOverlay(null);
+        this.updateProgress();
+        this.playSound('game_start');
+    }
+
+    retry() {
+        if (this.puzzleGame && this.puzzleGame.puzzle) {
+            this.startPuzzle(this.puzzleGame.puzzle);
+        }
+    }
+
+    openEditor(puzzle) {
+        this.playSound('ui_select');
+        this.goToScreen('board-editor', { transition: 'fade', data: puzzle ? { puzzle } : null });
+    }
+
+    isRunning() {
+        return Boolean(this.puzzleGame) && this.puzzleGame.isActive();
+    }
+
+    togglePause() {
+        if (!this.isRunning()) return;
+
+        this.isPaused = !this.isPaused;
+        this.input.clearRepeat();
+        this.showOverlay(this.isPaused ? 'pauseOverlay' : null);
+        this.playSound(this.isPaused ? 'ui_pause' : 'ui_resume');
+    }
+
+    returnToMenu() {
+        this.playSound('ui_back');
+        this.goToScreen('main-menu', { transition: 'fade' });
+    }
+
+    handleAction(action) {
+        if (action === 'pause') {
+            this.togglePause();
+            return;
+        }
+
+        if (this.isRunning() && !this.isPaused) {
+            this.engine.addInput(action);
+        }
+    }
+
+    /**
+     * Show one overlay and hide the others (null hides all)
+     */
+    showOverlay(name) {
+        ['listOverlay', 'pauseOverlay', 'resultOverlay'].forEach(key => {
+            this.elements[key].hidden = key !== name;
+        });
+        this.updateFocusableElements();
+    }
+
+    showResult({ puzzle, solved, placed, lines }) {
+        const { resultTitle, resultSummary } = this.elements;
+
+        resultTitle.textContent = solved ? 'SOLVED!' : 'FAILED';
+        resultTitle.classList.toggle('failed', !solved);
+        resultSummary.textContent = `${puzzle.name} · ${placed} pieces · ${lines} lines`;
+
+        this.input.clearRepeat();
+        this.updateProgress();
+        this.showOverlay('resultOverlay');
+        this.playSound(solved ? 'achievement' : 'game_over');
+    }
+
+    updateProgress() {
+        const { puzzleGame, engine } = this;
+        const puzzle = puzzleGame && puzzleGame.puzzle;
+        const run = puzzleGame && puzzleGame.run;
+
+        this.elements.name.textContent = puzzle ? puzzle.name : '-';
+        this.elements.goal.textContent = puzzle ? describeGoal(puzzle.goal) : '-';
+        this.elements.pieces.textContent = run ? `${run.placed} / ${run.pieces}` : '-';
+        this.elements.lines.textContent = run ? run.lines : '-';
+
+        const held = engine && engine.getHeldPiece();
+        this.elements.hold.textContent = held ? held.type : '-';
+
+        const queue = puzzleGame ? puzzleGame.getQueue() : [];
+        this.elements.next.textContent = queue.length > 0 ? queue.join(' ') : '-';
+    }
+
+    renderBoard() {
+        this.canvasManager.clear();
+        this.boardRenderer.setGameState(getEngineBoardState(this.engine));
+        this.boardRenderer.render();
+    }
+
+    handleKeyDown(event) {
+        // Game keys overlap menu navigation during a run
+        if (this.isRunning() && !this.isPaused) {
+            if (event.code === 'Escape') {
+                this.togglePause();
+                event.preventDefault();
+            }
+            return;
+        }
+
+        // Let the import field keep its text editing keys
+        if (event.target === this.elements.importInput && event.code !== 'Escape') {
+            if (event.code === 'Enter') {
+                this.importPuzzle();
+                event.preventDefault();
+            }
+            return;
+        }
+
+        super.handleKeyDown(event);
+    }
+
+    handleBack() {
+        if (this.isRunning()) {
+            this.togglePause();
+            return;
+        }
+
+        if (this.elements.listOverlay.hidden) {
+            this.showPuzzles();
+            return;
+        }
+
+        this.returnToMenu();
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+
+        if (!this.engine) return;
+
+        if (this.isRunning() && !this.isPaused) {
+            this.input.update(deltaTime);
+            this.boardRenderer.update(deltaTime);
+
+            this.accumulator += deltaTime;
+            while (this.accumulator >= this.engine.fixedTimeStep && this.isRunning()) {
+                this.engine.step(1);
+                this.accumulator -= this.engine.fixedTimeStep;
+            }
+        }
+
+        this.renderBoard();
+    }
+
+    pause() {
+        if (this.isRunning() && !this.isPaused) {
+            this.togglePause();
+        }
+    }
+
+    destroy() {
+        this.destroySession();
+        this.keyboard.destroy();
+        super.destroy();
+    }
+}
@@ -4,6 +4,14 @@
  */
 
 import { Screen } from '../Screen.js';
+import {
+    exportSettingsProfile,
+    parseSettingsProfile,
+    diffSettingsProfile,
+    applySettingsProfile
+} from '../../storage/SettingsProfile.js';
+import { defaultStorage, STORAGE_KEYS } from '../../storage/StorageManager.js';
+import { RANDOMIZER_TYPES } from '../../engine/Randomizer.js';
 
 export class SettingsScreen extends Screen {
     constructor(screenManager, game) {
@@ -14,6 +22,7 @@ export class SettingsScreen extends Screen {
         this.unsavedChanges = false;
         this.tabElements = {};
         this.settingElements = {};
+        this.pendingProfile = null;
     }
 
     createElement() {
@@ -81,6 +90,20 @@ export class SettingsScreen extends Screen {
                                 </div>
                                 <div class="setting-description">Time before a piece locks in place</div>
                             </div>
+
+                            <div class="setting-item">
+                                <label class="setting-label" for="randomizer">Randomizer</label>
+                                <div class="setting-control">
+                                    <select-dropdown id="randomizer" data-setting="randomizer">
+                                        <option value="7-bag">7-Bag (Guideline)</option>
+                                        <option value="14-bag">14-Bag</option>
+                                        <option value="classic">Classic NES</option>
+                                        <option value="tgm">TGM History</option>
+                                        <option value="random">Pure Random</option>
+                                    </select-dropdown>
+                                </div>
+                                <div class="setting-description">How the upcoming piece sequence is generated</div>
+                            </div>
                         </div>
 
                         <div class="settings-group">
@@ -131,6 +154,18 @@ export class SettingsScreen extends Screen {
                             <button class="btn btn-secondary" id="reset-controls">Reset to Defaults</button>
                         </div>
 
+                        <div class="settings-group">
+                            <h3 class="group-title">Rotation</h3>
+
+                            <div class="setting-item">
+                                <label class="setting-label" for="rotate-180">180° Rotation</label>
+                                <div class="setting-control">
+                                    <toggle-switch id="rotate-180" data-setting="rotate180Enabled"></toggle-switch>
+                                </div>
+                                <div class="setting-description">Allow the rotate 180° action (Q key, left trigger or two-finger tap)</div>
+                            </div>
+                        </div>
+
                         <div class="settings-group">
                             <h3 class="group-title">Touch Controls</h3>
 
@@ -358,6 +393,12 @@ export class SettingsScreen extends Screen {
                 </main>
 
                 <footer class="settings-footer">
+                    <div class="profile-actions">
+                        <button class="btn btn-secondary" id="export-profile-btn">Export Profile</button>
+                        <button class="btn btn-secondary" id="import-profile-btn">Import Profile</button>
+                        <input type="file" id="import-profile-input" accept=".json,application/json" hidden>
+                    </div>
+
                     <div class="settings-actions">
                         <button class="btn btn-secondary" id="reset-all-btn">Reset All</button>
                         <button class="btn btn-secondary" id="cancel-btn">Cancel</button>
@@ -369,6 +410,18 @@ export class SettingsScreen extends Screen {
                         <span class="indicator-text">Unsaved changes</span>
                     </div>
                 </footer>
+
+                <div class="profile-preview" id="profile-preview" role="dialog" aria-labelledby="profile-preview-title" aria-modal="true" hidden>
+                    <div class="profile-preview-content">
+                        <h2 id="profile-preview-title" class="panel-title">Import Settings Profile</h2>
+                        <div class="profile-preview-summary" id="profile-preview-summary"></div>
+                        <ul class="profile-diff" id="profile-diff"></ul>
+                        <div class="settings-actions">
+                            <button class="btn btn-secondary" id="profile-cancel-btn">Cancel</button>
+                            <button class="btn btn-primary" id="profile-apply-btn">Apply Profile</button>
+                        </div>
+                    </div>
+                </div>
             </div>
         `;
 
@@ -377,6 +430,8 @@ export class SettingsScreen extends Screen {
         this.loadSettings();
         this.generateKeyBindingsUI();
         this.setupCustomComponents();
+        this.setupProfileActions();
+        this.setupGameplaySettings();
     }
 
     setupStyles() {
@@ -691,11 +746,78 @@ export class SettingsScreen extends Screen {
                 align-items: center;
             }
 
-            .settings-actions {
+            .settings-actions,
+            .profile-actions {
                 display: flex;
                 gap: 1rem;
             }
 
+            .profile-preview {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.8);
+                backdrop-filter: blur(8px);
+                z-index: 10;
+            }
+
+            .profile-preview[hidden] {
+                display: none;
+            }
+
+            .profile-preview-content {
+                width: min(640px, 90vw);
+                max-height: 80vh;
+                display: flex;
+                flex-direction: column;
+                gap: 1rem;
+                padding: 2rem;
+                border: 2px solid #00FFFF;
+                border-radius: 8px;
+                background: rgba(10, 10, 30, 0.95);
+                box-shadow: 0 0 30px rgba(0, 255, 255, 0.3);
+            }
+
+            .profile-preview-summary {
+                color: rgba(255, 255, 255, 0.7);
+            }
+
+            .profile-diff {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+                overflow-y: auto;
+                font-family: var(--font-mono);
+                font-size: 0.85rem;
+            }
+
+            .profile-diff li {
+                display: grid;
+                grid-template-columns: 2fr 1fr auto 1fr;
+                gap: 0.5rem;
+                padding: 0.4rem 0;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.1);
+            }
+
+            .diff-path {
+                color: #00FFFF;
+            }
+
+            .diff-from {
+                color: #FF4080;
+                text-decoration: line-through;
+            }
+
+            .diff-to {
+                color: #00FF80;
+            }
+
+            .profile-preview-content .settings-actions {
+                justify-content: flex-end;
+            }
+
             .btn {
                 background: transparent;
                 border: 2px solid #00FFFF;
@@ -771,6 +893,154 @@ export class SettingsScreen extends Screen {
         document.head.appendChild(style);
     }
 
+    setupProfileActions() {
+        this.profileElements = {
+            exportButton: this.element.querySelector('#export-profile-btn'),
+            importButton: this.element.querySelector('#import-profile-btn'),
+            fileInput: this.element.querySelector('#import-profile-input'),
+            preview: this.element.querySelector('#profile-preview'),
+            summary: this.element.querySelector('#profile-preview-summary'),
+            diffList: this.element.querySelector('#profile-diff'),
+            applyButton: this.element.querySelector('#profile-apply-btn'),
+            cancelButton: this.element.querySelector('#profile-cancel-btn')
+        };
+
+        const { exportButton, importButton, fileInput, applyButton, cancelButton } = this.profileElements;
+
+        exportButton.addEventListener('click', () => this.exportProfile());
+        importButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importProfile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        applyButton.addEventListener('click', () => this.applyPendingProfile());
+        cancelButton.addEventListener('click', () => this.hideProfilePreview());
+    }
+
+    /**
+     * Gameplay settings the engine reads at the start of every game
+     */
+    setupGameplaySettings() {
+        const randomizer = this.element.querySelector('[data-setting="randomizer"]');
+        const saved = defaultStorage.get(STORAGE_KEYS.GAME_SETTINGS, {});
+
+        randomizer.setAttribute('value', saved.randomizer || RANDOMIZER_TYPES.BAG_7);
+        randomizer.addEventListener('change', (event) => {
+            this.settings.randomizer = event.target.value;
+        });
+
+        this.element.querySelector('#save-btn').addEventListener('click', () => {
+            if (!this.settings.randomizer) return;
+
+            defaultStorage.set(STORAGE_KEYS.GAME_SETTINGS, {
+                ...defaultStorage.get(STORAGE_KEYS.GAME_SETTINGS, {}),
+                randomizer: this.settings.randomizer
+            });
+        });
+    }
+
+    getProfileManagers() {
+        return {
+            themeManager: this.game?.themeManager || null,
+            inputManager: this.game?.inputManager || null,
+            audioManager: this.game?.audioManager || null
+        };
+    }
+
+    exportProfile() {
+        try {
+            const profile = exportSettingsProfile(this.getProfileManagers());
+            const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'neontetris-settings.json';
+            link.click();
+
+            URL.revokeObjectURL(url);
+            this.showNotification('Settings profile exported', 'success');
+        } catch (error) {
+            console.warn('Failed to export settings profile:', error);
+            this.showNotification('Failed to export settings profile', 'error');
+        }
+    }
+
+    async importProfile(file) {
+        try {
+            const profile = parseSettingsProfile(await file.text());
+            this.showProfilePreview(profile);
+        } catch (error) {
+            console.warn('Failed to import settings profile:', error);
+            this.showNotification(error.message, 'error', 5000);
+        }
+    }
+
+    showProfilePreview(profile) {
+        const current = exportSettingsProfile(this.getProfileManagers());
+        const changes = diffSettingsProfile(current, profile);
+        const { preview, summary, diffList, applyButton } = this.profileElements;
+
+        this.pendingProfile = profile;
+        diffList.innerHTML = '';
+
+        if (changes.length === 0) {
+            summary.textContent = 'This profile matches your current settings.';
+        } else {
+            summary.textContent = `${changes.length} setting${changes.length === 1 ? '' : 's'} will change:`;
+        }
+
+        // Values come from an untrusted file, so build nodes instead of HTML
+        changes.forEach(({ path, from, to }) => {
+            const item = document.createElement('li');
+            [
+                ['diff-path', path],
+                ['diff-from', this.formatProfileValue(from)],
+                ['diff-arrow', '→'],
+                ['diff-to', this.formatProfileValue(to)]
+            ].forEach(([className, text]) => {
+                const cell = document.createElement('span');
+                cell.className = className;
+                cell.textContent = text;
+                item.appendChild(cell);
+            });
+            diffList.appendChild(item);
+        });
+
+        applyButton.disabled = changes.length === 0;
+        preview.hidden = false;
+        applyButton.focus();
+    }
+
+    formatProfileValue(value) {
+        if (value === undefined) return '(unset)';
+        if (Array.isArray(value)) return value.join(', ') || '(none)';
+        return String(value);
+    }
+
+    applyPendingProfile() {
+        if (!this.pendingProfile) return;
+
+        try {
+            applySettingsProfile(this.pendingProfile, this.getProfileManagers());
+            this.loadSettings();
+            this.generateKeyBindingsUI();
+            this.showNotification('Settings profile applied', 'success');
+        } catch (error) {
+            console.warn('Failed to apply settings profile:', error);
+            this.showNotification('Failed to apply settings profile', 'error');
+        }
+
+        this.hideProfilePreview();
+    }
+
+    hideProfilePreview() {
+        this.pendingProfile = null;
+        this.profileElements.preview.hidden = true;
+    }
+
     // Continue with the rest of the SettingsScreen implementation...
     // (This would include the cacheElements, setupEventListeners, loadSettings, etc. methods)
 }
\ No newline at end of file
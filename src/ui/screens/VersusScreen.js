@@ -0,0 +1,750 @@
+/**
+ * VersusScreen - Local split-screen two-player versus
+ * Two boards side by side with their own HUD and input device, a shared
+ * countdown, round and match results and a best-of-N score
+ * Player 2 can be a CPU opponent at a selectable difficulty
+ */
+
+import { Screen } from '../Screen.js';
+import { VersusMatch, VERSUS_PHASES } from '../../engine/VersusMatch.js';
+import { CPU_DIFFICULTIES } from '../../engine/CpuPlayer.js';
+import { CanvasManager } from '../../rendering/CanvasManager.js';
+import { ThemeManager } from '../../rendering/ThemeManager.js';
+import { NeonEffects } from '../../rendering/NeonEffects.js';
+import { BoardRenderer, getEngineBoardState } from '../../rendering/BoardRenderer.js';
+import { KeyboardHandler } from '../../input/KeyboardHandler.js';
+import { GamepadHandler } from '../../input/GamepadHandler.js';
+import { PlayerInput, VERSUS_KEY_BINDINGS } from '../../input/PlayerInput.js';
+
+const BEST_OF_OPTIONS = [1, 3, 5, 7];
+const HUMAN_OPPONENT = 'human';
+const DEVICE_LABELS = ['WASD · F/G/R · L-SHIFT', 'ARROWS · ,/./ · R-SHIFT'];
+const BOARD_CANVAS_WIDTH = 300;
+const BOARD_CANVAS_HEIGHT = 520;
+
+export class VersusScreen extends Screen {
+    constructor(screenManager, game) {
+        super(screenManager, game);
+        this.id = 'versus-screen';
+        this.bestOf = 3;
+        this.opponent = HUMAN_OPPONENT;
+        this.match = null;
+        this.players = [];
+        this.gamepadHandler = null;
+        this.elements = {};
+    }
+
+    createElement() {
+        super.createElement();
+
+        const bestOfButtons = BEST_OF_OPTIONS.map(count => `
+                        <button class="best-of-button${count === this.bestOf ? ' active' : ''}" data-best-of="${count}" aria-pressed="${count === this.bestOf}">BO${count}</button>`).join('');
+
+        const opponents = [[HUMAN_OPPONENT, 'HUMAN'], ...Object.entries(CPU_DIFFICULTIES).map(([id, { name }]) => [id, `CPU ${name.toUpperCase()}`])];
+        const opponentButtons = opponents.map(([id, label]) => `
+                        <button class="best-of-button opponent-button${id === this.opponent ? ' active' : ''}" data-opponent="${id}" aria-pressed="${id === this.opponent}">${label}</button>`).join('');
+
+        const panels = [0, 1].map(index => `
+                <section class="versus-player" id="versus-player-${index}" aria-label="Player ${index + 1}">
+                    <header class="versus-player-header">
+                        <h2 class="versus-player-name">PLAYER ${index + 1}</h2>
+                        <div class="versus-player-device" id="versus-device-${index}">${DEVICE_LABELS[index]}</div>
+                    </header>
+                    <div class="versus-board">
+                        <canvas width="${BOARD_CANVAS_WIDTH}" height="${BOARD_CANVAS_HEIGHT}" aria-label="Player ${index + 1} board"></canvas>
+                    </div>
+                    <dl class="versus-stats">
+                        <div><dt>SCORE</dt><dd data-stat="score" aria-live="polite">0</dd></div>
+                        <div><dt>LINES</dt><dd data-stat="lines">0</dd></div>
+                        <div><dt>SENT</dt><dd data-stat="sent">0</dd></div>
+                        <div><dt>INCOMING</dt><dd data-stat="incoming">0</dd></div>
+                    </dl>
+                </section>`).join('');
+
+        this.element.innerHTML = `
+            <div class="versus-screen" aria-labelledby="versus-title">
+                <header class="versus-header">
+                    <h1 id="versus-title" class="versus-title">VERSUS</h1>
+                    <div class="versus-score" aria-live="polite">
+                        <span id="versus-wins-0">0</span>
+                        <span class="versus-score-separator">-</span>
+                        <span id="versus-wins-1">0</span>
+                    </div>
+                    <div class="versus-round" id="versus-round">FIRST TO 2</div>
+                </header>
+
+                <main class="versus-arena">${panels}
+                </main>
+
+                <div class="versus-overlay" id="versus-setup-overlay">
+                    <div class="versus-dialog">
+                        <h2>LOCAL VERSUS</h2>
+                        <p>Player 1 uses the left of the keyboard, player 2 the right. Connected gamepads are assigned in connection order.</p>
+                        <div class="best-of-options" role="group" aria-label="Match length">${bestOfButtons}
+                        </div>
+                        <div class="best-of-options" role="group" aria-label="Player 2">${opponentButtons}
+                        </div>
+                        <button class="btn btn-primary" id="versus-start-btn">Start Match</button>
+                        <button class="btn btn-secondary" id="versus-setup-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="versus-overlay countdown" id="versus-countdown-overlay" hidden>
+                    <div class="versus-countdown" id="versus-countdown" aria-live="assertive">3</div>
+                </div>
+
+                <div class="versus-overlay" id="versus-pause-overlay" hidden>
+                    <div class="versus-dialog">
+                        <h2>PAUSED</h2>
+                        <button class="btn btn-primary" id="versus-resume-btn">Resume</button>
+                        <button class="btn btn-secondary" id="versus-pause-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+
+                <div class="versus-overlay" id="versus-round-overlay" hidden>
+                    <div class="versus-dialog">
+                        <h2 id="versus-round-title">PLAYER 1 WINS THE ROUND</h2>
+                        <table class="versus-round-stats">
+                            <thead>
+                                <tr><th scope="col"></th><th scope="col">P1</th><th scope="col">P2</th></tr>
+                            </thead>
+                            <tbody id="versus-round-rows"></tbody>
+                        </table>
+                        <button class="btn btn-primary" id="versus-next-btn">Next Round</button>
+                    </div>
+                </div>
+
+                <div class="versus-overlay" id="versus-match-overlay" hidden>
+                    <div class="versus-dialog">
+                        <h2 id="versus-match-title">PLAYER 1 WINS!</h2>
+                        <div class="versus-results">
+                            <div class="versus-result" id="versus-result-0">WIN</div>
+                            <div class="versus-result" id="versus-result-1">LOSE</div>
+                        </div>
+                        <div class="versus-final-score" id="versus-final-score">2 - 0</div>
+                        <button class="btn btn-primary" id="versus-rematch-btn">Rematch</button>
+                        <button class="btn btn-secondary" id="versus-match-menu-btn">Main Menu</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setupStyles();
+        this.cacheElements();
+    }
+
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .versus-screen {
+                position: relative;
+                width: 100vw;
+                height: 100vh;
+                background: linear-gradient(135deg, #0A0A0F 0%, #1A1A2E 100%);
+                color: #00FFFF;
+                font-family: var(--font-primary);
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .versus-header {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 2rem;
+                padding: 1rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.2);
+            }
+
+            .versus-title {
+                font-size: 1.8rem;
+                font-weight: 900;
+                margin: 0;
+                text-shadow: 0 0 20px #00FFFF;
+            }
+
+            .versus-score {
+                font-size: 2rem;
+                font-weight: 900;
+                color: #FF00FF;
+                text-shadow: 0 0 15px #FF00FF;
+            }
+
+            .versus-score-separator {
+                margin: 0 0.5rem;
+                color: #888;
+            }
+
+            .versus-round {
+                font-family: var(--font-mono);
+                font-size: 0.9rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .versus-arena {
+                flex: 1;
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 1rem;
+                padding: 1rem;
+            }
+
+            .versus-player {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 0.5rem;
+                background: rgba(0, 255, 255, 0.05);
+                border: 1px solid rgba(0, 255, 255, 0.2);
+                border-radius: 8px;
+                padding: 1rem;
+            }
+
+            .versus-player-header {
+                text-align: center;
+            }
+
+            .versus-player-name {
+                font-size: 1.1rem;
+                margin: 0;
+                letter-spacing: 0.1em;
+                text-shadow: 0 0 5px #00FFFF;
+            }
+
+            .versus-player-device {
+                font-family: var(--font-mono);
+                font-size: 0.75rem;
+                color: #888;
+            }
+
+            .versus-board canvas {
+                display: block;
+                background: rgba(0, 0, 0, 0.3);
+                border-radius: 4px;
+            }
+
+            .versus-stats {
+                display: grid;
+                grid-template-columns: repeat(4, 1fr);
+                gap: 1rem;
+                margin: 0;
+                text-align: center;
+            }
+
+            .versus-stats dt {
+                font-size: 0.7rem;
+                color: #888;
+                letter-spacing: 0.1em;
+            }
+
+            .versus-stats dd {
+                margin: 0;
+                font-family: var(--font-mono);
+                font-size: 1.1rem;
+            }
+
+            .versus-stats dd[data-stat="incoming"] {
+                color: #FF4040;
+            }
+
+            .versus-overlay {
+                position: absolute;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.75);
+                z-index: 10;
+            }
+
+            .versus-overlay[hidden] {
+                display: none;
+            }
+
+            .versus-overlay.countdown {
+                background: transparent;
+                pointer-events: none;
+            }
+
+            .versus-countdown {
+                font-size: 8rem;
+                font-weight: 900;
+                color: #FFFF00;
+                text-shadow: 0 0 40px #FFFF00;
+            }
+
+            .versus-dialog {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 1rem;
+                min-width: 320px;
+                max-width: 480px;
+                padding: 2rem;
+                background: #0A0A0F;
+                border: 2px solid #00FFFF;
+                border-radius: 8px;
+                box-shadow: 0 0 30px rgba(0, 255, 255, 0.4);
+                text-align: center;
+            }
+
+            .versus-dialog h2 {
+                margin: 0;
+                text-shadow: 0 0 10px #00FFFF;
+            }
+
+            .versus-dialog p {
+                margin: 0;
+                color: #888;
+                font-size: 0.9rem;
+            }
+
+            .best-of-options {
+                display: flex;
+                flex-wrap: wrap;
+                justify-content: center;
+                gap: 0.5rem;
+            }
+
+            .best-of-button {
+                background: transparent;
+                border: 1px solid rgba(0, 255, 255, 0.4);
+                border-radius: 4px;
+                color: #888;
+                font-family: var(--font-primary);
+                font-weight: 600;
+                padding: 0.5rem 1rem;
+                cursor: pointer;
+                transition: all 0.3s ease;
+            }
+
+            .best-of-button.active,
+            .best-of-button:hover,
+            .best-of-button:focus {
+                color: #00FFFF;
+                border-color: #00FFFF;
+                box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            }
+
+            .versus-round-stats {
+                width: 100%;
+                border-collapse: collapse;
+                font-family: var(--font-mono);
+            }
+
+            .versus-round-stats th,
+            .versus-round-stats td {
+                padding: 0.25rem 0.5rem;
+                border-bottom: 1px solid rgba(0, 255, 255, 0.1);
+            }
+
+            .versus-results {
+                display: flex;
+                gap: 2rem;
+            }
+
+            .versus-result {
+                font-size: 1.5rem;
+                font-weight: 900;
+                color: #FF4040;
+            }
+
+            .versus-result.win {
+                color: #00FF00;
+                text-shadow: 0 0 15px #00FF00;
+            }
+
+            .versus-final-score {
+                font-size: 2.5rem;
+                font-weight: 900;
+                color: #FF00FF;
+                text-shadow: 0 0 20px #FF00FF;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    cacheElements() {
+        this.elements = {
+            wins: [0, 1].map(index => this.element.querySelector(`#versus-wins-${index}`)),
+            round: this.element.querySelector('#versus-round'),
+            panels: [0, 1].map(index => this.element.querySelector(`#versus-player-${index}`)),
+            devices: [0, 1].map(index => this.element.querySelector(`#versus-device-${index}`)),
+            bestOfButtons: Array.from(this.element.querySelectorAll('[data-best-of]')),
+            opponentButtons: Array.from(this.element.querySelectorAll('[data-opponent]')),
+            setupOverlay: this.element.querySelector('#versus-setup-overlay'),
+            countdownOverlay: this.element.querySelector('#versus-countdown-overlay'),
+            countdown: this.element.querySelector('#versus-countdown'),
+            pauseOverlay: this.element.querySelector('#versus-pause-overlay'),
+            roundOverlay: this.element.querySelector('#versus-round-overlay'),
+            roundTitle: this.element.querySelector('#versus-round-title'),
+            roundRows: this.element.querySelector('#versus-round-rows'),
+            matchOverlay: this.element.querySelector('#versus-match-overlay'),
+            matchTitle: this.element.querySelector('#versus-match-title'),
+            results: [0, 1].map(index => this.element.querySelector(`#versus-result-${index}`)),
+            finalScore: this.element.querySelector('#versus-final-score')
+        };
+
+        this.players = this.elements.panels.map((panel, index) => this.createPlayerView(panel, index));
+    }
+
+    /**
+     * Board renderer, HUD and input of one side
+     */
+    createPlayerView(panel, index) {
+        const canvasManager = new CanvasManager(panel.querySelector('canvas'), { enableWebGL: false });
+        canvasManager.resize(BOARD_CANVAS_WIDTH, BOARD_CANVAS_HEIGHT);
+
+        const themeManager = new ThemeManager();
+        const neonEffects = new NeonEffects(canvasManager, themeManager);
+        const boardRenderer = new BoardRenderer(canvasManager, themeManager, neonEffects);
+
+        const input = new PlayerInput(
+            action => this.handlePlayerAction(index, action),
+            {},
+            () => this.match.players[index].engine.board.width
+        );
+        const keyboard = new KeyboardHandler(input);
+        keyboard.keyBindings = { ...VERSUS_KEY_BINDINGS[index] };
+        keyboard.updateActionMap();
+
+        const stats = {};
+        panel.querySelectorAll('[data-stat]').forEach(element => {
+            stats[element.dataset.stat] = element;
+        });
+
+        return { index, canvasManager, boardRenderer, input, keyboard, stats };
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.elements.bestOfButtons.forEach(button => {
+            button.addEventListener('click', () => this.selectBestOf(Number(button.dataset.bestOf)));
+        });
+        this.elements.opponentButtons.forEach(button => {
+            button.addEventListener('click', () => this.selectOpponent(button.dataset.opponent));
+        });
+
+        this.element.querySelector('#versus-start-btn').addEventListener('click', () => this.startMatch());
+        this.element.querySelector('#versus-resume-btn').addEventListener('click', () => this.togglePause());
+        this.element.querySelector('#versus-next-btn').addEventListener('click', () => this.nextRound());
+        this.element.querySelector('#versus-rematch-btn').addEventListener('click', () => this.rematch());
+
+        ['#versus-setup-menu-btn', '#versus-pause-menu-btn', '#versus-match-menu-btn'].forEach(selector => {
+            this.element.querySelector(selector).addEventListener('click', () => this.returnToMenu());
+        });
+    }
+
+    onEnter(data) {
+        super.onEnter(data);
+
+        if (data && BEST_OF_OPTIONS.includes(data.bestOf)) {
+            this.selectBestOf(data.bestOf);
+        }
+        if (data && data.opponent) {
+            this.selectOpponent(data.opponent);
+        }
+
+        this.players.forEach(player => player.keyboard.addEventListeners());
+        this.setupGamepads();
+
+        this.showOverlay('setupOverlay');
+        this.updateScore();
+    }
+
+    onExit() {
+        super.onExit();
+
+        this.players.forEach(player => {
+            player.keyboard.removeEventListeners();
+            player.keyboard.clearState();
+            player.input.clearRepeat();
+            player.boardRenderer.reset();
+        });
+
+        if (this.gamepadHandler) {
+            this.gamepadHandler.destroy();
+            this.gamepadHandler = null;
+        }
+
+        this.destroyMatch();
+    }
+
+    /**
+     * Route each connected gamepad to a player by connection order
+     */
+    setupGamepads() {
+        this.gamepadHandler = new GamepadHandler({
+            game: null,
+            addInputEvent: event => {
+                const slot = this.gamepadHandler.getGamepadSlot(event.gamepadIndex);
+                if (slot >= 0 && slot < this.players.length) {
+                    this.players[slot].input.addInputEvent(event);
+                }
+            }
+        });
+        this.gamepadHandler.initialize();
+    }
+
+    selectBestOf(count) {
+        this.bestOf = count;
+
+        this.elements.bestOfButtons.forEach(button => {
+            const isActive = Number(button.dataset.bestOf) === count;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        if (this.match) {
+            this.match.configure({ bestOf: count });
+        }
+        this.updateScore();
+    }
+
+    selectOpponent(opponent) {
+        if (opponent !== HUMAN_OPPONENT && !CPU_DIFFICULTIES[opponent]) return;
+
+        this.opponent = opponent;
+
+        this.elements.opponentButtons.forEach(button => {
+            const isActive = button.dataset.opponent === opponent;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        // The CPU seat takes no keyboard input
+        const isCpu = opponent !== HUMAN_OPPONENT;
+        const { keyboard, input } = this.players[1];
+        if (isCpu) {
+            keyboard.disable();
+            input.disable();
+        } else {
+            keyboard.enable();
+            input.enable();
+        }
+
+        this.elements.devices[1].textContent = isCpu ? `CPU · ${CPU_DIFFICULTIES[opponent].name.toUpperCase()}` : DEVICE_LABELS[1];
+        this.elements.panels[1].querySelector('.versus-player-name').textContent = isCpu ? 'CPU' : 'PLAYER 2';
+    }
+
+    startMatch() {
+        this.destroyMatch();
+
+        const cpu = this.opponent === HUMAN_OPPONENT ? null : { player: 1, difficulty: this.opponent };
+        this.match = new VersusMatch({ bestOf: this.bestOf, cpu });
+        this.match.addEventListener('countdown', ({ seconds }) => this.showCountdown(seconds));
+        this.match.addEventListener('go', () => this.hideCountdown());
+        this.match.addEventListener('garbageSent', () => this.playSound('garbage_send'));
+        this.match.addEventListener('roundOver', result => this.showRoundOver(result));
+        this.match.addEventListener('matchOver', result => this.showMatchOver(result));
+
+        this.playSound('game_start');
+        this.nextRound();
+    }
+
+    nextRound() {
+        if (!this.match) return;
+
+        this.showOverlay(null);
+        this.players.forEach(player => player.boardRenderer.reset());
+        this.match.startRound();
+        this.updateScore();
+    }
+
+    rematch() {
+        if (!this.match) return;
+
+        this.showOverlay(null);
+        this.players.forEach(player => player.boardRenderer.reset());
+        this.match.rematch();
+        this.updateScore();
+    }
+
+    togglePause() {
+        if (!this.match) return;
+
+        this.match.togglePause();
+        this.showOverlay(this.match.isPaused ? 'pauseOverlay' : null);
+        this.players.forEach(player => player.input.clearRepeat());
+    }
+
+    returnToMenu() {
+        this.playSound('ui_back');
+        this.goToScreen('main-menu', { transition: 'fade' });
+    }
+
+    destroyMatch() {
+        if (this.match) {
+            this.match.destroy();
+            this.match = null;
+        }
+    }
+
+    isMatchRunning() {
+        return Boolean(this.match) &&
+            (this.match.phase === VERSUS_PHASES.COUNTDOWN || this.match.phase === VERSUS_PHASES.PLAYING);
+    }
+
+    handlePlayerAction(index, action) {
+        if (action === 'pause') {
+            this.togglePause();
+            return;
+        }
+
+        if (this.match) {
+            this.match.addInput(index, action);
+        }
+    }
+
+    /**
+     * Show one overlay and hide the others (null hides all)
+     */
+    showOverlay(name) {
+        ['setupOverlay', 'pauseOverlay', 'roundOverlay', 'matchOverlay'].forEach(key => {
+            this.elements[key].hidden = key !== name;
+        });
+
+        if (name) {
+            this.hideCountdown();
+        }
+        this.updateFocusableElements();
+    }
+
+    showCountdown(seconds) {
+        this.elements.countdown.textContent = seconds;
+        this.elements.countdownOverlay.hidden = false;
+        this.playSound('countdown');
+    }
+
+    hideCountdown() {
+        this.elements.countdownOverlay.hidden = true;
+    }
+
+    showRoundOver(result) {
+        this.updateScore();
+
+        // The match overlay replaces the round summary on the final round
+        if (this.match.phase === VERSUS_PHASES.MATCH_OVER) return;
+
+        this.elements.roundTitle.textContent = result.winner === null ?
+            'DRAW - ROUND REPLAYED' :
+            `${this.getPlayerName(result.winner)} WINS THE ROUND`;
+
+        const rows = [
+            ['Score', stats => stats.score.toLocaleString()],
+            ['Lines', stats => stats.lines],
+            ['Pieces', stats => stats.pieces],
+            ['Sent', stats => stats.sent],
+            ['Received', stats => stats.received]
+        ];
+
+        this.elements.roundRows.innerHTML = rows.map(([label, format]) => `
+            <tr><th scope="row">${label}</th>${result.statistics.map(stats => `<td>${format(stats)}</td>`).join('')}</tr>`).join('');
+
+        this.showOverlay('roundOverlay');
+        this.playSound('round_over');
+    }
+
+    showMatchOver({ winner, wins }) {
+        this.elements.matchTitle.textContent = `${this.getPlayerName(winner)} WINS!`;
+        this.elements.results.forEach((element, index) => {
+            element.textContent = index === winner ? 'WIN' : 'LOSE';
+            element.classList.toggle('win', index === winner);
+        });
+        this.elements.finalScore.textContent = `${wins[0]} - ${wins[1]}`;
+
+        this.showOverlay('matchOverlay');
+        this.playSound('game_over');
+    }
+
+    getPlayerName(index) {
+        return this.match && this.match.isCpu(index) ? 'CPU' : `PLAYER ${index + 1}`;
+    }
+
+    updateScore() {
+        const score = this.match ? this.match.getScore() : { wins: [0, 0], round: 0, winsNeeded: Math.ceil(this.bestOf / 2) };
+
+        score.wins.forEach((wins, index) => {
+            this.elements.wins[index].textContent = wins;
+        });
+
+        const roundText = score.round > 0 ? `ROUND ${score.round} · ` : '';
+        this.elements.round.textContent = `${roundText}FIRST TO ${score.winsNeeded}`;
+    }
+
+    updateHUD() {
+        this.match.players.forEach(({ engine }, index) => {
+            const { stats } = this.players[index];
+            const garbage = engine.garbageSystem.getStatistics();
+
+            stats.score.textContent = engine.scoreManager.getScore().toLocaleString();
+            stats.lines.textContent = engine.gameState.get('linesCleared');
+            stats.sent.textContent = garbage.sent;
+            stats.incoming.textContent = garbage.incoming;
+        });
+    }
+
+    renderBoards() {
+        this.match.players.forEach(({ engine }, index) => {
+            const { canvasManager, boardRenderer } = this.players[index];
+
+            canvasManager.clear();
+            boardRenderer.setGameState(getEngineBoardState(engine));
+            boardRenderer.render();
+        });
+    }
+
+    handleKeyDown(event) {
+        // Player keys overlap menu navigation while a round is running
+        if (this.isMatchRunning() && !this.match.isPaused) {
+            if (event.code === 'Escape') {
+                this.togglePause();
+                event.preventDefault();
+            }
+            return;
+        }
+
+        super.handleKeyDown(event);
+    }
+
+    handleBack() {
+        if (this.isMatchRunning()) {
+            this.togglePause();
+            return;
+        }
+
+        this.returnToMenu();
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+
+        if (!this.match) return;
+
+        if (!this.match.isPaused) {
+            this.players.forEach(player => {
+                player.input.update(deltaTime);
+                player.boardRenderer.update(deltaTime);
+            });
+        }
+
+        this.match.update(deltaTime);
+        this.updateHUD();
+        this.renderBoards();
+    }
+
+    pause() {
+        if (this.isMatchRunning() && !this.match.isPaused) {
+            this.togglePause();
+        }
+    }
+
+    destroy() {
+        this.destroyMatch();
+        this.players.forEach(player => player.keyboard.destroy());
+        super.destroy();
+    }
+}
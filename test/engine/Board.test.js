@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Board, CELL_STATES } from '../../src/engine/Board.js';
+
+console.log = () => {};
+
+test('pieces cannot overlap garbage', () => {
+    const board = new Board(10, 20, 4);
+    board.setCell(4, 0, CELL_STATES.GARBAGE);
+
+    const piece = { position: { x: 4, y: 0 }, blocks: [{ x: 0, y: 0 }] };
+    assert.equal(board.isValidPiecePosition(piece), false);
+    assert.equal(board.isValidPiecePosition(piece, { x: 5, y: 0 }), true);
+});
+
+test('heights count rows up from the bottom of the board', () => {
+    const board = new Board(10, 20, 4);
+    board.setCell(0, 0, CELL_STATES.LOCKED);
+    board.setCell(3, 4, CELL_STATES.GARBAGE);
+
+    assert.equal(board.getCurrentHeight(), 5);
+    assert.deepEqual(board.getColumnHeights().slice(0, 4), [1, 0, 0, 5]);
+});
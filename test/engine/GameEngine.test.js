@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../../src/engine/GameEngine.js';
+
+console.log = () => {};
+
+function createEngine(mode = 'marathon') {
+    const engine = new GameEngine({ headless: true, seed: 3, recordReplays: false });
+    engine.setMode(mode);
+    engine.resetGame();
+    engine.start();
+    return engine;
+}
+
+test('a game saved while paused leaves the pause out of its time', () => {
+    const engine = createEngine();
+    engine.step(600);
+    engine.togglePause();
+    engine.simulationTime += 30000;
+
+    const data = engine.saveState();
+    assert.equal(Math.round(data.timers.elapsedTime), 10000);
+
+    const restored = createEngine();
+    restored.loadState(data);
+    assert.equal(Math.round(restored.getStatistics().gameTime), 10000);
+});
+
+test('time limits count game frames, not paused time', () => {
+    const engine = createEngine('ultra');
+    engine.step(60 * 60);
+    engine.togglePause();
+    engine.simulationTime += 200000;
+    engine.togglePause();
+
+    assert.equal(engine.gameState.get('status'), 'playing');
+    assert.equal(Math.round(engine.getElapsedTime()), 60000);
+
+    engine.step(60 * 60 + 1);
+    assert.equal(engine.gameState.get('status'), 'gameOver');
+});
+
+test('the ghost piece follows the active piece', () => {
+    const engine = createEngine();
+    engine.step(1);
+
+    const piece = engine.gameState.get('activePiece');
+    assert.equal(engine.gameState.get('ghostPieceY'), piece.getDropPosition(engine.board));
+});
+
+test('rules without a ghost piece leave it out of the game state', () => {
+    const engine = createEngine('classic');
+    engine.step(1);
+
+    assert.equal(engine.rules.ghostPiece, false);
+    assert.ok(engine.gameState.get('activePiece'));
+    assert.equal(engine.gameState.get('ghostPieceY'), undefined);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GarbageSystem, GARBAGE_DEFAULTS } from '../../src/engine/GarbageSystem.js';
+
+test('rules without garbage fields keep the default garbage settings', () => {
+    const garbage = new GarbageSystem(1);
+    garbage.applyRules({ garbageDelay: 0 });
+
+    assert.deepEqual(garbage.config, { ...GARBAGE_DEFAULTS, delay: 0 });
+
+    garbage.receive(3);
+    assert.equal(garbage.takeReadyGarbage().length, 3);
+});
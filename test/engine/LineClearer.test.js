@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Board, CELL_STATES } from '../../src/engine/Board.js';
+import { LineClearer } from '../../src/engine/LineClearer.js';
+
+console.log = () => {};
+
+function fillRow(board, y) {
+    for (let x = 0; x < board.width; x++) {
+        board.setCell(x, y, CELL_STATES.LOCKED);
+    }
+}
+
+test('rows between and above a split clear drop by the lines cleared below them', () => {
+    const board = new Board(4, 8, 0);
+    fillRow(board, 0);
+    board.setCell(0, 1, CELL_STATES.LOCKED);
+    fillRow(board, 2);
+    board.setCell(1, 3, CELL_STATES.LOCKED);
+
+    const lineClearer = new LineClearer(board);
+    lineClearer.checkAndMarkLines();
+    lineClearer.forceComplete();
+
+    assert.equal(board.getCell(0, 0), CELL_STATES.LOCKED);
+    assert.equal(board.getCell(1, 1), CELL_STATES.LOCKED);
+    assert.equal(board.getCell(1, 3), CELL_STATES.EMPTY);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Leaderboard, isRankedRun } from '../../src/storage/Leaderboard.js';
+import { MemoryStorage, StorageManager } from '../../src/storage/StorageManager.js';
+import { createModeRules } from '../../src/engine/GameModes.js';
+
+function createLeaderboard() {
+    return new Leaderboard(new StorageManager({ backend: new MemoryStorage() }));
+}
+
+test('master runs rank by grade, then level, then time', () => {
+    const leaderboard = createLeaderboard();
+    leaderboard.addEntry('master', { level: 500, grade: 'S1', time: 300000 });
+    leaderboard.addEntry('master', { level: 999, grade: '1', time: 500000 });
+    leaderboard.addEntry('master', { level: 500, grade: 'S1', time: 250000 });
+
+    const entries = leaderboard.getEntries('master');
+    assert.deepEqual(entries.map(entry => [entry.grade, entry.time]), [['S1', 250000], ['S1', 300000], ['1', 500000]]);
+});
+
+test('survival runs rank by how long they lasted', () => {
+    const leaderboard = createLeaderboard();
+    leaderboard.addEntry('survival', { time: 60000 });
+
+    assert.equal(leaderboard.addEntry('survival', { time: 90000 }), 1);
+});
+
+test('only the standard rules of a ranked mode rank', () => {
+    assert.equal(isRankedRun('sprint', createModeRules('sprint')), true);
+    assert.equal(isRankedRun('classic', createModeRules('classic', { startLevel: 18 })), true);
+    assert.equal(isRankedRun('sprint', createModeRules('sprint', { modifiers: { 'line-goal': { lines: 20 } } })), false);
+    assert.equal(isRankedRun('ultra', createModeRules('ultra', { modifiers: { 'no-hold': true } })), false);
+    assert.equal(isRankedRun('custom', createModeRules('custom')), false);
+});
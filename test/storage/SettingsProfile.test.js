@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportSettingsProfile, parseSettingsProfile, validateSettingsProfile } from '../../src/storage/SettingsProfile.js';
+import { MemoryStorage, StorageManager, STORAGE_KEYS } from '../../src/storage/StorageManager.js';
+
+const SHORT_THEME = { primary: '#0ff', secondary: '#f0f8', accent: '#00ff00', background: '#10002080', text: '#fff' };
+
+test('custom themes with short hex colors survive an export and import', () => {
+    const storage = new StorageManager({ backend: new MemoryStorage() });
+    storage.set(STORAGE_KEYS.CUSTOM_THEMES, { short: SHORT_THEME });
+
+    const profile = parseSettingsProfile(JSON.stringify(exportSettingsProfile({ storage })));
+    assert.deepEqual(profile.settings.theme.custom.short, SHORT_THEME);
+});
+
+test('theme colors must be 3, 4, 6 or 8 hex digits', () => {
+    const profile = exportSettingsProfile({ storage: new StorageManager({ backend: new MemoryStorage() }) });
+    profile.settings.theme.custom = { odd: { ...SHORT_THEME, primary: '#12345' } };
+
+    const { valid, errors } = validateSettingsProfile(profile);
+    assert.equal(valid, false);
+    assert.match(errors.join(), /invalid colors: primary/);
+});